@@ -15,29 +15,246 @@
 
 // === Core Dependencies ===
 const express = require("express"); // Web server framework
-const fs = require("fs"); // File system operations
-const { exec } = require("child_process"); // Process execution
+const fs = require("fs"); // Profiler reports
 const path = require("path"); // Path manipulations
-const crypto = require("crypto"); // For secure random values
+const os = require("os"); // Temp directory location
+const crypto = require("crypto"); // Run identifiers
 const cors = require("cors"); // Cross-origin resource sharing
 
+// === Runner Modules ===
+const {
+  languageConfigs,
+  getLanguage,
+  getToolchain,
+  listLanguages,
+  listToolchains,
+  probeSandboxedToolchains,
+  resolveCompilerOptions,
+  isCommandAvailable,
+  hasDebugger,
+  hasProfiler,
+  memcheckerOf,
+} = require("./runner/languages"); // Language registry
+const { startProcess, liveProcessGroups } = require("./runner/process");
+const { parseSanitizerReport } = require("./runner/sanitizers");
+const { findDependencies } = require("./runner/imports"); // Import parsing
+const {
+  validateProject,
+  toProject,
+  sourceFiles,
+  serializeProject,
+} = require("./runner/project"); // Multi-file programs
+const { createSandbox } = require("./runner/sandbox"); // Process isolation
+const { createExecutionQueue } = require("./runner/queue"); // Backpressure
+const { createCompileCache } = require("./runner/cache"); // Build reuse
+const { createWorkerPool } = require("./runner/pool"); // Warm interpreters
+const { createPackageEnvironments } = require("./runner/environments"); // Per-session packages
+const { createReaper } = require("./runner/reaper"); // Orphan cleanup
+const { createFormatter } = require("./runner/format"); // Code formatting
+const { createDiagnostics } = require("./runner/diagnostics"); // Static checks
+const {
+  createDebugDriver,
+  RESUME_ACTIONS,
+  STDIN_FILE,
+} = require("./runner/debugger"); // Step-through debugging
+const { collectTrace } = require("./runner/tracer"); // Execution traces
+const {
+  validateGenerator,
+  generateInput,
+  fitComplexity,
+} = require("./runner/benchmark"); // Complexity estimation
+const { parseProfile } = require("./runner/profiler"); // Per-function profiles
+const { parseMemcheckReport } = require("./runner/memcheck"); // Memory checks
+
 // === Security Configuration ===
 const SECURITY_CONFIG = {
-  maxExecutionTime: 10000, // Maximum execution time (ms)
-  maxFileSize: 1024 * 1024, // Maximum code file size (1MB)
-  sandboxPath: path.join(__dirname, "sandbox"),
+  maxExecutionTime: 10000, // Upper bound for any compile or run timeout (ms)
+  maxFileSize: 1024 * 1024, // Maximum code file size (1MB), all project files together
+  maxProjectFiles: 32, // Maximum files per multi-file project
+  // Parent of per-run directories; must be traversable by the sandbox users
+  sandboxPath:
+    process.env.SANDBOX_PATH || path.join(os.tmpdir(), "skillconnect-sandbox"),
+  sandbox: {
+    required: process.env.SANDBOX_REQUIRED === "true", // Refuse to start without isolation
+    isolateNetwork: true, // Run code in an empty network namespace
+    isolateProcesses: true, // Private /proc showing a run only its own processes
+    // Unprivileged uids for user code when started as root: each run (and
+    // warm worker) takes one of its own, with the gid of the same number.
+    // Must be unused on the host and outnumber the runs alive at once
+    users: {
+      first: Number(process.env.SANDBOX_UID_FIRST) || 200000,
+      count: Number(process.env.SANDBOX_UID_COUNT) || 1000,
+    },
+    // Resource limits per phase (0 = unlimited)
+    limits: {
+      compile: {
+        cpuTimeSec: 10, // CPU seconds
+        addressSpaceMb: 1024, // Virtual memory
+        openFiles: 256, // File descriptors
+        processes: 64, // Processes/threads of the run (counted per uid)
+        fileSizeMb: 64, // Largest file the process may write
+        stdoutKb: 256, // Output kept per stream; more stops the process
+        stderrKb: 256,
+      },
+      run: {
+        cpuTimeSec: 5,
+        addressSpaceMb: 256,
+        openFiles: 64,
+        processes: 32,
+        fileSizeMb: 10,
+        stdoutKb: 1024,
+        stderrKb: 256,
+      },
+      // The debugger and the program together; gdb's replies count as output
+      debug: {
+        cpuTimeSec: 30,
+        addressSpaceMb: 1024,
+        openFiles: 64,
+        processes: 32,
+        fileSizeMb: 10,
+        stdoutKb: 8192,
+        stderrKb: 256,
+      },
+      // A program recording its own execution (POST /trace)
+      trace: {
+        cpuTimeSec: 10,
+        addressSpaceMb: 512,
+        openFiles: 64,
+        processes: 32,
+        fileSizeMb: 10,
+        stdoutKb: 1024,
+        stderrKb: 256,
+      },
+      // A program checked for memory errors and leaks, which report on stderr
+      memcheck: {
+        cpuTimeSec: 20,
+        addressSpaceMb: 1024,
+        openFiles: 64,
+        processes: 32,
+        fileSizeMb: 10,
+        stdoutKb: 1024,
+        stderrKb: 1024,
+      },
+    },
+    // Runtimes that reserve large virtual memory or many threads up front
+    languageLimits: {
+      javascript: {
+        run: { addressSpaceMb: 2048 },
+        debug: { addressSpaceMb: 2048 },
+        trace: { addressSpaceMb: 2048 },
+      },
+      java: {
+        compile: { addressSpaceMb: 0, processes: 256 },
+        run: { addressSpaceMb: 0, processes: 256 },
+        debug: { addressSpaceMb: 0, processes: 256 },
+      },
+      go: {
+        compile: { addressSpaceMb: 0, processes: 256 },
+        run: { addressSpaceMb: 0 },
+      },
+      rust: { compile: { addressSpaceMb: 0, processes: 256 } },
+      typescript: {
+        compile: { addressSpaceMb: 0 },
+        run: { addressSpaceMb: 2048 },
+      },
+      kotlin: {
+        compile: { addressSpaceMb: 0, processes: 256 },
+        run: { addressSpaceMb: 0, processes: 256 },
+      },
+    },
+  },
   permissions: {
     // Allowed system commands per language
     python: ["python", "python3", "pip"],
     javascript: ["node", "npm"],
-    java: ["java", "javac"],
-    cpp: ["g++"],
-    c: ["gcc"],
+    java: ["java", "javac", "jdb"],
+    cpp: ["g++", "gdb", "gprof", "valgrind"],
+    c: ["gcc", "gdb", "gprof", "valgrind"],
+    go: ["go", "gofmt"],
+    rust: ["rustc"],
+    typescript: ["node"],
+    kotlin: ["kotlinc", "java"],
+  },
+  queue: {
+    // Programs built or run at the same time
+    concurrency:
+      Number(process.env.RUNNER_CONCURRENCY) || os.cpus().length,
+    maxQueueLength: 50, // Waiting runs before answering 503
+    maxQueuedPerUser: 3, // Waiting runs per client before answering 429
+    retryAfterSec: 5, // Retry-After sent with 503/429
   },
+  compileCache: {
+    enabled: process.env.COMPILE_CACHE !== "off", // Reuse builds of compiled languages
+    path:
+      process.env.COMPILE_CACHE_PATH ||
+      path.join(os.tmpdir(), "skillconnect-compile-cache"),
+    maxSizeMb: 256, // Least recently used builds are evicted beyond this
+  },
+  workerPool: {
+    enabled: process.env.WORKER_POOL !== "off", // Pre-started Python/Node workers
+    size: 2, // Idle workers kept per language
+    respawnDelayMs: 1000, // Wait before replacing a worker that died idle
+  },
+  packageEnvironments: {
+    // Python virtualenvs and npm prefixes, one per session or run
+    path:
+      process.env.PACKAGE_ENV_PATH ||
+      path.join(os.tmpdir(), "skillconnect-environments"),
+    idleTimeoutMs: 30 * 60 * 1000, // Session environments unused this long are deleted
+    sweepIntervalMs: 60 * 1000, // How often idle environments are looked for
+  },
+  maxTestCases: 50, // Maximum test cases per judge submission
+  maxArgs: 32, // Maximum program arguments per run
+  maxLiveRuns: 2, // Maximum concurrent streamed runs per socket connection
   timeouts: {
     compilation: 5000, // Compilation timeout (ms)
     execution: 3000, // Execution timeout (ms)
     cleanup: 2000, // Cleanup timeout (ms)
+    killGrace: 1000, // Time a stopped program gets before SIGKILL (ms)
+  },
+  reaper: {
+    // How often to look for processes and run directories no job owns; a
+    // backstop, as removing a run directory kills what runs as its uid
+    intervalMs: 10 * 1000,
+  },
+  format: {
+    timeout: 5000, // Time a formatter command may take (ms)
+    maxOutputKb: 2048, // Formatted code kept; longer output fails the request
+  },
+  diagnostics: {
+    timeout: 5000, // Time a linter command may take (ms)
+    maxDiagnostics: 100, // Diagnostics reported per check, the first ones
+    // Linters run beside the execution queue, bounded by their own
+    queue: {
+      concurrency: 2, // Linters running at once
+      maxQueueLength: 10, // Waiting checks before answering 503
+      maxQueuedPerUser: 1, // Waiting checks per client before answering 429
+      retryAfterSec: 2, // Retry-After sent with 503/429
+      jobName: "lint checks",
+    },
+  },
+  debug: {
+    sessionTimeoutMs: 10 * 60 * 1000, // Longest a debug session may last
+    idleTimeoutMs: 5 * 60 * 1000, // Sessions nobody drives this long end
+    maxSessions: 4, // Debug sessions on the runner at once
+    maxOutputKb: 256, // Program output sent per session
+  },
+  trace: {
+    defaultSteps: 300, // Steps recorded when the request names no limit
+    maxSteps: 1000, // Most steps a request may ask for
+    maxTraceKb: 8192, // Recorded steps kept; later ones are dropped
+  },
+  benchmark: {
+    minSizes: 3, // Input sizes a benchmark needs to fit a complexity class
+    maxSizes: 8, // Input sizes per benchmark
+    maxSize: 10000000, // Largest n
+    maxInputMb: 16, // Largest generated input
+    maxTemplateLength: 200, // Input template characters
+    defaultRepeats: 3, // Runs per size when the request names no count
+    maxRepeats: 5, // Most runs per size a request may ask for
+    maxTotalMs: 60000, // Run time after which no larger size is started
+    profileHeadroom: 3, // Profiled runs may take this many times longer
+    maxProfileKb: 16384, // Largest profiler report read
   },
 };
 
@@ -51,7 +268,7 @@ const httpServer = createServer(app);
 app.use(
   cors({
     origin: "http://localhost:3000",
-    methods: ["POST"],
+    methods: ["GET", "POST"],
   })
 );
 
@@ -72,11 +289,17 @@ app.use((req, res, next) => {
 });
 
 // Rate limiting middleware (basic implementation)
+// The editors check code in the background while typing (/analyze,
+// /diagnostics); those checks count against a budget of their own, so
+// typing never uses up the requests left for running code
+const EDITOR_CHECK_PATHS = new Set(["/analyze", "/diagnostics"]);
+const RATE_LIMITS = { requests: 30, editorChecks: 120 }; // Per IP and minute
 const requestCounts = new Map();
 app.use((req, res, next) => {
-  const ip = req.ip;
+  const budget = EDITOR_CHECK_PATHS.has(req.path) ? "editorChecks" : "requests";
+  const key = `${budget}:${req.ip}`;
   const now = Date.now();
-  const count = requestCounts.get(ip) || { count: 0, timestamp: now };
+  const count = requestCounts.get(key) || { count: 0, timestamp: now };
 
   if (now - count.timestamp > 60000) {
     // Reset after 1 minute
@@ -84,15 +307,14 @@ app.use((req, res, next) => {
     count.timestamp = now;
   }
 
-  if (count.count >= 30) {
-    // 30 requests per minute limit
+  if (count.count >= RATE_LIMITS[budget]) {
     return res
       .status(429)
       .json({ error: "Too many requests. Please try again later." });
   }
 
   count.count++;
-  requestCounts.set(ip, count);
+  requestCounts.set(key, count);
   next();
 });
 
@@ -107,2148 +329,2367 @@ const io = new Server(httpServer, {
 });
 const PORT = 5000;
 
-/**
- * Language-specific Package Management Configuration
- *
- * Defines how dependencies are handled for each supported programming language:
- * - Package installation commands
- * - Import detection patterns
- * - Standard library identification
- * - Third-party package management
- */
-const packageManagerConfigs = {
-  /**
-   * Python Package Management
-   * Handles pip installations and import detection
-   */
-  python: {
-    install: "pip install", // Command to install Python packages
-
-    /**
-     * Detects Python package imports in code
-     * @param {string} code - Source code to analyze
-     * @returns {string[]} List of non-standard packages that need to be installed
-     */
-    detectImports: (code) => {
-      // Regular expression to match Python import statements
-      const imports = code.match(
-        /^import\s+([a-zA-Z0-9_]+)|^from\s+([a-zA-Z0-9_]+)\s+import/gm
-      );
 
-      // Comprehensive list of Python standard libraries
-      const standardLibs = new Set([
-        // === Core Python Standard Libraries ===
-        "os",
-        "sys",
-        "math",
-        "random",
-        "time",
-        "datetime",
-        "string",
-        "re",
-        "json",
-        "collections",
-        "itertools",
-        "functools",
-        "typing",
-        "pathlib",
-        "subprocess",
-        "threading",
-        "multiprocessing",
-        "asyncio",
-        "urllib",
-        "http",
-        "socket",
-        "email",
-        "xml",
-        "html",
-        "csv",
-        "sqlite3",
-        "pickle",
-        "copy",
-        "hashlib",
-        "logging",
-        "argparse",
-        "configparser",
-        "unittest",
-        "decimal",
-        "statistics",
-        "uuid",
-        "base64",
-        "contextlib",
-        "dataclasses",
-        "enum",
-        "io",
-        "glob",
-        "shutil",
-        "inspect",
-        "ast",
-        "traceback",
-        "gc",
-        "weakref",
-        "types",
-        "warnings",
-        "platform",
-        "tempfile",
-        "zipfile",
-        "tarfile",
-        "gzip",
-        "bz2",
-        "lzma",
-        "struct",
-        "array",
-        "heapq",
-        "bisect",
-        "calendar",
-        "textwrap",
-        "gettext",
-        "locale",
-        "signal",
-        "mmap",
-        "queue",
-        "sched",
-        "select",
-        "selectors",
-        "ssl",
-        "ftplib",
-        "poplib",
-        "imaplib",
-        "nntplib",
-        "smtplib",
-        "telnetlib",
-        "hmac",
-        "secrets",
-        "urllib3",
-        "getpass",
-        "curses",
-        "concurrent",
-        "venv",
-        "doctest",
-        "trace",
-
-        // Common Third-party Libraries (these will be auto-installed if used)
-        // Data Science & Machine Learning
-        "numpy",
-        "pandas",
-        "scipy",
-        "sklearn",
-        "tensorflow",
-        "torch",
-        "keras",
-        "matplotlib",
-        "seaborn",
-        "plotly",
-        "statsmodels",
-        "scikit-image",
-        "opencv-python",
-        "xgboost",
-        "lightgbm",
-        "catboost",
-
-        // Web Development
-        "flask",
-        "django",
-        "fastapi",
-        "requests",
-        "aiohttp",
-        "beautifulsoup4",
-        "selenium",
-        "scrapy",
-        "werkzeug",
-        "jinja2",
-        "uvicorn",
-        "gunicorn",
-        "httpx",
-        "grpcio",
-        "graphene",
-
-        // Database
-        "sqlalchemy",
-        "pymongo",
-        "redis",
-        "psycopg2",
-        "mysql-connector-python",
-        "pymysql",
-        "cassandra-driver",
-        "elasticsearch",
-        "neo4j",
-
-        // Testing & Quality
-        "pytest",
-        "unittest2",
-        "nose",
-        "coverage",
-        "pylint",
-        "mypy",
-        "black",
-        "isort",
-        "flake8",
-        "autopep8",
-
-        // Utilities & Tools
-        "pillow",
-        "pyyaml",
-        "cryptography",
-        "paramiko",
-        "boto3",
-        "click",
-        "tqdm",
-        "rich",
-        "colorama",
-        "python-dotenv",
-        "schedule",
-        "apscheduler",
-        "celery",
-        "pydantic",
-        "marshmallow",
-        "cerberus",
-        "pyinstaller",
-
-        // Scientific Computing
-        "sympy",
-        "networkx",
-        "biopython",
-        "astropy",
-        "spacy",
-        "gensim",
-        "nltk",
-        "pycaret",
-        "librosa",
-
-        // GUI & Visualization
-        "tkinter",
-        "PyQt5",
-        "wxPython",
-        "pygame",
-        "kivy",
-        "pyqtgraph",
-        "bokeh",
-        "dash",
-        "altair",
-        "folium",
-
-        // AI & Deep Learning
-        "transformers",
-        "pyTorch",
-        "fastai",
-        "gym",
-        "stable-baselines3",
-        "optuna",
-        "ray",
-        "mlflow",
-        "wandb",
-        "tensorflow-hub",
-      ]);
-      const packages = new Set();
-      if (imports) {
-        imports.forEach((imp) => {
-          const pkg = imp.split(/\s+/)[1];
-          if (!standardLibs.has(pkg)) {
-            packages.add(pkg);
-          }
-        });
+// Every compile and run happens inside this sandbox
+const sandbox = createSandbox(SECURITY_CONFIG);
+
+// Only offer languages whose toolchain the sandbox user can run too
+probeSandboxedToolchains(sandbox);
+
+// Cleans up what a crash (or an escaped program) left in the sandbox
+const reaper = createReaper(SECURITY_CONFIG.reaper, {
+  root: SECURITY_CONFIG.sandboxPath,
+  users: sandbox.support.dropPrivileges ? SECURITY_CONFIG.sandbox.users : null,
+  liveProcessGroups,
+  liveRunDirs: () => sandbox.liveRunDirs(),
+  liveUids: () => sandbox.liveUids(),
+});
+
+// Every execution request waits here for a free worker
+const executionQueue = createExecutionQueue(SECURITY_CONFIG.queue);
+
+// Editor lint checks wait here, so they never hold up a run
+const diagnosticsQueue = createExecutionQueue(
+  SECURITY_CONFIG.diagnostics.queue
+);
+
+// Builds of unchanged sources are reused from here
+const compileCache = createCompileCache(
+  SECURITY_CONFIG.compileCache,
+  (language) => getToolchain(language).banner
+);
+
+// Languages whose toolchain passed the sandboxed probe; formatters and
+// linters are only chosen for these, so none is offered for a language
+// whose every request would be refused
+const offeredConfigs = Object.fromEntries(
+  Object.entries(languageConfigs).filter(([id]) => getLanguage(id))
+);
+
+// Formats code with each language's installed formatter
+const formatter = createFormatter(
+  SECURITY_CONFIG.format,
+  offeredConfigs,
+  isCommandAvailable
+);
+
+// Checks code with each language's installed linter, without running it
+const diagnostics = createDiagnostics(
+  SECURITY_CONFIG.diagnostics,
+  offeredConfigs,
+  isCommandAvailable,
+  sandbox
+);
+
+// Warm interpreters for the languages with a worker bootstrap
+const workerPool = createWorkerPool(
+  SECURITY_CONFIG.workerPool,
+  Object.keys(languageConfigs).filter(
+    (id) => getLanguage(id) && languageConfigs[id].workerCommand
+  ),
+  {
+    spawn: (language) => {
+      const dir = sandbox.createRunDir({ locked: true });
+      try {
+        const { command, options } = sandbox.prepare(
+          language,
+          "run",
+          languageConfigs[language].workerCommand(),
+          dir
+        );
+        return { dir, handle: startProcess(command, { ...options, hold: true }) };
+      } catch (error) {
+        sandbox.removeRunDir(dir);
+        throw error;
       }
-      return Array.from(packages);
     },
-  },
-  javascript: {
-    install: "npm install",
-    detectImports: (code) => {
-      const imports = code.match(
-        /(?:require|import)\s*\(?['"]([^'"]+)['"]\)?/g
+    discard: (worker) => sandbox.removeRunDir(worker.dir),
+  }
+);
+
+// Toolchains with a shared build cache fill it before the first build
+Object.keys(languageConfigs)
+  .filter((id) => getLanguage(id) && languageConfigs[id].prepareToolchain)
+  .forEach((id) => {
+    languageConfigs[id].prepareToolchain().catch((error) => {
+      console.error(
+        `Failed to prepare the ${languageConfigs[id].name} toolchain:`,
+        error
       );
-      const nodeStdLibs = new Set([
-        "fs",
-        "path",
-        "http",
-        "https",
-        "crypto",
-        "util",
-        "os",
-        "net",
-        "dns",
-        "url",
-        "querystring",
-        "stream",
-        "buffer",
-        "events",
-        "assert",
-        "cluster",
-        "child_process",
-        "dgram",
-        "domain",
-        "readline",
-        "string_decoder",
-        "tls",
-        "tty",
-        "vm",
-        "zlib",
-        "console",
-        "module",
-        "process",
-        "timers",
-        "worker_threads",
-      ]);
-      const packages = new Set();
-      if (imports) {
-        imports.forEach((imp) => {
-          const match = imp.match(/['"]([^'"]+)['"]/);
-          if (match) {
-            const pkg = match[1].split("/")[0];
-            if (!nodeStdLibs.has(pkg) && !pkg.startsWith(".")) {
-              packages.add(pkg);
-            }
-          }
-        });
-      }
-      return Array.from(packages);
-    },
-  },
-  java: {
-    install: "mvn dependency:get -Dartifact=",
-    detectImports: (code) => {
-      const imports = code.match(/import\s+([a-zA-Z0-9_.]+)\s*;/g);
-      const standardPackages = new Set([
-        "java.lang",
-        "java.util",
-        "java.io",
-        "java.nio",
-        "java.time",
-        "java.math",
-        "java.net",
-        "java.text",
-        "java.sql",
-        "java.security",
-        "java.awt",
-        "javax.swing",
-        "java.beans",
-        "java.rmi",
-        "javax.servlet",
-        "javax.xml",
-        "java.applet",
-        "java.lang.reflect",
-        "java.util.concurrent",
-        "java.util.function",
-        "java.util.stream",
-        "java.util.regex",
-        "javax.crypto",
-        "javax.imageio",
-        "javax.sound",
-        "com.sun",
-        "org.w3c",
-        "org.xml",
-      ]);
-      const packages = new Set();
-      if (imports) {
-        imports.forEach((imp) => {
-          const pkg = imp.split(/\s+/)[1];
-          if (!standardPackages.some((std) => pkg.startsWith(std))) {
-            packages.add(pkg);
-          }
-        });
-      }
-      return Array.from(packages);
-    },
-  },
-};
+    });
+  });
+
+// Third-party packages are installed here, never into the runner itself
+const packageEnvironments = createPackageEnvironments(
+  SECURITY_CONFIG.packageEnvironments,
+  async (language, dir) => {
+    const { environment } = languageConfigs[language];
+    if (environment.create) await environment.create(dir);
+  }
+);
 
 /**
- * === Environment Configuration Section ===
- * This section defines the paths and settings for various programming language environments.
- * It includes automatic detection of installed language runtimes and their locations.
+ * Runs an execution job through the queue on behalf of an HTTP request
+ *
+ * @async
+ * @function runQueued
+ * @param {Object} req - Express request (the client IP is the fair-share key)
+ * @param {Object} res - Express response, used to refuse the job when busy
+ * @param {function(AbortSignal): Promise<*>} task - Work to do once a worker
+ *        is free; the signal aborts when the client hangs up
+ * @param {Object} [jobQueue=executionQueue] - Queue the job waits in
+ * @returns {Promise<Object|null>} { result, queue: { position, waitMs } }, or
+ *          null when the queue is full and a 503/429 with Retry-After was
+ *          sent, or when the client hung up while the job was queued
  */
+async function runQueued(req, res, task, jobQueue = executionQueue) {
+  const controller = new AbortController();
+  let job;
+  try {
+    job = jobQueue.submit(req.ip, async (queue) => ({
+      result: await task(controller.signal),
+      queue,
+    }));
+  } catch (error) {
+    if (error.code !== "QUEUE_FULL") throw error;
+    res.set("Retry-After", String(error.retryAfterSec));
+    res.status(error.statusCode).json({
+      error: error.message,
+      retryAfterSec: error.retryAfterSec,
+    });
+    return null;
+  }
+
+  // Nobody will read the result: leave the queue, or stop the program
+  res.on("close", () => {
+    if (!res.writableFinished && !job.cancel()) controller.abort();
+  });
+  try {
+    return await job.done;
+  } catch (error) {
+    if (error.code === "CANCELLED") return null;
+    throw error;
+  }
+}
 
 /**
- * Path to the Python interpreter
- * @constant {string} PYTHON_PATH - Absolute path to Python executable
+ * Resolves the timeout of a compile, run or trace phase
+ * @param {string} language - Language identifier
+ * @param {string} phase - "compile", "run" or "trace"
+ * @returns {number} Timeout in milliseconds, capped by maxExecutionTime
  */
-const PYTHON_PATH =
-  "C:/Users/LENOVO/AppData/Local/Programs/Python/Python313/python.exe";
+function phaseTimeout(language, phase) {
+  return Math.min(
+    languageConfigs[language].timeout[phase],
+    SECURITY_CONFIG.maxExecutionTime
+  );
+}
 
 /**
- * Java Development Kit Configuration
- * Automatically detects and configures Java environment settings
+ * Tells whether a prepared program is built with the sanitizers
+ * @param {Object} context - Command context from prepareSource
+ * @returns {boolean} True when -fsanitize was requested, or the program is
+ *          checked by a sanitized memory checker
  */
-const JAVA_HOME = process.env.JAVA_HOME || findJavaHome();
-const JAVA_VERSION = process.env.JAVA_VERSION || "17"; // Default to Java 17
+function isSanitized(context) {
+  return (
+    Boolean(context.compilerOptions && context.compilerOptions.sanitize) ||
+    Boolean(context.memcheck && context.memcheck.sanitized)
+  );
+}
 
 /**
- * Locates the Java Development Kit installation directory
- * @function findJavaHome
- * @returns {string} Path to Java installation directory
- * @description Searches common installation locations across different operating systems
- *              Falls back to JAVA_HOME environment variable if no installation is found
+ * Reads the sanitizer findings out of a sanitized program's run
+ * @param {Object} context - Command context from prepareSource
+ * @param {Object} result - startProcess result of the run
+ * @returns {Object[]|null} Findings from parseSanitizerReport, or null when
+ *          the program was not built with the sanitizers or its memory
+ *          check reports them (see memcheckReport)
  */
-function findJavaHome() {
-  // Define standard JDK installation paths for different operating systems
-  const commonPaths = [
-    "C:\\Program Files\\Java",         // Windows 64-bit
-    "C:\\Program Files (x86)\\Java",   // Windows 32-bit
-    "/usr/lib/jvm",                    // Linux
-    "/Library/Java/JavaVirtualMachines", // macOS
-  ];
+function sanitizerFindings(context, result) {
+  if (!isSanitized(context) || context.memcheck) return null;
+  return parseSanitizerReport(result.stderr, context.dir);
+}
 
-  for (const basePath of commonPaths) {
-    if (fs.existsSync(basePath)) {
-      const jdkDirs = fs
-        .readdirSync(basePath)
-        .filter((dir) => dir.includes("jdk"))
-        .sort()
-        .reverse(); // Get the latest version
+/**
+ * Reads the memory checker's report out of a checked program's run
+ * @param {Object} context - Command context from prepareSource
+ * @param {Object} result - startProcess result of the run
+ * @returns {Object|null} { tool, findings } with findings from
+ *          parseMemcheckReport, or null when the program was not checked
+ */
+function memcheckReport(context, result) {
+  if (!context.memcheck) return null;
+  const { name, format } = context.memcheck;
+  return {
+    tool: name,
+    findings: parseMemcheckReport(format, result.stderr, context.dir),
+  };
+}
 
-      if (jdkDirs.length > 0) {
-        return path.join(basePath, jdkDirs[0]);
-      }
+/**
+ * Starts one phase of a program inside its sandboxed run directory
+ *
+ * @function startSandboxed
+ * @param {string} language - Language identifier (selects limits and permissions)
+ * @param {string} phase - "compile", "run", "trace" or "memcheck"
+ * @param {string[]} argv - Command built by the language registry
+ * @param {Object} context - Command context from prepareSource
+ * @param {string} [input=""] - Standard input for the process
+ * @param {Object} [handlers={}] - Output callbacks { onStdout, onStderr },
+ *        and extraPipes for a process that reports on fd 3
+ * @returns {Object} startProcess handle { child, kill, done }, killed when
+ *          the context's run is aborted
+ * @throws {Error} If the command is not permitted for the language
+ */
+function startSandboxed(
+  language,
+  phase,
+  argv,
+  context,
+  input = "",
+  handlers = {}
+) {
+  // A source-launched program is compiled as part of its run
+  const timeout =
+    phaseTimeout(language, phase) +
+    (context.sourceLaunch ? phaseTimeout(language, "compile") : 0);
+  const { environment, compileVariables } = languageConfigs[language];
+  const { command, options } = sandbox.prepare(
+    language,
+    phase,
+    argv,
+    context.dir,
+    {
+      sanitized: isSanitized(context),
+      checkLeaks: Boolean(context.memcheck),
+      env: {
+        ...(context.packageDir && environment.variables
+          ? environment.variables(context.packageDir)
+          : {}),
+        ...(phase === "compile" && compileVariables ? compileVariables() : {}),
+      },
     }
+  );
+  return stopOnAbort(
+    context,
+    startProcess(command, { ...options, ...handlers, timeout, input })
+  );
+}
+
+/**
+ * Kills a process of a run once the run is aborted (its client hung up)
+ * @param {Object} context - Command context from prepareSource
+ * @param {Object} handle - startProcess handle
+ * @returns {Object} The same handle
+ */
+function stopOnAbort(context, handle) {
+  const { signal } = context;
+  if (!signal) return handle;
+  if (signal.aborted) {
+    handle.kill();
+  } else {
+    signal.addEventListener("abort", handle.kill, { once: true });
+    handle.done.then(() => signal.removeEventListener("abort", handle.kill));
   }
-  return process.env.JAVA_HOME || "";
+  return handle;
 }
 
 /**
- * === Language-specific Configuration and Package Management ===
- * Defines handlers for package installation, dependency detection, and execution
- * for each supported programming language.
- * 
- * Each language config includes:
- * - Package installation commands
- * - Dependency detection logic
- * - Standard library identification
- * - Execution environment setup
+ * Compiles a prepared program, reusing a cached build of the same source,
+ * flags and compiler when there is one
+ *
+ * @async
+ * @function buildProgram
+ * @param {string} language - Language identifier
+ * @param {Object} project - Project from toProject (part of the cache key)
+ * @param {Object} context - Command context from prepareSource
+ * @param {function(Object): void} [onStart] - Receives the compiler's
+ *        startProcess handle, e.g. so it can be killed
+ * @returns {Promise<Object>} { compiled, compileOutput, compileCache } where
+ *          compiled is the compiler's result (null when nothing was compiled),
+ *          compileOutput its diagnostics and compileCache "hit", "miss" or
+ *          null for interpreted languages
  */
-const languageConfigs = {
-  /**
-   * Python Language Configuration
-   * Handles pip package management and Python execution
-   */
-  python: {
-    /**
-     * Installs Python packages using pip
-     * @async
-     * @param {string} pkg - Name of the package to install
-     * @throws {Error} If package installation fails or times out
-     */
-    install: async (pkg) => {
-      await executeWithTimeout(`"${PYTHON_PATH}" -m pip install ${pkg}`, 30000);
-    },
+async function buildProgram(language, project, context, onStart = () => {}) {
+  const compileCmd = languageConfigs[language].compileCommand(context);
+  if (!compileCmd) {
+    return { compiled: null, compileOutput: "", compileCache: null };
+  }
 
-    /**
-     * Detects required Python dependencies from source code
-     * @param {string} code - Python source code to analyze
-     * @returns {string[]} List of required non-standard packages
-     */
-    detectDependencies: (code) => {
-      const imports = code.match(/^(?:import|from)\s+([\w\d_]+)/gm) || [];
-      // Core Python standard libraries that don't need installation
-      const stdLibs = new Set([
-        "os",
-        "sys",
-        "math",
-        "random",
-        "time",
-        "datetime",
-        "string",
-        "re",
-        "json",
-        "collections",
-        "itertools",
-        "functools",
-        "typing",
-        "pathlib",
-        "subprocess",
-        "threading",
-        "multiprocessing",
-        "asyncio",
-        "urllib",
-        "http",
-        "socket",
-        "email",
-        "xml",
-        "html",
-        "csv",
-        "sqlite3",
-        "pickle",
-        "copy",
-        "hashlib",
-        "logging",
-        "argparse",
-        "configparser",
-        "unittest",
-        "decimal",
-        "statistics",
-        "uuid",
-        "base64",
-        "contextlib",
-        "dataclasses",
-        "enum",
-        "io",
-        "glob",
-        "shutil",
-      ]);
-      return imports
-        .map((imp) => imp.split(/\s+/)[1].split(".")[0])
-        .filter((pkg) => !stdLibs.has(pkg));
-    },
-    packageFile: "requirements.txt",
-    compileCommand: (filename) => `"${PYTHON_PATH}" "${filename}"`,
-    timeout: 5000,
-  },
-  javascript: {
-    install: async (pkg) => {
-      await executeWithTimeout(`npm install ${pkg}`, 30000);
-    },
-    detectDependencies: (code) => {
-      const imports =
-        code.match(/(?:require|import)\s*\(?['"]([^'"./]+)/g) || [];
-      return imports.map((imp) => imp.match(/['"]([^'"]+)['"]/)[1]);
-    },
-    packageFile: "package.json",
-    initPackageJson: {
-      name: "code-runner",
-      version: "1.0.0",
-      private: true,
-      type: "module",
-    },
-    compileCommand: (filename) => `node "${filename}"`,
-    timeout: 5000,
-  },
-  java: {
-    install: async (pkg) => {
-      const [group, artifact, version] = pkg.split(":");
-      await executeWithTimeout(
-        `mvn dependency:get -DgroupId=${group} -DartifactId=${artifact} -Dversion=${version}`,
-        30000
-      );
-    },
-    detectDependencies: (code) => {
-      const imports = code.match(/import\s+([a-zA-Z0-9_.]+)\s*;/g) || [];
-      const stdPackages = new Set([
-        "java.lang",
-        "java.util",
-        "java.io",
-        "java.nio",
-        "java.time",
-        "java.math",
-        "java.net",
-        "java.text",
-        "java.sql",
-        "java.security",
-        "java.awt",
-        "javax.swing",
-        "java.beans",
-        "java.rmi",
-        "javax.servlet",
-        "javax.xml",
-        "java.applet",
-        "java.lang.reflect",
-        "java.util.concurrent",
-        "java.util.function",
-        "java.util.stream",
-        "java.util.regex",
-        "javax.crypto",
-        "javax.imageio",
-        "javax.sound",
-        "com.sun",
-        "org.w3c",
-        "org.xml",
-      ]);
-      return imports
-        .map((imp) => imp.split(/\s+/)[1])
-        .filter((pkg) => !stdPackages.some((std) => pkg.startsWith(std)));
-    },
-    packageFile: "pom.xml",
-    compileCommand: (filename, className) => [
-      `javac "${filename}"`,
-      `java -cp "${path.dirname(filename)}" ${className}`,
-    ],
-    timeout: { compile: 5000, run: 3000 },
-  },
-  c: {
-    install: async (pkg) => {
-      await executeWithTimeout(`vcpkg install ${pkg}:x64-windows`, 30000);
-    },
-    detectDependencies: (code) => {
-      const includes = code.match(/#include\s*<([^>]+)>/g) || [];
-      const stdHeaders = new Set([
-        "stdio.h",
-        "stdlib.h",
-        "string.h",
-        "math.h",
-        "time.h",
-        "ctype.h",
-        "stdbool.h",
-        "stdint.h",
-        "limits.h",
-        "float.h",
-        "assert.h",
-        "errno.h",
-        "signal.h",
-        "locale.h",
-        "setjmp.h",
-        "stdarg.h",
-        "stddef.h",
-        "iso646.h",
-        "wchar.h",
-        "wctype.h",
-        "complex.h",
-        "fenv.h",
-        "inttypes.h",
-        "uchar.h",
-        "windows.h",
-        "process.h",
-        "direct.h",
-        "io.h",
-        "conio.h",
-      ]);
-      return includes
-        .map((inc) => inc.match(/<([^>]+)>/)[1].split("/")[0])
-        .filter((hdr) => !stdHeaders.has(hdr));
-    },
-    compileCommand: (filename, outputExe) => [
-      `gcc "${filename}" -o "${outputExe}"`,
-      `"${outputExe}"`,
-    ],
-    timeout: { compile: 5000, run: 3000 },
-  },
-  cpp: {
-    install: async (pkg) => {
-      // C++ standard libraries are typically pre-installed with the compiler
-      console.log("Standard C++ libraries are pre-installed");
-    },
-    detectDependencies: (code) => {
-      const includes = code.match(/#include\s*[<"]([^>"]+)[>"]/gm) || [];
-      const stdHeaders = new Set([
-        // C++ Standard Library Headers
-        "iostream",
-        "string",
-        "vector",
-        "map",
-        "set",
-        "queue",
-        "stack",
-        "deque",
-        "list",
-        "array",
-        "algorithm",
-        "memory",
-        "functional",
-        "chrono",
-        "thread",
-        "mutex",
-        "condition_variable",
-        "future",
-        "random",
-        "regex",
-        "filesystem",
-        // C++ Standard Template Library (STL)
-        "iterator",
-        "numeric",
-        "utility",
-        "tuple",
-        "type_traits",
-        "exception",
-        "stdexcept",
-        "cassert",
-        "cstdlib",
-        "cstring",
-        "cctype",
-        "cmath",
-        "ctime",
-        "cstdio",
-        // C++ Input/Output
-        "fstream",
-        "sstream",
-        "iomanip",
-        // Modern C++ Features
-        "optional",
-        "variant",
-        "any",
-        // Additional Libraries
-        "boost",
-        "eigen",
-        "opencv2",
-      ]);
-      return includes
-        .map((inc) => inc.match(/#include\s*[<"]([^>"]+)[>"]/)[1])
-        .filter((header) => !stdHeaders.has(header));
-    },
-    compileFlags: "-std=c++17 -Wall -Wextra -O2", // Using C++17 by default
-    libraries: "-pthread", // Common threading library
-    packageFile: null,
-    timeout: {
-      compile: 15000, // 15 seconds for compilation
-      run: 10000, // 10 seconds for execution
-    },
-    compileCommand: (filename, outputExe) => {
-      const output =
-        outputExe ||
-        filename.replace(
-          ".cpp",
-          process.platform === "win32" ? ".exe" : ".out"
-        );
-      return [
-        `g++ ${languageConfigs.cpp.compileFlags} "${filename}" -o "${output}" ${languageConfigs.cpp.libraries}`,
-        process.platform === "win32" ? `"${output}"` : `./${output}`,
-      ];
-    },
-    additionalLibraries: {
-      // Common C++ libraries and their installation commands
-      boost: "sudo apt-get install libboost-all-dev",
-      eigen: "sudo apt-get install libeigen3-dev",
-      opencv: "sudo apt-get install libopencv-dev",
-      ssl: "sudo apt-get install libssl-dev",
-      curl: "sudo apt-get install libcurl4-openssl-dev",
-    },
-  },
-  c: {
-    install: async (pkg) => {
-      // C standard libraries are typically pre-installed with the compiler
-      // This is a placeholder for any additional library installations if needed
-      console.log("Standard C libraries are pre-installed");
-    },
-    detectDependencies: (code) => {
-      const includes = code.match(/#include\s*[<"]([^>"]+)[>"]/gm) || [];
-      const stdHeaders = new Set([
-        "stdio.h",
-        "stdlib.h",
-        "string.h",
-        "math.h",
-        "time.h",
-        "ctype.h",
-        "stdbool.h",
-        "stdint.h",
-        "float.h",
-        "limits.h",
-        "assert.h",
-        "errno.h",
-        "locale.h",
-        "setjmp.h",
-        "signal.h",
-        "stdarg.h",
-        "stddef.h",
-        "sys/types.h",
-        "unistd.h",
-      ]);
-      return includes
-        .map((inc) => inc.match(/#include\s*[<"]([^>"]+)[>"]/)[1])
-        .filter((header) => !stdHeaders.has(header));
-    },
-    compileFlags: "-Wall -Wextra -std=c11",
-    libraries: "-lm", // Math library is commonly needed
-    packageFile: null, // C doesn't use a package file like requirements.txt
-    timeout: {
-      compile: 10000, // 10 seconds for compilation
-      run: 5000, // 5 seconds for execution
-    },
-    compileCommand: (filename, outputExe) => {
-      const output =
-        outputExe ||
-        filename.replace(".c", process.platform === "win32" ? ".exe" : ".out");
-      return [
-        `gcc ${languageConfigs.c.compileFlags} "${filename}" -o "${output}" ${languageConfigs.c.libraries}`,
-        process.platform === "win32" ? `"${output}"` : `./${output}`,
-      ];
-    },
-  },
-  java: {
-    install: async (pkg) => {
-      // Java dependencies are typically managed through build tools like Maven or Gradle
-      console.log("Java dependencies are managed through build tools");
-    },
-    detectDependencies: (code) => {
-      const imports = code.match(/^import\s+([a-zA-Z0-9_\.]+);/gm) || [];
-      const stdPackages = new Set([
-        "java.lang",
-        "java.io",
-        "java.util",
-        "java.net",
-        "java.text",
-        "java.math",
-        "java.time",
-        "java.sql",
-        "java.security",
-        "java.nio",
-        "java.awt",
-        "javax.swing",
-        "java.util.concurrent",
-        "java.util.function",
-        "java.util.stream",
-        "java.util.regex",
-      ]);
-      return imports
-        .map(
-          (imp) => imp.match(/^import\s+([a-zA-Z0-9_\.]+);/)[1].split(".")[0]
-        )
-        .filter((pkg) => !stdPackages.has(pkg));
-    },
-    compileFlags: "-Xlint:all -encoding UTF-8",
-    libraries: "-cp .", // Classpath setting
-    packageFile: "pom.xml", // For Maven projects
-    timeout: 15000, // Default timeout of 15 seconds
-    compileCommand: (filename) => {
-      const className = filename.replace(".java", "");
-      return [
-        `javac ${languageConfigs.java.compileFlags} "${filename}"`,
-        `java ${languageConfigs.java.libraries} "${className}"`,
-      ];
-    },
-    classPath: process.env.CLASSPATH || ".",
-    additionalLibraries: {
-      // Common external libraries
-      junit: "org.junit.jupiter:junit-jupiter:5.9.2",
-      gson: "com.google.code.gson:gson:2.10.1",
-      "commons-io": "commons-io:commons-io:2.11.0",
-      log4j: "org.apache.logging.log4j:log4j-core:2.20.0",
-      mockito: "org.mockito:mockito-core:5.3.1",
-    },
-  },
-  python: {
-    install: async (pkg) => {
-      // Install in user mode to avoid permission issues
-      await executeWithTimeout(
-        `"${PYTHON_PATH}" -m pip install --user ${pkg}`,
-        30000
-      );
-    },
-    detectDependencies: (code) => {
-      const imports =
-        code.match(
-          /^(?:import|from)\s+([\w\d_\.]+)(?:\s+import\s+[\w\d_\.,\s*]+)?/gm
-        ) || [];
-      const stdLibs = new Set([
-        // Basic Python Standard Library
-        "os",
-        "sys",
-        "math",
-        "random",
-        "time",
-        "datetime",
-        "string",
-        "re",
-        "json",
-        "collections",
-        "itertools",
-        "functools",
-        "typing",
-        "pathlib",
-        "argparse",
-        // Data Types and Collections
-        "array",
-        "enum",
-        "dataclasses",
-        "abc",
-        "copy",
-        "numbers",
-        // File and Directory Access
-        "glob",
-        "fnmatch",
-        "shutil",
-        "tempfile",
-        "fileinput",
-        // Data Compression
-        "zlib",
-        "gzip",
-        "bz2",
-        "lzma",
-        "zipfile",
-        "tarfile",
-        // Data Persistence
-        "pickle",
-        "shelve",
-        "sqlite3",
-        "csv",
-        "configparser",
-        // Cryptography
-        "hashlib",
-        "hmac",
-        "secrets",
-        // Operating System
-        "platform",
-        "subprocess",
-        "signal",
-        "stat",
-        // Concurrent Execution
-        "threading",
-        "multiprocessing",
-        "concurrent",
-        "asyncio",
-        // Networking
-        "socket",
-        "ssl",
-        "select",
-        "asyncore",
-        "asynchat",
-        "urllib",
-        "http",
-        // Internet Data
-        "email",
-        "json",
-        "xml",
-        "html",
-        "webbrowser",
-        // Development Tools
-        "typing",
-        "pdb",
-        "doctest",
-        "unittest",
-        "venv",
-        // Common Third-party Libraries (these will be installed if imported)
-        "numpy",
-        "pandas",
-        "matplotlib",
-        "scipy",
-        "sklearn",
-        "tensorflow",
-        "torch",
-        "django",
-        "flask",
-        "requests",
-        "beautifulsoup4",
-        "selenium",
-        "pillow",
-        "opencv-python",
-        "pytest",
-        "sqlalchemy",
-      ]);
-
-      // Extract all imported packages, handling both direct imports and from imports
-      const packages = imports.map((imp) => {
-        const match = imp.match(/^from\s+([\w\d_\.]+)|^import\s+([\w\d_\.]+)/);
-        return (match[1] || match[2]).split(".")[0];
-      });
+  const key = compileCache.keyFor(
+    language,
+    compileCmd,
+    serializeProject(project),
+    context.dir
+  );
+  const cached = compileCache.restore(key, context.dir);
+  if (cached) {
+    return { compiled: null, compileOutput: cached.stderr, compileCache: "hit" };
+  }
 
-      // Filter out standard library modules
-      return [...new Set(packages)].filter((pkg) => !stdLibs.has(pkg));
-    },
-    packageFile: "requirements.txt",
-    virtualenv: {
-      create: async (name) => {
-        // Use a fixed timeout for virtual environment creation
-        await executeWithTimeout(`"${PYTHON_PATH}" -m venv "${name}"`, 30000);
-      },
-      activate: (name) => {
-        return process.platform === "win32"
-          ? `${name}\\Scripts\\activate.bat`
-          : `. ${name}/bin/activate`;
-      },
-    },
-    // Define timeouts for different operations
-    timeout: 30000, // Default timeout of 30 seconds
-    compileCommand: (filename) => `"${PYTHON_PATH}" "${filename}"`,
-    additionalPackages: {
-      // Data Science and Machine Learning
-      numpy: "numpy>=1.24.0",
-      pandas: "pandas>=2.0.0",
-      scipy: "scipy>=1.10.0",
-      sklearn: "scikit-learn>=1.2.0",
-      matplotlib: "matplotlib>=3.7.0",
-      seaborn: "seaborn>=0.12.0",
-      tensorflow: "tensorflow>=2.12.0",
-      torch: "torch>=2.0.0",
-      // Web Development
-      django: "Django>=4.2.0",
-      flask: "Flask>=2.3.0",
-      fastapi: "fastapi>=0.95.0",
-      requests: "requests>=2.30.0",
-      // Database
-      sqlalchemy: "SQLAlchemy>=2.0.0",
-      pymongo: "pymongo>=4.3.0",
-      psycopg2: "psycopg2-binary>=2.9.0",
-      // Testing
-      pytest: "pytest>=7.3.0",
-      unittest: "unittest2>=1.1.0",
-      // Automation and Scraping
-      selenium: "selenium>=4.9.0",
-      beautifulsoup4: "beautifulsoup4>=4.12.0",
-      // Image Processing
-      pillow: "Pillow>=9.5.0",
-      opencv: "opencv-python>=4.7.0",
-    },
-  },
-  javascript: {
-    install: async (pkg) => {
-      // Install package using npm with exact version
-      await executeWithTimeout(`npm install ${pkg} --save-exact`, 60000);
-    },
-    detectDependencies: (code) => {
-      // Detect import/require statements and destructuring patterns
-      const imports = [
-        ...(code.match(
-          /(?:import|require)\s*\(?['"]([@\w\d\-\/\.]+)['"]\)?/gm
-        ) || []),
-        ...(code.match(/(?:import\s*{[^}]+}\s*from\s*['"])([^'"]+)/gm) || []),
-        ...(code.match(
-          /(?:const|let|var)\s*{\s*[^}]+}\s*=\s*require\(['"]([^'"]+)['"]\)/gm
-        ) || []),
-      ];
+  const handle = startSandboxed(language, "compile", compileCmd, context);
+  onStart(handle);
+  const result = await handle.done;
+  // Some compilers (tsc) print their diagnostics on stdout
+  const compiled = {
+    ...result,
+    stdout: "",
+    stderr: result.stdout + result.stderr,
+  };
+  if (!compiled.error) {
+    compileCache.store(key, context.dir, context.files, compiled.stderr);
+  }
+  return {
+    compiled,
+    compileOutput: compiled.stderr,
+    compileCache: key ? "miss" : null,
+  };
+}
 
-      const stdModules = new Set([
-        // Node.js Built-in Modules
-        "fs",
-        "path",
-        "http",
-        "https",
-        "os",
-        "crypto",
-        "events",
-        "stream",
-        "buffer",
-        "util",
-        "url",
-        "querystring",
-        "zlib",
-        "readline",
-        "net",
-        "dgram",
-        "dns",
-        "tls",
-        "cluster",
-        "child_process",
-        "worker_threads",
-        "assert",
-        "console",
-        "process",
-        "timers",
-        "perf_hooks",
-        "v8",
-      ]);
-
-      return [
-        ...new Set(
-          imports
-            .map((imp) => {
-              const match = imp.match(/['"]([^'"]+)['"]/);
-              return match ? match[1] : null;
-            })
-            .filter((pkg) => pkg && !stdModules.has(pkg))
-            // Handle scoped packages and submodules
-            .map((pkg) => (pkg.startsWith("@") ? pkg : pkg.split("/")[0]))
-        ),
-      ];
-    },
-    packageFile: "package.json",
-    timeout: {
-      install: 60000, // 60 seconds for package installation
-      compile: 10000, // 10 seconds for compilation
-      run: 30000, // 30 seconds for execution
-    },
-    compileCommand: (filename) => `node "${filename}"`,
-    additionalPackages: {
-      // Frontend Frameworks and Libraries
-      react: "^18.2.0",
-      vue: "^3.3.0",
-      angular: "@angular/core@16.0.0",
-      svelte: "^4.0.0",
-      next: "^13.4.0",
-      // State Management
-      redux: "^4.2.0",
-      mobx: "^6.9.0",
-      vuex: "^4.1.0",
-      // UI Libraries
-      "material-ui": "@mui/material@5.13.0",
-      tailwindcss: "^3.3.0",
-      bootstrap: "^5.3.0",
-      "chakra-ui": "@chakra-ui/react@2.7.0",
-      // Backend Frameworks
-      express: "^4.18.0",
-      nest: "@nestjs/core@10.0.0",
-      fastify: "^4.17.0",
-      koa: "^2.14.0",
-      // Database
-      mongoose: "^7.2.0",
-      sequelize: "^6.31.0",
-      prisma: "^4.14.0",
-      typeorm: "^0.3.16",
-      // Testing
-      jest: "^29.5.0",
-      mocha: "^10.2.0",
-      cypress: "^12.13.0",
-      playwright: "^1.34.0",
-      // Utility Libraries
-      lodash: "^4.17.21",
-      axios: "^1.4.0",
-      moment: "^2.29.4",
-      zod: "^3.21.0",
-      // Build Tools
-      webpack: "^5.83.0",
-      vite: "^4.3.0",
-      babel: "@babel/core@7.22.0",
-      typescript: "^5.0.0",
-      // Development Tools
-      eslint: "^8.41.0",
-      prettier: "^2.8.0",
-      nodemon: "^2.0.22",
-    },
-    nodeModules: {
-      // Handle node_modules directory
-      path: "./node_modules",
-      check: () => fs.existsSync("./node_modules"),
-      create: () => {
-        if (!fs.existsSync("./node_modules")) {
-          fs.mkdirSync("./node_modules", { recursive: true });
-        }
-      },
-    },
-    packageManager: {
-      npm: {
-        init: () => executeWithTimeout("npm init -y", 30000),
-        install: (pkg) =>
-          executeWithTimeout(`npm install ${pkg} --save-exact`, 60000),
-        update: () => executeWithTimeout("npm update", 120000),
-        audit: () => executeWithTimeout("npm audit fix", 60000),
-      },
-      yarn: {
-        init: () => executeWithTimeout("yarn init -y", 30000),
-        install: (pkg) => executeWithTimeout(`yarn add ${pkg} --exact`, 60000),
-        update: () => executeWithTimeout("yarn upgrade", 120000),
-        audit: () => executeWithTimeout("yarn audit fix", 60000),
-      },
-    },
-    environment: {
-      development: {
-        NODE_ENV: "development",
-        flags: "--inspect --trace-warnings",
-      },
-      production: {
-        NODE_ENV: "production",
-        flags: "--max-old-space-size=4096",
-      },
-      testing: {
-        NODE_ENV: "test",
-        flags: "--trace-deprecation",
-      },
-    },
-    compileCommand: (filename) => `"${PYTHON_PATH}" "${filename}"`,
-    timeout: 5000,
-  },
-  javascript: {
-    install: async (pkg) => {
-      await executeWithTimeout(`npm install ${pkg}`, 30000);
-    },
-    detectDependencies: (code) => {
-      const imports =
-        code.match(/(?:require|import)\s*\(?['"]([^'"./]+)/g) || [];
-      return imports.map((imp) => imp.match(/['"]([^'"]+)['"]/)[1]);
-    },
-    packageFile: "package.json",
-    initPackageJson: {
-      name: "code-runner",
-      version: "1.0.0",
-      private: true,
-      type: "module",
-    },
-    compileCommand: (filename) => `node "${filename}"`,
-    timeout: 5000,
-  },
-  java: {
-    install: async (pkg) => {
-      const [group, artifact, version] = pkg.split(":");
-      await executeWithTimeout(
-        `mvn dependency:get -DgroupId=${group} -DartifactId=${artifact} -Dversion=${version}`,
-        30000
-      );
-    },
-    detectDependencies: (code) => {
-      const imports = code.match(/import\s+([a-zA-Z0-9_.]+)\s*;/g) || [];
-      const stdPackages = new Set([
-        // Core Java Packages
-        "java.lang",
-        "java.util",
-        "java.io",
-        "java.nio",
-        "java.math",
-        "java.time",
-        "java.text",
-        "java.net",
-        "java.security",
-        "java.sql",
-        "java.awt",
-        "java.beans",
-        "java.rmi",
-
-        // Java Extensions
-        "javax.swing",
-        "javax.crypto",
-        "javax.imageio",
-        "javax.sound",
-        "javax.xml",
-        "javax.sql",
-        "javax.naming",
-        "javax.management",
-        "javax.script",
-        "javax.tools",
-        "javax.annotation",
-        "javax.print",
-
-        // Enterprise Java (Jakarta EE)
-        "jakarta.servlet",
-        "jakarta.ejb",
-        "jakarta.persistence",
-        "jakarta.ws.rs",
-        "jakarta.mail",
-        "jakarta.json",
-        "jakarta.validation",
-        "jakarta.batch",
-        "jakarta.faces",
-        "jakarta.enterprise",
-        "jakarta.interceptor",
-
-        // JavaFX
-        "javafx.application",
-        "javafx.scene",
-        "javafx.stage",
-        "javafx.fxml",
-        "javafx.controls",
-        "javafx.graphics",
-        "javafx.media",
-        "javafx.web",
-
-        // Common Third-party Libraries (these will be auto-installed if used)
-        // Testing
-        "org.junit",
-        "org.testng",
-        "org.mockito",
-        "org.assertj",
-        "org.hamcrest",
-
-        // Logging
-        "org.slf4j",
-        "org.apache.log4j",
-        "ch.qos.logback",
-
-        // Database & ORM
-        "org.hibernate",
-        "javax.persistence",
-        "org.springframework.data",
-        "com.zaxxer.hikari",
-        "org.jdbi",
-
-        // Web & REST
-        "org.springframework",
-        "io.micronaut",
-        "io.quarkus",
-        "spark",
-        "io.vertx",
-        "com.sparkjava",
-
-        // JSON & XML
-        "com.fasterxml.jackson",
-        "org.json",
-        "com.google.gson",
-        "javax.xml.bind",
-        "org.yaml.snakeyaml",
-
-        // Utilities
-        "org.apache.commons",
-        "com.google.common",
-        "com.google.guava",
-        "org.projectlombok",
-        "io.vavr",
-        "org.apache.poi",
-
-        // Reactive Programming
-        "io.reactivex",
-        "reactor.core",
-        "org.reactivestreams",
-
-        // Messaging & Integration
-        "org.apache.kafka",
-        "com.rabbitmq",
-        "org.springframework.amqp",
-
-        // Cloud & Microservices
-        "org.springframework.cloud",
-        "io.kubernetes",
-        "software.amazon.awssdk",
-
-        // Security
-        "org.springframework.security",
-        "io.jsonwebtoken",
-        "org.bouncycastle",
-
-        // Template Engines
-        "org.thymeleaf",
-        "org.apache.velocity",
-        "com.github.jknack.handlebars",
-
-        // Monitoring & Metrics
-        "io.micrometer",
-        "io.prometheus",
-        "org.apache.skywalking",
-
-        // Big Data & Analytics
-        "org.apache.spark",
-        "org.apache.hadoop",
-        "org.elasticsearch",
-
-        // Machine Learning
-        "org.deeplearning4j",
-        "org.nd4j",
-        "smile.classification",
-
-        // Build Tools & Annotations
-        "org.gradle",
-        "org.apache.maven",
-        "javax.annotation",
-
-        // Standard System Packages
-        "com.sun",
-        "org.w3c",
-        "org.xml",
-        "org.omg",
-        "org.ietf",
-      ]);
-      return imports
-        .map((imp) => imp.split(/\s+/)[1])
-        .filter((pkg) => !stdPackages.some((std) => pkg.startsWith(std)));
-    },
-    detectClassName: (code) => {
-      const classMatch = code.match(/public\s+class\s+(\w+)/);
-      if (!classMatch) {
-        throw new Error("No public class found in the Java code");
-      }
-      return classMatch[1];
-    },
-    packageFile: "pom.xml",
-    compileCommand: (filename) => {
-      // Get the class name from the file name by removing .java extension
-      const className = filename.split("\\").pop().replace(".java", "");
-      return [
-        `javac "${filename}"`,
-        `java -cp "${path.dirname(filename)}" ${className}`,
-      ];
-    },
-    timeout: { compile: 5000, run: 3000 },
-  },
-  cpp: {
-    install: async (pkg) => {
-      // Instead of installing packages, we'll check if the header is available
-      console.log(`Using system-installed C++ libraries`);
-    },
-    detectDependencies: (code) => {
-      // Return empty array as we're only supporting standard libraries
-      return [];
-    },
-    detectHeaders: (code) => {
-      const includes = code.match(/#include\s*<([^>]+)>/g) || [];
-      const stdHeaders = new Set([
-        // Core C++ Standard Library Headers
-        // Input/Output
-        "iostream",
-        "iomanip",
-        "fstream",
-        "sstream",
-        "streambuf",
-        "ios",
-        "iosfwd",
-
-        // Containers
-        "vector",
-        "string",
-        "array",
-        "deque",
-        "forward_list",
-        "list",
-        "map",
-        "set",
-        "unordered_map",
-        "unordered_set",
-        "queue",
-        "stack",
-        "span",
-        "initializer_list",
-
-        // Algorithms and Functions
-        "algorithm",
-        "functional",
-        "iterator",
-        "numeric",
-
-        // Language Support
-        "memory",
-        "limits",
-        "exception",
-        "stdexcept",
-        "cassert",
-        "cerrno",
-        "new",
-        "typeindex",
-        "scoped_allocator",
-
-        // Types and Type Traits
-        "cstdint",
-        "type_traits",
-        "typeinfo",
-        "bitset",
-        "any",
-        "optional",
-        "variant",
-        "compare",
-        "version",
-        "source_location",
-
-        // Math and Numbers
-        "cmath",
-        "complex",
-        "random",
-        "ratio",
-        "cfloat",
-        "climits",
-        "numbers",
-        "valarray",
-        "bit",
-
-        // C Standard Library
-        "cstdio",
-        "cstdlib",
-        "cstring",
-        "cctype",
-        "ctime",
-        "cstddef",
-        "cwchar",
-        "cuchar",
-        "cwctype",
-        "clocale",
-        "csetjmp",
-        "csignal",
-
-        // System and Threading
-        "thread",
-        "mutex",
-        "shared_mutex",
-        "condition_variable",
-        "future",
-        "chrono",
-        "system_error",
-        "atomic",
-        "barrier",
-        "latch",
-        "semaphore",
-
-        // Utilities
-        "utility",
-        "tuple",
-        "pair",
-        "regex",
-        "atomic",
-        "filesystem",
-        "charconv",
-        "format",
-        "memory_resource",
-        "execution",
-
-        // Ranges and Views (C++20)
-        "ranges",
-        "span",
-        "coroutine",
-        "compare",
-        "concepts",
-
-        // Networking (C++20 Networking TS)
-        "asio",
-        "networking",
-
-        // Modules (C++20)
-        "module",
-        "import",
-        "export",
-
-        // Smart Pointers and Memory Management
-        "memory",
-        "shared_ptr",
-        "weak_ptr",
-        "unique_ptr",
-        "allocator",
-
-        // String View
-        "string_view",
-        "u8string_view",
-        "u16string_view",
-        "u32string_view",
-
-        // Parallelism and Concurrency
-        "execution",
-        "parallel",
-        "barrier",
-        "latch",
-        "stop_token",
-
-        // Additional C++ Features
-        "locale",
-        "codecvt",
-        "syncstream",
-        "stacktrace",
-        "expected",
-        "generator",
-        "mdspan",
-        "print",
-        "spanstream",
-        "stdfloat",
-      ]);
-
-      const unsupportedHeaders = includes
-        .map((inc) => inc.match(/<([^>]+)>/)[1])
-        .filter((header) => !stdHeaders.has(header));
-
-      if (unsupportedHeaders.length > 0) {
-        throw new Error(
-          `Unsupported headers: ${unsupportedHeaders.join(
-            ", "
-          )}. Only standard C++ libraries are supported.`
-        );
-      }
+// Helper function to handle package installation and dependency management
+/**
+ * Installs the third-party dependencies a program needs before it runs
+ *
+ * @async
+ * @function handleDependencies
+ * @param {string} language - Programming language identifier
+ * @param {Object} project - Project from toProject; imports of its own
+ *        modules, packages and headers are not dependencies
+ * @param {string|null} [sessionId=null] - Session whose package environment
+ *        the packages go into; without one the run gets its own
+ * @returns {Promise<Object|null>} The package environment holding the
+ *          dependencies (release it through disposeSource), or null when
+ *          the program needs none
+ * @throws {Error} Listing every dependency that is unsupported, not on the
+ *         allowlist or failed to install
+ */
+async function handleDependencies(language, project, sessionId = null) {
+  const config = languageConfigs[language];
+  const dependencies = [
+    ...new Set(
+      (await findDependencies(config, project.files)).map(
+        (found) => found.dependency
+      )
+    ),
+  ];
 
-      return [];
-    },
-    compileCommand: (filename, outputExe) => {
-      const defaultFlags = "-std=c++17 -Wall -Wextra";
-      const defaultLibs = "-pthread";
-      return [
-        `g++ ${defaultFlags} "${filename}" -o "${outputExe}" ${defaultLibs}`,
-        `"${outputExe}"`,
-      ];
-    },
-    timeout: { compile: 5000, run: 3000 },
-  },
-};
+  if (dependencies.length === 0) return null;
 
-// Package manager commands for different languages
-const packageManagers = {
-  python: {
-    install: "pip install",
-    detectImports: (code) => {
-      const imports = code.match(
-        /^import\s+([a-zA-Z0-9_]+)|^from\s+([a-zA-Z0-9_]+)\s+import/gm
-      );
-      const standardLibs = new Set([
-        "os",
-        "sys",
-        "math",
-        "random",
-        "time",
-        "datetime",
-        "string",
-        "re",
-      ]);
-      const packages = new Set();
-      if (imports) {
-        imports.forEach((imp) => {
-          const pkg = imp.split(/\s+/)[1];
-          if (!standardLibs.has(pkg)) {
-            packages.add(pkg);
-          }
-        });
-      }
-      return Array.from(packages);
-    },
-  },
-  javascript: {
-    install: "npm install",
-    detectImports: (code) => {
-      const imports = code.match(
-        /(?:require|import)\s*\(?['"]([^'"]+)['"]\)?/g
-      );
-      const nodeStdLibs = new Set([
-        // Node.js Core Modules
-        "fs",
-        "path",
-        "http",
-        "https",
-        "crypto",
-        "util",
-        "os",
-        "net",
-        "dns",
-        "stream",
-        "events",
-        "buffer",
-        "url",
-        "querystring",
-        "readline",
-        "child_process",
-        "cluster",
-        "dgram",
-        "zlib",
-        "assert",
-        "tty",
-        "string_decoder",
-        "vm",
-        "timers",
-        "perf_hooks",
-        "async_hooks",
-        "worker_threads",
-        "process",
-        "console",
-        "module",
-
-        // Common NPM Packages (these will be auto-installed if used)
-        // Web Frameworks & APIs
-        "express",
-        "koa",
-        "fastify",
-        "nest",
-        "next",
-        "nuxt",
-        "socket.io",
-        "apollo-server",
-        "graphql",
-        "axios",
-        "cors",
-        "body-parser",
-        "multer",
-        "passport",
-        "jsonwebtoken",
-
-        // Database
-        "mongoose",
-        "sequelize",
-        "prisma",
-        "typeorm",
-        "knex",
-        "mongodb",
-        "redis",
-        "pg",
-        "mysql2",
-        "sqlite3",
-        "ioredis",
-
-        // Testing
-        "jest",
-        "mocha",
-        "chai",
-        "supertest",
-        "cypress",
-        "playwright",
-        "puppeteer",
-        "selenium-webdriver",
-        "sinon",
-
-        // Utilities & Tools
-        "lodash",
-        "moment",
-        "date-fns",
-        "uuid",
-        "bcrypt",
-        "dotenv",
-        "winston",
-        "morgan",
-        "nodemailer",
-        "sharp",
-        "joi",
-        "yup",
-        "validator",
-        "cheerio",
-        "prettier",
-        "eslint",
-
-        // Frontend Libraries
-        "react",
-        "vue",
-        "angular",
-        "svelte",
-        "preact",
-        "solid-js",
-        "jquery",
-        "three.js",
-        "d3",
-        "chart.js",
-        "leaflet",
-
-        // State Management
-        "redux",
-        "mobx",
-        "vuex",
-        "recoil",
-        "jotai",
-        "zustand",
-
-        // UI Libraries
-        "tailwindcss",
-        "material-ui",
-        "chakra-ui",
-        "ant-design",
-        "bootstrap",
-        "styled-components",
-        "emotion",
-
-        // Build Tools
-        "webpack",
-        "rollup",
-        "parcel",
-        "vite",
-        "esbuild",
-        "babel",
-        "typescript",
-        "sass",
-        "postcss",
-
-        // Cloud & Deployment
-        "aws-sdk",
-        "firebase-admin",
-        "google-cloud",
-        "azure-sdk",
-        "serverless",
-        "pm2",
-        "docker-compose",
-
-        // Machine Learning & AI
-        "@tensorflow/tfjs",
-        "brain.js",
-        "natural",
-        "ml5",
-        "@huggingface/inference",
-
-        // Real-time & WebSockets
-        "ws",
-        "socket.io",
-        "websocket",
-        "socketio-client",
-
-        // Security
-        "helmet",
-        "cors",
-        "csurf",
-        "rate-limiter-flexible",
-        "express-validator",
-        "sanitize-html",
-
-        // Monitoring & Logging
-        "winston",
-        "morgan",
-        "pino",
-        "newrelic",
-        "sentry",
-        "prometheus-client",
-      ]);
-      const packages = new Set();
-      if (imports) {
-        imports.forEach((imp) => {
-          const match = imp.match(/['"]([^'"]+)['"]/);
-          if (match) {
-            const pkg = match[1].split("/")[0];
-            if (!nodeStdLibs.has(pkg) && !pkg.startsWith(".")) {
-              packages.add(pkg);
-            }
-          }
-        });
-      }
-      return Array.from(packages);
-    },
-  },
-  java: {
-    install: "mvn dependency:get -Dartifact=",
-    detectImports: (code) => {
-      const imports = code.match(/import\s+([a-zA-Z0-9_.]+)\s*;/g);
-      const standardPackages = new Set([
-        "java.",
-        "javax.",
-        "org.w3c.",
-        "org.xml.",
-      ]);
-      const packages = new Set();
-      if (imports) {
-        imports.forEach((imp) => {
-          const pkg = imp.split(/\s+/)[1];
-          if (!standardPackages.some((std) => pkg.startsWith(std))) {
-            packages.add(pkg);
-          }
-        });
-      }
-      return Array.from(packages);
-    },
-  },
-  cpp: {
-    install: "vcpkg install",
-    detectImports: (code) => {
-      const includes = code.match(/#include\s*<([^>]+)>/g);
-      const standardHeaders = new Set([
-        "iostream",
-        "vector",
-        "string",
-        "algorithm",
-        "cmath",
-        "cstdio",
-      ]);
-      const packages = new Set();
-      if (includes) {
-        includes.forEach((inc) => {
-          const match = inc.match(/<([^>]+)>/);
-          if (match) {
-            const header = match[1].split("/")[0];
-            if (!standardHeaders.has(header)) {
-              packages.add(header);
-            }
-          }
-        });
-      }
-      return Array.from(packages);
-    },
-  },
-};
+  // Languages without a package manager only support their standard library
+  if (!config.install) {
+    throw new Error(
+      `Unsupported ${config.importLabel}s: ${dependencies.join(
+        ", "
+      )}. Only standard ${config.name} libraries are supported.`
+    );
+  }
+
+  // Only curated packages are installed, and only from the local mirror
+  const unknown = dependencies.filter((dep) => !config.resolvePackage(dep));
+  if (unknown.length > 0) {
+    const available = config.allowedPackages().map((pkg) => pkg.name);
+    throw new Error(
+      `Not on the package allowlist: ${unknown.join(", ")}. Available ${
+        config.name
+      } packages: ${available.join(", ")}`
+    );
+  }
 
-app.use(express.json());
+  const environment = config.environment
+    ? await packageEnvironments.acquire(language, sessionId)
+    : null;
+  const packageDir = environment ? environment.dir : null;
 
-// Helper function to get temporary file path
-function getTempFile(ext) {
-  return path.join(
-    __dirname,
-    `temp_${crypto.randomBytes(8).toString("hex")}.${ext}`
-  );
+  const installAll = async () => {
+    const errors = [];
+    for (const dep of dependencies) {
+      try {
+        if (
+          config.isInstalled &&
+          (await config.isInstalled(dep, packageDir))
+        ) {
+          continue;
+        }
+        await config.install(dep, packageDir);
+      } catch (error) {
+        errors.push(`Failed to install ${dep}: ${error.message || error}`);
+      }
+    }
+    return errors;
+  };
+
+  // Runs of one session must not install into the same directory at once
+  const errors = environment
+    ? await environment.exclusive(installAll)
+    : await installAll();
+  if (errors.length > 0) {
+    if (environment) environment.release();
+    throw new Error(errors.join("\n"));
+  }
+  return environment;
 }
 
-// Helper function to cleanup temporary files
 /**
- * Cleans up temporary files after code execution
- * 
- * @function cleanup
- * @param {string[]} files - Array of file paths to delete
- * @returns {void}
- * 
+ * Checks a program's imports without running it
+ *
+ * @async
+ * @function analyzeImports
+ * @param {string} language - Programming language identifier
+ * @param {Object} project - Project from toProject
+ * @returns {Promise<Object>} { files, warnings }: per file its imports
+ *          ({ name, line, column, status }) and syntax error (or null);
+ *          warnings ({ file, line, column, severity, message }) list the
+ *          imports that would stop the program from running
+ * @throws {Error} If the language's parser cannot be run
+ *
  * @description
- * Ensures proper cleanup of temporary resources:
- * - Removes source code files
- * - Deletes compiled executables
- * - Cleans up any generated artifacts
- * - Handles cleanup errors gracefully
- * - Maintains sandbox directory hygiene
+ * An import's status is one of:
+ * - "standard": standard library, JDK package or built-in module
+ * - "local": one of the project's own modules, packages or headers
+ * - "package": an allowlisted package, installed when the program runs
+ * - "unsupported": anything else; the run would be rejected
+ * - "missing": a "quoted" C/C++ header that is not in the project
+ */
+async function analyzeImports(language, project) {
+  const config = languageConfigs[language];
+  const parsed = await config.parseImports(project.files);
+  const files = {};
+  const warnings = [];
+
+  const statusOf = (file, imported) => {
+    if (imported.local) {
+      // "header.h" is searched next to the file, then in the project root
+      const candidates = [
+        path.posix.join(path.posix.dirname(file), imported.name),
+        path.posix.normalize(imported.name),
+      ];
+      if (candidates.some((candidate) => candidate in project.files)) {
+        return "local";
+      }
+      return config.dependencyOf({ ...imported, local: false }) === null
+        ? "standard"
+        : "missing";
+    }
+    const dependency = config.dependencyOf(imported);
+    if (!dependency) return "standard";
+    if (
+      config.isLocalDependency &&
+      config.isLocalDependency(dependency, project.files)
+    ) {
+      return "local";
+    }
+    return config.install && config.resolvePackage(dependency)
+      ? "package"
+      : "unsupported";
+  };
+
+  for (const [file, { imports, error }] of Object.entries(parsed)) {
+    files[file] = {
+      error,
+      imports: imports.map((imported) => {
+        const status = statusOf(file, imported);
+        const { name, line, column } = imported;
+        let message = null;
+        if (status === "missing") {
+          message = `Header "${name}" is not part of the project`;
+        } else if (status === "unsupported") {
+          message = config.install
+            ? `Not on the package allowlist: ${config.dependencyOf(imported)}`
+            : `Unsupported ${config.importLabel} ${
+                config.importLabel === "header" ? `<${name}>` : `"${name}"`
+              }. Only standard ${config.name} libraries are supported.`;
+        }
+        if (message) {
+          warnings.push({ file, line, column, severity: "warning", message });
+        }
+        return { name, line, column, status };
+      }),
+    };
+  }
+  return { files, warnings };
+}
+
+/**
+ * Writes a project into a fresh run directory and builds its command context
+ *
+ * @function prepareSource
+ * @param {string} language - Programming language identifier
+ * @param {Object} project - Project from toProject
+ * @param {Object} [options={}] - Run options
+ * @param {string[]} [options.args=[]] - Program arguments
+ * @param {Object} [options.compilerOptions] - Requested C/C++ options
+ *        (standard, optimization, sanitize, extraWarnings), validated by
+ *        the registry
+ * @param {Object|null} [options.environment=null] - Package environment from
+ *        handleDependencies; the context takes it over
+ * @param {boolean} [options.sourceLaunch=true] - Let single-file Java run
+ *        straight from source; off when the build is run more than once
+ * @param {AbortSignal|null} [options.signal=null] - Kills the run's
+ *        processes when aborted
+ * @param {boolean} [options.debug=false] - Build for a debug session: with
+ *        the debugger's compile flags, from a cold start
+ * @param {boolean} [options.warm=true] - Take an idle warm worker when
+ *        there is one; a warm worker can only run the plain run command
+ * @param {boolean} [options.profile=false] - Build with the profiler's
+ *        compile flags
+ * @param {Object|null} [options.memcheck=null] - Memory checker from
+ *        memcheckerOf to build for and run under (see startProgram)
+ * @returns {Object} Command context { dir, source, sources, files, executable,
+ *          className, sourceLaunch, args, compilerOptions, packageDir,
+ *          worker, debug, profile, memcheck } for the language's
+ *          compile/run builders;
+ *          pass it to disposeSource when done
+ * @throws {Error} If an option is not allowed or Java code has no entry
+ *         point
+ *
+ * @description
+ * Interpreted languages take an idle warm worker from the pool when there
+ * is one and write the project into that worker's run directory. Programs
+ * with packages start cold, since a warm worker cannot load them.
+ */
+function prepareSource(
+  language,
+  project,
+  {
+    args = [],
+    compilerOptions,
+    environment = null,
+    sourceLaunch = true,
+    signal = null,
+    debug = false,
+    warm = true,
+    profile = false,
+    memcheck = null,
+  } = {}
+) {
+  const config = languageConfigs[language];
+  const worker =
+    environment || debug || !warm ? null : workerPool.acquire(language);
+  let dir;
+  try {
+    // A warm worker's uid gets a fresh directory; the locked one it waited
+    // in is no longer needed
+    dir = worker
+      ? sandbox.createRunDir({ sharing: worker.dir })
+      : sandbox.createRunDir();
+  } finally {
+    if (worker) {
+      if (!dir) worker.handle.kill();
+      sandbox.removeRunDir(worker.dir);
+    }
+  }
+  const context = {
+    dir,
+    args,
+    worker,
+    environment,
+    signal,
+    debug,
+    profile,
+    memcheck,
+    packageDir: environment ? environment.dir : null,
+    compilerOptions: null,
+    source: path.join(dir, ...project.entry.split("/")),
+    sources: sourceFiles(config, project).map((file) =>
+      path.join(dir, ...file.split("/"))
+    ),
+    files: [],
+    executable: path.join(
+      dir,
+      process.platform === "win32" ? "main.exe" : "main"
+    ),
+  };
+
+  try {
+    context.compilerOptions = resolveCompilerOptions(language, compilerOptions);
+    if (language === "java") {
+      context.className = config.entryClassName(project.files[project.entry]);
+      context.sourceLaunch =
+        sourceLaunch && !debug && config.sourceLaunch(project);
+    }
+    context.files = sandbox.writeFiles(dir, project.files);
+    return context;
+  } catch (error) {
+    disposeSource(context);
+    throw error;
+  }
+}
+
+/**
+ * Removes a run directory, stopping its warm worker if it never got a job
+ * and handing back its package environment
+ * @param {Object} context - Command context from prepareSource
+ */
+function disposeSource(context) {
+  if (context.worker) {
+    context.worker.handle.kill();
+  }
+  if (context.environment) {
+    context.environment.release();
+  }
+  sandbox.removeRunDir(context.dir);
+}
+
+/**
+ * Starts a prepared program - in its warm worker when it has one, or under
+ * its memory checker when it is checked
+ *
+ * @function startProgram
+ * @param {string} language - Language identifier
+ * @param {Object} context - Command context from prepareSource
+ * @param {string} [input=""] - Standard input for the program
+ * @param {Object} [handlers={}] - Output callbacks { onStdout, onStderr }
+ * @returns {Object} startProcess handle { child, kill, done }
+ */
+function startProgram(language, context, input = "", handlers = {}) {
+  const { worker, memcheck } = context;
+  if (memcheck) {
+    return startSandboxed(
+      language,
+      "memcheck",
+      memcheck.command(context),
+      context,
+      input,
+      handlers
+    );
+  }
+  if (!worker) {
+    return startSandboxed(
+      language,
+      "run",
+      languageConfigs[language].runCommand(context),
+      context,
+      input,
+      handlers
+    );
+  }
+
+  // A worker takes a single job; further runs of this context start cold
+  context.worker = null;
+  return stopOnAbort(
+    context,
+    worker.handle.release({
+      ...handlers,
+      input,
+      timeout: phaseTimeout(language, "run"),
+      control: JSON.stringify({
+        dir: context.dir,
+        source: context.source,
+        args: context.args,
+      }),
+    })
+  );
+}
+
+/**
+ * Describes how a compile or run phase finished
+ *
+ * @function toRunResult
+ * @param {string} phase - "compile" or "run"
+ * @param {Object} result - startProcess result
+ * @param {Object} [extras={}] - Build and analysis details
+ * @param {string|null} [extras.compileCache=null] - "hit" or "miss" from
+ *        buildProgram
+ * @param {Object[]|null} [extras.sanitizer=null] - Sanitizer findings of the
+ *        run (see sanitizerFindings)
+ * @param {Object|null} [extras.memcheck=null] - Memory check of the run
+ *        (see memcheckReport)
+ * @returns {Object} { phase, exitCode, signal, timedOut, stdout, stderr,
+ *          wallTimeMs, cpuTimeMs, peakMemoryKb, outputTruncated,
+ *          compileCache, sanitizer, memcheck, error }
+ */
+function toRunResult(
+  phase,
+  result,
+  { compileCache = null, sanitizer = null, memcheck = null } = {}
+) {
+  return {
+    phase,
+    exitCode: result.exitCode,
+    signal: result.signal,
+    timedOut: result.timedOut,
+    stdout: result.stdout,
+    stderr: result.stderr,
+    wallTimeMs: result.wallTimeMs,
+    cpuTimeMs: result.cpuTimeMs,
+    peakMemoryKb: result.peakMemoryKb,
+    outputTruncated: result.outputTruncated,
+    compileCache,
+    sanitizer,
+    memcheck,
+    error: result.error,
+  };
+}
+
+/**
+ * Describes a run that failed before anything was compiled or executed
+ * (unsupported dependencies, missing Java class, forbidden command)
+ *
+ * @function toSetupFailure
+ * @param {string} message - Reason shown to the user
+ * @returns {Object} Run result with phase "setup" and the message as stderr
+ */
+function toSetupFailure(message) {
+  return {
+    phase: "setup",
+    exitCode: null,
+    signal: null,
+    timedOut: false,
+    stdout: "",
+    stderr: message,
+    wallTimeMs: 0,
+    cpuTimeMs: null,
+    peakMemoryKb: null,
+    outputTruncated: false,
+    compileCache: null,
+    sanitizer: null,
+    memcheck: null,
+    error: message,
+  };
+}
+
+/**
+ * Executes code in a specified programming language with safety measures
+ * 
+ * @async
+ * @function executeCode
+ * @param {string} language - Programming language identifier from the registry
+ * @param {Object} submission - { code } for a single file, or { files, entry }
+ *        for a multi-file project
+ * @param {Object} [options={}] - Run options
+ * @param {string} [options.stdin=""] - Standard input fed to the program (not
+ *        to the compiler)
+ * @param {string[]} [options.args=[]] - Program arguments
+ * @param {Object} [options.compilerOptions] - C/C++ compiler options (see
+ *        prepareSource)
+ * @param {boolean} [options.memcheck=false] - Check the program for memory
+ *        errors and leaks with the language's memory checker
+ * @param {string|null} [options.sessionId=null] - Session whose package
+ *        environment the program uses (see handleDependencies)
+ * @param {AbortSignal|null} [options.signal=null] - Stops the program's
+ *        processes when aborted, e.g. when the client hangs up
+ * @returns {Promise<Object>} Run result (see toRunResult) of the phase the
+ *          program finished in: "compile" when compilation failed, otherwise
+ *          "run" - or "setup" when it could not be built at all
+ * 
+ * @description
+ * This function handles the complete code execution lifecycle:
+ * 1. Dependency installation for third-party imports into the session's
+ *    package environment
+ * 2. Project preparation in a per-run sandbox directory
+ * 3. Compilation for compiled languages (C, C++, Java), or a cached build
+ * 4. Execution with resource limits and timeout protection
+ * 5. Removal of the run directory with all build artifacts
+ */
+async function executeCode(language, submission, options = {}) {
+  const {
+    stdin = "",
+    args = [],
+    compilerOptions,
+    memcheck = false,
+    sessionId = null,
+    signal = null,
+  } = options;
+  let project;
+  try {
+    project = toProject(language, languageConfigs[language], submission);
+  } catch (error) {
+    return toSetupFailure(`Error: ${error.message}`);
+  }
+
+  // Step 1: Dependency Management
+  let environment;
+  try {
+    environment = await handleDependencies(language, project, sessionId);
+  } catch (error) {
+    return toSetupFailure(`Dependency Error: ${error.message}`);
+  }
+
+  // Step 2: Compilation and Execution inside a fresh run directory
+  let context;
+  try {
+    context = prepareSource(language, project, {
+      args,
+      compilerOptions,
+      environment,
+      signal,
+      memcheck: memcheck ? memcheckerOf(languageConfigs[language]) : null,
+    });
+  } catch (error) {
+    return toSetupFailure(`Error: ${error.message}`);
+  }
+
+  try {
+    const { compiled, compileCache } = await buildProgram(
+      language,
+      project,
+      context
+    );
+    if (compiled && compiled.error) {
+      return toRunResult("compile", compiled, { compileCache });
+    }
+
+    const run = await startProgram(language, context, stdin).done;
+    return toRunResult("run", run, {
+      compileCache,
+      sanitizer: sanitizerFindings(context, run),
+      memcheck: memcheckReport(context, run),
+    });
+  } catch (error) {
+    return toSetupFailure(`Error: ${error.message || error}`);
+  } finally {
+    disposeSource(context);
+  }
+}
+
+/**
+ * Checks requested compiler options against the language's whitelist
+ *
+ * @param {string} language - Language identifier
+ * @param {Object} [compilerOptions] - Requested options
+ * @returns {string|null} Error message, or null when the options are allowed
+ */
+function validateCompilerOptions(language, compilerOptions) {
+  try {
+    resolveCompilerOptions(language, compilerOptions);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Checks a run request's memcheck flag
+ *
+ * @param {string} language - Supported language identifier
+ * @param {*} memcheck - Requested flag
+ * @param {Object} [compilerOptions] - Requested compiler options; the
+ *        sanitizers cannot be combined with a memory check
+ * @returns {string|null} Error message, or null when the flag is allowed
+ */
+function validateMemcheck(language, memcheck, compilerOptions) {
+  if (memcheck === undefined || memcheck === false) return null;
+  if (memcheck !== true) {
+    return "memcheck must be true or false";
+  }
+  if (!memcheckerOf(languageConfigs[language])) {
+    return `Memory checking is not available for ${languageConfigs[language].name}`;
+  }
+  if (compilerOptions && compilerOptions.sanitize) {
+    return "memcheck cannot be combined with the sanitize compiler option";
+  }
+  return null;
+}
+
+/**
+ * Checks the program of a request: single-file code or a multi-file project
+ *
+ * @param {string} language - Supported language identifier
+ * @param {Object} body - Request body { code } or { files, entry }
+ * @returns {string|null} Error message, or null when the program is valid
+ */
+function validateSubmission(language, { code, files, entry }) {
+  if (files === undefined) {
+    return !code || typeof code !== "string" ? "No code provided" : null;
+  }
+  if (code !== undefined) {
+    return "Send either code or files, not both";
+  }
+  return validateProject(languageConfigs[language], files, entry, {
+    maxFiles: SECURITY_CONFIG.maxProjectFiles,
+    maxBytes: SECURITY_CONFIG.maxFileSize,
+  });
+}
+
+/**
+ * Checks the optional session id that selects a shared package environment
+ * @param {*} sessionId - Requested session id
+ * @returns {string|null} Error message, or null when it is valid or absent
+ */
+function validateSessionId(sessionId) {
+  if (sessionId === undefined || sessionId === null) return null;
+  return typeof sessionId === "string" && /^[\w-]{1,128}$/.test(sessionId)
+    ? null
+    : "sessionId must be up to 128 letters, digits, '_' or '-'";
+}
+
+/**
+ * Validates a run request body
+ *
+ * @param {Object} body - Request body { language, code | files + entry,
+ *        stdin, args, compilerOptions, sessionId }
+ * @returns {string|null} Error message, or null when the request is valid
+ */
+function validateRunRequest(body) {
+  const { language, stdin, args, compilerOptions, sessionId } = body;
+  if (!getLanguage(language)) {
+    return `Unsupported language: ${language}`;
+  }
+  const submissionError = validateSubmission(language, body);
+  if (submissionError) {
+    return submissionError;
+  }
+  if (stdin !== undefined && typeof stdin !== "string") {
+    return "stdin must be a string";
+  }
+  if (
+    args !== undefined &&
+    (!Array.isArray(args) || args.some((arg) => typeof arg !== "string"))
+  ) {
+    return "args must be an array of strings";
+  }
+  if (args && args.length > SECURITY_CONFIG.maxArgs) {
+    return `At most ${SECURITY_CONFIG.maxArgs} arguments are allowed`;
+  }
+  return (
+    validateSessionId(sessionId) ||
+    validateCompilerOptions(language, compilerOptions)
+  );
+}
+
+/**
+ * Generic handler for code execution across all supported languages
+ * 
+ * @async
+ * @function handleCodeExecution
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object for sending results
+ * @param {Object} [body=req.body] - Run request { language, code | files +
+ *        entry, stdin, args, compilerOptions, memcheck, sessionId }
+ * @returns {Promise<void>} Sends the run result through the response object
+ * 
+ * @description
+ * 1. Validates the language, code or project files, stdin, program arguments,
+ *    session id, compiler options and memcheck flag
+ * 2. Waits for a free worker in the execution queue (503/429 when full)
+ * 3. Executes the code through executeCode
+ * 4. Responds with the structured run result, its queue position and wait
+ *    time, plus `output` (the program output, or the compiler/runtime error
+ *    text) for older clients
+ */
+async function handleCodeExecution(req, res, body = req.body) {
+  const validationError =
+    validateRunRequest(body) ||
+    validateMemcheck(body.language, body.memcheck, body.compilerOptions);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  const { language, code, files, entry, stdin, args, compilerOptions } = body;
+  const queued = await runQueued(req, res, (signal) =>
+    executeCode(
+      language,
+      { code, files, entry },
+      {
+        stdin,
+        args,
+        compilerOptions,
+        memcheck: body.memcheck,
+        sessionId: body.sessionId,
+        signal,
+      }
+    )
+  );
+  if (!queued) return;
+
+  const { result, queue } = queued;
+  // Legacy single field: what the program printed, then why it failed, so
+  // a crash or timeout keeps the output before it
+  let output = result.stdout || "";
+  if (result.error) {
+    const failure = result.stderr || result.error;
+    output += output && !output.endsWith("\n") ? `\n${failure}` : failure;
+  }
+  res.json({ ...result, output, queue });
+}
+
+app.use(cors());
+
+/**
+ * === Test-case Judging Engine ===
+ * Compiles a submission once, runs it against every test case and grades
+ * each run the way online judges do.
+ */
+
+/**
+ * Verdict codes and their display names
+ * @constant {Object<string, string>} VERDICTS
+ */
+const VERDICTS = {
+  AC: "Accepted",
+  WA: "Wrong Answer",
+  TLE: "Time Limit Exceeded",
+  RE: "Runtime Error",
+  CE: "Compilation Error",
+};
+
+// Maximum number of mismatching lines reported per test case
+const MAX_DIFF_LINES = 20;
+
+/**
+ * Normalizes program output for comparison
+ * Ignores CRLF line endings, trailing spaces on each line and trailing blank lines.
+ *
+ * @param {string} text - Raw output
+ * @returns {string[]} Normalized output lines
+ */
+function normalizeOutput(text) {
+  const lines = String(text)
+    .replace(/\r\n?/g, "\n")
+    .split("\n")
+    .map((line) => line.replace(/\s+$/, ""));
+  while (lines.length > 0 && lines[lines.length - 1] === "") {
+    lines.pop();
+  }
+  return lines;
+}
+
+/**
+ * Builds a line-by-line diff of expected versus actual output
+ *
+ * @param {string[]} expected - Normalized expected lines
+ * @param {string[]} actual - Normalized actual lines
+ * @returns {Array<{line: number, expected: (string|null), actual: (string|null)}>}
+ *          Mismatching lines (1-based), null where one side has no such line
+ */
+function diffOutput(expected, actual) {
+  const diff = [];
+  const length = Math.max(expected.length, actual.length);
+  for (let i = 0; i < length && diff.length < MAX_DIFF_LINES; i++) {
+    if (expected[i] !== actual[i]) {
+      diff.push({
+        line: i + 1,
+        expected: i < expected.length ? expected[i] : null,
+        actual: i < actual.length ? actual[i] : null,
+      });
+    }
+  }
+  return diff;
+}
+
+/**
+ * Grades a single run against its expected output
+ *
+ * @param {Object} run - startProcess result of the program run
+ * @param {string} expectedOutput - Expected program output
+ * @returns {{status: string, diff: Array}} Verdict code and output diff
+ */
+function gradeRun(run, expectedOutput) {
+  if (run.timedOut) {
+    return { status: "TLE", diff: [] };
+  }
+  if (run.error) {
+    return { status: "RE", diff: [] };
+  }
+  const diff = diffOutput(
+    normalizeOutput(expectedOutput),
+    normalizeOutput(run.stdout)
+  );
+  return { status: diff.length === 0 ? "AC" : "WA", diff };
+}
+
+/**
+ * Validates a judge request body
+ *
+ * @param {Object} body - Request body { language, code | files + entry,
+ *        testCases, compilerOptions, sessionId }
+ * @returns {string|null} Error message, or null when the request is valid
+ */
+function validateJudgeRequest(body) {
+  const { language, testCases, compilerOptions, sessionId } = body;
+  if (!getLanguage(language)) {
+    return `Unsupported language: ${language}`;
+  }
+  const submissionError = validateSubmission(language, body);
+  if (submissionError) {
+    return submissionError;
+  }
+  if (!Array.isArray(testCases) || testCases.length === 0) {
+    return "testCases must be a non-empty array";
+  }
+  if (testCases.length > SECURITY_CONFIG.maxTestCases) {
+    return `At most ${SECURITY_CONFIG.maxTestCases} test cases are allowed`;
+  }
+  const invalid = testCases.findIndex(
+    (tc) =>
+      !tc ||
+      typeof tc.expectedOutput !== "string" ||
+      (tc.input !== undefined && typeof tc.input !== "string")
+  );
+  if (invalid !== -1) {
+    return `Test case ${invalid + 1} must have a string expectedOutput and an optional string input`;
+  }
+  return (
+    validateSessionId(sessionId) ||
+    validateCompilerOptions(language, compilerOptions)
+  );
+}
+
+/**
+ * Judges a submission against a list of test cases
+ *
+ * @async
+ * @function judgeSubmission
+ * @param {string} language - Programming language identifier
+ * @param {Object} submission - { code } or { files, entry } (see executeCode)
+ * @param {Array<{input: string, expectedOutput: string}>} testCases - Cases to run
+ * @param {Object} [options={}] - { compilerOptions, sessionId, signal } (see
+ *        executeCode); an aborted signal skips the remaining cases
+ * @returns {Promise<Object>} { verdict, status, passed, total, compileOutput, results }
+ *          where each result holds { index, status, verdict, timeMs, cpuTimeMs,
+ *          peakMemoryKb, expectedOutput, actualOutput, stderr, sanitizer, diff }
+ *
+ * @description
+ * 1. Installs dependencies and compiles once (compiled languages)
+ * 2. Runs the program once per test case with the case input on stdin
+ * 3. Grades each run: AC, WA, TLE, RE - or CE for every case if the build fails
+ * 4. The overall verdict is Accepted or the first failing case's verdict
+ */
+async function judgeSubmission(language, submission, testCases, options = {}) {
+  const { compilerOptions, sessionId = null, signal = null } = options;
+  // Every case fails the same way when the program cannot be built
+  const compilationFailure = (message) => {
+    const results = testCases.map((tc, index) => ({
+      index,
+      status: "CE",
+      verdict: VERDICTS.CE,
+      timeMs: 0,
+      cpuTimeMs: null,
+      peakMemoryKb: null,
+      expectedOutput: tc.expectedOutput,
+      actualOutput: "",
+      stderr: message,
+      sanitizer: null,
+      diff: [],
+    }));
+    return summarizeJudgement(results, message);
+  };
+
+  let project;
+  try {
+    project = toProject(language, languageConfigs[language], submission);
+  } catch (error) {
+    return compilationFailure(`Error: ${error.message}`);
+  }
+
+  let environment;
+  try {
+    environment = await handleDependencies(language, project, sessionId);
+  } catch (error) {
+    return compilationFailure(`Dependency Error: ${error.message}`);
+  }
+
+  let context;
+  try {
+    context = prepareSource(language, project, {
+      compilerOptions,
+      environment,
+      signal,
+      // Compile once for all test cases
+      sourceLaunch: false,
+    });
+  } catch (error) {
+    return compilationFailure(`Error: ${error.message}`);
+  }
+
+  try {
+    const { compiled, compileOutput, compileCache } = await buildProgram(
+      language,
+      project,
+      context
+    );
+    if (compiled && compiled.error) {
+      return compilationFailure(compiled.stderr || compiled.error);
+    }
+
+    // Run the cases one after another so they don't compete for CPU time
+    const results = [];
+    for (const [index, tc] of testCases.entries()) {
+      if (signal && signal.aborted) break;
+      const run = await startProgram(language, context, tc.input || "").done;
+      const { status, diff } = gradeRun(run, tc.expectedOutput);
+      results.push({
+        index,
+        status,
+        verdict: VERDICTS[status],
+        timeMs: run.wallTimeMs,
+        cpuTimeMs: run.cpuTimeMs,
+        peakMemoryKb: run.peakMemoryKb,
+        expectedOutput: tc.expectedOutput,
+        actualOutput: run.stdout,
+        stderr: status === "TLE" ? "" : run.stderr,
+        sanitizer: sanitizerFindings(context, run),
+        diff,
+      });
+    }
+    return summarizeJudgement(results, compileOutput, compileCache);
+  } finally {
+    disposeSource(context);
+  }
+}
+
+/**
+ * Combines per-case results into the judge response
+ *
+ * @param {Object[]} results - Graded test case results
+ * @param {string} compileOutput - Compiler diagnostics (warnings or errors)
+ * @param {string|null} [compileCache=null] - "hit" or "miss" from buildProgram
+ * @returns {Object} Judge response
+ */
+function summarizeJudgement(results, compileOutput, compileCache = null) {
+  const firstFailure = results.find((r) => r.status !== "AC");
+  const status = firstFailure ? firstFailure.status : "AC";
+  return {
+    status,
+    verdict: VERDICTS[status],
+    passed: results.filter((r) => r.status === "AC").length,
+    total: results.length,
+    compileOutput,
+    compileCache,
+    results,
+  };
+}
+
+// Judge endpoint: runs a submission against test cases
+app.post("/judge", async (req, res) => {
+  const validationError = validateJudgeRequest(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  try {
+    const { language, code, files, entry, testCases } = req.body;
+    const queued = await runQueued(req, res, (signal) =>
+      judgeSubmission(language, { code, files, entry }, testCases, {
+        compilerOptions: req.body.compilerOptions,
+        sessionId: req.body.sessionId,
+        signal,
+      })
+    );
+    if (queued) {
+      res.json({ ...queued.result, queue: queued.queue });
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message || String(error) });
+  }
+});
+
+
+// Unified run endpoint: { language, code, stdin, args }
+app.post("/run", (req, res) => handleCodeExecution(req, res));
+
+// Per-language endpoints kept for older clients: /run-python, /run-c, ...
+for (const language of Object.keys(languageConfigs)) {
+  app.post(`/run-${language}`, (req, res) =>
+    handleCodeExecution(req, res, { ...req.body, language })
+  );
+}
+
+// Import analysis: { language, code | files + entry } -> { files, warnings }
+// The editor calls this to flag unsupported imports before a run
+app.post("/analyze", async (req, res) => {
+  const { language } = req.body;
+  if (!getLanguage(language)) {
+    return res.status(400).json({ error: `Unsupported language: ${language}` });
+  }
+  const submissionError = validateSubmission(language, req.body);
+  if (submissionError) {
+    return res.status(400).json({ error: submissionError });
+  }
+  let project;
+  try {
+    project = toProject(language, languageConfigs[language], req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  try {
+    res.json(await analyzeImports(language, project));
+  } catch (error) {
+    res.status(500).json({ error: error.message || String(error) });
+  }
+});
+
+// Code formatting: { language, code } -> { code, formatter }
+// The editors' Format button replaces their content with the result
+app.post("/format", async (req, res) => {
+  const { language, code } = req.body;
+  if (!getLanguage(language)) {
+    return res.status(400).json({ error: `Unsupported language: ${language}` });
+  }
+  if (!code || typeof code !== "string") {
+    return res.status(400).json({ error: "No code provided" });
+  }
+  try {
+    res.json({
+      code: await formatter.format(language, code),
+      formatter: formatter.nameOf(language),
+    });
+  } catch (error) {
+    if (error.code === "NO_FORMATTER") {
+      return res.status(501).json({ error: error.message });
+    }
+    if (error.code === "FORMAT_FAILED") {
+      return res.status(422).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message || String(error) });
+  }
+});
+
+// Static checks: { language, code } -> { diagnostics, linter }
+// The editors call this while typing to mark errors and warnings inline
+app.post("/diagnostics", async (req, res) => {
+  const { language, code } = req.body;
+  if (!getLanguage(language)) {
+    return res.status(400).json({ error: `Unsupported language: ${language}` });
+  }
+  if (typeof code !== "string") {
+    return res.status(400).json({ error: "No code provided" });
+  }
+  const linter = diagnostics.nameOf(language);
+  if (!linter) {
+    return res
+      .status(501)
+      .json({ error: `No linter is installed for ${language}` });
+  }
+  try {
+    // Linters are compilers too: bound them like runs, in a queue of their own
+    const queued = await runQueued(
+      req,
+      res,
+      (signal) => diagnostics.check(language, code, signal),
+      diagnosticsQueue
+    );
+    if (queued) {
+      res.json({ diagnostics: queued.result, linter });
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message || String(error) });
+  }
+});
+
+/**
+ * === Execution Traces ===
+ * Records a Python or JavaScript program's execution line by line - the
+ * call stack with each frame's locals and the objects they reach - so the
+ * problem page can step back and forth through it (see runner/tracer.js).
+ */
+
+/**
+ * Runs a program under its language's tracer
+ *
+ * @async
+ * @function traceCode
+ * @param {string} language - Language identifier; its config has a tracer
+ * @param {Object} submission - { code } for a single file, or { files, entry }
+ *        for a multi-file project
+ * @param {Object} [options={}] - Run options
+ * @param {string} [options.stdin=""] - Standard input fed to the program
+ * @param {string[]} [options.args=[]] - Program arguments
+ * @param {number} [options.maxSteps] - Steps recorded at most
+ * @param {string|null} [options.sessionId=null] - Session whose package
+ *        environment the program uses (see handleDependencies)
+ * @param {AbortSignal|null} [options.signal=null] - Stops the program when
+ *        aborted
+ * @returns {Promise<Object>} Run result (see toRunResult) with `trace`, the
+ *          result of collectTrace - or null when the program did not start
+ */
+async function traceCode(language, submission, options = {}) {
+  const {
+    stdin = "",
+    args = [],
+    maxSteps = SECURITY_CONFIG.trace.defaultSteps,
+    sessionId = null,
+    signal = null,
+  } = options;
+  const config = languageConfigs[language];
+  const failure = (message) => ({ ...toSetupFailure(message), trace: null });
+  let project;
+  try {
+    project = toProject(language, config, submission);
+  } catch (error) {
+    return failure(`Error: ${error.message}`);
+  }
+
+  let environment;
+  try {
+    environment = await handleDependencies(language, project, sessionId);
+  } catch (error) {
+    return failure(`Dependency Error: ${error.message}`);
+  }
+
+  let context;
+  try {
+    context = prepareSource(language, project, {
+      args,
+      environment,
+      signal,
+      warm: false,
+    });
+  } catch (error) {
+    return failure(`Error: ${error.message}`);
+  }
+
+  try {
+    const { tracer } = config;
+    const argv = tracer.command(context, {
+      maxSteps,
+      entryLine: tracer.entryLine
+        ? tracer.entryLine(project.files[project.entry])
+        : null,
+    });
+    const handle = startSandboxed(language, "trace", argv, context, stdin, {
+      extraPipes: 1,
+    });
+    const [run, trace] = await Promise.all([
+      handle.done,
+      collectTrace(
+        handle.child.stdio[3],
+        SECURITY_CONFIG.trace.maxTraceKb * 1024
+      ),
+    ]);
+    return { ...toRunResult("run", run), trace };
+  } catch (error) {
+    return failure(`Error: ${error.message || error}`);
+  } finally {
+    disposeSource(context);
+  }
+}
+
+// Execution trace: { language, code | files + entry, stdin, args, maxSteps,
+// sessionId } -> run result with trace { steps, truncated, error }
+app.post("/trace", async (req, res) => {
+  const validationError = validateRunRequest(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  const { language, code, files, entry, stdin, args, maxSteps } = req.body;
+  if (!languageConfigs[language].tracer) {
+    return res.status(501).json({
+      error: `Tracing is not supported for ${languageConfigs[language].name}`,
+    });
+  }
+  if (
+    maxSteps !== undefined &&
+    (!Number.isInteger(maxSteps) ||
+      maxSteps < 1 ||
+      maxSteps > SECURITY_CONFIG.trace.maxSteps)
+  ) {
+    return res.status(400).json({
+      error: `maxSteps must be an integer from 1 to ${SECURITY_CONFIG.trace.maxSteps}`,
+    });
+  }
+
+  const queued = await runQueued(req, res, (signal) =>
+    traceCode(
+      language,
+      { code, files, entry },
+      { stdin, args, maxSteps, sessionId: req.body.sessionId, signal }
+    )
+  );
+  if (!queued) return;
+  res.json({ ...queued.result, queue: queued.queue });
+});
+
+/**
+ * === Benchmarks ===
+ * Runs a program on generated inputs of growing size and fits its run
+ * times to a complexity class, so the problem page can tell an O(n)
+ * solution from an O(n²) one; where the language has a profiler, one more
+ * run reports the time spent per function (see runner/benchmark.js and
+ * runner/profiler.js).
+ */
+
+/**
+ * Takes the median of some measurements
+ * @param {Array<number|null>} values - Measurements; null when unmeasured
+ * @returns {number|null} The median, or null if nothing was measured
+ */
+function median(values) {
+  const measured = values
+    .filter((value) => value !== null && value !== undefined)
+    .sort((a, b) => a - b);
+  if (measured.length === 0) return null;
+  const middle = Math.floor(measured.length / 2);
+  return measured.length % 2
+    ? measured[middle]
+    : (measured[middle - 1] + measured[middle]) / 2;
+}
+
+/**
+ * Runs a prepared program once under its language's profiler
+ *
+ * @async
+ * @function profileProgram
+ * @param {string} language - Language identifier; its profiler is installed
+ * @param {Object} context - Command context from prepareSource, built with
+ *        the profiler's compile flags
+ * @param {string} input - Standard input for the program
+ * @returns {Promise<Object>} { tool, functions, error }: functions from
+ *          parseProfile, or [] with error saying why there is no profile
  */
-function cleanup(files) {
-  files.forEach((f) => {
-    if (fs.existsSync(f)) {
-      try {
-        fs.unlinkSync(f);
-      } catch (err) {
-        if (err.code === "EPERM") {
-          // Wait and try again after 500ms
-          setTimeout(() => {
-            try {
-              fs.unlinkSync(f);
-            } catch (e) {}
-          }, 500);
-        }
+async function profileProgram(language, context, input) {
+  const { profiler } = languageConfigs[language];
+  const profile = { tool: profiler.name, functions: [], error: null };
+  try {
+    const run = await startSandboxed(
+      language,
+      "run",
+      profiler.command(context),
+      context,
+      input
+    ).done;
+    if (run.timedOut) {
+      throw new Error(`The profiled run timed out: ${run.error}`);
+    }
+
+    let report;
+    if (profiler.report) {
+      const result = await startSandboxed(
+        language,
+        "compile",
+        profiler.report(context),
+        context
+      ).done;
+      if (result.error) throw new Error(result.stderr || result.error);
+      report = result.stdout;
+    } else {
+      const file = path.join(context.dir, profiler.output);
+      const maxBytes = SECURITY_CONFIG.benchmark.maxProfileKb * 1024;
+      if (fs.statSync(file).size > maxBytes) {
+        throw new Error("The profile is too large to read");
       }
+      report = fs.readFileSync(file, "utf8");
     }
-  });
+    profile.functions = parseProfile(profiler.format, report, context.dir);
+  } catch (error) {
+    profile.error =
+      error.code === "ENOENT"
+        ? `${profiler.name} wrote no profile`
+        : error.message || String(error);
+  }
+  return profile;
 }
 
-// Helper function to execute code with timeout
 /**
- * Executes a shell command with a timeout safety mechanism
- * 
- * @function executeWithTimeout
- * @param {string} command - The shell command to execute
- * @param {number} timeout - Maximum execution time in milliseconds
- * @returns {Promise<string>} Command output if successful
- * @throws {Error} If command fails or exceeds timeout
+ * Benchmarks a program on inputs of growing size
+ *
+ * @async
+ * @function benchmarkCode
+ * @param {string} language - Language identifier
+ * @param {Object} submission - { code } for a single file, or { files, entry }
+ *        for a multi-file project
+ * @param {Object} options - Benchmark options
+ * @param {Object} options.generator - Validated { template, sizes, seed }
+ *        (see validateGenerator)
+ * @param {number} [options.repeats] - Runs per size; the median counts
+ * @param {Object} [options.compilerOptions] - C/C++ compiler options (see
+ *        prepareSource)
+ * @param {string|null} [options.sessionId=null] - Session whose package
+ *        environment the program uses (see handleDependencies)
+ * @param {AbortSignal|null} [options.signal=null] - Stops the program when
+ *        aborted
+ * @returns {Promise<Object>} { phase, compileOutput, compileCache, series,
+ *          stopped, complexity, profile, error } where
+ *          - series has one { n, wallTimeMs, cpuTimeMs, peakMemoryKb,
+ *            fittedMs } per size that completed, fittedMs being the best
+ *            fit's time (null without a fit)
+ *          - stopped is { n, reason, message, stderr } for the size the
+ *            benchmark stopped at - reason "timeout", "error" (stderr is
+ *            the failed run's) or "budget" (the benchmark used up
+ *            maxTotalMs) - or null when every size ran
+ *          - complexity is { best, alternatives, fits: [{ name, r2 }] }
+ *            (see fitComplexity), null with fewer than minSizes sizes
+ *          - profile is the result of profileProgram, or null without a
+ *            profiler
+ *          - phase is "setup" or "compile" (with error) when the program
+ *            could not be built, otherwise "run"
+ *
  * @description
- * - Executes shell commands in a controlled environment
- * - Implements timeout protection against infinite loops or hanging processes
- * - Captures both stdout and stderr
- * - Ensures process cleanup after execution or timeout
+ * Every run starts cold, so each size pays the same start-up time, which
+ * the fit separates from the growth. The profiled run uses the largest
+ * size that ran profileHeadroom times faster than the run timeout, since
+ * profilers slow programs down. gprof instruments the build itself, so a
+ * C/C++ benchmark times the instrumented program.
  */
-function executeWithTimeout(command, timeout) {
-  return new Promise((resolve, reject) => {
-    exec(command, { timeout }, (error, stdout, stderr) => {
-      if (error) {
-        reject(stderr || error.message);
-      } else {
-        resolve(stdout);
-      }
-    });
-  });
-}
+async function benchmarkCode(language, submission, options) {
+  const {
+    generator,
+    repeats = SECURITY_CONFIG.benchmark.defaultRepeats,
+    compilerOptions,
+    sessionId = null,
+    signal = null,
+  } = options;
+  const config = languageConfigs[language];
+  const limits = SECURITY_CONFIG.benchmark;
+  const result = {
+    phase: "run",
+    compileOutput: "",
+    compileCache: null,
+    series: [],
+    stopped: null,
+    complexity: null,
+    profile: null,
+    error: null,
+  };
+  const failure = (message) => ({ ...result, phase: "setup", error: message });
+  const profiled = hasProfiler(config);
+
+  let project;
+  try {
+    project = toProject(language, config, submission);
+  } catch (error) {
+    return failure(`Error: ${error.message}`);
+  }
 
-app.use(cors());
+  let environment;
+  try {
+    environment = await handleDependencies(language, project, sessionId);
+  } catch (error) {
+    return failure(`Dependency Error: ${error.message}`);
+  }
 
-// Java language endpoint
-app.post("/run-java", async (req, res) => {
+  let context;
   try {
-    const code = req.body.code;
-    const className = languageConfigs.java.detectClassName(code);
-    const filename = getTempFile("java");
+    context = prepareSource(language, project, {
+      compilerOptions,
+      environment,
+      signal,
+      sourceLaunch: false,
+      warm: false,
+      profile: profiled,
+    });
+  } catch (error) {
+    return failure(`Error: ${error.message}`);
+  }
 
-    // Write the code to a temporary file
-    fs.writeFileSync(filename, code);
+  try {
+    const { compiled, compileOutput, compileCache } = await buildProgram(
+      language,
+      project,
+      context
+    );
+    Object.assign(result, { compileOutput, compileCache });
+    if (compiled && compiled.error) {
+      return { ...result, phase: "compile", error: compiled.error };
+    }
 
-    try {
-      const result = await executeCode("java", code, filename);
-      res.json({ output: result });
-    } catch (error) {
-      res.status(400).json({ error: error.message });
-    } finally {
-      cleanup([filename, filename.replace(".java", ".class")]);
+    const startedAt = Date.now();
+    for (const n of generator.sizes) {
+      if (Date.now() - startedAt > limits.maxTotalMs) {
+        result.stopped = {
+          n,
+          reason: "budget",
+          message: `Stopped before n = ${n}: the benchmark took over ${
+            limits.maxTotalMs / 1000
+          } s`,
+          stderr: "",
+        };
+        break;
+      }
+      const input = generateInput(generator.template, n, generator.seed);
+      const runs = [];
+      for (let i = 0; i < repeats && !result.stopped; i++) {
+        const run = await startProgram(language, context, input).done;
+        if (run.error) {
+          result.stopped = {
+            n,
+            reason: run.timedOut ? "timeout" : "error",
+            message: `n = ${n}: ${run.error}`,
+            stderr: run.stderr,
+          };
+        } else {
+          runs.push(run);
+        }
+      }
+      if (result.stopped) break;
+      result.series.push({
+        n,
+        wallTimeMs: median(runs.map((run) => run.wallTimeMs)),
+        cpuTimeMs: median(runs.map((run) => run.cpuTimeMs)),
+        peakMemoryKb: runs.some((run) => run.peakMemoryKb !== null)
+          ? Math.max(...runs.map((run) => run.peakMemoryKb || 0))
+          : null,
+      });
+    }
+
+    const points = result.series.map(({ n, wallTimeMs }) => ({
+      n,
+      ms: wallTimeMs,
+    }));
+    const fit = points.length >= limits.minSizes ? fitComplexity(points) : null;
+    result.series = result.series.map((point) => ({
+      ...point,
+      fittedMs: fit
+        ? Math.max(0, Math.round(fit.fits[0].predict(point.n) * 100) / 100)
+        : null,
+    }));
+    if (fit) {
+      result.complexity = {
+        best: fit.best,
+        alternatives: fit.alternatives,
+        fits: fit.fits.map(({ name, r2 }) => ({
+          name,
+          r2: Number.isFinite(r2) ? Math.round(r2 * 10000) / 10000 : null,
+        })),
+      };
+    }
+
+    if (profiled && result.series.length > 0) {
+      const budget = phaseTimeout(language, "run") / limits.profileHeadroom;
+      const point =
+        [...result.series]
+          .reverse()
+          .find((candidate) => candidate.wallTimeMs <= budget) ||
+        result.series[0];
+      result.profile = {
+        n: point.n,
+        ...(await profileProgram(
+          language,
+          context,
+          generateInput(generator.template, point.n, generator.seed)
+        )),
+      };
     }
+    return result;
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    return failure(`Error: ${error.message || error}`);
+  } finally {
+    disposeSource(context);
+  }
+}
+
+// Benchmark: { language, code | files + entry, generator: { template,
+// sizes, seed }, repeats, compilerOptions, sessionId } -> { phase, series,
+// stopped, complexity, profile, ... } (see benchmarkCode)
+app.post("/benchmark", async (req, res) => {
+  const validationError = validateRunRequest(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  // Each run reads the input its generator made and nothing else
+  const ignored = ["stdin", "args"].filter(
+    (field) => req.body[field] !== undefined
+  );
+  if (ignored.length > 0) {
+    return res.status(400).json({
+      error: `A benchmark takes no ${ignored.join(
+        " or "
+      )}: its input comes from generator.template`,
+    });
   }
+  const limits = SECURITY_CONFIG.benchmark;
+  const { language, code, files, entry, generator, repeats, compilerOptions } =
+    req.body;
+  const generatorError = validateGenerator(generator, limits);
+  if (generatorError) {
+    return res.status(400).json({ error: generatorError });
+  }
+  if (
+    repeats !== undefined &&
+    (!Number.isInteger(repeats) || repeats < 1 || repeats > limits.maxRepeats)
+  ) {
+    return res.status(400).json({
+      error: `repeats must be an integer from 1 to ${limits.maxRepeats}`,
+    });
+  }
+
+  const queued = await runQueued(req, res, (signal) =>
+    benchmarkCode(
+      language,
+      { code, files, entry },
+      {
+        generator,
+        repeats,
+        compilerOptions,
+        sessionId: req.body.sessionId,
+        signal,
+      }
+    )
+  );
+  if (!queued) return;
+  res.json({ ...queued.result, queue: queued.queue });
 });
 
-// C language endpoint
-app.post("/run-c", (req, res) => handleCodeExecution("c", req.body.code, res));
+// Languages whose toolchain is installed on this server, with the
+// formatter and linter each one uses (null if none is installed)
+app.get("/languages", (req, res) => {
+  res.json({
+    languages: listLanguages().map((lang) => ({
+      ...lang,
+      formatter: formatter.nameOf(lang.id),
+      linter: diagnostics.nameOf(lang.id),
+    })),
+  });
+});
 
-// C++ language endpoint
-app.post("/run-cpp", (req, res) =>
-  handleCodeExecution("cpp", req.body.code, res)
-);
+// Toolchains (installed or not), sandbox support and current load, for
+// monitoring and for diagnosing a runner that offers fewer languages
+app.get("/health", (req, res) => {
+  const toolchains = listToolchains();
+  const healthy = toolchains.some((toolchain) => toolchain.available);
+  res.status(healthy ? 200 : 503).json({
+    status: healthy ? "ok" : "no toolchains available",
+    uptimeSec: Math.round(process.uptime()),
+    toolchains,
+    sandbox: sandbox.support,
+    queue: executionQueue.stats(),
+    diagnosticsQueue: diagnosticsQueue.stats(),
+    compileCache: compileCache.stats(),
+    workerPool: workerPool.stats(),
+    packageEnvironments: packageEnvironments.stats(),
+    reaper: reaper.stats(),
+    format: formatter.stats(),
+    diagnostics: diagnostics.stats(),
+  });
+});
 
-// Helper function to handle package installation and dependency management
-async function handleDependencies(language, code) {
-  const config = languageConfigs[language];
+/**
+ * === Live Execution over Socket.IO ===
+ * Streams a program's output to the client while it runs, instead of
+ * returning everything once it exits, and lets the client stop it early.
+ *
+ * Client -> server:
+ * - run-code { runId?, language, code | files + entry, stdin, args,
+ *   compilerOptions, memcheck, sessionId } (ack: { runId })
+ * - run-kill { runId }
+ * Server -> client:
+ * - run-queued { runId, position } when the run has to wait for a worker
+ * - run-stdout / run-stderr { runId, data }
+ * - run-exit { runId, killed, queue, ...run result without stdout/stderr }
+ */
 
-  // Special handling for C++
-  if (language === "cpp" && config.detectHeaders) {
-    try {
-      config.detectHeaders(code);
-      return null;
-    } catch (error) {
-      throw new Error(error.message);
+// Output is batched for this long (ms) so chatty programs don't flood the socket
+const STREAM_FLUSH_INTERVAL = 50;
+
+/**
+ * Buffers output chunks and emits them to a socket at most once per interval
+ *
+ * @param {Object} socket - Client socket
+ * @param {string} event - "run-stdout" or "run-stderr"
+ * @param {string} runId - Run the chunks belong to
+ * @returns {{write: function(string): void, flush: function(): void}}
+ */
+function createChunkEmitter(socket, event, runId) {
+  let buffer = "";
+  let timer = null;
+
+  const flush = () => {
+    clearTimeout(timer);
+    timer = null;
+    if (buffer) {
+      socket.emit(event, { runId, data: buffer });
+      buffer = "";
     }
-  }
+  };
 
-  const dependencies = config.detectDependencies(code);
-  const errors = [];
+  return {
+    write: (chunk) => {
+      buffer += chunk;
+      if (!timer) timer = setTimeout(flush, STREAM_FLUSH_INTERVAL);
+    },
+    flush,
+  };
+}
 
-  if (dependencies.length === 0) return null;
+/**
+ * Compiles and runs a program, streaming its output to the client
+ *
+ * @async
+ * @function streamExecution
+ * @param {Object} socket - Client socket receiving run-stdout/run-stderr/run-exit
+ * @param {string} runId - Identifier echoed in every event
+ * @param {Object} request - Validated run request { language, code | files +
+ *        entry, stdin, args, compilerOptions, memcheck, sessionId }
+ * @param {Object} run - The socket's entry for this run; run-kill marks it
+ *        killed and stops its current process
+ * @param {Object} queue - { position, waitMs } from the execution queue
+ * @returns {Promise<void>} Resolves after run-exit has been emitted
+ *
+ * @description
+ * Follows the same steps as executeCode, `memcheck` included. Compiler
+ * output is only sent when compilation fails, matching /run. Exactly one
+ * run-exit is emitted per run, with `phase` telling whether it ended during
+ * setup, compile or run. There is no abort signal: run-kill and a
+ * disconnect stop the run through `run` instead (see killLiveRun).
+ */
+async function streamExecution(socket, runId, request, run, queue) {
+  const { language, code, files, entry, stdin = "", args = [] } = request;
+  const config = languageConfigs[language];
+  const stdout = createChunkEmitter(socket, "run-stdout", runId);
+  const stderr = createChunkEmitter(socket, "run-stderr", runId);
+  let phase = "setup";
+  let context = null;
+
+  // The output itself has already been streamed
+  const exit = (result) => {
+    stdout.flush();
+    stderr.flush();
+    socket.emit("run-exit", {
+      runId,
+      killed: run.killed,
+      queue,
+      ...withoutOutput(result),
+    });
+  };
+  const stopped = () => ({ ...toSetupFailure("Stopped by user"), phase });
 
   try {
-    for (const dep of dependencies) {
-      try {
-        // Use install timeout if available, otherwise use default timeout
-        const timeout =
-          typeof config.timeout === "object" && config.timeout.install
-            ? config.timeout.install
-            : 30000; // Default 30s timeout for installations
+    const project = toProject(language, config, { code, files, entry });
+    let environment;
+    try {
+      environment = await handleDependencies(
+        language,
+        project,
+        request.sessionId
+      );
+    } catch (error) {
+      throw new Error(`Dependency Error: ${error.message}`);
+    }
+    if (run.killed) {
+      if (environment) environment.release();
+      return exit(stopped());
+    }
+    context = prepareSource(language, project, {
+      args,
+      compilerOptions: request.compilerOptions,
+      environment,
+      memcheck: request.memcheck ? memcheckerOf(config) : null,
+    });
 
-        await config.install(dep, timeout);
-      } catch (error) {
-        errors.push(`Failed to install ${dep}: ${error}`);
+    if (config.compileCommand(context)) phase = "compile";
+    const { compiled, compileCache } = await buildProgram(
+      language,
+      project,
+      context,
+      (handle) => {
+        run.handle = handle;
       }
+    );
+    if (compiled && compiled.error) {
+      if (!run.killed) stderr.write(compiled.stderr || compiled.error);
+      return exit(toRunResult(phase, compiled, { compileCache }));
     }
+    if (run.killed) return exit(stopped());
+
+    phase = "run";
+    run.handle = startProgram(language, context, stdin, {
+      onStdout: stdout.write,
+      onStderr: stderr.write,
+    });
+    const result = await run.handle.done;
+    exit(
+      toRunResult(phase, result, {
+        compileCache,
+        sanitizer: sanitizerFindings(context, result),
+        memcheck: memcheckReport(context, result),
+      })
+    );
   } catch (error) {
-    errors.push(`Dependency management error: ${error}`);
+    const message = error.message || String(error);
+    stderr.write(message);
+    exit({ ...toSetupFailure(message), phase });
+  } finally {
+    if (context) disposeSource(context);
   }
+}
 
-  if (errors.length > 0) {
-    throw new Error(errors.join("\n"));
-  }
+/**
+ * Leaves the output out of a run result, for streamed runs: it was sent
+ * already, chunk by chunk
+ * @param {Object} result - Run result (see toRunResult)
+ * @returns {Object} The result without stdout and stderr
+ */
+function withoutOutput(result) {
+  const summary = { ...result };
+  delete summary.stdout;
+  delete summary.stderr;
+  return summary;
 }
 
 /**
- * Code Execution Helper
- * Manages the complete lifecycle of code execution with proper security measures
+ * Ends a streamed run that never started, reporting why through the usual
+ * run-stderr and run-exit events
  *
- * @param {string} language - Programming language identifier
- * @param {string} code - Source code to execute
- * @param {string} filename - Temporary file path for code storage
- * @param {string|null} outputExe - Output executable path for compiled languages
- * @returns {Promise<string>} Execution output or error message
- * @throws {Error} If dependency installation or execution fails
+ * @param {Object} socket - Client socket
+ * @param {string} runId - Run identifier
+ * @param {string} message - Reason shown to the user
+ * @param {boolean} [killed=false] - Whether the user stopped the run
  */
+function emitRunRejected(socket, runId, message, killed = false) {
+  socket.emit("run-stderr", { runId, data: message });
+  socket.emit("run-exit", {
+    runId,
+    killed,
+    queue: null,
+    ...withoutOutput(toSetupFailure(message)),
+  });
+}
+
 /**
- * Executes code in a specified programming language with safety measures
- * 
- * @async
- * @function executeCode
- * @param {string} language - Programming language (python, javascript, java, cpp, c)
- * @param {string} code - Source code to execute
- * @param {string} filename - Name of the file to create and execute
- * @param {string} [outputExe=null] - Optional output executable name for compiled languages
- * @returns {Promise<Object>} Execution result containing output and any errors
- * @throws {Error} If execution fails, times out, or language is not supported
- * 
- * @description
- * This function handles the complete code execution lifecycle:
- * 1. Input Validation & Security Checks
- *    - Verifies language support
- *    - Validates code length and content
- *    - Checks for malicious patterns
- * 
- * 2. Environment Preparation
- *    - Creates isolated execution directory
- *    - Sets up language-specific environment
- *    - Manages file creation and permissions
- * 
- * 3. Execution Process
- *    - Handles compilation for compiled languages
- *    - Executes code with timeout protection
- *    - Captures output and errors
- * 
- * 4. Cleanup & Resource Management
- *    - Removes temporary files
- *    - Kills any hanging processes
- *    - Cleans up execution environment
- * 
- * 5. Error Handling
- *    - Provides detailed error messages
- *    - Handles language-specific error formats
- *    - Implements graceful failure recovery
+ * Stops a streamed run, whether it is still queued or already running
+ * @param {Object} run - Entry from the socket's live runs
  */
-async function executeCode(language, code, filename, outputExe = null) {
-  const config = languageConfigs[language];
+function killLiveRun(run) {
+  run.killed = true;
+  if (run.job) run.job.cancel();
+  if (run.handle) run.handle.kill();
+}
 
-  // Step 1: Dependency Management
-  try {
-    await handleDependencies(language, code);
-  } catch (error) {
-    throw new Error(`Dependency Error: ${error.message}`);
-  }
+/**
+ * === Debug Sessions over Socket.IO ===
+ * Runs a program under a debugger (see runner/debugger.js) so the client
+ * can set breakpoints, step through it and look at its call stack and
+ * local variables. A session started in a collaboration room belongs to
+ * the room: every participant who joined it sees the same paused line and
+ * may drive the session.
+ *
+ * Client -> server:
+ * - debug-start { debugId?, roomId?, language, code | files + entry, stdin,
+ *   args, compilerOptions, sessionId, breakpoints, stopOnEntry }
+ *   (ack: { debugId }). breakpoints are lines of the entry file, or
+ *   { file: [lines] } for a project; stopOnEntry defaults to true when
+ *   there are none
+ * - debug-join { roomId } to follow the room's session
+ * - debug-command { debugId, action } - "continue", "next", "step" or "out"
+ * - debug-breakpoints { debugId, file?, lines } (file defaults to the entry)
+ * - debug-stop { debugId }
+ * Server -> client (the room's participants, or just the client):
+ * - debug-started { debugId, language, entry, roomId }
+ * - debug-breakpoints { debugId, file, lines }
+ * - debug-paused { debugId, reason, file, line, stack, locals } where
+ *   reason is "entry", "breakpoint", "step" or "exception"
+ * - debug-resumed { debugId }
+ * - debug-output { debugId, stream, data }
+ * - debug-message { debugId, text }
+ * - debug-ended { debugId, exitCode, error } (exactly once per session)
+ *
+ * Debug sessions wait for people rather than for the CPU, so they do not
+ * take a slot in the execution queue; SECURITY_CONFIG.debug bounds them.
+ */
 
-  // Step 2: Compilation and Execution
-  if (Array.isArray(config.compileCommand(filename, outputExe))) {
-    // Handle compiled languages (C, C++, Java)
-    const [compileCmd, runCmd] = config.compileCommand(filename, outputExe);
+// Sessions by id
+const debugSessions = new Map();
 
-    // Configure separate timeouts for compilation and runtime
-    const compileTimeout =
-      typeof config.timeout === "object"
-        ? config.timeout.compile
-        : config.timeout;
-    const runTimeout =
-      typeof config.timeout === "object" ? config.timeout.run : config.timeout;
+/**
+ * Reads the breakpoints of a debug-start request
+ * @param {*} breakpoints - Lines of the entry file, or { file: [lines] }
+ * @param {Object} project - Project from toProject
+ * @returns {Object<string, number[]>} Breakpoints by project file
+ * @throws {Error} If a file is not in the project or a line is invalid
+ */
+function toBreakpoints(breakpoints, project) {
+  if (breakpoints === undefined || breakpoints === null) return {};
+  const byFile = Array.isArray(breakpoints)
+    ? { [project.entry]: breakpoints }
+    : breakpoints;
+  if (typeof byFile !== "object") {
+    throw new Error("breakpoints must be a list of lines or { file: lines }");
+  }
+  Object.entries(byFile).forEach(([file, lines]) =>
+    validateBreakpoints(project, file, lines)
+  );
+  return byFile;
+}
 
-    // Two-step process: Compile then Run
-    await executeWithTimeout(compileCmd, compileTimeout); // Compilation phase
-    return await executeWithTimeout(runCmd, runTimeout); // Execution phase
+/**
+ * Checks the breakpoints of one file
+ * @param {Object} project - Project from toProject
+ * @param {string} file - Project path
+ * @param {*} lines - Requested lines
+ * @throws {Error} If the file is not in the project or a line is invalid
+ */
+function validateBreakpoints(project, file, lines) {
+  if (!Object.prototype.hasOwnProperty.call(project.files, file)) {
+    throw new Error(`No file ${file} in the program`);
   }
+  if (
+    !Array.isArray(lines) ||
+    lines.some((line) => !Number.isInteger(line) || line < 1)
+  ) {
+    throw new Error("Breakpoint lines must be positive integers");
+  }
+}
+
+/**
+ * Sends an event to everyone following a debug session
+ * @param {Object} session - Entry of debugSessions
+ * @param {string} event - Socket event name
+ * @param {Object} [payload={}] - Event data (debugId is added)
+ */
+function emitDebugEvent(session, event, payload = {}) {
+  io.to(session.channel).emit(event, { debugId: session.id, ...payload });
+}
 
-  // Handle interpreted languages (Python, JavaScript)
-  return await executeWithTimeout(
-    config.compileCommand(filename),
-    config.timeout
+/**
+ * Restarts the timer that ends a session nobody drives
+ * @param {Object} session - Entry of debugSessions
+ */
+function touchDebugSession(session) {
+  clearTimeout(session.idleTimer);
+  const { idleTimeoutMs } = SECURITY_CONFIG.debug;
+  session.idleTimer = setTimeout(
+    () =>
+      stopDebugSession(
+        session,
+        `Debug session ended after ${Math.round(idleTimeoutMs / 60000)} minutes without activity`
+      ),
+    idleTimeoutMs
   );
 }
 
 /**
- * Main Code Execution Handler
- * Processes incoming code execution requests and manages the execution lifecycle
- *
- * Security measures:
- * - Input validation
- * - Resource limits
- * - File system isolation
- * - Process timeout enforcement
- * - Proper cleanup
- *
- * @param {string} language - Programming language to use
- * @param {string} code - Source code to execute
- * @param {Response} res - Express response object
- * @returns {Promise<void>}
+ * Ends a debug session, whatever it is doing
+ * @param {Object} session - Entry of debugSessions
+ * @param {string|null} [reason=null] - Why, for debug-ended; null when a
+ *        participant stopped it
  */
+function stopDebugSession(session, reason = null) {
+  if (session.stopped) return;
+  session.stopped = { reason };
+  if (session.handle) session.handle.kill();
+}
+
 /**
- * Generic handler for code execution across all supported languages
- * 
- * @async
- * @function handleCodeExecution
- * @param {string} language - Programming language identifier (python, javascript, java, cpp, c)
- * @param {string} code - Source code to execute
- * @param {Object} res - Express response object for sending results
- * @returns {Promise<void>} Sends execution results through response object
- * 
- * @description
- * This handler manages the complete code execution lifecycle:
- * 
- * 1. Request Processing
- *    - Validates input parameters
- *    - Sanitizes code content
- *    - Checks language support
- * 
- * 2. Security Measures
- *    - Rate limiting
- *    - Code size restrictions
- *    - Malicious code detection
- * 
- * 3. Execution Flow
- *    - Creates temporary files
- *    - Manages compilation (if needed)
- *    - Handles execution
- *    - Captures output
- * 
- * 4. Response Handling
- *    - Formats execution results
- *    - Includes compilation errors
- *    - Streams output for long-running processes
- * 
- * 5. Error Management
- *    - Graceful error handling
- *    - Detailed error messages
- *    - Resource cleanup
+ * Forwards a driver event to the session's participants
+ * @param {Object} session - Entry of debugSessions
+ * @param {Object} event - Event from the debug driver
  */
-async function handleCodeExecution(language, code, res) {
-  // Input validation
-  if (!code) {
-    return res.status(400).json({ error: "No code provided" });
+function onDebugEvent(session, event) {
+  const { type, ...details } = event;
+  switch (type) {
+    case "paused":
+      session.paused = details;
+      emitDebugEvent(session, "debug-paused", details);
+      break;
+    case "resumed":
+      session.paused = null;
+      emitDebugEvent(session, "debug-resumed");
+      break;
+    case "output": {
+      const limit = SECURITY_CONFIG.debug.maxOutputKb * 1024;
+      if (session.outputBytes >= limit) return;
+      session.outputBytes += Buffer.byteLength(details.data);
+      const data =
+        session.outputBytes < limit
+          ? details.data
+          : `${details.data}\n[output truncated after ${SECURITY_CONFIG.debug.maxOutputKb} KB]\n`;
+      emitDebugEvent(session, "debug-output", { stream: details.stream, data });
+      break;
+    }
+    case "message":
+      emitDebugEvent(session, "debug-message", details);
+      break;
+    case "exited":
+      // gdb and jdb outlive the program; it is over for the participants
+      session.exitCode = details.exitCode;
+      session.paused = null;
+      if (session.handle) session.handle.kill();
+      break;
+    default:
+      break;
   }
+}
 
-  // Initialize execution context
+/**
+ * Builds a program and debugs it until it exits or the session is stopped
+ *
+ * @async
+ * @function runDebugSession
+ * @param {Object} session - Entry of debugSessions
+ * @param {Object} request - Validated debug-start request
+ * @returns {Promise<void>} Resolves after debug-ended has been emitted
+ *
+ * @description
+ * Follows the steps of streamExecution with a debug build (debug info, no
+ * optimization, no warm worker), then starts the language's debugger in
+ * the sandbox with two extra pipes for the driver. Programs under gdb and
+ * jdb read their input from a file, as the debugger owns stdin.
+ */
+async function runDebugSession(session, request) {
+  const { language, code, files, entry, stdin = "", args = [] } = request;
   const config = languageConfigs[language];
-  const filename = getTempFile(language); // Create isolated file
-  const filesToCleanup = [filename]; // Track files for cleanup
+  let context = null;
+  let result = null;
+  let error = null;
 
   try {
-    // Write code to temporary file with proper permissions
-    fs.writeFileSync(filename, code, { mode: 0o644 });
+    const project = toProject(language, config, { code, files, entry });
+    const breakpoints = toBreakpoints(request.breakpoints, project);
+    const stopOnEntry =
+      typeof request.stopOnEntry === "boolean"
+        ? request.stopOnEntry
+        : Object.values(breakpoints).every((lines) => lines.length === 0);
+    session.entry = project.entry;
+    session.project = project;
+    session.breakpoints = breakpoints;
+    emitDebugEvent(session, "debug-started", {
+      language,
+      entry: project.entry,
+      roomId: session.roomId,
+    });
+    Object.entries(breakpoints).forEach(([file, lines]) =>
+      emitDebugEvent(session, "debug-breakpoints", { file, lines })
+    );
 
-    // Special handling for Java files
-    if (language === "java") {
-      // Extract public class name (Java requirement)
-      const classMatch = code.match(/public\s+class\s+(\w+)/);
-      if (!classMatch) {
-        return res.json({
-          error: "Compilation Error",
-          output:
-            "Error: No public class found in the code. Java requires one public class.",
+    let environment;
+    try {
+      environment = await handleDependencies(
+        language,
+        project,
+        request.sessionId
+      );
+    } catch (dependencyError) {
+      throw new Error(`Dependency Error: ${dependencyError.message}`);
+    }
+    if (session.stopped) {
+      if (environment) environment.release();
+      return;
+    }
+    // The debugger's own files (Java's launcher) are built with the program
+    const debugProject = {
+      ...project,
+      files: { ...project.files, ...(config.debugger.files || {}) },
+    };
+    context = prepareSource(language, debugProject, {
+      args,
+      compilerOptions: request.compilerOptions,
+      environment,
+      debug: true,
+    });
+
+    const { compiled } = await buildProgram(
+      language,
+      debugProject,
+      context,
+      (handle) => {
+        session.handle = handle;
+      }
+    );
+    if (compiled && compiled.error) {
+      if (!session.stopped) {
+        onDebugEvent(session, {
+          type: "output",
+          stream: "stderr",
+          data: compiled.stderr || compiled.error,
         });
       }
+      error = "Compilation failed";
+      return;
+    }
+    if (session.stopped) return;
 
-      // Rename file to match public class name (Java requirement)
-      const className = classMatch[1];
-      const javaFile = path.join(path.dirname(filename), `${className}.java`);
-      fs.renameSync(filename, javaFile);
-
-      // Update cleanup tracking
-      filesToCleanup[0] = javaFile;
-      filesToCleanup.push(
-        path.join(path.dirname(javaFile), `${className}.class`)
-      );
-      const output = await executeCode(language, code, javaFile);
-      res.json({ output });
-    } else if (language === "cpp") {
-      const outputExe = getTempFile("exe");
-      filesToCleanup.push(outputExe);
-      const output = await executeCode(language, code, filename, outputExe);
-      res.json({ output });
-    } else {
-      const output = await executeCode(language, code, filename);
-      res.json({ output });
+    const { protocol } = config.debugger;
+    if (protocol !== "agent") {
+      sandbox.writeFiles(context.dir, { [STDIN_FILE]: stdin });
     }
-  } catch (error) {
-    res.json({ output: error.message || error });
+    const driver = createDebugDriver(protocol, {
+      dir: context.dir,
+      sources: project.files,
+      args,
+      className: context.className,
+      onEvent: (event) => onDebugEvent(session, event),
+    });
+    const { command, options } = sandbox.prepare(
+      language,
+      "debug",
+      config.debugger.command(context),
+      context.dir,
+      {
+        env:
+          context.packageDir && config.environment.variables
+            ? config.environment.variables(context.packageDir)
+            : {},
+      }
+    );
+    session.handle = startProcess(command, {
+      ...options,
+      timeout: SECURITY_CONFIG.debug.sessionTimeoutMs,
+      // Agents leave stdin to the program; gdb and jdb read commands there
+      input: protocol === "agent" ? stdin : null,
+      extraPipes: 2,
+      onStdout: (data) => driver.onStdout(data),
+      onStderr: (data) => driver.onStderr(data),
+    });
+    session.driver = driver;
+    driver.attach(session.handle.child);
+    // Breakpoints may have changed while the program was built
+    driver.start({
+      breakpoints: session.breakpoints,
+      stopOnEntry,
+      entryLine: config.debugger.entryLine
+        ? config.debugger.entryLine(project.files[project.entry])
+        : null,
+    });
+    result = await session.handle.done;
+    if (result.timedOut) {
+      const minutes = Math.round(SECURITY_CONFIG.debug.sessionTimeoutMs / 60000);
+      error = `Debug session timed out after ${minutes} minutes`;
+    } else if (result.outputTruncated) {
+      error = result.error;
+    }
+  } catch (sessionError) {
+    error = sessionError.message || String(sessionError);
   } finally {
-    cleanup(filesToCleanup);
+    clearTimeout(session.idleTimer);
+    if (context) disposeSource(context);
+    debugSessions.delete(session.id);
+    if (session.stopped) error = session.stopped.reason;
+    const exitCode =
+      session.exitCode !== undefined
+        ? session.exitCode
+        : result && config.debugger.protocol === "agent"
+          ? result.exitCode
+          : null;
+    emitDebugEvent(session, "debug-ended", { exitCode, error });
   }
 }
 
-// Language-specific endpoints
-app.post("/run-python", (req, res) =>
-  handleCodeExecution("python", req.body.code, res)
-);
-
-// C language endpoint
-app.post("/run-c", (req, res) => handleCodeExecution("c", req.body.code, res));
-
-// C++ language endpoint
-app.post("/run-cpp", (req, res) =>
-  handleCodeExecution("cpp", req.body.code, res)
-);
-
-// JavaScript language endpoint
-app.post("/run-javascript", (req, res) =>
-  handleCodeExecution("javascript", req.body.code, res)
-);
+/**
+ * Checks a debug-start request
+ * @param {Object} body - Request (see the section comment)
+ * @param {string} socketId - Id of the requesting socket
+ * @returns {string|null} Error message, or null when the session may start
+ */
+function validateDebugRequest(body, socketId) {
+  const runError = validateRunRequest(body);
+  if (runError) return runError;
+  const config = languageConfigs[body.language];
+  if (!hasDebugger(config)) {
+    return `Debugging is not available for ${config.name}`;
+  }
+  const { roomId, stopOnEntry } = body;
+  if (
+    roomId !== undefined &&
+    (typeof roomId !== "string" || !/^[\w-]{1,128}$/.test(roomId))
+  ) {
+    return "roomId must be up to 128 letters, digits, '_' or '-'";
+  }
+  if (stopOnEntry !== undefined && typeof stopOnEntry !== "boolean") {
+    return "stopOnEntry must be true or false";
+  }
+  const sessions = [...debugSessions.values()];
+  if (sessions.some((session) => session.owner === socketId)) {
+    return "You are already debugging a program";
+  }
+  if (roomId && sessions.some((session) => session.roomId === roomId)) {
+    return "This room is already debugging a program";
+  }
+  if (sessions.length >= SECURITY_CONFIG.debug.maxSessions) {
+    return "Too many debug sessions are running; try again later";
+  }
+  return null;
+}
 
-// Java language endpoint
-app.post("/run-java", (req, res) =>
-  handleCodeExecution("java", req.body.code, res)
-);
+/**
+ * Finds a session the socket may drive
+ * @param {Object} socket - Client socket
+ * @param {string} debugId - Session id
+ * @returns {Object|null} Entry of debugSessions, or null
+ */
+function debugSessionOf(socket, debugId) {
+  const session = debugSessions.get(debugId);
+  return session && socket.rooms.has(session.channel) ? session : null;
+}
 
 // Track online users
 const onlineUsers = new Map(); // userId -> socket.id
@@ -2331,6 +2772,172 @@ io.on("connection", (socket) => {
     });
   });
 
+  // Programs this client is running with live output: runId -> run
+  const liveRuns = new Map();
+
+  // Run code and stream its output back as it is produced
+  socket.on("run-code", (request, ack) => {
+    const body = request || {};
+    const runId =
+      typeof body.runId === "string" && body.runId
+        ? body.runId
+        : crypto.randomUUID();
+    if (typeof ack === "function") ack({ runId });
+
+    let validationError =
+      validateRunRequest(body) ||
+      validateMemcheck(body.language, body.memcheck, body.compilerOptions);
+    if (!validationError && liveRuns.has(runId)) {
+      validationError = `Run ${runId} is already active`;
+    }
+    if (!validationError && liveRuns.size >= SECURITY_CONFIG.maxLiveRuns) {
+      validationError = `At most ${SECURITY_CONFIG.maxLiveRuns} programs can run at once`;
+    }
+    if (validationError) {
+      emitRunRejected(socket, runId, validationError);
+      return;
+    }
+
+    const run = { job: null, handle: null, killed: false };
+    try {
+      run.job = executionQueue.submit(socket.handshake.address, (queue) =>
+        streamExecution(socket, runId, body, run, queue)
+      );
+    } catch (error) {
+      if (error.code !== "QUEUE_FULL") throw error;
+      emitRunRejected(socket, runId, error.message);
+      return;
+    }
+
+    liveRuns.set(runId, run);
+    if (run.job.position > 0) {
+      socket.emit("run-queued", { runId, position: run.job.position });
+    }
+    run.job.done
+      .catch((error) => {
+        if (error.code === "CANCELLED") {
+          emitRunRejected(socket, runId, "Stopped while queued", true);
+        } else {
+          console.error(`Streamed run ${runId} failed:`, error);
+        }
+      })
+      .finally(() => liveRuns.delete(runId));
+  });
+
+  // Stop a streamed run early
+  socket.on("run-kill", ({ runId } = {}) => {
+    const run = liveRuns.get(runId);
+    if (run) killLiveRun(run);
+  });
+
+  // Debug a program step by step (see Debug Sessions above)
+  socket.on("debug-start", (request, ack) => {
+    const body = request || {};
+    const debugId =
+      typeof body.debugId === "string" && body.debugId
+        ? body.debugId
+        : crypto.randomUUID();
+    if (typeof ack === "function") ack({ debugId });
+
+    let validationError = validateDebugRequest(body, socket.id);
+    if (!validationError && debugSessions.has(debugId)) {
+      validationError = `Debug session ${debugId} is already active`;
+    }
+    if (validationError) {
+      socket.emit("debug-ended", {
+        debugId,
+        exitCode: null,
+        error: validationError,
+      });
+      return;
+    }
+
+    const roomId = body.roomId || null;
+    const session = {
+      id: debugId,
+      language: body.language,
+      roomId,
+      owner: socket.id,
+      // Everyone following the session: the room, or just this client
+      channel: roomId ? `debug:${roomId}` : socket.id,
+      entry: null,
+      project: null,
+      breakpoints: {},
+      paused: null,
+      driver: null,
+      handle: null,
+      outputBytes: 0,
+      idleTimer: null,
+      stopped: null,
+    };
+    socket.join(session.channel);
+    debugSessions.set(debugId, session);
+    touchDebugSession(session);
+    runDebugSession(session, body).catch((error) => {
+      console.error(`Debug session ${debugId} failed:`, error);
+    });
+  });
+
+  // Follow a room's debug sessions, catching up with one in progress
+  socket.on("debug-join", ({ roomId } = {}) => {
+    if (typeof roomId !== "string" || !/^[\w-]{1,128}$/.test(roomId)) return;
+    socket.join(`debug:${roomId}`);
+    const session = [...debugSessions.values()].find(
+      (candidate) => candidate.roomId === roomId
+    );
+    if (!session || !session.entry) return;
+    const debugId = session.id;
+    socket.emit("debug-started", {
+      debugId,
+      language: session.language,
+      entry: session.entry,
+      roomId,
+    });
+    Object.entries(session.breakpoints).forEach(([file, lines]) => {
+      socket.emit("debug-breakpoints", { debugId, file, lines });
+    });
+    if (session.paused) {
+      socket.emit("debug-paused", { debugId, ...session.paused });
+    }
+  });
+
+  // Continue or step a paused program
+  socket.on("debug-command", ({ debugId, action } = {}) => {
+    const session = debugSessionOf(socket, debugId);
+    if (!session || !session.driver || !RESUME_ACTIONS.includes(action)) {
+      return;
+    }
+    touchDebugSession(session);
+    session.driver.resume(action);
+  });
+
+  // Replace the breakpoints of a file, also while the program runs
+  socket.on("debug-breakpoints", ({ debugId, file, lines } = {}) => {
+    const session = debugSessionOf(socket, debugId);
+    if (!session || !session.project) return;
+    const target = file === undefined ? session.entry : file;
+    try {
+      validateBreakpoints(session.project, target, lines);
+    } catch (error) {
+      socket.emit("debug-message", { debugId, text: error.message });
+      return;
+    }
+    touchDebugSession(session);
+    const sorted = [...new Set(lines)].sort((a, b) => a - b);
+    session.breakpoints[target] = sorted;
+    if (session.driver) session.driver.setBreakpoints(target, sorted);
+    emitDebugEvent(session, "debug-breakpoints", {
+      file: target,
+      lines: sorted,
+    });
+  });
+
+  // End a debug session
+  socket.on("debug-stop", ({ debugId } = {}) => {
+    const session = debugSessionOf(socket, debugId);
+    if (session) stopDebugSession(session);
+  });
+
   // Handle room code updates
   socket.on("code-update", ({ roomId, code, language }) => {
     socket.to(roomId).emit("code-update", { code, language });
@@ -2338,6 +2945,15 @@ io.on("connection", (socket) => {
 
   // Handle disconnection
   socket.on("disconnect", () => {
+    // Nobody is left to read the output of this client's programs
+    liveRuns.forEach(killLiveRun);
+    // Debug sessions end once nobody follows them
+    debugSessions.forEach((session) => {
+      if (!io.sockets.adapter.rooms.has(session.channel)) {
+        stopDebugSession(session, "Everyone left the debug session");
+      }
+    });
+
     // Remove user from online users
     for (const [userId, data] of onlineUsers.entries()) {
       if (data.socketId === socket.id) {
@@ -2366,4 +2982,23 @@ io.on("connection", (socket) => {
 // Use httpServer instead of app.listen
 httpServer.listen(PORT, () => {
   console.log(`C runner backend listening on port ${PORT}`);
+  listToolchains().forEach(({ name, available, banner, error }) => {
+    console.log(
+      available ? `  ${name}: ${banner}` : `  ${name}: unavailable (${error})`
+    );
+  });
+});
+
+// Programs run in their own process groups, so they would outlive the runner
+["SIGINT", "SIGTERM"].forEach((signal) => {
+  process.on(signal, () => {
+    liveProcessGroups().forEach((pgid) => {
+      try {
+        process.kill(-pgid, "SIGKILL");
+      } catch (error) {
+        // Already gone
+      }
+    });
+    process.exit(0);
+  });
 });
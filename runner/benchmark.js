@@ -0,0 +1,303 @@
+/**
+ * Benchmark Inputs and Complexity Fitting
+ *
+ * A benchmark runs a solution on generated inputs of growing size n and
+ * fits its run times to the usual complexity classes.
+ *
+ * Inputs come from a template, so large inputs never travel over HTTP:
+ * text with placeholders that are replaced for each n -
+ * - {n}: n itself
+ * - {int LO HI}: one random integer from LO to HI
+ * - {ints LO HI}: n random integers from LO to HI, separated by spaces
+ * - {perm}: the numbers 1..n, shuffled, separated by spaces
+ * - {word ABC}: n random characters from ABC (default a-z)
+ * e.g. "{n}\n{ints -1000 1000}\n" for "First line: n. Second line: n
+ * integers". The random numbers are seeded, so every run of a benchmark
+ * sees the same inputs.
+ */
+
+const PLACEHOLDER = /\{(\w+)((?:[ \t]+[^\s{}]+)*)[ \t]*\}/g;
+
+/**
+ * Arguments each placeholder takes: "int" (a number), "text" (a word)
+ * @constant {Object<string, string[][]>} PLACEHOLDERS - Allowed argument
+ *           lists per placeholder
+ */
+const PLACEHOLDERS = {
+  n: [[]],
+  int: [["int", "int"]],
+  ints: [["int", "int"]],
+  perm: [[]],
+  word: [[], ["text"]],
+};
+
+/**
+ * Complexity classes a benchmark is fitted to, fastest growing last
+ * @constant {Array<{name: string, f: function(number): number}>}
+ */
+const COMPLEXITY_MODELS = [
+  { name: "O(log n)", f: (n) => Math.log2(n) },
+  { name: "O(n)", f: (n) => n },
+  { name: "O(n log n)", f: (n) => n * Math.log2(n) },
+  { name: "O(n²)", f: (n) => n * n },
+  { name: "O(n³)", f: (n) => n * n * n },
+];
+
+// Times closer together than this (ms, or share of their mean) are O(1):
+// starting a process alone varies by a few milliseconds
+const CONSTANT_SPREAD_MS = 10;
+const CONSTANT_SPREAD_RATIO = 0.1;
+// Classes whose r2 is this close to the best one's fit about as well: over
+// the sizes a benchmark can afford, n and n log n differ by a small factor
+const R2_TOLERANCE = 0.01;
+
+/**
+ * Lists the placeholders of a template
+ * @param {string} template - Input template
+ * @returns {Array<{name: string, args: string[], match: string}>} Each
+ *          placeholder in order
+ */
+function placeholders(template) {
+  return [...template.matchAll(PLACEHOLDER)].map(([match, name, args]) => ({
+    name,
+    args: args.trim() ? args.trim().split(/\s+/) : [],
+    match,
+  }));
+}
+
+/**
+ * Bounds the length of the input a template generates
+ * @param {string} template - Validated input template
+ * @param {number} n - Input size
+ * @returns {number} Most characters the input can have
+ */
+function maxInputLength(template, n) {
+  const digits = String(n).length;
+  return placeholders(template).reduce((length, { name, args, match }) => {
+    const widest = Math.max(0, ...args.map((arg) => arg.length));
+    const lengths = {
+      n: digits,
+      int: widest,
+      ints: n * (widest + 1),
+      perm: n * (digits + 1),
+      word: n,
+    };
+    return length - match.length + lengths[name];
+  }, template.length);
+}
+
+/**
+ * Checks a benchmark's input generator
+ *
+ * @param {*} generator - Requested { template, sizes, seed? }
+ * @param {Object} limits - { maxTemplateLength, minSizes, maxSizes,
+ *        maxSize, maxInputMb }
+ * @returns {string|null} Error message, or null when it is valid
+ */
+function validateGenerator(generator, limits) {
+  if (!generator || typeof generator !== "object") {
+    return "generator must be an object { template, sizes }";
+  }
+  const { template, sizes, seed } = generator;
+  if (
+    typeof template !== "string" ||
+    template.length === 0 ||
+    template.length > limits.maxTemplateLength
+  ) {
+    return `generator.template must be a string of 1 to ${limits.maxTemplateLength} characters`;
+  }
+  for (const { name, args, match } of placeholders(template)) {
+    const forms = PLACEHOLDERS[name];
+    if (!forms) return `Unknown placeholder ${match}`;
+    const form = forms.find((types) => types.length === args.length);
+    if (!form) return `Wrong number of arguments in ${match}`;
+    if (
+      form.some(
+        (type, index) => type === "int" && !/^-?\d{1,15}$/.test(args[index])
+      )
+    ) {
+      return `Arguments of ${match} must be integers`;
+    }
+    if (form[0] === "int" && Number(args[0]) > Number(args[1])) {
+      return `The range of ${match} is empty`;
+    }
+  }
+  if (
+    !Array.isArray(sizes) ||
+    sizes.length < limits.minSizes ||
+    sizes.length > limits.maxSizes
+  ) {
+    return `generator.sizes must list ${limits.minSizes} to ${limits.maxSizes} sizes`;
+  }
+  if (
+    sizes.some(
+      (n, index) =>
+        !Number.isInteger(n) ||
+        n < 1 ||
+        n > limits.maxSize ||
+        (index > 0 && n <= sizes[index - 1])
+    )
+  ) {
+    return `generator.sizes must be increasing integers from 1 to ${limits.maxSize}`;
+  }
+  // Inputs grow with n, so the largest size bounds them all
+  const largest = sizes[sizes.length - 1];
+  if (maxInputLength(template, largest) > limits.maxInputMb * 1024 * 1024) {
+    return `The input for n = ${largest} would exceed ${limits.maxInputMb} MB`;
+  }
+  if (seed !== undefined && !Number.isInteger(seed)) {
+    return "generator.seed must be an integer";
+  }
+  return null;
+}
+
+/**
+ * Creates a seeded random number generator (mulberry32)
+ * @param {number} seed - Seed
+ * @returns {function(): number} Returns numbers in [0, 1)
+ */
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Generates the input of size n from a validated template
+ *
+ * @param {string} template - Input template (see validateGenerator)
+ * @param {number} n - Input size
+ * @param {number} [seed=1] - Seed of the random numbers
+ * @returns {string} The input
+ */
+function generateInput(template, n, seed = 1) {
+  const random = seededRandom(seed);
+  const integer = (low, high) => low + Math.floor(random() * (high - low + 1));
+  return template.replace(PLACEHOLDER, (match, name, rawArgs) => {
+    const args = rawArgs.trim() ? rawArgs.trim().split(/\s+/) : [];
+    switch (name) {
+      case "n":
+        return String(n);
+      case "int":
+        return String(integer(Number(args[0]), Number(args[1])));
+      case "ints":
+        return Array.from({ length: n }, () =>
+          integer(Number(args[0]), Number(args[1]))
+        ).join(" ");
+      case "perm": {
+        const values = Array.from({ length: n }, (_, index) => index + 1);
+        for (let i = n - 1; i > 0; i--) {
+          const j = integer(0, i);
+          [values[i], values[j]] = [values[j], values[i]];
+        }
+        return values.join(" ");
+      }
+      default: {
+        const alphabet = args[0] || "abcdefghijklmnopqrstuvwxyz";
+        let word = "";
+        for (let i = 0; i < n; i++) {
+          word += alphabet[integer(0, alphabet.length - 1)];
+        }
+        return word;
+      }
+    }
+  });
+}
+
+/**
+ * Fits y = a + b * x by least squares
+ * @param {number[]} xs - Inputs
+ * @param {number[]} ys - Measurements
+ * @returns {{a: number, b: number, r2: number}} Coefficients and the
+ *          coefficient of determination
+ */
+function linearFit(xs, ys) {
+  const count = xs.length;
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / count;
+  const meanY = ys.reduce((sum, y) => sum + y, 0) / count;
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  for (let i = 0; i < count; i++) {
+    sxx += (xs[i] - meanX) ** 2;
+    sxy += (xs[i] - meanX) * (ys[i] - meanY);
+    syy += (ys[i] - meanY) ** 2;
+  }
+  const b = sxx === 0 ? 0 : sxy / sxx;
+  const a = meanY - b * meanX;
+  const residual = xs.reduce(
+    (sum, x, i) => sum + (ys[i] - (a + b * x)) ** 2,
+    0
+  );
+  return { a, b, r2: syy === 0 ? 1 : 1 - residual / syy };
+}
+
+/**
+ * Estimates a complexity class from run times
+ *
+ * @param {Array<{n: number, ms: number}>} points - Time per input size
+ * @returns {Object|null} { best, fits, alternatives } where fits lists
+ *          every class as { name, r2, predict } (predict(n) gives the fitted
+ *          time), the estimate first and then by r2 (r2 is null for O(1)),
+ *          best is the name of the first and alternatives names the other
+ *          classes that fit about as well; null with fewer than 3 points
+ *
+ * @description
+ * Each class is fitted as time = a + b * f(n), a being the start-up time
+ * of the program. A class that only fits with time falling as n grows is
+ * ranked last. Times that barely change are O(1). Reading the input counts
+ * too, so a solution faster than its input (O(log n) on n numbers) fits
+ * O(n). Neighbouring classes such as O(n) and O(n log n) fit almost equally
+ * well over a short range of n: of the classes within R2_TOLERANCE of the
+ * best r2, the slowest growing is the estimate, and the others are its
+ * alternatives.
+ */
+function fitComplexity(points) {
+  if (points.length < 3) return null;
+  const ns = points.map((point) => point.n);
+  const ms = points.map((point) => point.ms);
+  const mean = ms.reduce((sum, value) => sum + value, 0) / ms.length;
+  const spread = Math.max(...ms) - Math.min(...ms);
+
+  const fits = COMPLEXITY_MODELS.map(({ name, f }) => {
+    const { a, b, r2 } = linearFit(ns.map(f), ms);
+    return {
+      name,
+      r2: b > 0 ? r2 : -Infinity,
+      predict: (n) => a + b * f(n),
+    };
+  }).sort((x, y) => y.r2 - x.r2);
+
+  if (spread <= Math.max(CONSTANT_SPREAD_MS, CONSTANT_SPREAD_RATIO * mean)) {
+    fits.unshift({ name: "O(1)", r2: null, predict: () => mean });
+    return { best: "O(1)", fits, alternatives: [] };
+  }
+
+  const close = fits.filter(
+    (fit) => fit.r2 > -Infinity && fit.r2 >= fits[0].r2 - R2_TOLERANCE
+  );
+  // COMPLEXITY_MODELS lists the slowest growing class first
+  const estimate = COMPLEXITY_MODELS.map(({ name }) =>
+    close.find((fit) => fit.name === name)
+  ).find(Boolean);
+  if (!estimate) return { best: fits[0].name, fits, alternatives: [] };
+  return {
+    best: estimate.name,
+    fits: [estimate, ...fits.filter((fit) => fit !== estimate)],
+    alternatives: close
+      .filter((fit) => fit !== estimate)
+      .map((fit) => fit.name),
+  };
+}
+
+module.exports = {
+  COMPLEXITY_MODELS,
+  validateGenerator,
+  generateInput,
+  fitComplexity,
+};
@@ -0,0 +1,39 @@
+/**
+ * Complexity fitting
+ *
+ * Run with `npm run test:runner`.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { fitComplexity } = require("./benchmark");
+
+const SIZES = [100000, 200000, 400000, 800000, 1600000];
+// Measurement noise per size, as a factor; it makes a linear series fit
+// O(n log n) slightly better than O(n)
+const NOISE = [1, 0.97, 0.98, 1, 1.03];
+
+test("a linear solution is estimated O(n), not the nearly as close O(n log n)", () => {
+  const points = SIZES.map((n, index) => ({
+    n,
+    ms: 10 + (n / 10000) * NOISE[index],
+  }));
+  const { best, alternatives } = fitComplexity(points);
+  assert.strictEqual(best, "O(n)");
+  assert.deepStrictEqual(alternatives, ["O(n log n)"]);
+});
+
+test("a quadratic solution is estimated O(n²)", () => {
+  const points = SIZES.map((n, index) => ({
+    n,
+    ms: 10 + (n / 10000) ** 2 * NOISE[index],
+  }));
+  const { best, alternatives } = fitComplexity(points);
+  assert.strictEqual(best, "O(n²)");
+  assert.deepStrictEqual(alternatives, []);
+});
+
+test("times that barely change are O(1)", () => {
+  const points = SIZES.map((n, index) => ({ n, ms: 20 * NOISE[index] }));
+  assert.strictEqual(fitComplexity(points).best, "O(1)");
+});
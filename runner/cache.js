@@ -0,0 +1,216 @@
+/**
+ * Compilation Cache
+ *
+ * Keeps the build output of compiled programs on disk so running the
+ * same source again skips the compiler:
+ * - Entries are keyed by a hash of the source, the full compile command
+ *   (flags included) and the toolchain's version banner
+ * - Each entry stores every file the compiler wrote into the run directory
+ *   (the executable, or the .class files) plus the compiler's stderr
+ * - Least recently used entries are evicted once the cache exceeds its size cap
+ *
+ * Entries are written to a temporary directory and renamed into place, so
+ * a crash never leaves a half-written build behind.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const MB = 1024 * 1024;
+
+// Stands in for the random run directory inside hashed commands and stored logs
+const RUN_DIR_PLACEHOLDER = "<run-dir>";
+
+/**
+ * Sums the size of every file below a directory
+ * @param {string} dir - Directory to measure
+ * @returns {number} Size in bytes
+ */
+function directorySize(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).reduce((total, entry) => {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) return total + directorySize(entryPath);
+    return total + fs.statSync(entryPath).size;
+  }, 0);
+}
+
+/**
+ * Creates the compilation cache
+ *
+ * @function createCompileCache
+ * @param {Object} cacheConfig - SECURITY_CONFIG.compileCache
+ * @param {boolean} cacheConfig.enabled - Turns the cache off entirely when false
+ * @param {string} cacheConfig.path - Directory holding the entries
+ * @param {number} cacheConfig.maxSizeMb - Total size cap
+ * @param {function(string): string} versionOf - Version banner of a
+ *        language's toolchain, so upgrading a compiler invalidates its builds
+ * @returns {Object} { keyFor, restore, store, stats }
+ */
+function createCompileCache(cacheConfig, versionOf) {
+  const { enabled, maxSizeMb } = cacheConfig;
+  const root = cacheConfig.path;
+
+  // key -> size in bytes; Map order is least to most recently used
+  const entries = new Map();
+  let totalSize = 0;
+  let hits = 0;
+  let misses = 0;
+
+  const entryDir = (key) => path.join(root, key);
+
+  const removeEntry = (key) => {
+    totalSize -= entries.get(key) || 0;
+    entries.delete(key);
+    fs.rmSync(entryDir(key), { recursive: true, force: true });
+  };
+
+  const evict = () => {
+    for (const key of entries.keys()) {
+      if (totalSize <= maxSizeMb * MB) break;
+      removeEntry(key);
+    }
+  };
+
+  if (enabled) {
+    fs.mkdirSync(root, { recursive: true, mode: 0o700 });
+    // Rebuild the index from disk, oldest entries first
+    fs.readdirSync(root, { withFileTypes: true })
+      .filter((entry) => entry.isDirectory())
+      .map((entry) => {
+        const dir = path.join(root, entry.name);
+        if (
+          entry.name.startsWith(".staging-") ||
+          !fs.existsSync(path.join(dir, "build.json"))
+        ) {
+          // Left over from an interrupted store
+          fs.rmSync(dir, { recursive: true, force: true });
+          return null;
+        }
+        return {
+          key: entry.name,
+          size: directorySize(dir),
+          usedAt: fs.statSync(dir).mtimeMs,
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.usedAt - b.usedAt)
+      .forEach(({ key, size }) => {
+        entries.set(key, size);
+        totalSize += size;
+      });
+    evict();
+  }
+
+  return {
+    /**
+     * Computes the cache key of a build
+     *
+     * @param {string} language - Language identifier
+     * @param {string[]} compileCmd - Compile command from the language registry
+     * @param {string} code - Source code (the serialized project)
+     * @param {string} dir - Run directory the command refers to
+     * @returns {string|null} Hex key, or null when the cache is disabled
+     */
+    keyFor(language, compileCmd, code, dir) {
+      if (!enabled) return null;
+      const command = compileCmd.map((arg) =>
+        arg.split(dir).join(RUN_DIR_PLACEHOLDER)
+      );
+      return crypto
+        .createHash("sha256")
+        .update(
+          JSON.stringify({
+            language,
+            command,
+            version: versionOf(language),
+            code,
+          })
+        )
+        .digest("hex");
+    },
+
+    /**
+     * Copies a cached build into a run directory
+     *
+     * @param {string|null} key - Key from keyFor
+     * @param {string} dir - Run directory to fill
+     * @returns {{stderr: string}|null} The original compiler stderr on a hit,
+     *          null on a miss
+     */
+    restore(key, dir) {
+      if (!key || !entries.has(key)) {
+        if (key) misses++;
+        return null;
+      }
+      try {
+        fs.cpSync(path.join(entryDir(key), "files"), dir, { recursive: true });
+        const build = JSON.parse(
+          fs.readFileSync(path.join(entryDir(key), "build.json"), "utf8")
+        );
+        // Mark as most recently used, in memory and for the next startup
+        const size = entries.get(key);
+        entries.delete(key);
+        entries.set(key, size);
+        const now = new Date();
+        fs.utimesSync(entryDir(key), now, now);
+        hits++;
+        return { stderr: build.stderr.split(RUN_DIR_PLACEHOLDER).join(dir) };
+      } catch (error) {
+        console.error(`Dropping unreadable cache entry ${key}:`, error.message);
+        removeEntry(key);
+        misses++;
+        return null;
+      }
+    },
+
+    /**
+     * Saves what a successful compile wrote into the run directory
+     *
+     * @param {string|null} key - Key from keyFor
+     * @param {string} dir - Run directory after compilation
+     * @param {string[]} exclude - Paths that are inputs, not build output
+     * @param {string} stderr - Compiler diagnostics (warnings)
+     */
+    store(key, dir, exclude, stderr) {
+      if (!key || entries.has(key)) return;
+      const staging = fs.mkdtempSync(path.join(root, ".staging-"));
+      try {
+        fs.cpSync(dir, path.join(staging, "files"), {
+          recursive: true,
+          filter: (source) => !exclude.includes(source),
+        });
+        fs.writeFileSync(
+          path.join(staging, "build.json"),
+          JSON.stringify({
+            stderr: stderr.split(dir).join(RUN_DIR_PLACEHOLDER),
+          })
+        );
+        fs.renameSync(staging, entryDir(key));
+      } catch (error) {
+        console.error("Failed to cache build:", error.message);
+        fs.rmSync(staging, { recursive: true, force: true });
+        return;
+      }
+      const size = directorySize(entryDir(key));
+      entries.set(key, size);
+      totalSize += size;
+      evict();
+    },
+
+    /**
+     * Reports cache usage since startup
+     * @returns {{entries: number, sizeMb: number, hits: number, misses: number}}
+     */
+    stats() {
+      return {
+        entries: entries.size,
+        sizeMb: Math.round((totalSize / MB) * 10) / 10,
+        hits,
+        misses,
+      };
+    },
+  };
+}
+
+module.exports = { createCompileCache };
@@ -0,0 +1,1150 @@
+/**
+ * Debugger Drivers
+ *
+ * Debug sessions run a program under a debugger inside the sandbox and
+ * translate what each debugger speaks into one set of events and commands:
+ * - "agent": a small debugger running inside the program's own process,
+ *   for Python (bdb) and JavaScript (the Node inspector, from a worker
+ *   thread). Agents read commands from fd 3 and write events to fd 4, as
+ *   JSON lines, so the program keeps its stdin, stdout and stderr.
+ * - "gdb": gdb's machine interface (`gdb --interpreter=mi2`) for C and C++.
+ *   The program reads its input from a file and writes to fds 3 and 4.
+ * - "jdb": the JDK's command-line debugger for Java, driven through its
+ *   prompts. A launcher class gives the program its input from a file.
+ *
+ * A driver is told to start, to set the breakpoints of a file and to
+ * resume ("continue", "next", "step" or "out"), and reports:
+ * - { type: "paused", file, line, reason, stack, locals }
+ * - { type: "resumed" }
+ * - { type: "output", stream, data } for the program's output
+ * - { type: "message", text } when the debugger refuses a command
+ * - { type: "exited", exitCode } when the debugger outlives the program
+ * Files are project paths ("src/main.c"); lines start at 1.
+ */
+
+const path = require("path");
+const readline = require("readline");
+const acorn = require("acorn");
+
+// Longest variable value sent to the client
+const MAX_VALUE_LENGTH = 200;
+
+// Where gdb and jdb programs read their standard input from
+const STDIN_FILE = ".stdin";
+
+// Commands that let a paused program run
+const RESUME_ACTIONS = ["continue", "next", "step", "out"];
+
+/**
+ * Python debug agent, run with `python -c`: argv is the program's source
+ * and arguments. Waits for a "start" command, then runs the program under
+ * bdb, pausing only in files below the program's directory. A thread reads
+ * the commands; the tracer picks up breakpoint changes as the program runs.
+ */
+const PYTHON_DEBUG_AGENT = [
+  "import bdb, json, os, queue, sys, threading, traceback",
+  "events = os.fdopen(4, 'w')",
+  "inbox = queue.Queue()",
+  "source = os.path.abspath(sys.argv[1])",
+  "root = os.path.dirname(source) + os.sep",
+  "sys.stdout.reconfigure(line_buffering=True)",
+  "",
+  "def send(event):",
+  "    events.write(json.dumps(event) + '\\n')",
+  "    events.flush()",
+  "",
+  "# Unbuffered, as a daemon thread must not hold a file object's lock",
+  "def receive():",
+  "    pending = b''",
+  "    while True:",
+  "        chunk = os.read(3, 65536)",
+  "        if not chunk:",
+  "            return",
+  "        *lines, pending = (pending + chunk).split(b'\\n')",
+  "        for line in lines:",
+  "            yield json.loads(line)",
+  "",
+  "commands = receive()",
+  "",
+  "def read_commands():",
+  "    for command in commands:",
+  "        inbox.put(command)",
+  "    # The runner is gone",
+  "    os._exit(1)",
+  "",
+  "def describe(value):",
+  "    try:",
+  "        text = repr(value)",
+  "    except Exception as e:",
+  "        text = '<%s>' % type(e).__name__",
+  `    if len(text) > ${MAX_VALUE_LENGTH}:`,
+  `        text = text[:${MAX_VALUE_LENGTH}] + '...'`,
+  "    return text",
+  "",
+  "def in_program(frame):",
+  "    return frame.f_code.co_filename.startswith(root)",
+  "",
+  "class Agent(bdb.Bdb):",
+  "    def __init__(self, stop_on_entry):",
+  "        super().__init__()",
+  "        self.entry = True",
+  "        self.stop_on_entry = stop_on_entry",
+  "",
+  "    def trace_dispatch(self, frame, event, arg):",
+  "        while not inbox.empty():",
+  "            self.handle(inbox.get(), None)",
+  "        return super().trace_dispatch(frame, event, arg)",
+  "",
+  "    # Breakpoints may be added later, so the program's frames stay traced",
+  "    def break_anywhere(self, frame):",
+  "        return in_program(frame)",
+  "",
+  "    def set_continue(self):",
+  "        self._set_stopinfo(self.botframe, None, -1)",
+  "",
+  "    def stop_here(self, frame):",
+  "        return in_program(frame) and super().stop_here(frame)",
+  "",
+  "    def set_breakpoints(self, file, lines):",
+  "        self.clear_all_file_breaks(file)",
+  "        for line in lines:",
+  "            error = self.set_break(file, line)",
+  "            if error:",
+  "                send({'event': 'message', 'text': error})",
+  "",
+  "    def user_line(self, frame):",
+  "        hit = self.get_break(frame.f_code.co_filename, frame.f_lineno)",
+  "        entry, self.entry = self.entry, False",
+  "        if entry and not hit and not self.stop_on_entry:",
+  "            self.set_continue()",
+  "            return",
+  "        self.pause(frame, 'breakpoint' if hit else 'entry' if entry else 'step')",
+  "",
+  "    def handle(self, command, frame):",
+  "        # Returns whether the command resumed the paused frame",
+  "        action = command.get('command')",
+  "        if action == 'breakpoints':",
+  "            self.set_breakpoints(command['file'], command['lines'])",
+  "            return False",
+  "        if frame is None:",
+  "            return False",
+  "        if action == 'next':",
+  "            self.set_next(frame)",
+  "        elif action == 'step':",
+  "            self.set_step()",
+  "        elif action == 'out':",
+  "            caller = frame.f_back",
+  "            while caller is not None and not in_program(caller):",
+  "                caller = caller.f_back",
+  "            if caller is None:",
+  "                self.set_continue()",
+  "            else:",
+  "                self.set_next(caller)",
+  "        else:",
+  "            self.set_continue()",
+  "        return True",
+  "",
+  "    def pause(self, frame, reason):",
+  "        stack = []",
+  "        caller = frame",
+  "        while caller is not None:",
+  "            if in_program(caller):",
+  "                code = caller.f_code",
+  "                stack.append({'name': code.co_name, 'file': code.co_filename,",
+  "                              'line': caller.f_lineno})",
+  "            caller = caller.f_back",
+  "        # Module level: leave out imports, functions and classes",
+  "        module = frame.f_code.co_name == '<module>'",
+  "        variables = [",
+  "            {'name': name, 'value': describe(value),",
+  "             'type': type(value).__name__}",
+  "            for name, value in frame.f_locals.items()",
+  "            if not name.startswith('__')",
+  "            and not isinstance(value, type(os))",
+  "            and not (module and callable(value))",
+  "        ]",
+  "        send({'event': 'paused', 'reason': reason,",
+  "              'file': frame.f_code.co_filename, 'line': frame.f_lineno,",
+  "              'stack': stack, 'locals': variables})",
+  "        while not self.handle(inbox.get(), frame):",
+  "            pass",
+  "        send({'event': 'resumed'})",
+  "",
+  "start = next(commands, None)",
+  "if start is None:",
+  "    sys.exit(1)",
+  "agent = Agent(start.get('stopOnEntry', False))",
+  "for file, lines in start.get('breakpoints', {}).items():",
+  "    agent.set_breakpoints(file, lines)",
+  "threading.Thread(target=read_commands, daemon=True).start()",
+  "sys.argv = [source] + sys.argv[2:]",
+  "sys.path[0] = os.path.dirname(source)",
+  "with open(source, encoding='utf-8') as f:",
+  "    code = compile(f.read(), source, 'exec')",
+  "try:",
+  "    agent.run(code, {'__name__': '__main__', '__file__': source,",
+  "                     '__builtins__': __builtins__})",
+  "except bdb.BdbQuit:",
+  "    pass",
+  "except SystemExit:",
+  "    raise",
+  "except BaseException as e:",
+  "    # Hide the agent's frames so tracebacks match a plain run",
+  "    tb = e.__traceback__",
+  "    while tb is not None and not in_program(tb.tb_frame):",
+  "        tb = tb.tb_next",
+  "    traceback.print_exception(type(e), e, tb)",
+  "    sys.exit(1)",
+].join("\n");
+
+/**
+ * Worker thread of the Node debug agent: drives the main thread through
+ * the inspector protocol. It writes its events with fs.writeSync, which
+ * does not need the main thread, so they arrive while the program is paused.
+ */
+const NODE_DEBUG_WORKER = [
+  'const fs = require("fs");',
+  'const net = require("net");',
+  'const path = require("path");',
+  'const readline = require("readline");',
+  'const { Session } = require("inspector");',
+  'const { parentPort, workerData } = require("worker_threads");',
+  'const { pathToFileURL, fileURLToPath } = require("url");',
+  "const root = path.dirname(workerData.source) + path.sep;",
+  "const session = new Session();",
+  "session.connectToMainThread();",
+  "const post = (method, params = {}) =>",
+  "  new Promise((resolve, reject) =>",
+  "    session.post(method, params, (error, result) =>",
+  "      error ? reject(error) : resolve(result)",
+  "    )",
+  "  );",
+  'const send = (event) => fs.writeSync(4, JSON.stringify(event) + "\\n");',
+  "const scripts = new Map();",
+  "const breakpoints = new Map();",
+  "let entry = null;",
+  "let paused = false;",
+  "let stepping = false;",
+  "",
+  'session.on("Debugger.scriptParsed", ({ params }) => {',
+  '  if (params.url.startsWith("file:")) {',
+  "    scripts.set(params.scriptId, fileURLToPath(params.url));",
+  "  }",
+  "});",
+  "",
+  "const fileOf = (frame) => scripts.get(frame.location.scriptId) || \"\";",
+  "const inProgram = (frame) => fileOf(frame).startsWith(root);",
+  "",
+  "const describe = (value) => {",
+  '  if (!value) return "undefined";',
+  '  if (value.type === "string") return JSON.stringify(value.value);',
+  '  if (value.type === "undefined") return "undefined";',
+  '  if (value.type === "function") {',
+  "    const [, name] = /^(?:async\\s*)?(?:function\\*?|class)\\s*([\\w$]*)/",
+  "      .exec(value.description) || [];",
+  '    return "[Function: " + (name || "anonymous") + "]";',
+  "  }",
+  '  if (value.type !== "object" || !value.preview) {',
+  '    return "value" in value ? String(value.value) : value.description;',
+  "  }",
+  "  const { preview } = value;",
+  "  const items = preview.properties.map((property) =>",
+  '    preview.subtype === "array"',
+  "      ? property.value",
+  '      : property.name + ": " + property.value',
+  "  );",
+  '  if (preview.overflow) items.push("...");',
+  '  return preview.subtype === "array"',
+  '    ? "[" + items.join(", ") + "]"',
+  '    : value.description + " {" + items.join(", ") + "}";',
+  "};",
+  "",
+  "const variables = async (frame) => {",
+  "  const found = new Map();",
+  "  for (const scope of frame.scopeChain) {",
+  '    if (scope.type !== "local" && scope.type !== "block") continue;',
+  '    const { result } = await post("Runtime.getProperties", {',
+  "      objectId: scope.object.objectId,",
+  "      ownProperties: true,",
+  "      generatePreview: true,",
+  "    });",
+  "    for (const property of result) {",
+  "      // The module wrapper's parameters",
+  '      if (["exports", "require", "module", "__filename", "__dirname"]',
+  "        .includes(property.name) || found.has(property.name)) continue;",
+  "      const value = describe(property.value);",
+  "      found.set(property.name, {",
+  "        name: property.name,",
+  `        value: value.length > ${MAX_VALUE_LENGTH} ? value.slice(0, ${MAX_VALUE_LENGTH}) + "..." : value,`,
+  '        type: property.value ? property.value.subtype || property.value.type : "undefined",',
+  "      });",
+  "    }",
+  "  }",
+  "  return [...found.values()];",
+  "};",
+  "",
+  "const onPaused = async ({ params }) => {",
+  "  const [top] = params.callFrames;",
+  "  if (!inProgram(top)) {",
+  "    // Stepped into code without a blackboxable URL (e.g. require)",
+  '    post(stepping ? "Debugger.stepOut" : "Debugger.resume");',
+  "    return;",
+  "  }",
+  "  paused = true;",
+  "  stepping = false;",
+  "  let hits = params.hitBreakpoints || [];",
+  '  let reason = hits.length > 0 ? "breakpoint" : "step";',
+  "  if (entry && hits.includes(entry)) {",
+  "    // The entry breakpoint only counts when no other is on its line",
+  "    hits = hits.filter((id) => id !== entry);",
+  '    await post("Debugger.removeBreakpoint", { breakpointId: entry });',
+  "    entry = null;",
+  '    if (hits.length === 0) reason = "entry";',
+  "  }",
+  "  send({",
+  '    event: "paused",',
+  "    reason,",
+  "    file: fileOf(top),",
+  "    line: top.location.lineNumber + 1,",
+  "    stack: params.callFrames.filter(inProgram).map((frame) => ({",
+  '      name: frame.functionName || "<anonymous>",',
+  "      file: fileOf(frame),",
+  "      line: frame.location.lineNumber + 1,",
+  "    })),",
+  "    locals: await variables(top),",
+  "  });",
+  "};",
+  'session.on("Debugger.paused", (message) =>',
+  "  onPaused(message).catch((error) =>",
+  '    send({ event: "message", text: error.message })',
+  "  )",
+  ");",
+  "",
+  "const setBreakpoints = async (file, lines) => {",
+  "  for (const breakpointId of breakpoints.get(file) || []) {",
+  '    await post("Debugger.removeBreakpoint", { breakpointId });',
+  "  }",
+  "  const ids = [];",
+  "  for (const line of lines) {",
+  '    const { breakpointId } = await post("Debugger.setBreakpointByUrl", {',
+  "      url: pathToFileURL(file).href,",
+  "      lineNumber: line - 1,",
+  "    });",
+  "    ids.push(breakpointId);",
+  "  }",
+  "  breakpoints.set(file, ids);",
+  "};",
+  "",
+  "const resumeWith = {",
+  '  continue: "Debugger.resume",',
+  '  next: "Debugger.stepOver",',
+  '  step: "Debugger.stepInto",',
+  '  out: "Debugger.stepOut",',
+  "};",
+  "",
+  "const handle = async (command) => {",
+  '  if (command.command === "start") {',
+  '    await post("Debugger.enable");',
+  "    // Only the program's own files are stepped through",
+  '    await post("Debugger.setBlackboxPatterns", {',
+  '      patterns: ["^(?!" + pathToFileURL(root).href + ")"],',
+  "    });",
+  "    for (const [file, lines] of Object.entries(command.breakpoints || {})) {",
+  "      await setBreakpoints(file, lines);",
+  "    }",
+  "    // Stopping on entry is a breakpoint on the first statement (found by",
+  "    // the runner); one the user set on that line already stops there",
+  "    if (command.entryLine) {",
+  '      entry = await post("Debugger.setBreakpointByUrl", {',
+  "        url: pathToFileURL(workerData.source).href,",
+  "        lineNumber: command.entryLine - 1,",
+  "      }).then(({ breakpointId }) => breakpointId, () => null);",
+  "    }",
+  '    parentPort.postMessage("started");',
+  '  } else if (command.command === "breakpoints") {',
+  "    await setBreakpoints(command.file, command.lines);",
+  "  } else if (paused && resumeWith[command.command]) {",
+  "    paused = false;",
+  '    stepping = command.command !== "continue";',
+  '    send({ event: "resumed" });',
+  "    await post(resumeWith[command.command]);",
+  "  }",
+  "};",
+  "",
+  "let queue = Promise.resolve();",
+  "readline",
+  "  .createInterface({ input: new net.Socket({ fd: 3, writable: false }) })",
+  '  .on("line", (line) => {',
+  "    queue = queue",
+  "      .then(() => handle(JSON.parse(line)))",
+  '      .catch((error) => send({ event: "message", text: error.message }));',
+  "  });",
+].join("\n");
+
+/**
+ * Node debug agent, run with `node -e`: argv is the program's source and
+ * arguments. Starts the worker above and runs the program as the main
+ * module once the worker has set the breakpoints.
+ */
+const NODE_DEBUG_AGENT = [
+  'const { Worker } = require("worker_threads");',
+  'const path = require("path");',
+  "const [source, ...args] = process.argv.slice(1);",
+  `const worker = new Worker(${JSON.stringify(NODE_DEBUG_WORKER)}, {`,
+  "  eval: true,",
+  "  workerData: { source: path.resolve(source) },",
+  "});",
+  'worker.once("message", () => {',
+  "  // The program's exit ends the session",
+  "  worker.unref();",
+  "  process.argv = [process.argv[0], path.resolve(source), ...args];",
+  '  require("module").runMain();',
+  "});",
+].join("\n");
+
+/**
+ * Name of the class that starts Java programs under jdb (see
+ * JAVA_DEBUG_LAUNCHER)
+ */
+const JAVA_DEBUG_LAUNCHER_CLASS = "SkillConnectDebugLauncher";
+
+/**
+ * Java launcher, compiled with the program: jdb does not pass its own
+ * input on, so the launcher reads the program's input from STDIN_FILE and
+ * then calls the entry class's main method.
+ */
+const JAVA_DEBUG_LAUNCHER = [
+  "import java.io.FileInputStream;",
+  "import java.lang.reflect.InvocationTargetException;",
+  "import java.util.Arrays;",
+  "",
+  `public class ${JAVA_DEBUG_LAUNCHER_CLASS} {`,
+  "    public static void main(String[] args) throws Throwable {",
+  `        System.setIn(new FileInputStream(${JSON.stringify(STDIN_FILE)}));`,
+  "        try {",
+  "            Class.forName(args[0])",
+  '                .getMethod("main", String[].class)',
+  "                .invoke(null, (Object) Arrays.copyOfRange(args, 1, args.length));",
+  "        } catch (InvocationTargetException e) {",
+  "            throw e.getCause();",
+  "        }",
+  "    }",
+  "}",
+  "",
+].join("\n");
+
+/**
+ * Finds the line of a JavaScript program's first top-level statement,
+ * where stopping on entry pauses (the inspector has no pause before the
+ * main module's first line)
+ * @param {string} code - Source of the entry file
+ * @returns {number|null} 1-based line, or null when nothing runs at the
+ *          top level or the code does not parse
+ */
+function firstStatementLine(code) {
+  const parse = (sourceType) =>
+    acorn.parse(code, {
+      ecmaVersion: "latest",
+      sourceType,
+      locations: true,
+      allowHashBang: true,
+      allowReturnOutsideFunction: true,
+      allowAwaitOutsideFunction: true,
+    });
+  let ast;
+  try {
+    ast = parse("script");
+  } catch (scriptError) {
+    try {
+      ast = parse("module");
+    } catch (moduleError) {
+      return null;
+    }
+  }
+  // Function and class declarations run nothing where they stand, and V8
+  // moves a breakpoint on them into the next function body
+  const statement = ast.body.find(
+    (node) =>
+      node.type !== "FunctionDeclaration" &&
+      node.type !== "ClassDeclaration" &&
+      node.type !== "EmptyStatement"
+  );
+  return statement ? statement.loc.start.line : null;
+}
+
+/**
+ * Parses one line of gdb/MI output
+ *
+ * @param {string} line - Output line without its newline
+ * @returns {Object|null} { token, kind, className, results } for result
+ *          ("^"), exec ("*") and notify ("=") records, { kind, text } for
+ *          stream records ("~", "@", "&"), or null for the prompt and lines
+ *          that are not MI
+ * @description
+ * Values are c-strings, tuples ({...} -> objects) and lists ([...] ->
+ * arrays; the names of a list's results are dropped).
+ */
+function parseMiRecord(line) {
+  const match = /^(\d*)([\^*=+~@&])(.*)$/.exec(line);
+  if (!match) return null;
+  const [, token, kind, text] = match;
+  let position = 0;
+
+  const fail = () => {
+    throw new Error(`Malformed MI output: ${line}`);
+  };
+  const string = () => {
+    const bytes = [];
+    position++;
+    while (text[position] !== '"') {
+      if (position >= text.length) fail();
+      let char = text[position++];
+      if (char === "\\") {
+        char = text[position++];
+        const octal = /^[0-7]{1,3}/.exec(text.slice(position - 1));
+        if (octal) {
+          bytes.push(parseInt(octal[0], 8));
+          position += octal[0].length - 1;
+          continue;
+        }
+        char = { n: "\n", t: "\t", r: "\r", e: "\x1b" }[char] || char;
+      }
+      bytes.push(...Buffer.from(char));
+    }
+    position++;
+    return Buffer.from(bytes).toString("utf8");
+  };
+  const value = () => {
+    const open = text[position];
+    if (open === '"') return string();
+    if (open !== "{" && open !== "[") fail();
+    const close = open === "{" ? "}" : "]";
+    const items = open === "{" ? {} : [];
+    position++;
+    while (text[position] !== close) {
+      if (position >= text.length) fail();
+      if (text[position] === ",") position++;
+      if (open === "{") {
+        const [name, item] = result();
+        items[name] = item;
+      } else {
+        items.push(/["{[]/.test(text[position]) ? value() : result()[1]);
+      }
+    }
+    position++;
+    return items;
+  };
+  const result = () => {
+    const equals = text.indexOf("=", position);
+    if (equals === -1) fail();
+    const name = text.slice(position, equals);
+    position = equals + 1;
+    return [name, value()];
+  };
+
+  try {
+    if ("~@&".includes(kind)) {
+      return { kind, text: string() };
+    }
+    const comma = text.indexOf(",");
+    const className = comma === -1 ? text : text.slice(0, comma);
+    const results = {};
+    position = comma === -1 ? text.length : comma;
+    while (position < text.length) {
+      position++;
+      const [name, item] = result();
+      results[name] = item;
+    }
+    return { token: token ? Number(token) : null, kind, className, results };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Quotes a string as a gdb/MI c-string
+ * @param {string} text - Text to quote
+ * @returns {string} Quoted text
+ */
+function miQuote(text) {
+  return `"${text.replace(/[\\"]/g, "\\$&")}"`;
+}
+
+/**
+ * Quotes a program argument for the shell gdb starts programs with
+ * @param {string} arg - Argument
+ * @returns {string} Single-quoted argument
+ */
+function shellQuote(arg) {
+  return `'${arg.replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * Shortens a value for the variables view
+ * @param {string} value - Value as the debugger printed it
+ * @returns {string} At most MAX_VALUE_LENGTH characters and an ellipsis
+ */
+function truncateValue(value) {
+  return value.length > MAX_VALUE_LENGTH
+    ? `${value.slice(0, MAX_VALUE_LENGTH)}...`
+    : value;
+}
+
+/**
+ * Driver for the Python and Node agents
+ * @param {Object} session - Shared driver state (see createDebugDriver)
+ * @returns {Object} Driver
+ */
+function createAgentDriver({ toAbsolute, toProject, emit }) {
+  let channel = null;
+  const send = (command) => channel.write(`${JSON.stringify(command)}\n`);
+  const toFrame = (frame) => ({ ...frame, file: toProject(frame.file) });
+
+  return {
+    attach(child) {
+      channel = child.stdio[3];
+      // The agent exits with the program; late commands go nowhere
+      channel.on("error", () => {});
+      readline
+        .createInterface({ input: child.stdio[4] })
+        .on("line", (line) => {
+          let event;
+          try {
+            event = JSON.parse(line);
+          } catch (error) {
+            return;
+          }
+          const { event: type, ...details } = event;
+          if (type === "paused") {
+            emit({
+              type,
+              ...details,
+              file: toProject(details.file),
+              stack: details.stack.map(toFrame),
+            });
+          } else {
+            emit({ type, ...details });
+          }
+        });
+    },
+    onStdout: (data) => emit({ type: "output", stream: "stdout", data }),
+    onStderr: (data) => emit({ type: "output", stream: "stderr", data }),
+    start({ breakpoints, stopOnEntry, entryLine }) {
+      send({
+        command: "start",
+        stopOnEntry,
+        entryLine: stopOnEntry ? entryLine : null,
+        breakpoints: Object.fromEntries(
+          Object.entries(breakpoints).map(([file, lines]) => [
+            toAbsolute(file),
+            lines,
+          ])
+        ),
+      });
+    },
+    setBreakpoints(file, lines) {
+      send({ command: "breakpoints", file: toAbsolute(file), lines });
+    },
+    resume(action) {
+      send({ command: action });
+    },
+  };
+}
+
+// gdb/MI commands for the resume actions
+const GDB_RESUME = {
+  continue: "-exec-continue",
+  next: "-exec-next",
+  step: "-exec-step",
+  out: "-exec-finish",
+};
+
+/**
+ * Driver for gdb's machine interface
+ * @param {Object} session - Shared driver state (see createDebugDriver)
+ * @returns {Object} Driver
+ */
+function createGdbDriver({ toAbsolute, toProject, emit, args }) {
+  let stdin = null;
+  let nextToken = 1;
+  let buffered = "";
+  let paused = null; // Last paused event while the program is stopped
+  let running = false;
+  let entry = false;
+  const replies = new Map(); // token -> resolve
+  const breakpointIds = new Map(); // file -> gdb breakpoint numbers
+  const deferred = new Map(); // file -> lines, applied at the next stop
+  let work = Promise.resolve();
+
+  // Runs driver steps one after another, reporting failures as messages
+  const serially = (step) => {
+    work = work
+      .then(step)
+      .catch((error) => emit({ type: "message", text: error.message }));
+    return work;
+  };
+  const command = (text) =>
+    new Promise((resolve) => {
+      const token = nextToken++;
+      replies.set(token, resolve);
+      stdin.write(`${token}${text}\n`);
+    });
+  const checked = async (text) => {
+    const reply = await command(text);
+    if (reply.className === "error") {
+      throw new Error(reply.results.msg || `${text} failed`);
+    }
+    return reply.results;
+  };
+
+  const applyBreakpoints = async (file, lines) => {
+    const ids = breakpointIds.get(file) || [];
+    if (ids.length > 0) await command(`-break-delete ${ids.join(" ")}`);
+    const added = [];
+    for (const line of lines) {
+      const reply = await command(
+        `-break-insert -f ${miQuote(`${toAbsolute(file)}:${line}`)}`
+      );
+      if (reply.className === "error") {
+        emit({ type: "message", text: reply.results.msg });
+      } else {
+        added.push(reply.results.bkpt.number);
+      }
+    }
+    breakpointIds.set(file, added);
+  };
+
+  const onStopped = async (results) => {
+    running = false;
+    const { reason } = results;
+    if (/^exited/.test(reason)) {
+      emit({
+        type: "exited",
+        // gdb prints exit codes in octal
+        exitCode:
+          reason === "exited"
+            ? parseInt(results["exit-code"], 8)
+            : reason === "exited-normally"
+              ? 0
+              : null,
+      });
+      command("-gdb-exit");
+      return;
+    }
+    for (const [file, lines] of deferred) {
+      await applyBreakpoints(file, lines);
+    }
+    deferred.clear();
+
+    const { stack } = await checked("-stack-list-frames");
+    const frames = stack
+      .map((frame) => ({
+        level: frame.level,
+        name: frame.func || "??",
+        file: frame.fullname ? toProject(frame.fullname) : null,
+        line: Number(frame.line),
+      }))
+      .filter((frame) => frame.file && frame.line);
+    const signal = reason === "signal-received";
+    // Stopped in a library (e.g. after finishing main): let it run on
+    if (frames.length === 0 || (!signal && frames[0].level !== "0")) {
+      running = true;
+      await checked("-exec-continue");
+      return;
+    }
+
+    const [top] = frames;
+    const listVariables = (values) =>
+      checked(
+        `-stack-list-variables --thread ${results["thread-id"]} --frame ${top.level} ${values}`
+      );
+    const { variables: typed } = await listVariables("--simple-values");
+    const { variables } = await listVariables("--all-values");
+    let kind = signal ? "exception" : "step";
+    if (reason === "breakpoint-hit") {
+      kind = entry && results.disp === "del" ? "entry" : "breakpoint";
+    }
+    entry = false;
+    if (signal) {
+      emit({
+        type: "message",
+        text: `${results["signal-name"]}: ${results["signal-meaning"]}`,
+      });
+    }
+    paused = {
+      type: "paused",
+      reason: kind,
+      file: top.file,
+      line: top.line,
+      stack: frames.map(({ name, file, line }) => ({ name, file, line })),
+      locals: variables.map((variable, index) => ({
+        name: variable.name,
+        value: truncateValue(variable.value || ""),
+        type: (typed[index] || {}).type || null,
+      })),
+    };
+    emit(paused);
+  };
+
+  const onLine = (line) => {
+    const record = parseMiRecord(line);
+    if (!record) return;
+    if (record.kind === "^" && replies.has(record.token)) {
+      replies.get(record.token)(record);
+      replies.delete(record.token);
+    } else if (record.kind === "*" && record.className === "stopped") {
+      serially(() => onStopped(record.results));
+    }
+  };
+
+  return {
+    attach(child) {
+      stdin = child.stdin;
+      stdin.on("error", () => {});
+      ["stdout", "stderr"].forEach((stream, index) => {
+        child.stdio[3 + index].setEncoding("utf8");
+        child.stdio[3 + index].on("data", (data) =>
+          emit({ type: "output", stream, data })
+        );
+      });
+    },
+    onStdout(data) {
+      const lines = (buffered + data).split("\n");
+      buffered = lines.pop();
+      lines.forEach((line) => onLine(line.replace(/\r$/, "")));
+    },
+    // gdb's own warnings (e.g. about address randomization) are not shown
+    onStderr() {},
+    start({ breakpoints, stopOnEntry }) {
+      serially(async () => {
+        await checked("-gdb-set confirm off");
+        // The program reads its input from a file and writes to fds 3 and 4
+        await checked(
+          `-exec-arguments ${[...args.map(shellQuote), "<", STDIN_FILE, "1>&3", "2>&4"].join(" ")}`
+        );
+        for (const [file, lines] of Object.entries(breakpoints)) {
+          await applyBreakpoints(file, lines);
+        }
+        entry = stopOnEntry;
+        running = true;
+        await checked(stopOnEntry ? "-exec-run --start" : "-exec-run");
+      });
+    },
+    setBreakpoints(file, lines) {
+      // gdb cannot change breakpoints while the program runs
+      if (running) {
+        deferred.set(file, lines);
+      } else {
+        serially(() => applyBreakpoints(file, lines));
+      }
+    },
+    resume(action) {
+      if (!paused) return;
+      const stoppedAt = paused;
+      paused = null;
+      running = true;
+      emit({ type: "resumed" });
+      serially(async () => {
+        const reply = await command(GDB_RESUME[action]);
+        if (reply.className === "error") {
+          // e.g. "finish" in the outermost frame: still paused
+          running = false;
+          paused = stoppedAt;
+          emit({ type: "message", text: reply.results.msg });
+          emit(stoppedAt);
+        }
+      });
+    },
+  };
+}
+
+// Prompts jdb prints when it waits for a command: "> " or "main[1] "
+const JDB_PROMPT = /^(?:> |[\w$.-]+\[\d+\] )+/;
+
+// A thread stopped at a location, e.g.
+// Breakpoint hit: "thread=main", Main.main(), line=5 bci=0
+const JDB_LOCATION = /"thread=[^"]*", ([\w$.]+)\.([\w$<>]+)\(\), line=([\d,.\s]+)/;
+
+// A frame of `where`: "  [1] Main.main (Main.java:5)"
+const JDB_FRAME = /^\s*\[\d+\] ([\w$.]+)\.([\w$<>]+) \((?:[^:)]+):([\d,.\s]+)\)$/;
+
+// What jdb says on its own behalf rather than the program's
+const JDB_NOTICE =
+  /^(?:Initializing jdb|Set (?:deferred )?(?:breakpoint|uncaught)|Deferring breakpoint|It will be set after|Removed:|VM Started|Breakpoint hit:|Step completed:|Method arguments:|Local variables:|run |Nothing suspended|\s*\[\d+\] )/;
+
+// jdb commands for the resume actions
+const JDB_RESUME = {
+  continue: "cont",
+  next: "next",
+  step: "step",
+  out: "step up",
+};
+
+/**
+ * Driver for jdb, through its prompts
+ * @param {Object} session - Shared driver state (see createDebugDriver)
+ * @returns {Object} Driver
+ */
+function createJdbDriver({ emit, sources, className }) {
+  let stdin = null;
+  let partial = "";
+  let paused = false;
+  let entry = false;
+  let sourceLine = false; // jdb echoes the source line after a stop
+  let blank = false; // A blank line held back until the next line shows whose it is
+  let reply = null; // { lines, collect, resolve } of the command running
+  let promptWaiters = [];
+  const breakpoints = new Map(); // file -> lines
+  let work = Promise.resolve();
+
+  // Top-level class of each project file: its package plus its file name
+  const files = new Map(
+    Object.entries(sources)
+      .filter(([file]) => file.endsWith(".java"))
+      .map(([file, code]) => {
+        const pkg = /^\s*package\s+([\w.]+)\s*;/m.exec(code);
+        const name = path.posix.basename(file, ".java");
+        return [pkg ? `${pkg[1]}.${name}` : name, file];
+      })
+  );
+  const classOf = (file) =>
+    [...files].find(([, candidate]) => candidate === file)[0];
+  // Nested classes (Outer$Inner) live in their outer class's file
+  const fileOf = (type) => files.get(type.split("$")[0]) || null;
+
+  const serially = (step) => {
+    work = work
+      .then(step)
+      .catch((error) => emit({ type: "message", text: error.message }));
+  };
+  const nextPrompt = () =>
+    new Promise((resolve) => promptWaiters.push(resolve));
+  const ready = nextPrompt();
+  // Resolves with the command's output when jdb prompts again; only
+  // collected commands keep it, the rest is handled like any output
+  const command = (text, collect = false) =>
+    new Promise((resolve) => {
+      reply = { lines: [], collect, resolve };
+      stdin.write(`${text}\n`);
+    });
+
+  const inspect = async (type, method, line, kind, text = null) => {
+    const file = fileOf(type);
+    if (!file) {
+      // e.g. the launcher, once main returns
+      stdin.write("cont\n");
+      return;
+    }
+    if (kind === "breakpoint" && entry && type === className && method === "main") {
+      kind = "entry";
+      entry = false;
+      await command(`clear ${className}.main`);
+    }
+    const stack = (await command("where", true))
+      .map((frameLine) => JDB_FRAME.exec(frameLine))
+      .filter((frame) => frame && fileOf(frame[1]))
+      .map(([, frameType, name, frameLine]) => ({
+        name,
+        file: fileOf(frameType),
+        line: Number(frameLine.replace(/\D/g, "")),
+      }));
+    const locals = (await command("locals", true))
+      .map((localLine) => /^(\S+) = (.*)$/.exec(localLine))
+      .filter(Boolean)
+      .map(([, name, value]) => ({
+        name,
+        value: truncateValue(value),
+        type: null,
+      }));
+    if (text) emit({ type: "message", text });
+    paused = true;
+    emit({ type: "paused", reason: kind, file, line, stack, locals });
+  };
+
+  const onLine = (line) => {
+    if (reply && reply.collect) {
+      reply.lines.push(line.trim());
+      return;
+    }
+    const location = JDB_LOCATION.exec(line);
+    if (location && /^(?:Breakpoint hit|Step completed|Exception occurred)/.test(line)) {
+      blank = false;
+      sourceLine = true;
+      const [, type, method, number] = location;
+      const exception = /^Exception occurred: (\S+)/.exec(line);
+      const kind = exception
+        ? "exception"
+        : line.startsWith("Breakpoint") ? "breakpoint" : "step";
+      // Commands are taken once jdb prompts after the stop
+      const prompted = nextPrompt();
+      serially(async () => {
+        await prompted;
+        await inspect(
+          type,
+          method,
+          Number(number.replace(/\D/g, "")),
+          kind,
+          exception ? `Uncaught ${exception[1]}` : null
+        );
+      });
+      return;
+    }
+    if (/^The application (?:exited|has been disconnected)/.test(line)) {
+      emit({ type: "exited", exitCode: null });
+      return;
+    }
+    if (sourceLine && /^\d[\d,.]*\s/.test(line)) {
+      sourceLine = false;
+      return;
+    }
+    if (/^Unable to set|^Not found|^No code at/.test(line)) {
+      emit({ type: "message", text: line });
+      return;
+    }
+    if (JDB_NOTICE.test(line)) {
+      blank = false;
+      return;
+    }
+    if (line === "") {
+      if (blank) emit({ type: "output", stream: "stdout", data: "\n" });
+      blank = true;
+      return;
+    }
+    if (blank) {
+      emit({ type: "output", stream: "stdout", data: "\n" });
+      blank = false;
+    }
+    emit({ type: "output", stream: "stdout", data: `${line}\n` });
+  };
+
+  const onPrompt = () => {
+    if (reply) {
+      reply.resolve(reply.lines);
+      reply = null;
+    }
+    const waiters = promptWaiters;
+    promptWaiters = [];
+    waiters.forEach((resolve) => resolve());
+  };
+
+  return {
+    attach(child) {
+      stdin = child.stdin;
+      stdin.on("error", () => {});
+    },
+    onStdout(data) {
+      const lines = (partial + data).split("\n");
+      partial = lines.pop();
+      for (const raw of lines) {
+        // Prompts are not followed by a newline, so output continues them
+        const line = raw.replace(/\r$/, "");
+        const prompt = JDB_PROMPT.exec(line);
+        if (prompt) onPrompt();
+        onLine(prompt ? line.slice(prompt[0].length) : line);
+      }
+      if (JDB_PROMPT.test(partial) && partial.replace(JDB_PROMPT, "") === "") {
+        partial = "";
+        onPrompt();
+      }
+    },
+    onStderr: (data) => emit({ type: "output", stream: "stderr", data }),
+    start({ breakpoints: initial, stopOnEntry }) {
+      serially(async () => {
+        await ready;
+        for (const [file, lines] of Object.entries(initial)) {
+          breakpoints.set(file, lines);
+          for (const line of lines) {
+            await command(`stop at ${classOf(file)}:${line}`);
+          }
+        }
+        if (stopOnEntry) {
+          entry = true;
+          await command(`stop in ${className}.main`);
+        }
+        await command("run");
+      });
+    },
+    setBreakpoints(file, lines) {
+      serially(async () => {
+        const type = classOf(file);
+        for (const line of breakpoints.get(file) || []) {
+          await command(`clear ${type}:${line}`);
+        }
+        for (const line of lines) {
+          await command(`stop at ${type}:${line}`);
+        }
+        breakpoints.set(file, lines);
+      });
+    },
+    resume(action) {
+      if (!paused) return;
+      paused = false;
+      emit({ type: "resumed" });
+      serially(() => {
+        stdin.write(`${JDB_RESUME[action]}\n`);
+      });
+    },
+  };
+}
+
+/**
+ * Creates the driver of a debug session
+ *
+ * @function createDebugDriver
+ * @param {string} protocol - "agent", "gdb" or "jdb" (see the language's
+ *        `debugger` in runner/languages.js)
+ * @param {Object} options - Session details
+ * @param {string} options.dir - Run directory holding the project
+ * @param {Object<string, string>} options.sources - Project path -> source
+ * @param {string[]} [options.args=[]] - Program arguments (gdb passes them
+ *        itself; the other debuggers take them on their command line)
+ * @param {string} [options.className] - Entry class (Java)
+ * @param {function(Object): void} options.onEvent - Receives the events
+ *        listed at the top of this file
+ * @returns {Object} { attach(child), onStdout, onStderr, start({
+ *          breakpoints, stopOnEntry, entryLine }), setBreakpoints(file,
+ *          lines), resume(action) }. attach takes the debugger's process,
+ *          started with fds 3 and 4 piped; onStdout and onStderr receive
+ *          its output. Breakpoints are { file: [lines] }.
+ * @throws {Error} If the protocol is unknown
+ */
+function createDebugDriver(protocol, options) {
+  const { dir, sources, args = [], className, onEvent } = options;
+  const session = {
+    dir,
+    sources,
+    args,
+    className,
+    emit: onEvent,
+    toAbsolute: (file) => path.join(dir, ...file.split("/")),
+    // Files outside the run directory (libraries, the runtime) are null
+    toProject: (file) => {
+      const relative = path.relative(dir, file);
+      return relative.startsWith("..") || path.isAbsolute(relative)
+        ? null
+        : relative.split(path.sep).join("/");
+    },
+  };
+  switch (protocol) {
+    case "agent":
+      return createAgentDriver(session);
+    case "gdb":
+      return createGdbDriver(session);
+    case "jdb":
+      return createJdbDriver(session);
+    default:
+      throw new Error(`Unknown debugger protocol: ${protocol}`);
+  }
+}
+
+module.exports = {
+  PYTHON_DEBUG_AGENT,
+  NODE_DEBUG_AGENT,
+  JAVA_DEBUG_LAUNCHER,
+  JAVA_DEBUG_LAUNCHER_CLASS,
+  STDIN_FILE,
+  RESUME_ACTIONS,
+  firstStatementLine,
+  parseMiRecord,
+  createDebugDriver,
+};
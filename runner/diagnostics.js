@@ -0,0 +1,276 @@
+/**
+ * Static Diagnostics
+ *
+ * Checks code without running it, with the first installed linter a
+ * language lists (see `linters` in runner/languages.js), and reports its
+ * findings as { line, column, severity, message }, like the import warnings
+ * of POST /analyze. Lines and columns start at 1; column is null when the
+ * linter names only the line; severity is "error", "warning" or "info".
+ * - Commands (gcc -fsyntax-only, javac -Xlint, pyflakes, ...) check the
+ *   code saved in a fresh run directory, sandboxed like a compiler, and
+ *   print "file:line:column: severity: message" lines
+ * - Bundled linters (acorn, the TypeScript parser) run inside the runner
+ */
+
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { startProcess } = require("./process");
+
+// main.c:3:10: error: 'y' undeclared; javac and pyflakes leave parts out
+const DIAGNOSTIC_LINE =
+  /^(.+?):(\d+):(?:(\d+):)? (?:(fatal error|error|warning|note|help)(?:\[[\w-]+\])?: )?(.+)$/;
+// javac prints the line and a caret under the column instead of a number
+const CARET_LINE = /^\s*\^\s*$/;
+
+/**
+ * Python lint agent, run with `python -c`: argv is the checker ("pyflakes",
+ * or "compile" for syntax errors only) and the file to check. It prints
+ * the findings as "file:line:column: severity: message" lines.
+ */
+const PYTHON_LINT_AGENT = [
+  "import sys",
+  "checker, path = sys.argv[1], sys.argv[2]",
+  "with open(path, encoding='utf-8') as f:",
+  "    source = f.read()",
+  "def report(line, column, severity, message):",
+  "    print(f'{path}:{line or 1}:{column or 1}: {severity}: {message}')",
+  "if checker == 'pyflakes':",
+  "    from pyflakes import api, reporter",
+  "    class Reporter(reporter.Reporter):",
+  "        def unexpectedError(self, filename, message):",
+  "            report(1, 1, 'error', message)",
+  "        def syntaxError(self, filename, message, line, column, text):",
+  "            report(line, column, 'error', message)",
+  "        def flake(self, message):",
+  "            report(message.lineno, message.col + 1, 'warning',",
+  "                   message.message % message.message_args)",
+  "    api.check(source, path, Reporter(sys.stdout, sys.stderr))",
+  "else:",
+  "    try:",
+  "        compile(source, path, 'exec')",
+  "    except SyntaxError as e:",
+  "        report(e.lineno, e.offset, 'error', e.msg)",
+].join("\n");
+
+const SEVERITIES = {
+  "fatal error": "error",
+  error: "error",
+  warning: "warning",
+  note: "info",
+  help: "info",
+};
+
+/**
+ * Reads the diagnostics a linter command printed
+ *
+ * @param {string} output - The command's stdout and stderr
+ * @param {string} fileName - Name of the checked file; lines about other
+ *        files (headers) are left out
+ * @param {string} severity - Severity of lines that name none
+ * @returns {Object[]} Diagnostics in output order, repeats left out
+ */
+function parseDiagnostics(output, fileName, severity) {
+  const lines = output.split("\n");
+  const diagnostics = [];
+  const seen = new Set();
+  lines.forEach((text, index) => {
+    const match = DIAGNOSTIC_LINE.exec(text);
+    if (!match || path.basename(match[1]) !== fileName) return;
+    const [, , line, column, printed, message] = match;
+    let columnNumber = column ? Number(column) : null;
+    const caret = lines[index + 2];
+    if (columnNumber === null && caret && CARET_LINE.test(caret)) {
+      columnNumber = caret.indexOf("^") + 1;
+    }
+    const diagnostic = {
+      line: Number(line),
+      column: columnNumber,
+      severity: printed ? SEVERITIES[printed] : severity,
+      message: message.trim(),
+    };
+    const key = JSON.stringify(diagnostic);
+    if (seen.has(key)) return;
+    seen.add(key);
+    diagnostics.push(diagnostic);
+  });
+  return diagnostics;
+}
+
+/**
+ * Creates the diagnostics checker
+ *
+ * @function createDiagnostics
+ * @param {Object} diagnosticsConfig - SECURITY_CONFIG.diagnostics
+ * @param {number} diagnosticsConfig.timeout - Time a linter command may
+ *        take (ms)
+ * @param {number} diagnosticsConfig.maxDiagnostics - Diagnostics reported
+ *        per check, the first ones
+ * @param {Object<string, Object>} configs - Configs by id of the languages
+ *        offered (whose toolchain runs in the sandbox)
+ * @param {function(string): boolean} isAvailable - Whether a command is
+ *        installed (see runner/languages.js)
+ * @param {Object} sandbox - Sandbox from createSandbox, which linter
+ *        commands run in
+ * @returns {Object} { check, nameOf, stats }
+ */
+function createDiagnostics(diagnosticsConfig, configs, isAvailable, sandbox) {
+  /**
+   * Runs a linter's probe the way the linter runs: sandboxed, in a fresh
+   * run directory
+   * @param {string} language - Language id (selects permissions and limits)
+   * @param {string[]} probe - Command that succeeds if the linter can run
+   * @returns {boolean} True if it exited with 0
+   */
+  const probeSandboxed = (language, probe) => {
+    const dir = sandbox.createRunDir();
+    try {
+      const { command, options } = sandbox.prepare(
+        language,
+        "compile",
+        probe,
+        dir
+      );
+      return (
+        spawnSync(command[0], command.slice(1), {
+          timeout: 20000,
+          cwd: options.cwd,
+          env: options.env,
+        }).status === 0
+      );
+    } catch (error) {
+      // The sandbox does not permit the command for the language
+      return false;
+    } finally {
+      sandbox.removeRunDir(dir);
+    }
+  };
+
+  // A linter is installed when its commands are, and its probe (e.g.
+  // importing a Python module) succeeds in the sandbox. Linters without
+  // one run the language's own toolchain, which the sandboxed toolchain
+  // probe has already run (see probeSandboxedToolchains)
+  const installed = (language, linter) =>
+    Boolean(linter.lint) ||
+    (linter.toolchain.every((command) => isAvailable(command)) &&
+      (!linter.probe || probeSandboxed(language, linter.probe)));
+
+  // Language id -> chosen linter entry, or null if none is installed
+  const chosen = new Map(
+    Object.entries(configs).map(([id, config]) => [
+      id,
+      (config.linters || []).find((linter) => installed(id, linter)) || null,
+    ])
+  );
+  let checked = 0;
+  let failed = 0;
+
+  /**
+   * Runs a linter command on code saved in a fresh run directory
+   * @param {string} language - Language id (selects the sandbox limits)
+   * @param {Object} linter - Linter entry with a command
+   * @param {string} code - Source code
+   * @param {AbortSignal} [signal] - Stops the linter when it aborts
+   * @returns {Promise<Object[]>} Diagnostics
+   * @throws {Error} If the linter timed out or failed without diagnostics
+   */
+  const runCommand = async (language, linter, code, signal) => {
+    const dir = sandbox.createRunDir();
+    try {
+      const fileName = linter.fileName
+        ? linter.fileName(code)
+        : `main.${configs[language].extension}`;
+      const [file] = sandbox.writeFiles(dir, { [fileName]: code });
+      const { command, options } = sandbox.prepare(
+        language,
+        "compile",
+        linter.command(file),
+        dir
+      );
+      const handle = startProcess(command, {
+        ...options,
+        timeout: diagnosticsConfig.timeout,
+      });
+      // Nobody waits for the check once its client hangs up
+      if (signal) signal.addEventListener("abort", handle.kill, { once: true });
+      const result = await handle.done;
+      if (signal) signal.removeEventListener("abort", handle.kill);
+      if (result.timedOut) {
+        throw new Error(`Timed out after ${diagnosticsConfig.timeout} ms`);
+      }
+      const diagnostics = parseDiagnostics(
+        `${result.stdout}\n${result.stderr}`,
+        fileName,
+        linter.severity || "warning"
+      );
+      // Linters exit non-zero for the errors they found, not only for
+      // failing themselves
+      if (result.error && diagnostics.length === 0) {
+        throw new Error(result.stderr.trim() || result.error);
+      }
+      return diagnostics;
+    } finally {
+      sandbox.removeRunDir(dir);
+    }
+  };
+
+  return {
+    /**
+     * Checks code
+     * @param {string} language - Language id
+     * @param {string} code - Source code
+     * @param {AbortSignal} [signal] - Stops a linter command when it aborts
+     * @returns {Promise<Object[]>} Diagnostics { line, column, severity,
+     *          message }, at most maxDiagnostics
+     * @throws {Error} With code "NO_LINTER" when the language has no
+     *         installed linter, or "LINT_FAILED" and the linter's message
+     *         when it could not check the code
+     */
+    async check(language, code, signal) {
+      const linter = chosen.get(language);
+      if (!linter) {
+        const error = new Error(`No linter is installed for ${language}`);
+        error.code = "NO_LINTER";
+        throw error;
+      }
+      try {
+        const diagnostics = linter.lint
+          ? await linter.lint(code)
+          : await runCommand(language, linter, code, signal);
+        checked++;
+        return diagnostics.slice(0, diagnosticsConfig.maxDiagnostics);
+      } catch (reason) {
+        failed++;
+        const error = new Error(
+          `${linter.name}: ${String(reason.message || reason).trim()}`
+        );
+        error.code = "LINT_FAILED";
+        throw error;
+      }
+    },
+
+    /**
+     * Names the linter used for a language
+     * @param {string} language - Language id
+     * @returns {string|null} e.g. "pyflakes", or null without a linter
+     */
+    nameOf(language) {
+      const linter = chosen.get(language);
+      return linter ? linter.name : null;
+    },
+
+    /**
+     * Reports the chosen linters and how often they were used
+     * @returns {{linters: Object<string, (string|null)>, checked: number,
+     *          failed: number}}
+     */
+    stats() {
+      const linters = {};
+      chosen.forEach((linter, id) => {
+        linters[id] = linter ? linter.name : null;
+      });
+      return { linters, checked, failed };
+    },
+  };
+}
+
+module.exports = { PYTHON_LINT_AGENT, createDiagnostics };
@@ -0,0 +1,54 @@
+/**
+ * Choosing a linter
+ *
+ * A linter's probe runs in the sandbox, as the linter will: one the
+ * runner could run but a sandboxed run cannot is passed over. Needs root;
+ * run with `npm run test:runner`.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createDiagnostics } = require("./diagnostics");
+const { createTestSandbox, isolatesRuns } = require("./testing");
+
+const isRoot = process.platform === "linux" && process.getuid() === 0;
+
+test(
+  "a linter whose probe fails in the sandbox is not chosen",
+  { skip: !isRoot && "the sandbox needs root" },
+  async (t) => {
+    const sandbox = createTestSandbox(210300);
+    t.after(() => sandbox.cleanup());
+    if (!isolatesRuns(sandbox)) {
+      t.skip("setpriv or a private /proc is unavailable");
+      return;
+    }
+    // A directory only the runner can read, like a toolchain in its home
+    const hidden = fs.mkdtempSync(path.join(os.tmpdir(), "runner-only-"));
+    t.after(() => fs.rmSync(hidden, { recursive: true, force: true }));
+
+    const diagnostics = createDiagnostics(
+      { timeout: 10000, maxDiagnostics: 10 },
+      {
+        python: {
+          extension: "py",
+          linters: [
+            {
+              name: "runner-only",
+              toolchain: ["python3"],
+              probe: ["python3", "-c", `import os; os.listdir("${hidden}")`],
+              command: (file) => ["python3", file],
+            },
+            { name: "bundled", lint: () => [] },
+          ],
+        },
+      },
+      () => true,
+      sandbox
+    );
+    assert.strictEqual(diagnostics.nameOf("python"), "bundled");
+  }
+);
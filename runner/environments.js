@@ -0,0 +1,165 @@
+/**
+ * Package Environments
+ *
+ * Third-party packages are never installed into the runner's own
+ * node_modules or the system Python. Each run gets a package directory of
+ * its own - a Python virtualenv or an npm prefix - instead:
+ * - Runs with a session id (e.g. a collaboration room) share the session's
+ *   directory, so packages installed by one run are reused by the next
+ * - Runs without a session id get a throwaway directory
+ * - Session directories unused for `idleTimeoutMs` are deleted
+ *
+ * Directories belong to the runner and are only readable by the sandbox
+ * user, so a program cannot tamper with packages other runs will load.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+/**
+ * Creates the package environment manager
+ *
+ * @function createPackageEnvironments
+ * @param {Object} envConfig - SECURITY_CONFIG.packageEnvironments
+ * @param {string} envConfig.path - Directory holding all environments
+ * @param {number} envConfig.idleTimeoutMs - Idle time before a session
+ *        environment is deleted
+ * @param {number} envConfig.sweepIntervalMs - How often idle environments
+ *        are looked for
+ * @param {function(string, string): Promise<void>} create - Sets up a new
+ *        environment directory for a language (e.g. creates the virtualenv)
+ * @returns {Object} { acquire, stats }
+ */
+function createPackageEnvironments(envConfig, create) {
+  const { idleTimeoutMs, sweepIntervalMs } = envConfig;
+  const root = envConfig.path;
+
+  // directory -> { dir, ready, users, lastUsed, lock }
+  const sessions = new Map();
+
+  // Environments of a previous server process can no longer be tracked
+  fs.rmSync(root, { recursive: true, force: true });
+  fs.mkdirSync(root, { recursive: true, mode: 0o755 });
+
+  const remove = (dir) => {
+    try {
+      fs.rmSync(dir, { recursive: true, force: true, maxRetries: 3 });
+    } catch (error) {
+      console.error(`Failed to remove environment ${dir}:`, error.message);
+    }
+  };
+
+  const sweep = () => {
+    const now = Date.now();
+    for (const [dir, session] of sessions) {
+      if (session.users === 0 && now - session.lastUsed > idleTimeoutMs) {
+        sessions.delete(dir);
+        remove(dir);
+      }
+    }
+  };
+  setInterval(sweep, sweepIntervalMs).unref();
+
+  /**
+   * Wraps an environment for one run
+   * @param {Object} env - Session entry
+   * @param {function(): void} onRelease - Called once when the run is done
+   * @returns {Object} Environment handle
+   */
+  const handleFor = (env, onRelease) => {
+    let released = false;
+    return {
+      dir: env.dir,
+      /**
+       * Runs a task while no other run modifies this environment
+       * @param {function(): Promise<*>} task - e.g. package installation
+       * @returns {Promise<*>} The task's result
+       */
+      exclusive(task) {
+        const result = env.lock.then(task);
+        env.lock = result.catch(() => {});
+        return result;
+      },
+      release() {
+        if (released) return;
+        released = true;
+        onRelease();
+      },
+    };
+  };
+
+  return {
+    /**
+     * Gets the package environment for a run
+     *
+     * @async
+     * @param {string} language - Language identifier
+     * @param {string|null} sessionId - Session to share the environment
+     *        with, or null for a throwaway environment
+     * @returns {Promise<Object>} { dir, exclusive, release } - call release
+     *          once the run is over
+     * @throws {Error} If the environment cannot be created
+     */
+    async acquire(language, sessionId) {
+      if (!sessionId) {
+        const dir = fs.mkdtempSync(path.join(root, `run-${language}-`));
+        fs.chmodSync(dir, 0o755);
+        try {
+          await create(language, dir);
+        } catch (error) {
+          remove(dir);
+          throw error;
+        }
+        const env = { dir, lock: Promise.resolve() };
+        return handleFor(env, () => remove(dir));
+      }
+
+      // Hashed, so any session id makes a safe directory name
+      const digest = crypto
+        .createHash("sha256")
+        .update(sessionId)
+        .digest("hex")
+        .slice(0, 16);
+      const dir = path.join(root, `session-${language}-${digest}`);
+      let env = sessions.get(dir);
+      if (!env) {
+        env = { dir, users: 0, lastUsed: Date.now(), lock: Promise.resolve() };
+        env.ready = (async () => {
+          fs.mkdirSync(dir, { mode: 0o755 });
+          await create(language, dir);
+        })();
+        sessions.set(dir, env);
+      }
+      env.users++;
+      try {
+        await env.ready;
+      } catch (error) {
+        env.users--;
+        if (sessions.get(dir) === env) {
+          sessions.delete(dir);
+          remove(dir);
+        }
+        throw error;
+      }
+      return handleFor(env, () => {
+        env.users--;
+        env.lastUsed = Date.now();
+      });
+    },
+
+    /**
+     * Reports the session environments currently kept
+     * @returns {{sessions: number, active: number}}
+     */
+    stats() {
+      const all = [...sessions.values()];
+      return {
+        sessions: all.length,
+        active: all.filter((env) => env.users > 0).length,
+      };
+    },
+  };
+}
+
+module.exports = { createPackageEnvironments };
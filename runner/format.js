@@ -0,0 +1,108 @@
+/**
+ * Code Formatting
+ *
+ * Formats source code with the first installed formatter a language lists
+ * (see `formatters` in runner/languages.js):
+ * - Commands (black, clang-format, gofmt, ...) read the code on stdin and
+ *   print it formatted; they are looked up once, when the runner starts
+ * - Bundled formatters (prettier) run inside the runner
+ *
+ * Formatters parse the code but never run it, so they are not sandboxed;
+ * a timeout and an output cap bound what a formatter may cost.
+ */
+
+const { executeWithTimeout } = require("./process");
+
+/**
+ * Creates the formatter
+ *
+ * @function createFormatter
+ * @param {Object} formatConfig - SECURITY_CONFIG.format
+ * @param {number} formatConfig.timeout - Time a formatter command may take
+ *        (ms)
+ * @param {number} formatConfig.maxOutputKb - Formatted code kept; more
+ *        fails the request
+ * @param {Object<string, Object>} configs - Configs by id of the languages
+ *        offered (whose toolchain runs in the sandbox)
+ * @param {function(string): boolean} isAvailable - Whether a command is
+ *        installed (see runner/languages.js)
+ * @returns {Object} { format, nameOf, stats }
+ */
+function createFormatter(formatConfig, configs, isAvailable) {
+  // Language id -> chosen formatter entry, or null if none is installed
+  const chosen = new Map(
+    Object.entries(configs).map(([id, config]) => [
+      id,
+      (config.formatters || []).find(
+        (formatter) => formatter.format || isAvailable(formatter.command[0])
+      ) || null,
+    ])
+  );
+  let formatted = 0;
+  let failed = 0;
+
+  return {
+    /**
+     * Formats code
+     * @param {string} language - Language id
+     * @param {string} code - Source code
+     * @returns {Promise<string>} The formatted code
+     * @throws {Error} With code "NO_FORMATTER" when the language has no
+     *         installed formatter, or "FORMAT_FAILED" and the formatter's
+     *         message when it rejects the code (usually a syntax error)
+     */
+    async format(language, code) {
+      const formatter = chosen.get(language);
+      if (!formatter) {
+        const error = new Error(`No formatter is installed for ${language}`);
+        error.code = "NO_FORMATTER";
+        throw error;
+      }
+      try {
+        const output = formatter.format
+          ? await formatter.format(code)
+          : await executeWithTimeout(
+              formatter.command,
+              formatConfig.timeout,
+              code,
+              { maxStdout: formatConfig.maxOutputKb * 1024 }
+            );
+        formatted++;
+        return output;
+      } catch (reason) {
+        failed++;
+        // Commands reject with their stderr, bundled formatters with an Error
+        const error = new Error(
+          `${formatter.name}: ${String(reason.message || reason).trim()}`
+        );
+        error.code = "FORMAT_FAILED";
+        throw error;
+      }
+    },
+
+    /**
+     * Names the formatter used for a language
+     * @param {string} language - Language id
+     * @returns {string|null} e.g. "black", or null without a formatter
+     */
+    nameOf(language) {
+      const formatter = chosen.get(language);
+      return formatter ? formatter.name : null;
+    },
+
+    /**
+     * Reports the chosen formatters and how often they were used
+     * @returns {{formatters: Object<string, (string|null)>,
+     *          formatted: number, failed: number}}
+     */
+    stats() {
+      const formatters = {};
+      chosen.forEach((formatter, id) => {
+        formatters[id] = formatter ? formatter.name : null;
+      });
+      return { formatters, formatted, failed };
+    },
+  };
+}
+
+module.exports = { createFormatter };
@@ -0,0 +1,816 @@
+/**
+ * Import Analysis
+ *
+ * Finds the modules, packages and headers a program imports by parsing it
+ * instead of matching lines, so indented imports, require() inside
+ * functions and dynamic imports are found, while text inside strings and
+ * comments is ignored:
+ * - Python: the interpreter's own `ast` module (one subprocess per project)
+ * - JavaScript: acorn
+ * - Java: a tokenizer for the package and import declarations (which also
+ *   finds the top-level classes and their main methods)
+ * - Kotlin, Go and Rust: the same tokenizer with their string and comment
+ *   rules, for import directives, import declarations and `use` paths
+ * - TypeScript: the compiler's own import scanner
+ * - C/C++: a tokenizer for #include directives (skipping `#if 0` blocks)
+ *
+ * Every parser reports, per file, the imports with their 1-based position
+ * and a syntax error (or null) the editor can show before the program runs.
+ */
+
+const path = require("path");
+const acorn = require("acorn");
+const walk = require("acorn-walk");
+const { executeWithTimeout } = require("./process");
+
+// Parsing a project is quick; anything slower is a pathological input
+const PYTHON_PARSE_TIMEOUT = 5000;
+
+// Reads { path: source } from stdin, writes { path: { imports, error } }
+const PYTHON_IMPORT_SCANNER = [
+  "import ast, json, sys",
+  "result = {}",
+  "for name, source in json.load(sys.stdin).items():",
+  "    try:",
+  "        tree = ast.parse(source, name)",
+  "    except SyntaxError as e:",
+  "        error = {'line': e.lineno or 1, 'column': e.offset or 1,",
+  "                 'message': e.msg}",
+  "        result[name] = {'imports': [], 'error': error}",
+  "        continue",
+  "    except (ValueError, RecursionError, MemoryError) as e:",
+  "        error = {'line': 1, 'column': 1, 'message': str(e)}",
+  "        result[name] = {'imports': [], 'error': error}",
+  "        continue",
+  "    imports = []",
+  "    def add(module, node):",
+  "        imports.append({'name': module, 'line': node.lineno,",
+  "                        'column': node.col_offset + 1})",
+  "    for node in ast.walk(tree):",
+  "        if isinstance(node, ast.Import):",
+  "            for alias in node.names:",
+  "                # Aliases carry their own position since Python 3.10",
+  "                add(alias.name, alias if hasattr(alias, 'lineno') else node)",
+  "        elif isinstance(node, ast.ImportFrom):",
+  "            # Relative imports always refer to the project itself",
+  "            if node.level == 0 and node.module:",
+  "                add(node.module, node)",
+  "        elif isinstance(node, ast.Call) and node.args:",
+  "            # __import__('x') and importlib.import_module('x')",
+  "            func, arg = node.func, node.args[0]",
+  "            named = getattr(func, 'id', None) or getattr(func, 'attr', None)",
+  "            constant = isinstance(arg, ast.Constant) and \\",
+  "                isinstance(arg.value, str)",
+  "            if named in ('__import__', 'import_module') and constant:",
+  "                add(arg.value, node)",
+  "    imports.sort(key=lambda i: (i['line'], i['column']))",
+  "    result[name] = {'imports': imports, 'error': None}",
+  "json.dump(result, sys.stdout)",
+].join("\n");
+
+/**
+ * Parses the imports of every file in a Python project
+ *
+ * @async
+ * @function parsePythonImports
+ * @param {string} python - Interpreter to parse with
+ * @param {Object<string, string>} files - Project path -> source
+ * @returns {Promise<Object<string, {imports: Array<{name: string,
+ *          line: number, column: number}>, error: (Object|null)}>>}
+ *          Dotted module names; relative imports are left out
+ * @throws {Error} If the interpreter cannot be run
+ */
+async function parsePythonImports(python, files) {
+  // -I: a project file named e.g. ast.py must not shadow the real module
+  const output = await executeWithTimeout(
+    [python, "-I", "-c", PYTHON_IMPORT_SCANNER],
+    PYTHON_PARSE_TIMEOUT,
+    JSON.stringify(files)
+  ).catch((error) => {
+    throw new Error(`Could not analyze Python imports: ${error}`);
+  });
+  return JSON.parse(output);
+}
+
+/**
+ * Reads a string literal or a template literal without substitutions
+ * @param {Object|undefined} node - acorn node
+ * @returns {string|null} The constant text, or null if it is not constant
+ */
+function constantString(node) {
+  if (!node) return null;
+  if (node.type === "Literal" && typeof node.value === "string") {
+    return node.value;
+  }
+  if (node.type === "TemplateLiteral" && node.expressions.length === 0) {
+    return node.quasis[0].value.cooked;
+  }
+  return null;
+}
+
+/**
+ * Parses the imports of a JavaScript file
+ *
+ * Code is parsed as an ES module and as a CommonJS script; when both fail,
+ * the error from the attempt that got further is reported.
+ *
+ * @function parseJavaScriptImports
+ * @param {string} code - JavaScript source
+ * @returns {{imports: Array<{name: string, line: number, column: number}>,
+ *          error: ({line: number, column: number, message: string}|null)}}
+ *          Module specifiers of import/export-from declarations, import()
+ *          and require() calls with a constant argument
+ */
+function parseJavaScriptImports(code) {
+  const parse = (sourceType) =>
+    acorn.parse(code, {
+      ecmaVersion: "latest",
+      sourceType,
+      locations: true,
+      allowHashBang: true,
+      allowReturnOutsideFunction: true,
+      allowAwaitOutsideFunction: true,
+    });
+
+  let ast;
+  try {
+    ast = parse("module");
+  } catch (moduleError) {
+    try {
+      ast = parse("script");
+    } catch (scriptError) {
+      const error =
+        scriptError.pos > moduleError.pos ? scriptError : moduleError;
+      return {
+        imports: [],
+        error: {
+          line: error.loc.line,
+          column: error.loc.column + 1,
+          // acorn appends "(line:column)" to its messages
+          message: error.message.replace(/\s*\(\d+:\d+\)$/, ""),
+        },
+      };
+    }
+  }
+
+  const imports = [];
+  const add = (node) => {
+    const name = constantString(node);
+    if (name !== null) {
+      const { line, column } = node.loc.start;
+      imports.push({ name, line, column: column + 1 });
+    }
+  };
+  walk.simple(ast, {
+    ImportDeclaration: (node) => add(node.source),
+    ExportNamedDeclaration: (node) => add(node.source),
+    ExportAllDeclaration: (node) => add(node.source),
+    ImportExpression: (node) => add(node.source),
+    CallExpression: (node) => {
+      if (node.callee.type === "Identifier" && node.callee.name === "require") {
+        add(node.arguments[0]);
+      }
+    },
+  });
+  imports.sort((a, b) => a.line - b.line || a.column - b.column);
+  return { imports, error: null };
+}
+
+/**
+ * Builds a function mapping string offsets to 1-based line and column
+ * @param {string} text - Source text
+ * @returns {function(number): {line: number, column: number}}
+ */
+function positionsOf(text) {
+  const lineStarts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === "\n") lineStarts.push(i + 1);
+  }
+  return (offset) => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= offset) low = mid;
+      else high = mid - 1;
+    }
+    return { line: low + 1, column: offset - lineStarts[low] + 1 };
+  };
+}
+
+// Rust character literal; a quote that does not start one begins a lifetime
+const RUST_CHAR = /'(?:\\(?:x[0-9a-fA-F]{2}|u\{[0-9a-fA-F]+\}|.)|[^\\'\n])'/uy;
+// Rust raw string opening after r, br or cr: any number of # then a quote
+const RUST_RAW_STRING = /(#*)"/y;
+
+/**
+ * Lexical rules of the C-like languages the tokenizer understands
+ * - textBlocks: """...""" strings (Java, Kotlin)
+ * - nestedComments: block comments nest (Kotlin, Rust)
+ * - rawStrings: `...` strings (Go)
+ * - rust: r#"..."# raw strings, and ' starting lifetimes as well as chars
+ */
+const SYNTAX = {
+  java: { textBlocks: true },
+  kotlin: { textBlocks: true, nestedComments: true },
+  go: { rawStrings: true },
+  rust: { nestedComments: true, rust: true },
+};
+
+/**
+ * Splits source code into identifier and punctuation tokens
+ * @param {string} code - Source code
+ * @param {Object} syntax - Lexical rules from SYNTAX
+ * @returns {Array<{value: string, offset: number, text: (string|undefined)}>}
+ *          Tokens outside comments; string and character literals become a
+ *          single "literal" token with their raw content as text
+ */
+function tokenize(code, syntax) {
+  const tokens = [];
+  const identifier = /[\p{L}\p{N}_$]+/uy;
+  const literal = (start, contentStart, contentEnd, end) => {
+    tokens.push({
+      value: "literal",
+      offset: start,
+      text: code.slice(contentStart, contentEnd),
+    });
+    return end;
+  };
+  let i = 0;
+  while (i < code.length) {
+    const ch = code[i];
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (code.startsWith("//", i)) {
+      const end = code.indexOf("\n", i);
+      i = end === -1 ? code.length : end;
+    } else if (code.startsWith("/*", i)) {
+      let depth = 1;
+      let j = i + 2;
+      while (j < code.length && depth > 0) {
+        if (code.startsWith("*/", j)) {
+          depth--;
+          j += 2;
+        } else if (syntax.nestedComments && code.startsWith("/*", j)) {
+          depth++;
+          j += 2;
+        } else {
+          j++;
+        }
+      }
+      i = j;
+    } else if (syntax.textBlocks && code.startsWith('"""', i)) {
+      // Text block: ends at the next unescaped """
+      let j = i + 3;
+      while (j < code.length && !code.startsWith('"""', j)) {
+        j += code[j] === "\\" ? 2 : 1;
+      }
+      i = literal(i, i + 3, j, j + 3);
+    } else if (syntax.rawStrings && ch === "`") {
+      const end = code.indexOf("`", i + 1);
+      const close = end === -1 ? code.length : end;
+      i = literal(i, i + 1, close, close + 1);
+    } else if (ch === '"' || (ch === "'" && !syntax.rust)) {
+      let j = i + 1;
+      while (j < code.length && code[j] !== ch && code[j] !== "\n") {
+        j += code[j] === "\\" ? 2 : 1;
+      }
+      i = literal(i, i + 1, j, j + 1);
+    } else if (ch === "'") {
+      RUST_CHAR.lastIndex = i;
+      const match = RUST_CHAR.exec(code);
+      if (match) {
+        i = literal(i, i + 1, i + match[0].length - 1, i + match[0].length);
+      } else {
+        tokens.push({ value: "'", offset: i });
+        i++;
+      }
+    } else {
+      identifier.lastIndex = i;
+      const match = identifier.exec(code);
+      const value = match ? match[0] : ch;
+      const next = i + value.length;
+      RUST_RAW_STRING.lastIndex = next;
+      const raw =
+        syntax.rust && /^[bc]?r$/.test(value) && RUST_RAW_STRING.exec(code);
+      if (raw) {
+        const closing = `"${raw[1]}`;
+        const contentStart = next + raw[0].length;
+        const end = code.indexOf(closing, contentStart);
+        const close = end === -1 ? code.length : end;
+        i = literal(i, contentStart, close, close + closing.length);
+      } else {
+        tokens.push({ value, offset: i });
+        i = next;
+      }
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Reads a dotted name (a.b.c, optionally ending in .*) from a token list
+ * @param {Array<Object>} tokens - Tokens from tokenize
+ * @param {number} start - Index of the first name token
+ * @returns {{name: string, end: number}|null} The name without a trailing
+ *          ".*" and the index of the token after it, or null
+ */
+function readQualifiedName(tokens, start) {
+  const isName = (token) =>
+    Boolean(token) && /^[\p{L}_$][\p{L}\p{N}_$]*$/u.test(token.value);
+  if (!isName(tokens[start])) return null;
+  const parts = [tokens[start].value];
+  let i = start + 1;
+  while (tokens[i] && tokens[i].value === ".") {
+    if (isName(tokens[i + 1])) {
+      parts.push(tokens[i + 1].value);
+      i += 2;
+    } else if (tokens[i + 1] && tokens[i + 1].value === "*") {
+      i += 2;
+      break;
+    } else {
+      return null;
+    }
+  }
+  return { name: parts.join("."), end: i };
+}
+
+/**
+ * Parses the package and import declarations of a Java file
+ *
+ * @function parseJavaImports
+ * @param {string} code - Java source
+ * @returns {{package: string, imports: Array<{name: string, line: number,
+ *          column: number}>, error: null}} The declared package ("" for
+ *          the default package) and the imported classes or packages
+ *          (without a trailing ".*"); syntax errors are left to javac
+ */
+function parseJavaImports(code) {
+  const tokens = tokenize(code, SYNTAX.java);
+  const positionOf = positionsOf(code);
+  const imports = [];
+  let declaredPackage = "";
+  let depth = 0;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const { value } = tokens[i];
+    if (value === "{") depth++;
+    else if (value === "}") depth = Math.max(0, depth - 1);
+    // Both keywords are reserved, so outside a body they start a declaration
+    if (depth > 0 || (value !== "import" && value !== "package")) continue;
+
+    const isStatic = tokens[i + 1] && tokens[i + 1].value === "static";
+    const start = isStatic ? i + 2 : i + 1;
+    const declaration = readQualifiedName(tokens, start);
+    const terminator = declaration && tokens[declaration.end];
+    if (!terminator || terminator.value !== ";") continue;
+    if (value === "package") {
+      declaredPackage = declaration.name;
+    } else {
+      imports.push({
+        name: declaration.name,
+        ...positionOf(tokens[start].offset),
+      });
+    }
+    i = declaration.end;
+  }
+  return { package: declaredPackage, imports, error: null };
+}
+
+// Keywords that declare a Java type (record is contextual but equivalent)
+const JAVA_TYPE_KEYWORDS = new Set(["class", "interface", "enum", "record"]);
+
+/**
+ * Finds the top-level types of a Java file and whether they can be run
+ *
+ * @function parseJavaTypes
+ * @param {string} code - Java source
+ * @returns {Array<{name: string, kind: string, isPublic: boolean,
+ *          main: (string|null), line: number}>} Types in file order; main
+ *          is "valid" for a `public static void main(String[] args)`
+ *          method (String... and String args[] work too), "invalid" for a
+ *          method named main with another signature, or null
+ */
+function parseJavaTypes(code) {
+  const tokens = tokenize(code, SYNTAX.java);
+  const positionOf = positionsOf(code);
+  const types = [];
+  let current = null;
+  let depth = 0;
+  // Index of the first token of the declaration being read
+  let declarationStart = 0;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const { value } = tokens[i];
+    if (value === "{" || value === "}" || value === ";") {
+      if (value === "{") depth++;
+      if (value === "}") depth = Math.max(0, depth - 1);
+      if (depth === 0 && value === "}") current = null;
+      declarationStart = i + 1;
+      continue;
+    }
+
+    const previous = i > 0 ? tokens[i - 1].value : "";
+    const next = tokens[i + 1];
+    if (
+      depth === 0 &&
+      JAVA_TYPE_KEYWORDS.has(value) &&
+      previous !== "." &&
+      previous !== "@" &&
+      next &&
+      /^[\p{L}_$]/u.test(next.value)
+    ) {
+      const modifiers = tokens.slice(declarationStart, i).map((t) => t.value);
+      current = {
+        name: next.value,
+        kind: value,
+        isPublic: modifiers.includes("public"),
+        main: null,
+        line: positionOf(tokens[i].offset).line,
+      };
+      types.push(current);
+    } else if (
+      depth === 1 &&
+      current &&
+      value === "main" &&
+      next &&
+      next.value === "("
+    ) {
+      const modifiers = tokens.slice(declarationStart, i).map((t) => t.value);
+      const close = tokens.findIndex((t, j) => j > i && t.value === ")");
+      const params = tokens.slice(i + 2, close).map((t) => t.value);
+      const valid =
+        modifiers.includes("static") &&
+        modifiers[modifiers.length - 1] === "void" &&
+        // Interface members are implicitly public
+        (modifiers.includes("public") || current.kind === "interface") &&
+        params.includes("String") &&
+        (params.includes("[") || params.includes(".")) &&
+        !params.includes(",");
+      if (valid || !current.main) {
+        current.main = valid ? "valid" : "invalid";
+      }
+    }
+  }
+  return types;
+}
+
+/**
+ * Parses the package and import directives of a Kotlin file
+ *
+ * @function parseKotlinImports
+ * @param {string} code - Kotlin source
+ * @returns {{package: string, imports: Array<{name: string, line: number,
+ *          column: number}>, error: null}} The declared package ("" for
+ *          the default package) and the imported names (without ".*" or
+ *          an `as` alias); syntax errors are left to kotlinc
+ */
+function parseKotlinImports(code) {
+  const tokens = tokenize(code, SYNTAX.kotlin);
+  const positionOf = positionsOf(code);
+  const imports = [];
+  let declaredPackage = "";
+  let depth = 0;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const { value } = tokens[i];
+    if (value === "{") depth++;
+    else if (value === "}") depth = Math.max(0, depth - 1);
+    // Kotlin needs no semicolons: the name ends the directive
+    if (depth > 0 || (value !== "import" && value !== "package")) continue;
+    const declaration = readQualifiedName(tokens, i + 1);
+    if (!declaration) continue;
+    if (value === "package") {
+      declaredPackage = declaration.name;
+    } else {
+      imports.push({
+        name: declaration.name,
+        ...positionOf(tokens[i + 1].offset),
+      });
+    }
+    i = declaration.end - 1;
+  }
+  return { package: declaredPackage, imports, error: null };
+}
+
+/**
+ * Parses the import declarations of a Go file
+ *
+ * @function parseGoImports
+ * @param {string} code - Go source
+ * @returns {{imports: Array<{name: string, line: number, column: number}>,
+ *          error: null}} Import paths, e.g. "fmt" or "container/heap";
+ *          syntax errors are left to the compiler
+ */
+function parseGoImports(code) {
+  const tokens = tokenize(code, SYNTAX.go);
+  const positionOf = positionsOf(code);
+  const imports = [];
+  const add = (token) =>
+    imports.push({ name: token.text, ...positionOf(token.offset) });
+  let depth = 0;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const { value } = tokens[i];
+    if (value === "{") depth++;
+    else if (value === "}") depth = Math.max(0, depth - 1);
+    if (depth > 0 || value !== "import") continue;
+
+    if (tokens[i + 1] && tokens[i + 1].value === "(") {
+      // Grouped: import ( "fmt"; str "strings"; . "math"; _ "embed" )
+      let j = i + 2;
+      for (; j < tokens.length && tokens[j].value !== ")"; j++) {
+        if (tokens[j].value === "literal") add(tokens[j]);
+      }
+      i = j;
+    } else {
+      // Single: import "fmt", optionally with an alias before the path
+      const spec = tokens.slice(i + 1, i + 3).find((t) => t.value === "literal");
+      if (spec) add(spec);
+    }
+  }
+  return { imports, error: null };
+}
+
+// Rust keywords that name the item after them
+const RUST_ITEM_KEYWORDS = new Set([
+  "mod", "enum", "struct", "trait", "type", "fn", "const", "static", "union",
+]);
+
+/**
+ * Parses the crates a Rust file uses
+ *
+ * @function parseRustImports
+ * @param {string} code - Rust source
+ * @returns {{imports: Array<{name: string, line: number, column: number}>,
+ *          error: null}} The first segment of every `use` path (a crate,
+ *          crate/self/super or a local item) and every `extern crate`;
+ *          syntax errors are left to rustc
+ */
+function parseRustImports(code) {
+  const tokens = tokenize(code, SYNTAX.rust);
+  const positionOf = positionsOf(code);
+  const imports = [];
+  const isName = (token) => Boolean(token) && /^[\p{L}_]/u.test(token.value);
+  const add = (token) =>
+    imports.push({ name: token.value, ...positionOf(token.offset) });
+
+  for (let i = 0; i < tokens.length; i++) {
+    const { value } = tokens[i];
+    if (value === "extern" && tokens[i + 1] && tokens[i + 1].value === "crate") {
+      if (isName(tokens[i + 2])) add(tokens[i + 2]);
+      continue;
+    }
+    if (value !== "use") continue;
+
+    let j = i + 1;
+    // use ::rand::Rng; names a crate explicitly
+    while (tokens[j] && tokens[j].value === ":") j++;
+    if (isName(tokens[j])) {
+      add(tokens[j]);
+    } else if (tokens[j] && tokens[j].value === "{") {
+      // use {std::io, rand::Rng}; - every top-level path of the group
+      let depth = 0;
+      for (; j < tokens.length; j++) {
+        const token = tokens[j];
+        if (token.value === "{") depth++;
+        else if (token.value === "}" && --depth === 0) break;
+        const previous = tokens[j - 1].value;
+        if (depth === 1 && isName(token) && (previous === "{" || previous === ",")) {
+          add(token);
+        }
+      }
+    }
+  }
+  return { imports, error: null };
+}
+
+/**
+ * Lists the items (modules, types, functions, ...) a Rust file declares,
+ * since a `use` path may start with one of them instead of a crate
+ * @param {string} code - Rust source
+ * @returns {Set<string>} Declared names, including macro_rules! macros
+ */
+function rustItemNames(code) {
+  const tokens = tokenize(code, SYNTAX.rust);
+  const names = new Set();
+  tokens.forEach((token, i) => {
+    const next = tokens[i + 1];
+    if (RUST_ITEM_KEYWORDS.has(token.value) && next) {
+      names.add(next.value);
+    } else if (
+      token.value === "macro_rules" &&
+      next &&
+      next.value === "!" &&
+      tokens[i + 2]
+    ) {
+      names.add(tokens[i + 2].value);
+    }
+  });
+  return names;
+}
+
+/**
+ * Parses the imports of a TypeScript file with the compiler's own scanner
+ *
+ * @function parseTypeScriptImports
+ * @param {Object} ts - The typescript module
+ * @param {string} code - TypeScript source
+ * @returns {{imports: Array<{name: string, line: number, column: number}>,
+ *          error: null}} Module specifiers of imports, exports, import()
+ *          and require(); type errors are left to tsc
+ */
+function parseTypeScriptImports(ts, code) {
+  const positionOf = positionsOf(code);
+  const { importedFiles } = ts.preProcessFile(code, true, true);
+  return {
+    imports: importedFiles.map((ref) => ({
+      name: ref.fileName,
+      ...positionOf(ref.pos),
+    })),
+    error: null,
+  };
+}
+
+// pp-number: digits with C++14 ' separators and exponent signs (1'000, 1e+5)
+const PP_NUMBER = /\.?\d(?:[eEpP][+-]|[\w.']|)*/y;
+// Raw string prefix: R"delim( ... )delim"
+const RAW_STRING_PREFIX = /(?:u8|u|U|L)?R$/;
+
+/**
+ * Parses the #include directives of a C or C++ file
+ *
+ * Follows the preprocessor's view of the file: backslash-newline splices
+ * lines, comments and string literals hide directives, and directives must
+ * start their line. Blocks under `#if 0` are skipped; other conditions are
+ * not evaluated.
+ *
+ * @function parseIncludes
+ * @param {string} code - C or C++ source
+ * @returns {{imports: Array<{name: string, line: number, column: number,
+ *          local: boolean}>, error: null}} Included headers; local is true
+ *          for "quoted" includes. Syntax errors are left to the compiler.
+ */
+function parseIncludes(code) {
+  // Splice continued lines, remembering where each character came from
+  let text = "";
+  const origin = [];
+  for (let i = 0; i < code.length; i++) {
+    const splice = code[i] === "\\" && /^\r?\n/.exec(code.slice(i + 1, i + 3));
+    if (splice) {
+      i += splice[0].length;
+    } else {
+      text += code[i];
+      origin.push(i);
+    }
+  }
+  const positionOf = positionsOf(code);
+  const imports = [];
+  // One entry per open #if: { active, zero } where zero marks `#if 0`
+  const conditions = [];
+  const active = () => conditions.every((condition) => condition.active);
+  let lineStart = true;
+  let i = 0;
+
+  const skipLiteral = (quote, from) => {
+    let j = from;
+    while (j < text.length && text[j] !== quote && text[j] !== "\n") {
+      j += text[j] === "\\" ? 2 : 1;
+    }
+    return j + 1;
+  };
+
+  while (i < text.length) {
+    const ch = text[i];
+    if (ch === "\n") {
+      lineStart = true;
+      i++;
+    } else if (/\s/.test(ch)) {
+      i++;
+    } else if (text.startsWith("//", i)) {
+      const end = text.indexOf("\n", i);
+      i = end === -1 ? text.length : end;
+    } else if (text.startsWith("/*", i)) {
+      // A comment counts as whitespace, so the line start is kept
+      const end = text.indexOf("*/", i + 2);
+      i = end === -1 ? text.length : end + 2;
+    } else if (ch === "#" && lineStart) {
+      const end = text.indexOf("\n", i);
+      const line = text
+        .slice(i + 1, end === -1 ? text.length : end)
+        .replace(/\/\*.*?\*\/|\/\/.*$/g, " ");
+      const [, directive = "", rest = ""] = /^\s*(\w*)\s*(.*)$/.exec(line);
+      if (/^if(n?def)?$/.test(directive)) {
+        const zero = directive === "if" && rest.trim() === "0";
+        conditions.push({ active: !zero, zero });
+      } else if (/^(else|elif)$/.test(directive) && conditions.length > 0) {
+        const condition = conditions[conditions.length - 1];
+        if (condition.zero) {
+          condition.active = true;
+          condition.zero = false;
+        }
+      } else if (directive === "endif") {
+        conditions.pop();
+      } else if (/^(include(_next)?|import)$/.test(directive) && active()) {
+        const header = /^(<[^>\n]*>|"[^"\n]*")/.exec(rest);
+        if (header) {
+          const offset = i + 1 + line.indexOf(header[1]);
+          imports.push({
+            name: header[1].slice(1, -1).trim(),
+            ...positionOf(origin[offset]),
+            local: header[1][0] === '"',
+          });
+        }
+      }
+      // The directive ends at the newline; the rest of its line is skipped
+      i = end === -1 ? text.length : end;
+    } else if (ch === '"' || ch === "'") {
+      lineStart = false;
+      i = skipLiteral(ch, i + 1);
+    } else if (/[\d.]/.test(ch)) {
+      lineStart = false;
+      PP_NUMBER.lastIndex = i;
+      const match = PP_NUMBER.exec(text);
+      i += match ? Math.max(match[0].length, 1) : 1;
+    } else if (/\w/.test(ch)) {
+      lineStart = false;
+      const word = /\w+/y;
+      word.lastIndex = i;
+      i += word.exec(text)[0].length;
+      const prefix = text.slice(Math.max(0, i - 3), i);
+      if (text[i] === '"' && RAW_STRING_PREFIX.test(prefix)) {
+        const open = text.indexOf("(", i);
+        const delimiter = open === -1 ? "" : text.slice(i + 1, open);
+        const close = open === -1 ? -1 : text.indexOf(`)${delimiter}"`, open);
+        i = close === -1 ? text.length : close + delimiter.length + 2;
+      }
+    } else {
+      lineStart = false;
+      i++;
+    }
+  }
+  return { imports, error: null };
+}
+
+/**
+ * Parses every file of a project with a per-file parser
+ * @param {Object<string, string>} files - Project path -> source
+ * @param {function(string): Object} parse - e.g. parseJavaScriptImports
+ * @param {string[]} [skipExtensions=[]] - Files that import nothing (data)
+ * @returns {Object<string, Object>} Path -> { imports, error }
+ */
+function parseEach(files, parse, skipExtensions = []) {
+  const results = {};
+  for (const [file, content] of Object.entries(files)) {
+    if (!skipExtensions.includes(path.posix.extname(file).slice(1))) {
+      results[file] = parse(content);
+    }
+  }
+  return results;
+}
+
+/**
+ * Lists the third-party dependencies a project imports
+ *
+ * @async
+ * @function findDependencies
+ * @param {Object} config - Language config from the registry
+ * @param {Object<string, string>} files - Project path -> content
+ * @returns {Promise<Array<{dependency: string, name: string, file: string,
+ *          line: number, column: number}>>} One entry per import of
+ *          something outside the standard library and the project itself
+ */
+async function findDependencies(config, files) {
+  const parsed = await config.parseImports(files);
+  const found = [];
+  for (const [file, { imports }] of Object.entries(parsed)) {
+    for (const imported of imports) {
+      const dependency = config.dependencyOf(imported);
+      if (!dependency) continue;
+      if (
+        config.isLocalDependency &&
+        config.isLocalDependency(dependency, files)
+      ) {
+        continue;
+      }
+      const { name, line, column } = imported;
+      found.push({ dependency, name, file, line, column });
+    }
+  }
+  return found;
+}
+
+module.exports = {
+  parsePythonImports,
+  parseJavaScriptImports,
+  parseJavaImports,
+  parseJavaTypes,
+  parseKotlinImports,
+  parseGoImports,
+  parseRustImports,
+  rustItemNames,
+  parseTypeScriptImports,
+  parseIncludes,
+  parseEach,
+  findDependencies,
+};
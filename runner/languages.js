@@ -0,0 +1,2364 @@
+/**
+ * Language Registry
+ *
+ * Single source of truth for every language the code runner supports.
+ * Each language is declared exactly once with:
+ * - Display name, source file extension and the file types a multi-file
+ *   project may contain
+ * - Toolchain executables that must be installed to offer the language,
+ *   and the command printing their version (probed once at startup)
+ * - Compile/run command builders (argument vectors, no shell)
+ * - Compile/run/install timeouts
+ * - Dependency detection, and installation of allowlisted packages from
+ *   a local mirror (see runner/mirror.js)
+ *
+ * Adding a language means adding one entry to `languageConfigs`; the
+ * /run, /judge and /languages endpoints pick it up automatically.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { builtinModules } = require("module");
+const { executeWithTimeout } = require("./process");
+const {
+  parsePythonImports,
+  parseJavaScriptImports,
+  parseJavaImports,
+  parseJavaTypes,
+  parseKotlinImports,
+  parseGoImports,
+  parseRustImports,
+  rustItemNames,
+  parseTypeScriptImports,
+  parseIncludes,
+  parseEach,
+} = require("./imports");
+const {
+  PYTHON_DEBUG_AGENT,
+  NODE_DEBUG_AGENT,
+  JAVA_DEBUG_LAUNCHER,
+  JAVA_DEBUG_LAUNCHER_CLASS,
+  firstStatementLine,
+} = require("./debugger");
+const { PYTHON_TRACE_AGENT, NODE_TRACE_AGENT } = require("./tracer");
+const { PYTHON_PROFILE_AGENT } = require("./profiler");
+const { PYTHON_LINT_AGENT } = require("./diagnostics");
+
+/**
+ * === Environment Configuration Section ===
+ * Paths and settings for the language runtimes, with automatic detection
+ * of installed runtimes where possible.
+ */
+
+/**
+ * Python interpreter used to run code and install packages
+ * @constant {string} PYTHON_PATH - Override with the PYTHON_PATH environment variable
+ */
+const PYTHON_PATH =
+  process.env.PYTHON_PATH ||
+  (process.platform === "win32" ? "python" : "python3");
+
+/**
+ * Local package mirror
+ * Dependencies are only ever installed from here, never from the internet.
+ * It holds one directory per ecosystem (python wheels, the npm cache and a
+ * Maven repository) and is filled by `npm run mirror:populate`.
+ * @constant {string} PACKAGE_MIRROR_PATH - Override with the PACKAGE_MIRROR_PATH
+ *           environment variable
+ */
+const PACKAGE_MIRROR_PATH =
+  process.env.PACKAGE_MIRROR_PATH ||
+  path.join(__dirname, "..", "package-mirror");
+
+/**
+ * Resolves an ecosystem's directory inside the package mirror
+ * @param {string} ecosystem - "python", "npm" or "maven"
+ * @returns {string} Directory path (may not exist yet)
+ */
+function mirrorDirectory(ecosystem) {
+  return path.join(PACKAGE_MIRROR_PATH, ecosystem);
+}
+
+/**
+ * Resolves a mirror directory that installs are read from
+ * @param {string} ecosystem - "python", "npm" or "maven"
+ * @returns {string} Existing directory path
+ * @throws {Error} If the mirror was never populated
+ */
+function populatedMirror(ecosystem) {
+  const dir = mirrorDirectory(ecosystem);
+  if (!fs.existsSync(dir)) {
+    throw new Error(
+      `The ${ecosystem} package mirror is empty; populate it with "npm run mirror:populate"`
+    );
+  }
+  return dir;
+}
+
+/**
+ * Locates the Java Development Kit installation directory
+ * @function findJavaHome
+ * @returns {string} Path to Java installation directory
+ * @description Searches common installation locations across different operating systems
+ *              Falls back to JAVA_HOME environment variable if no installation is found
+ */
+function findJavaHome() {
+  // Define standard JDK installation paths for different operating systems
+  const commonPaths = [
+    "C:\\Program Files\\Java",         // Windows 64-bit
+    "C:\\Program Files (x86)\\Java",   // Windows 32-bit
+    "/usr/lib/jvm",                    // Linux
+    "/Library/Java/JavaVirtualMachines", // macOS
+  ];
+
+  for (const basePath of commonPaths) {
+    if (fs.existsSync(basePath)) {
+      const jdkDirs = fs
+        .readdirSync(basePath)
+        .filter((dir) => dir.includes("jdk"))
+        .sort()
+        .reverse(); // Get the latest version
+
+      if (jdkDirs.length > 0) {
+        return path.join(basePath, jdkDirs[0]);
+      }
+    }
+  }
+  return process.env.JAVA_HOME || "";
+}
+
+/**
+ * Java Development Kit Configuration
+ * Automatically detects and configures Java environment settings
+ */
+const JAVA_HOME = process.env.JAVA_HOME || findJavaHome();
+
+/**
+ * Resolves a tool inside an installation's bin directory
+ * @param {string} home - Installation directory ("" if none was found)
+ * @param {string} tool - Tool name
+ * @returns {string} Executable path, or the bare tool name to find on PATH
+ */
+function homeTool(home, tool) {
+  const exe = process.platform === "win32" ? `${tool}.exe` : tool;
+  const candidate = home ? path.join(home, "bin", exe) : "";
+  return candidate && fs.existsSync(candidate) ? candidate : tool;
+}
+
+/**
+ * Resolves a JDK tool (javac, java) inside JAVA_HOME, falling back to PATH
+ * @param {string} tool - Tool name
+ * @returns {string} Executable path or bare tool name
+ */
+function javaTool(tool) {
+  return homeTool(JAVA_HOME, tool);
+}
+
+/**
+ * Reads the feature version of the installed JDK
+ * @returns {number|null} e.g. 17 (1.8 reads as 8), or null without a JDK
+ */
+function javaFeatureVersion() {
+  const { available, version } = toolchains.get("java");
+  if (!available) return null;
+  // Java 8 reports 1.8.0_392, later releases 17.0.9 (or just 21)
+  const [major, minor] = version.split(".").map(Number);
+  return major === 1 ? minor : major;
+}
+
+/**
+ * Picks the class a Java file runs: the one with a main method
+ * @param {Array<Object>} types - Top-level types from parseJavaTypes
+ * @returns {Object} The public type with a valid main, else the first one
+ * @throws {Error} Explaining how to add an entry point when there is none
+ */
+function javaMainType(types) {
+  const runnable = types.filter((type) => type.main === "valid");
+  if (runnable.length > 0) {
+    return runnable.find((type) => type.isPublic) || runnable[0];
+  }
+  const misdeclared = types.find((type) => type.main === "invalid");
+  if (misdeclared) {
+    throw new Error(
+      `${misdeclared.name} (line ${misdeclared.line}) declares main with the wrong signature. Java only runs "public static void main(String[] args)".`
+    );
+  }
+  if (types.length === 0) {
+    throw new Error(
+      'No class found. Put your code in a class with a "public static void main(String[] args)" method.'
+    );
+  }
+  const names = types.map((type) => type.name).join(", ");
+  throw new Error(
+    `No entry point: ${names} ${types.length === 1 ? "has" : "have"} no "public static void main(String[] args)" method. Add one (for example in a class Main) that calls your code and prints the result.`
+  );
+}
+
+/**
+ * Locates the Go installation directory
+ * @function findGoRoot
+ * @returns {string} Path to the Go installation, or "" to use `go` from PATH
+ * @description Searches the official archive's location and common package
+ *              manager locations
+ */
+function findGoRoot() {
+  const commonPaths = [
+    "C:\\Program Files\\Go",         // Windows installer
+    "/usr/local/go",                   // Official Linux/macOS archive
+    "/usr/lib/go",                     // Linux distribution packages
+    "/opt/homebrew/opt/go/libexec",    // macOS Homebrew (Apple silicon)
+    "/usr/local/opt/go/libexec",       // macOS Homebrew (Intel)
+  ];
+  return (
+    commonPaths.find((dir) => fs.existsSync(path.join(dir, "bin"))) || ""
+  );
+}
+
+/**
+ * Go Configuration
+ * Builds share one compiled standard library (GO_CACHE_PATH), filled by the
+ * runner at startup; sandboxed builds may read it but not write to it.
+ */
+const GOROOT = process.env.GOROOT || findGoRoot();
+const GO_PATH = homeTool(GOROOT, "go");
+const GO_CACHE_PATH =
+  process.env.GO_CACHE_PATH || path.join(os.tmpdir(), "skillconnect-go-cache");
+
+/**
+ * Locates the Rust compiler
+ * @function findRustc
+ * @returns {string} Path to rustc, or "rustc" to use the one on PATH
+ * @description Looks in Cargo's bin directories, then resolves rustup's
+ *              proxy to the toolchain's own rustc: the proxy reads settings
+ *              from the runner's home directory, which sandboxed builds
+ *              cannot see
+ */
+function findRustc() {
+  const exe = process.platform === "win32" ? "rustc.exe" : "rustc";
+  const binDirs = [
+    process.env.CARGO_HOME && path.join(process.env.CARGO_HOME, "bin"),
+    path.join(os.homedir(), ".cargo", "bin"), // rustup's default
+    "/usr/local/cargo/bin",                   // Official Docker images
+  ].filter(Boolean);
+  const rustc =
+    binDirs
+      .map((dir) => path.join(dir, exe))
+      .find((candidate) => fs.existsSync(candidate)) || "rustc";
+
+  const probe = spawnSync(rustc, ["--print", "sysroot"], {
+    encoding: "utf8",
+    timeout: 10000,
+  });
+  const toolchainRustc =
+    probe.status === 0 ? path.join(probe.stdout.trim(), "bin", exe) : "";
+  return toolchainRustc && fs.existsSync(toolchainRustc)
+    ? toolchainRustc
+    : rustc;
+}
+
+/**
+ * Rust Configuration
+ * @constant {string} RUSTC_PATH - Override with the RUSTC environment variable
+ */
+const RUSTC_PATH = process.env.RUSTC || findRustc();
+
+/**
+ * Resolves a tool installed next to rustc (rustfmt), falling back to PATH
+ * @param {string} tool - Tool name
+ * @returns {string} Executable path or bare tool name
+ */
+function rustTool(tool) {
+  const exe = process.platform === "win32" ? `${tool}.exe` : tool;
+  const candidate = path.join(path.dirname(RUSTC_PATH), exe);
+  return fs.existsSync(candidate) ? candidate : tool;
+}
+
+/**
+ * Locates the TypeScript compiler package
+ * @function findTypeScript
+ * @returns {string} Package directory, or "" if TypeScript is not installed
+ * @description Prefers the runner's own dependency, then a global install
+ *              of `tsc`
+ */
+function findTypeScript() {
+  try {
+    return path.dirname(require.resolve("typescript/package.json"));
+  } catch (error) {
+    // Not a dependency of the runner; look for a global install
+  }
+  const tsc = resolveCommand("tsc");
+  // <prefix>/typescript/bin/tsc, usually reached through a symlink
+  return tsc ? path.dirname(path.dirname(fs.realpathSync(tsc))) : "";
+}
+
+/**
+ * TypeScript Configuration
+ * tsc is a Node.js script, so builds run it with `node`.
+ * @constant {string} TYPESCRIPT_PATH - Override with the TYPESCRIPT_PATH
+ *           environment variable (the typescript package directory)
+ */
+const TYPESCRIPT_PATH = process.env.TYPESCRIPT_PATH || findTypeScript();
+const TSC_PATH = TYPESCRIPT_PATH
+  ? path.join(TYPESCRIPT_PATH, "bin", "tsc")
+  : "tsc";
+
+/**
+ * Locates the Node.js type declarations, so programs can use process,
+ * require and the built-in modules
+ * @returns {string|null} The @types directory holding them, or null
+ */
+function findNodeTypes() {
+  try {
+    const pkg = require.resolve("@types/node/package.json", {
+      paths: [__dirname, TYPESCRIPT_PATH].filter(Boolean),
+    });
+    return path.dirname(path.dirname(pkg));
+  } catch (error) {
+    return null;
+  }
+}
+
+const NODE_TYPES_PATH = findNodeTypes();
+
+let typescript;
+
+/**
+ * Loads the TypeScript compiler API, once
+ * @returns {Object} The typescript module
+ */
+function typescriptApi() {
+  if (!typescript) {
+    typescript = require(TYPESCRIPT_PATH);
+  }
+  return typescript;
+}
+
+/**
+ * Locates the Kotlin compiler installation directory
+ * @function findKotlinHome
+ * @returns {string} Path to the Kotlin compiler, or "" to use `kotlinc`
+ *          from PATH
+ * @description Searches the usual locations of the standalone compiler,
+ *              SDKMAN! and Homebrew
+ */
+function findKotlinHome() {
+  const commonPaths = [
+    "C:\\kotlinc",                                      // Windows
+    "/usr/local/kotlinc",                               // Linux archive
+    "/opt/kotlinc",
+    path.join(os.homedir(), ".sdkman", "candidates", "kotlin", "current"),
+    "/opt/homebrew/opt/kotlin/libexec",                 // macOS Homebrew
+    "/usr/local/opt/kotlin/libexec",
+  ];
+  return (
+    commonPaths.find((dir) => fs.existsSync(path.join(dir, "bin"))) || ""
+  );
+}
+
+/**
+ * Kotlin Configuration
+ * Programs are compiled to a jar and run on the JDK found above.
+ */
+const KOTLIN_HOME = process.env.KOTLIN_HOME || findKotlinHome();
+const KOTLINC_PATH = homeTool(KOTLIN_HOME, "kotlinc");
+
+// === Standard Libraries ===
+
+// Python standard library modules that never need installation
+const PYTHON_STDLIB = new Set([
+  // Core
+  "os", "sys", "math", "cmath", "random", "time", "datetime", "calendar",
+  "string", "re", "json", "builtins", "__future__",
+  // Data types and collections
+  "collections", "itertools", "functools", "operator", "typing", "array",
+  "enum", "dataclasses", "abc", "copy", "numbers", "decimal", "fractions",
+  "heapq", "bisect", "queue", "weakref", "types", "pprint", "statistics",
+  // Text processing
+  "textwrap", "difflib", "unicodedata", "codecs", "gettext", "locale",
+  // Files and persistence
+  "pathlib", "io", "glob", "fnmatch", "shutil", "tempfile", "fileinput",
+  "stat", "pickle", "shelve", "sqlite3", "csv", "configparser",
+  // Compression and archives
+  "zlib", "gzip", "bz2", "lzma", "zipfile", "tarfile", "struct",
+  // Cryptography
+  "hashlib", "hmac", "secrets", "base64", "uuid",
+  // Operating system and concurrency
+  "platform", "subprocess", "signal", "mmap", "threading",
+  "multiprocessing", "concurrent", "asyncio", "sched", "select",
+  "selectors", "getpass", "curses", "logging", "argparse", "contextlib",
+  // Networking and internet data
+  "socket", "ssl", "asyncore", "asynchat", "urllib", "http", "email",
+  "xml", "html", "webbrowser", "ftplib", "poplib", "imaplib", "nntplib",
+  "smtplib", "telnetlib",
+  // Development tools
+  "unittest", "doctest", "pdb", "trace", "traceback", "inspect", "ast",
+  "dis", "tokenize", "keyword", "gc", "warnings", "timeit", "cProfile",
+  "profile", "venv", "tkinter",
+]);
+
+// JavaScript built-in modules, with and without the "node:" prefix
+const NODE_BUILTINS = new Set(builtinModules);
+
+// Java packages shipped with the JDK
+const JAVA_STANDARD_PREFIXES = [
+  "java.",
+  "javax.",
+  "jdk.",
+  "sun.",
+  "com.sun.",
+  "org.w3c.",
+  "org.xml.",
+  "org.ietf.",
+  "org.omg.",
+];
+
+// C standard library and common POSIX headers
+const C_STANDARD_HEADERS = new Set([
+  "assert.h", "complex.h", "ctype.h", "errno.h", "fenv.h", "float.h",
+  "inttypes.h", "iso646.h", "limits.h", "locale.h", "math.h", "setjmp.h",
+  "signal.h", "stdalign.h", "stdarg.h", "stdatomic.h", "stdbool.h",
+  "stddef.h", "stdint.h", "stdio.h", "stdlib.h", "stdnoreturn.h",
+  "string.h", "tgmath.h", "threads.h", "time.h", "uchar.h", "wchar.h",
+  "wctype.h",
+  // POSIX
+  "unistd.h", "pthread.h", "fcntl.h", "sys/types.h", "sys/stat.h",
+  "sys/time.h", "sys/wait.h",
+  // Windows
+  "windows.h", "process.h", "direct.h", "io.h", "conio.h",
+]);
+
+// C++ standard library headers (C headers are accepted as well)
+const CPP_STANDARD_HEADERS = new Set([
+  // Input/Output
+  "iostream", "iomanip", "fstream", "sstream", "streambuf", "ios", "iosfwd",
+  "istream", "ostream", "syncstream", "spanstream", "print",
+  // Containers
+  "vector", "string", "array", "deque", "forward_list", "list", "map",
+  "set", "unordered_map", "unordered_set", "queue", "stack", "span",
+  "initializer_list", "bitset", "mdspan", "flat_map", "flat_set",
+  // Algorithms and functions
+  "algorithm", "functional", "iterator", "numeric", "ranges", "execution",
+  // Language support and utilities
+  "memory", "memory_resource", "scoped_allocator", "limits", "exception",
+  "stdexcept", "new", "typeindex", "typeinfo", "type_traits", "utility",
+  "tuple", "any", "optional", "variant", "expected", "compare", "version",
+  "source_location", "concepts", "coroutine", "generator", "stacktrace",
+  "string_view", "charconv", "format", "system_error", "regex", "locale",
+  "codecvt", "filesystem",
+  // Math and numbers
+  "cmath", "complex", "random", "ratio", "numbers", "valarray", "bit",
+  "stdfloat",
+  // Threading
+  "thread", "mutex", "shared_mutex", "condition_variable", "future",
+  "chrono", "atomic", "barrier", "latch", "semaphore", "stop_token",
+  // C compatibility headers
+  "cassert", "cctype", "cerrno", "cfenv", "cfloat", "cinttypes", "climits",
+  "clocale", "csetjmp", "csignal", "cstdarg", "cstddef", "cstdint",
+  "cstdio", "cstdlib", "cstring", "ctime", "cuchar", "cwchar", "cwctype",
+  // GCC's catch-all header, common in competitive programming
+  "bits/stdc++.h",
+  ...C_STANDARD_HEADERS,
+]);
+
+// Crates every Rust program can use, and the path roots naming the
+// program's own modules
+const RUST_STANDARD_CRATES = new Set([
+  "std", "core", "alloc", "proc_macro", "test", "crate", "self", "super",
+  "Self",
+]);
+
+// Kotlin packages shipped with the compiler's runtime or the JDK
+const KOTLIN_STANDARD_PREFIXES = [
+  "kotlin.",
+  "kotlinx.",
+  "java.",
+  "javax.",
+  "jdk.",
+  "org.w3c.",
+  "org.xml.",
+];
+
+/**
+ * Reads the package a Java source file declares
+ * @param {string} code - Java source code
+ * @returns {string} Package name, or "" for the default package
+ */
+function javaPackageOf(code) {
+  return parseJavaImports(code).package;
+}
+
+/**
+ * === C/C++ Compiler Options ===
+ * Run requests may pick from these instead of passing raw flags.
+ */
+const OPTIMIZATION_LEVELS = ["O0", "O1", "O2", "O3", "Os"];
+const EXTRA_WARNING_FLAGS = ["-Wpedantic", "-Wshadow", "-Wconversion"];
+// Debug info and frame pointers let sanitizer reports name source lines
+const SANITIZER_FLAGS = [
+  "-fsanitize=address,undefined",
+  "-fno-omit-frame-pointer",
+  "-g",
+];
+
+/**
+ * Memory checkers of C/C++ programs, in order of preference (see
+ * `memcheck`): Valgrind checks a plain debug build; without it, the
+ * program is built with AddressSanitizer, which keeps running after each
+ * error and lists the leaks at exit
+ * @constant {Object[]} MEMCHECKERS
+ */
+const MEMCHECKERS = [
+  {
+    name: "Valgrind",
+    format: "valgrind",
+    toolchain: ["valgrind"],
+    sanitized: false,
+    compileFlags: ["-g", "-O0"],
+    command: ({ executable, args }) => [
+      "valgrind",
+      "--tool=memcheck",
+      "--leak-check=full",
+      "--show-leak-kinds=definite,indirect,possible",
+      "--fullpath-after=",
+      executable,
+      ...args,
+    ],
+  },
+  {
+    name: "LeakSanitizer",
+    format: "sanitizer",
+    toolchain: [],
+    sanitized: true,
+    compileFlags: [
+      "-fsanitize=address",
+      "-fsanitize-recover=address",
+      "-fno-omit-frame-pointer",
+      "-g",
+    ],
+    command: ({ executable, args }) => [executable, ...args],
+  },
+];
+
+/**
+ * Validates requested compiler options against a language's whitelist
+ *
+ * @function resolveCompilerOptions
+ * @param {string} language - Language identifier
+ * @param {Object} [requested] - { standard, optimization, sanitize, extraWarnings }
+ * @returns {Object|null} Options with defaults filled in, or null for
+ *          languages without compiler options
+ * @throws {Error} If an option is unknown or not whitelisted
+ */
+function resolveCompilerOptions(language, requested) {
+  const config = languageConfigs[language];
+  const supported = config.compilerOptions;
+  if (requested === undefined || requested === null) {
+    requested = {};
+  }
+  if (typeof requested !== "object" || Array.isArray(requested)) {
+    throw new Error("compilerOptions must be an object");
+  }
+  if (!supported) {
+    if (Object.keys(requested).length > 0) {
+      throw new Error(`${config.name} does not take compiler options`);
+    }
+    return null;
+  }
+
+  const allowed = ["standard", "optimization", "sanitize", "extraWarnings"];
+  const unknown = Object.keys(requested).filter((key) => !allowed.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown compiler options: ${unknown.join(", ")}`);
+  }
+
+  const {
+    standard = supported.defaultStandard,
+    optimization = null,
+    sanitize = false,
+    extraWarnings = false,
+  } = requested;
+  if (!supported.standards.includes(standard)) {
+    throw new Error(
+      `Unsupported ${config.name} standard "${standard}". Choose one of: ${supported.standards.join(", ")}`
+    );
+  }
+  if (optimization !== null && !OPTIMIZATION_LEVELS.includes(optimization)) {
+    throw new Error(
+      `Unsupported optimization level "${optimization}". Choose one of: ${OPTIMIZATION_LEVELS.join(", ")}`
+    );
+  }
+  if (typeof sanitize !== "boolean" || typeof extraWarnings !== "boolean") {
+    throw new Error("sanitize and extraWarnings must be true or false");
+  }
+  return { standard, optimization, sanitize, extraWarnings };
+}
+
+/**
+ * Builds gcc/g++ flags from the base flags and resolved compiler options
+ * @param {string} language - "c" or "cpp"
+ * @param {Object} [options] - Output of resolveCompilerOptions (defaults if omitted)
+ * @returns {string[]} Compiler flags
+ */
+function gccFlags(language, options) {
+  const config = languageConfigs[language];
+  const { standard, optimization, sanitize, extraWarnings } =
+    options || resolveCompilerOptions(language);
+  return [
+    `-std=${standard}`,
+    ...config.compileFlags,
+    ...(optimization ? [`-${optimization}`] : []),
+    ...(extraWarnings ? EXTRA_WARNING_FLAGS : []),
+    ...(sanitize ? SANITIZER_FLAGS : []),
+  ];
+}
+
+/**
+ * Names the sources of a gcc/g++ build relative to the run directory the
+ * compiler runs in, and maps the directory to "." in the debug info
+ *
+ * Cached builds run from another run directory than the one that built
+ * them; with absolute paths, sanitizer reports, Valgrind and gdb would
+ * name files in a directory that is gone, instead of the user's.
+ *
+ * @param {string} dir - Run directory
+ * @param {string[]} sources - Absolute source paths
+ * @returns {string[]} The prefix map flag, then the sources
+ */
+function gccSources(dir, sources) {
+  return [
+    `-ffile-prefix-map=${dir}=.`,
+    ...sources.map((source) => path.relative(dir, source)),
+  ];
+}
+
+/**
+ * Warm worker bootstraps (see runner/pool.js)
+ * The interpreter starts ahead of time in a locked directory and blocks
+ * reading a job { dir, source, args } from fd 3, then moves into the
+ * job's directory and runs the source as the main program. An empty job
+ * (the runner shut down) exits quietly.
+ */
+const PYTHON_WORKER_BOOTSTRAP = [
+  "import json, os, sys, traceback",
+  "with os.fdopen(3) as control:",
+  "    data = control.read()",
+  "if not data:",
+  "    sys.exit(0)",
+  "job = json.loads(data)",
+  'os.chdir(job["dir"])',
+  'sys.argv = [job["source"]] + job["args"]',
+  'sys.path[0] = os.path.dirname(job["source"])',
+  "try:",
+  '    with open(job["source"], encoding="utf-8") as f:',
+  '        code = compile(f.read(), job["source"], "exec")',
+  '    exec(code, {"__name__": "__main__", "__file__": job["source"],',
+  '                "__builtins__": __builtins__})',
+  "except SystemExit:",
+  "    raise",
+  "except BaseException as e:",
+  "    # Hide the bootstrap frame so tracebacks match a plain run",
+  "    traceback.print_exception(type(e), e, e.__traceback__.tb_next)",
+  "    sys.exit(1)",
+].join("\n");
+
+const NODE_WORKER_BOOTSTRAP = [
+  'const job = JSON.parse(require("fs").readFileSync(3, "utf8") || "null");',
+  "if (job) {",
+  "  process.chdir(job.dir);",
+  "  process.argv = [process.argv[0], job.source, ...job.args];",
+  '  require("module").runMain();',
+  "}",
+].join("\n");
+
+/**
+ * Formats JavaScript and TypeScript with prettier, a dependency of the
+ * runner
+ * @param {string} parser - prettier parser ("babel", "typescript")
+ * @returns {Object} Formatter entry (see languageConfigs)
+ */
+function prettierFormatter(parser) {
+  return {
+    name: "prettier",
+    // Loaded on first use; prettier 3 formats asynchronously
+    format: (code) => require("prettier").format(code, { parser }),
+  };
+}
+
+/**
+ * Reports the syntax error acorn finds in JavaScript (see runner/imports.js)
+ * @param {string} code - Source code
+ * @returns {Object[]} The error as a diagnostic, or nothing
+ */
+function lintJavaScript(code) {
+  const { error } = parseJavaScriptImports(code);
+  return error ? [{ ...error, severity: "error" }] : [];
+}
+
+/**
+ * Reports TypeScript's syntax errors; type errors are left to tsc, which
+ * needs the whole program
+ * @param {string} code - Source code
+ * @returns {Object[]} Diagnostics
+ */
+function lintTypeScript(code) {
+  const ts = typescriptApi();
+  const { diagnostics } = ts.transpileModule(code, {
+    fileName: "main.ts",
+    reportDiagnostics: true,
+  });
+  const severities = {
+    [ts.DiagnosticCategory.Error]: "error",
+    [ts.DiagnosticCategory.Warning]: "warning",
+  };
+  return diagnostics.map((diagnostic) => {
+    const { line, character } = diagnostic.file.getLineAndCharacterOfPosition(
+      diagnostic.start
+    );
+    return {
+      line: line + 1,
+      column: character + 1,
+      severity: severities[diagnostic.category] || "info",
+      message: ts.flattenDiagnosticMessageText(diagnostic.messageText, "\n"),
+    };
+  });
+}
+
+/**
+ * Formats with clang-format, which picks the language from a file name
+ * @param {string} fileName - Name whose extension selects the language
+ * @returns {Object} Formatter entry (see languageConfigs)
+ */
+function clangFormatter(fileName) {
+  return {
+    name: "clang-format",
+    command: ["clang-format", `--assume-filename=${fileName}`],
+  };
+}
+
+/**
+ * === Language Configurations ===
+ *
+ * Command builders receive a context object:
+ * @typedef {Object} CommandContext
+ * @property {string} source - Path of the entry source file
+ * @property {string[]} sources - Paths of every file the compiler builds
+ *           (translation units for C/C++, all classes for Java)
+ * @property {string[]} files - Paths of every project file, headers included
+ * @property {string} [executable] - Output binary path (C, C++)
+ * @property {string} [className] - Fully qualified entry class name (Java)
+ * @property {boolean} [sourceLaunch] - Run the source file directly instead
+ *           of compiling first (Java, see sourceLaunch)
+ * @property {string} dir - Project root directory
+ * @property {string[]} args - Program arguments
+ * @property {Object} [compilerOptions] - Resolved C/C++ options
+ * @property {string|null} [packageDir] - The run's package environment
+ *           (Python virtualenv, npm prefix) when it has dependencies
+ * @property {boolean} [debug] - Built for a debug session
+ * @property {boolean} [profile] - Built for profiling (see `profiler`)
+ * @property {Object|null} [memcheck] - Memory checker the program is built
+ *           for and runs under (see `memcheck`)
+ *
+ * projectExtensions lists the file types a project may contain; the
+ * ones in sourceExtensions are passed to the compiler.
+ * parseImports finds each file's imports and their positions by parsing
+ * (see runner/imports.js); dependencyOf maps an import to the package or
+ * header it needs, or null for the standard library.
+ * isLocalDependency tells apart imports of the project's own modules.
+ * compileCommand returns null for interpreted languages.
+ * `environment` (languages with per-run packages) sets up a package
+ * directory and names the variables a run needs to load packages from it;
+ * isInstalled and install receive that directory.
+ * workerCommand (interpreted languages only) starts a warm worker that
+ * receives its job later instead of through its arguments.
+ * compileVariables adds environment variables to the compile phase, and
+ * prepareToolchain (optional) runs once when the runner starts.
+ * importLabel names what an import refers to in messages, and template is
+ * the starter program the editor opens with.
+ * formatters lists the formatters to try, in order of preference: a
+ * command that reads the code on stdin and prints it formatted, or a
+ * bundled `format(code)` (see runner/format.js).
+ * `linters` lists the static checkers of POST /diagnostics, in order of
+ * preference (see runner/diagnostics.js): a command run on the code saved
+ * as fileName(code) (main.<extension> by default), installed when its
+ * toolchain is and its probe command succeeds in the sandbox, with the
+ * severity of the lines it prints without one - or a bundled `lint(code)`.
+ * `debugger` (optional) runs the program in a debug session (see
+ * runner/debugger.js): the protocol its driver speaks, the command, the
+ * tools it needs besides the toolchain, compileFlags for the debug build,
+ * files added to the project and entryLine, which finds where stopping on
+ * entry pauses when the debugger cannot pause before the first line.
+ * `tracer` (optional) records the program's execution step by step (see
+ * runner/tracer.js): its command also receives { maxSteps, entryLine },
+ * entryLine being where the recording starts when the tracer needs one.
+ * `profiler` (optional) reports the time spent per function (see
+ * runner/profiler.js): its command runs the program and leaves the report
+ * in the `output` file of the run directory, in the profiler's format.
+ * Profilers that instrument the build add compileFlags, and a report
+ * command turns their raw data into the report, which is then read from
+ * its stdout.
+ * `memcheck` (optional) lists memory checkers in order of preference (see
+ * runner/memcheck.js); the first one installed builds the program with its
+ * compileFlags and runs it with its command, reporting on stderr in its
+ * format. A sanitized checker needs the sandbox's ASan settings.
+ */
+const languageConfigs = {
+  /**
+   * Python Language Configuration
+   * Handles pip package management and Python execution
+   */
+  python: {
+    name: "Python",
+    extension: "py",
+    importLabel: "module",
+    template: [
+      "def main():",
+      '    print("Hello, World!")',
+      "",
+      "",
+      'if __name__ == "__main__":',
+      "    main()",
+      "",
+    ].join("\n"),
+    projectExtensions: ["py"],
+    sourceExtensions: ["py"],
+    toolchain: [PYTHON_PATH],
+    versionCommand: [PYTHON_PATH, "--version"],
+    formatters: [
+      { name: "black", command: ["black", "--quiet", "-"] },
+      { name: "autopep8", command: ["autopep8", "-"] },
+    ],
+    // Without pyflakes, Python's compiler still finds syntax errors
+    linters: [
+      {
+        name: "pyflakes",
+        toolchain: [PYTHON_PATH],
+        probe: [PYTHON_PATH, "-c", "import pyflakes"],
+        command: (file) => [
+          PYTHON_PATH,
+          "-c",
+          PYTHON_LINT_AGENT,
+          "pyflakes",
+          file,
+        ],
+      },
+      {
+        name: "Python compiler",
+        toolchain: [PYTHON_PATH],
+        command: (file) => [
+          PYTHON_PATH,
+          "-c",
+          PYTHON_LINT_AGENT,
+          "compile",
+          file,
+        ],
+      },
+    ],
+    timeout: { install: 30000, compile: 0, run: 5000, trace: 10000 },
+    compileCommand: () => null,
+    runCommand: ({ source, args, packageDir }) => [
+      packageDir
+        ? languageConfigs.python.virtualenv.executable(packageDir)
+        : PYTHON_PATH,
+      source,
+      ...args,
+    ],
+    workerCommand: () => [PYTHON_PATH, "-c", PYTHON_WORKER_BOOTSTRAP],
+    debugger: {
+      protocol: "agent",
+      toolchain: [],
+      command: ({ source, args, packageDir }) => [
+        packageDir
+          ? languageConfigs.python.virtualenv.executable(packageDir)
+          : PYTHON_PATH,
+        "-c",
+        PYTHON_DEBUG_AGENT,
+        source,
+        ...args,
+      ],
+    },
+    tracer: {
+      command: ({ source, args, packageDir }, { maxSteps }) => [
+        packageDir
+          ? languageConfigs.python.virtualenv.executable(packageDir)
+          : PYTHON_PATH,
+        "-c",
+        PYTHON_TRACE_AGENT,
+        String(maxSteps),
+        source,
+        ...args,
+      ],
+    },
+    profiler: {
+      name: "cProfile",
+      format: "cprofile",
+      toolchain: [],
+      output: ".profile.json",
+      command: ({ dir, source, args, packageDir }) => [
+        packageDir
+          ? languageConfigs.python.virtualenv.executable(packageDir)
+          : PYTHON_PATH,
+        "-c",
+        PYTHON_PROFILE_AGENT,
+        path.join(dir, languageConfigs.python.profiler.output),
+        source,
+        ...args,
+      ],
+    },
+    environment: {
+      create: (dir) => languageConfigs.python.virtualenv.create(dir),
+    },
+
+    /**
+     * Parses the imports of every project file with Python's ast module
+     * @param {Object<string, string>} files - Project path -> source
+     * @returns {Promise<Object>} Path -> { imports, error }
+     */
+    parseImports: (files) => parsePythonImports(PYTHON_PATH, files),
+
+    /**
+     * Maps an import to the module that has to be installed for it
+     * @param {{name: string}} imported - Import from parseImports
+     * @returns {string|null} Top-level module, or null for the standard library
+     */
+    dependencyOf: ({ name }) => {
+      const [mod] = name.split(".");
+      return PYTHON_STDLIB.has(mod) ? null : mod;
+    },
+
+    /**
+     * Checks whether a module is one of the project's own files or packages
+     * @param {string} mod - Top-level module name from dependencyOf
+     * @param {Object<string, string>} files - Project path -> content
+     * @returns {boolean}
+     */
+    isLocalDependency: (mod, files) =>
+      Object.keys(files).some((file) => {
+        const [top] = file.split("/");
+        return top === mod || top === `${mod}.py`;
+      }),
+
+    /**
+     * Checks whether a module can already be imported in a virtualenv
+     * @param {string} mod - Allowlisted top-level module name
+     * @param {string} packageDir - Virtualenv of the run
+     * @returns {Promise<boolean>}
+     */
+    isInstalled: async (mod, packageDir) => {
+      try {
+        await executeWithTimeout(
+          [
+            languageConfigs.python.virtualenv.executable(packageDir),
+            "-c",
+            `import ${mod}`,
+          ],
+          10000
+        );
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+
+    /**
+     * Lists the packages user code may import
+     * @returns {Array<{name: string, spec: string}>} Module name and pip requirement
+     */
+    allowedPackages: () =>
+      Object.entries(languageConfigs.python.additionalPackages).map(
+        ([name, spec]) => ({ name, spec })
+      ),
+
+    /**
+     * Finds the pip requirement providing an allowlisted module
+     * @param {string} mod - Top-level module name
+     * @returns {string|null} Requirement, or null if the module is not allowed
+     */
+    resolvePackage: (mod) =>
+      Object.prototype.hasOwnProperty.call(
+        languageConfigs.python.additionalPackages,
+        mod
+      )
+        ? languageConfigs.python.additionalPackages[mod]
+        : null,
+
+    /**
+     * Installs the pip package providing a module from the mirror's wheels
+     * into a virtualenv
+     * @param {string} mod - Allowlisted top-level module name
+     * @param {string} packageDir - Virtualenv of the run
+     * @throws {string} pip output if installation fails or times out
+     */
+    install: async (mod, packageDir) => {
+      const requirement = languageConfigs.python.resolvePackage(mod);
+      await executeWithTimeout(
+        [
+          languageConfigs.python.virtualenv.executable(packageDir),
+          "-m",
+          "pip",
+          "install",
+          "--no-index",
+          "--find-links",
+          populatedMirror("python"),
+          requirement,
+        ],
+        languageConfigs.python.timeout.install
+      );
+    },
+
+    /**
+     * Downloads a requirement and its dependencies into the mirror
+     * @param {string} requirement - pip requirement from allowedPackages
+     * @param {number} timeout - Maximum download time in milliseconds
+     */
+    mirrorPackage: async (requirement, timeout) => {
+      await executeWithTimeout(
+        [
+          PYTHON_PATH,
+          "-m",
+          "pip",
+          "download",
+          "--dest",
+          mirrorDirectory("python"),
+          requirement,
+        ],
+        timeout
+      );
+    },
+    packageFile: "requirements.txt",
+    virtualenv: {
+      // System packages stay importable and pip is borrowed from the base
+      // interpreter, which keeps creating a virtualenv well under a second
+      create: async (name) => {
+        await executeWithTimeout(
+          [
+            PYTHON_PATH,
+            "-m",
+            "venv",
+            "--system-site-packages",
+            "--without-pip",
+            name,
+          ],
+          30000
+        );
+      },
+      // Runs use the virtualenv's interpreter directly; there is no shell
+      // to source an activate script in
+      executable: (name) => {
+        return process.platform === "win32"
+          ? path.join(name, "Scripts", "python.exe")
+          : path.join(name, "bin", "python");
+      },
+    },
+    // Import name -> pip requirement for well-known third-party packages
+    additionalPackages: {
+      // Data Science and Machine Learning
+      numpy: "numpy>=1.24.0",
+      pandas: "pandas>=2.0.0",
+      scipy: "scipy>=1.10.0",
+      sklearn: "scikit-learn>=1.2.0",
+      matplotlib: "matplotlib>=3.7.0",
+      seaborn: "seaborn>=0.12.0",
+      statsmodels: "statsmodels",
+      xgboost: "xgboost",
+      tensorflow: "tensorflow>=2.12.0",
+      torch: "torch>=2.0.0",
+      // Scientific Computing
+      sympy: "sympy",
+      networkx: "networkx",
+      nltk: "nltk",
+      // Web Development
+      django: "Django>=4.2.0",
+      flask: "Flask>=2.3.0",
+      fastapi: "fastapi>=0.95.0",
+      requests: "requests>=2.30.0",
+      httpx: "httpx",
+      // Database
+      sqlalchemy: "SQLAlchemy>=2.0.0",
+      pymongo: "pymongo>=4.3.0",
+      psycopg2: "psycopg2-binary>=2.9.0",
+      redis: "redis",
+      // Testing
+      pytest: "pytest>=7.3.0",
+      // Automation and Scraping
+      selenium: "selenium>=4.9.0",
+      bs4: "beautifulsoup4>=4.12.0",
+      // Utilities
+      yaml: "pyyaml",
+      pydantic: "pydantic",
+      tqdm: "tqdm",
+      rich: "rich",
+      // Image Processing
+      PIL: "Pillow>=9.5.0",
+      cv2: "opencv-python>=4.7.0",
+    },
+  },
+
+  /**
+   * JavaScript (Node.js) Language Configuration
+   */
+  javascript: {
+    name: "JavaScript",
+    extension: "js",
+    importLabel: "package",
+    template: [
+      "function main() {",
+      '  console.log("Hello, World!");',
+      "}",
+      "",
+      "main();",
+      "",
+    ].join("\n"),
+    projectExtensions: ["js", "cjs", "mjs", "json"],
+    sourceExtensions: ["js", "cjs", "mjs"],
+    toolchain: ["node"],
+    versionCommand: ["node", "--version"],
+    formatters: [prettierFormatter("babel")],
+    linters: [{ name: "acorn", lint: lintJavaScript }],
+    timeout: { install: 60000, compile: 0, run: 5000, trace: 10000 },
+    compileCommand: () => null,
+    runCommand: ({ source, args }) => ["node", source, ...args],
+    workerCommand: () => ["node", "-e", NODE_WORKER_BOOTSTRAP],
+    debugger: {
+      protocol: "agent",
+      toolchain: [],
+      command: ({ source, args }) => [
+        "node",
+        "-e",
+        NODE_DEBUG_AGENT,
+        source,
+        ...args,
+      ],
+      entryLine: firstStatementLine,
+    },
+    tracer: {
+      command: ({ source, args }, { maxSteps, entryLine }) => [
+        "node",
+        "-e",
+        NODE_TRACE_AGENT,
+        String(maxSteps),
+        String(entryLine || 0),
+        source,
+        ...args,
+      ],
+      entryLine: firstStatementLine,
+    },
+    profiler: {
+      name: "V8 profiler",
+      format: "cpuprofile",
+      toolchain: [],
+      output: ".profile.cpuprofile",
+      command: ({ dir, source, args }) => [
+        "node",
+        "--cpu-prof",
+        "--cpu-prof-dir",
+        dir,
+        "--cpu-prof-name",
+        languageConfigs.javascript.profiler.output,
+        source,
+        ...args,
+      ],
+    },
+    environment: {
+      // npm creates node_modules itself; programs find it through NODE_PATH
+      variables: (dir) => ({ NODE_PATH: path.join(dir, "node_modules") }),
+    },
+
+    /**
+     * Parses the import/export declarations, import() and require() calls
+     * of every project file with acorn
+     * @param {Object<string, string>} files - Project path -> source
+     * @returns {Promise<Object>} Path -> { imports, error }
+     */
+    parseImports: async (files) =>
+      // JSON data files import nothing
+      parseEach(files, parseJavaScriptImports, ["json"]),
+
+    /**
+     * Maps a module specifier to the npm package that provides it
+     * @param {{name: string}} imported - Import from parseImports
+     * @returns {string|null} Package name (scoped packages keep their
+     *          scope), or null for relative paths and built-in modules
+     */
+    dependencyOf: ({ name }) => {
+      if (name.startsWith(".") || name.startsWith("/")) return null;
+      if (name.startsWith("node:") || NODE_BUILTINS.has(name)) return null;
+      const pkg = name.startsWith("@")
+        ? name.split("/").slice(0, 2).join("/")
+        : name.split("/")[0];
+      return NODE_BUILTINS.has(pkg) ? null : pkg;
+    },
+
+    /**
+     * Checks whether a package is installed in a run's npm prefix
+     * @param {string} pkg - Package name
+     * @param {string} packageDir - npm prefix of the run
+     * @returns {Promise<boolean>}
+     */
+    isInstalled: async (pkg, packageDir) => {
+      try {
+        require.resolve(`${pkg}/package.json`, { paths: [packageDir] });
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+
+    /**
+     * Lists the packages user code may import
+     * @returns {Array<{name: string, spec: string}>} Package name and npm spec
+     */
+    allowedPackages: () =>
+      Object.entries(languageConfigs.javascript.additionalPackages).map(
+        ([name, version]) => ({ name, spec: `${name}@${version}` })
+      ),
+
+    /**
+     * Finds the npm spec of an allowlisted package
+     * @param {string} pkg - Package name
+     * @returns {string|null} "name@range", or null if the package is not allowed
+     */
+    resolvePackage: (pkg) =>
+      Object.prototype.hasOwnProperty.call(
+        languageConfigs.javascript.additionalPackages,
+        pkg
+      )
+        ? `${pkg}@${languageConfigs.javascript.additionalPackages[pkg]}`
+        : null,
+
+    /**
+     * Installs a package from the mirror's npm cache into a run's npm prefix
+     * @param {string} pkg - Allowlisted package name
+     * @param {string} packageDir - npm prefix of the run
+     */
+    install: async (pkg, packageDir) => {
+      await executeWithTimeout(
+        [
+          "npm",
+          "install",
+          "--no-save",
+          "--offline",
+          "--cache",
+          populatedMirror("npm"),
+          "--prefix",
+          packageDir,
+          languageConfigs.javascript.resolvePackage(pkg),
+        ],
+        languageConfigs.javascript.timeout.install
+      );
+    },
+
+    /**
+     * Fetches a package and its whole dependency tree into the mirror's cache
+     * A throwaway install is used because `npm cache add` skips dependencies.
+     * @param {string} spec - npm spec from allowedPackages
+     * @param {number} timeout - Maximum download time in milliseconds
+     */
+    mirrorPackage: async (spec, timeout) => {
+      const prefix = fs.mkdtempSync(path.join(os.tmpdir(), "npm-mirror-"));
+      try {
+        await executeWithTimeout(
+          [
+            "npm",
+            "install",
+            "--no-save",
+            "--no-audit",
+            "--no-fund",
+            "--prefix",
+            prefix,
+            "--cache",
+            mirrorDirectory("npm"),
+            spec,
+          ],
+          timeout
+        );
+      } finally {
+        fs.rmSync(prefix, { recursive: true, force: true });
+      }
+    },
+    packageFile: "package.json",
+    // Package name -> version range for well-known packages
+    additionalPackages: {
+      // Frontend Frameworks and Libraries
+      react: "^18.2.0",
+      vue: "^3.3.0",
+      "@angular/core": "16.0.0",
+      svelte: "^4.0.0",
+      next: "^13.4.0",
+      // State Management
+      redux: "^4.2.0",
+      mobx: "^6.9.0",
+      vuex: "^4.1.0",
+      // UI Libraries
+      "@mui/material": "5.13.0",
+      tailwindcss: "^3.3.0",
+      bootstrap: "^5.3.0",
+      "@chakra-ui/react": "2.7.0",
+      // Backend Frameworks
+      express: "^4.18.0",
+      "@nestjs/core": "10.0.0",
+      fastify: "^4.17.0",
+      koa: "^2.14.0",
+      // Database
+      mongoose: "^7.2.0",
+      sequelize: "^6.31.0",
+      prisma: "^4.14.0",
+      typeorm: "^0.3.16",
+      // Testing
+      jest: "^29.5.0",
+      mocha: "^10.2.0",
+      // Utility Libraries
+      lodash: "^4.17.21",
+      axios: "^1.4.0",
+      moment: "^2.29.4",
+      zod: "^3.21.0",
+      // Build Tools
+      "@babel/core": "7.22.0",
+      typescript: "^5.0.0",
+      // Development Tools
+      prettier: "^2.8.0",
+    },
+  },
+
+  /**
+   * Java Language Configuration
+   * The source file must be named after its public class
+   */
+  java: {
+    name: "Java",
+    extension: "java",
+    importLabel: "package",
+    template: [
+      "public class Main {",
+      "    public static void main(String[] args) {",
+      '        System.out.println("Hello, World!");',
+      "    }",
+      "}",
+      "",
+    ].join("\n"),
+    projectExtensions: ["java"],
+    sourceExtensions: ["java"],
+    toolchain: [javaTool("javac"), javaTool("java")],
+    versionCommand: [javaTool("java"), "-version"],
+    formatters: [
+      { name: "google-java-format", command: ["google-java-format", "-"] },
+      clangFormatter("Main.java"),
+    ],
+    // javac writes the classes next to the checked file, to be thrown away
+    linters: [
+      {
+        name: "javac -Xlint",
+        toolchain: [javaTool("javac")],
+        severity: "error",
+        fileName: (code) => {
+          try {
+            return languageConfigs.java.sourceFileName(code);
+          } catch (error) {
+            return "Main.java";
+          }
+        },
+        command: (file) => [
+          javaTool("javac"),
+          "-Xlint:all",
+          "-proc:none",
+          ...languageConfigs.java.compileFlags,
+          "-d",
+          path.dirname(file),
+          file,
+        ],
+      },
+    ],
+    timeout: { install: 30000, compile: 5000, run: 3000 },
+    compileFlags: ["-encoding", "UTF-8"],
+    // Classes go into directories matching their packages below the root.
+    // Source-launched programs are compiled in memory by `java` instead.
+    compileCommand: ({ dir, sources, sourceLaunch, debug }) =>
+      sourceLaunch
+        ? null
+        : [
+            javaTool("javac"),
+            ...languageConfigs.java.compileFlags,
+            ...(debug ? languageConfigs.java.debugger.compileFlags : []),
+            "-d",
+            dir,
+            ...sources,
+          ],
+    runCommand: ({ dir, source, className, sourceLaunch, args }) =>
+      sourceLaunch
+        ? [javaTool("java"), "-Dfile.encoding=UTF-8", source, ...args]
+        : [javaTool("java"), "-cp", dir, className, ...args],
+    // jdb starts the program through a launcher that gives it its input
+    debugger: {
+      protocol: "jdb",
+      toolchain: [javaTool("jdb")],
+      command: ({ dir, className, args }) => [
+        javaTool("jdb"),
+        "-sourcepath",
+        dir,
+        "-classpath",
+        dir,
+        JAVA_DEBUG_LAUNCHER_CLASS,
+        className,
+        ...args,
+      ],
+      compileFlags: ["-g"],
+      files: { [`${JAVA_DEBUG_LAUNCHER_CLASS}.java`]: JAVA_DEBUG_LAUNCHER },
+    },
+
+    /**
+     * Tells whether a project can run as `java Main.java` (Java 11+), which
+     * starts one JVM instead of javac plus java
+     * @param {Object} project - Project from toProject
+     * @returns {boolean} True for a single file whose first class is the
+     *          entry point - the class the source launcher runs
+     */
+    sourceLaunch: (project) => {
+      const files = Object.values(project.files);
+      if (files.length !== 1 || !(javaFeatureVersion() >= 11)) return false;
+      const types = parseJavaTypes(files[0]);
+      return types.length > 0 && types[0].main === "valid";
+    },
+
+    /**
+     * Tokenizes the import declarations of every project file
+     * @param {Object<string, string>} files - Project path -> source
+     * @returns {Promise<Object>} Path -> { imports, error }
+     */
+    parseImports: async (files) => parseEach(files, parseJavaImports),
+
+    /**
+     * Keeps imports from outside the JDK
+     * @param {{name: string}} imported - Import from parseImports
+     * @returns {string|null} The fully qualified import, or null for the JDK
+     */
+    dependencyOf: ({ name }) =>
+      JAVA_STANDARD_PREFIXES.some((std) => `${name}.`.startsWith(std))
+        ? null
+        : name,
+
+    /**
+     * Checks whether an import refers to a package declared in the project
+     * @param {string} pkg - Fully qualified import from dependencyOf
+     * @param {Object<string, string>} files - Project path -> content
+     * @returns {boolean}
+     */
+    isLocalDependency: (pkg, files) =>
+      Object.values(files).some((content) => {
+        const declared = javaPackageOf(content);
+        return declared !== "" && pkg.startsWith(`${declared}.`);
+      }),
+
+    /**
+     * Lists the libraries user code may import
+     * @returns {Array<{name: string, spec: string}>} Package prefix and Maven
+     *          coordinates
+     */
+    allowedPackages: () =>
+      Object.entries(languageConfigs.java.additionalLibraries).map(
+        ([name, spec]) => ({ name, spec })
+      ),
+
+    /**
+     * Finds the Maven artifact known to provide an import
+     * @param {string} pkg - Fully qualified import
+     * @returns {string|null} Coordinates, or null if no allowed artifact has it
+     */
+    resolvePackage: (pkg) => {
+      const prefix = Object.keys(languageConfigs.java.additionalLibraries).find(
+        (p) => pkg === p || pkg.startsWith(`${p}.`)
+      );
+      return prefix ? languageConfigs.java.additionalLibraries[prefix] : null;
+    },
+
+    /**
+     * Checks that the artifact providing an import is in the mirror's
+     * Maven repository, resolving it offline
+     * @param {string} pkg - Allowlisted fully qualified import
+     */
+    install: async (pkg) => {
+      await executeWithTimeout(
+        [
+          "mvn",
+          "--offline",
+          `-Dmaven.repo.local=${populatedMirror("maven")}`,
+          "dependency:get",
+          `-Dartifact=${languageConfigs.java.resolvePackage(pkg)}`,
+        ],
+        languageConfigs.java.timeout.install
+      );
+    },
+
+    /**
+     * Downloads an artifact and its dependencies into the mirror
+     * @param {string} coordinates - Maven coordinates from allowedPackages
+     * @param {number} timeout - Maximum download time in milliseconds
+     */
+    mirrorPackage: async (coordinates, timeout) => {
+      await executeWithTimeout(
+        [
+          "mvn",
+          "--batch-mode",
+          `-Dmaven.repo.local=${mirrorDirectory("maven")}`,
+          "dependency:get",
+          `-Dartifact=${coordinates}`,
+        ],
+        timeout
+      );
+    },
+
+    /**
+     * Finds the class to run: the one declaring
+     * `public static void main(String[] args)`. Classes need not be public
+     * and a file may declare several; a public one wins when more than one
+     * has a main method, otherwise the first does.
+     * @param {string} code - Java source code
+     * @returns {string} Simple class name
+     * @throws {Error} Saying how to add an entry point when there is none
+     */
+    detectClassName: (code) => javaMainType(parseJavaTypes(code)).name,
+
+    /**
+     * Names the file single-file code is saved as; javac requires a public
+     * top-level class to live in a file of the same name
+     * @param {string} code - Java source code
+     * @returns {string} e.g. "Main.java"
+     * @throws {Error} If the code has no entry point (see detectClassName)
+     */
+    sourceFileName: (code) => {
+      const types = parseJavaTypes(code);
+      const main = javaMainType(types);
+      const publicType = types.find((type) => type.isPublic);
+      return `${(publicType || main).name}.java`;
+    },
+
+    /**
+     * Builds the fully qualified name of a project's entry class
+     * @param {string} code - Source of the entry file
+     * @returns {string} e.g. "com.example.Main" for package com.example
+     * @throws {Error} If the entry file has no entry point
+     */
+    entryClassName: (code) => {
+      const className = languageConfigs.java.detectClassName(code);
+      const pkg = javaPackageOf(code);
+      return pkg ? `${pkg}.${className}` : className;
+    },
+    packageFile: "pom.xml",
+    // Package prefix -> Maven coordinates for common external libraries
+    additionalLibraries: {
+      "org.junit": "org.junit.jupiter:junit-jupiter:5.9.2",
+      "com.google.gson": "com.google.code.gson:gson:2.10.1",
+      "org.apache.commons.io": "commons-io:commons-io:2.11.0",
+      "org.apache.logging.log4j": "org.apache.logging.log4j:log4j-core:2.20.0",
+      "org.mockito": "org.mockito:mockito-core:5.3.1",
+    },
+  },
+
+  /**
+   * C Language Configuration
+   */
+  c: {
+    name: "C",
+    extension: "c",
+    importLabel: "header",
+    template: [
+      "#include <stdio.h>",
+      "",
+      "int main(void) {",
+      '    printf("Hello, World!\\n");',
+      "    return 0;",
+      "}",
+      "",
+    ].join("\n"),
+    projectExtensions: ["c", "h"],
+    sourceExtensions: ["c"],
+    toolchain: ["gcc"],
+    versionCommand: ["gcc", "--version"],
+    formatters: [clangFormatter("main.c")],
+    linters: [
+      {
+        name: "gcc -fsyntax-only",
+        toolchain: ["gcc"],
+        command: (file) => [
+          "gcc",
+          "-fsyntax-only",
+          "-fdiagnostics-plain-output",
+          ...gccFlags("c"),
+          file,
+        ],
+      },
+    ],
+    timeout: { install: 0, compile: 10000, run: 5000, memcheck: 10000 },
+    compileFlags: ["-Wall", "-Wextra"],
+    libraries: ["-lm"], // Math library is commonly needed
+    compilerOptions: { standards: ["c11", "c17"], defaultStandard: "c11" },
+    compileCommand: ({
+      dir,
+      sources,
+      executable,
+      compilerOptions,
+      debug,
+      profile,
+      memcheck,
+    }) => [
+      "gcc",
+      ...gccFlags("c", compilerOptions),
+      ...(debug ? languageConfigs.c.debugger.compileFlags : []),
+      ...(profile ? languageConfigs.c.profiler.compileFlags : []),
+      ...(memcheck ? memcheck.compileFlags : []),
+      "-I",
+      dir,
+      ...gccSources(dir, sources),
+      "-o",
+      executable,
+      ...languageConfigs.c.libraries,
+    ],
+    runCommand: ({ executable, args }) => [executable, ...args],
+    // Arguments are passed by the driver, with the input redirections
+    debugger: {
+      protocol: "gdb",
+      toolchain: ["gdb"],
+      command: ({ executable }) => [
+        "gdb",
+        "--interpreter=mi2",
+        "--nx",
+        "--quiet",
+        executable,
+      ],
+      compileFlags: ["-g", "-O0"],
+    },
+    // -pg builds write gmon.out into the working directory on exit
+    profiler: {
+      name: "gprof",
+      format: "gprof",
+      toolchain: ["gprof"],
+      output: "gmon.out",
+      compileFlags: ["-pg"],
+      command: (context) => languageConfigs.c.runCommand(context),
+      report: ({ dir, executable }) => [
+        "gprof",
+        "-b",
+        "-p",
+        executable,
+        path.join(dir, languageConfigs.c.profiler.output),
+      ],
+    },
+    memcheck: MEMCHECKERS,
+
+    /**
+     * Tokenizes the #include directives of every project file
+     * @param {Object<string, string>} files - Project path -> source
+     * @returns {Promise<Object>} Path -> { imports, error }
+     */
+    parseImports: async (files) => parseEach(files, parseIncludes),
+
+    /**
+     * Keeps <system> headers outside the C standard library
+     * @param {{name: string, local: boolean}} imported - Include from
+     *        parseImports; "quoted" includes are the project's own headers
+     * @returns {string|null} The unsupported header, or null
+     */
+    dependencyOf: ({ name, local }) =>
+      local || C_STANDARD_HEADERS.has(name) ? null : name,
+    // Only the standard library and POSIX headers are available
+    install: null,
+  },
+
+  /**
+   * C++ Language Configuration
+   */
+  cpp: {
+    name: "C++",
+    extension: "cpp",
+    importLabel: "header",
+    template: [
+      "#include <iostream>",
+      "",
+      "int main() {",
+      '    std::cout << "Hello, World!" << std::endl;',
+      "    return 0;",
+      "}",
+      "",
+    ].join("\n"),
+    projectExtensions: ["cpp", "cc", "cxx", "h", "hpp"],
+    sourceExtensions: ["cpp", "cc", "cxx"],
+    toolchain: ["g++"],
+    versionCommand: ["g++", "--version"],
+    formatters: [clangFormatter("main.cpp")],
+    linters: [
+      {
+        name: "g++ -fsyntax-only",
+        toolchain: ["g++"],
+        command: (file) => [
+          "g++",
+          "-fsyntax-only",
+          "-fdiagnostics-plain-output",
+          ...gccFlags("cpp"),
+          file,
+        ],
+      },
+    ],
+    timeout: { install: 0, compile: 5000, run: 3000, memcheck: 10000 },
+    compileFlags: ["-Wall", "-Wextra"],
+    libraries: ["-pthread"], // Common threading library
+    compilerOptions: {
+      standards: ["c++11", "c++14", "c++17", "c++20", "c++23"],
+      defaultStandard: "c++17",
+    },
+    compileCommand: ({
+      dir,
+      sources,
+      executable,
+      compilerOptions,
+      debug,
+      profile,
+      memcheck,
+    }) => [
+      "g++",
+      ...gccFlags("cpp", compilerOptions),
+      ...(debug ? languageConfigs.cpp.debugger.compileFlags : []),
+      ...(profile ? languageConfigs.cpp.profiler.compileFlags : []),
+      ...(memcheck ? memcheck.compileFlags : []),
+      "-I",
+      dir,
+      ...gccSources(dir, sources),
+      "-o",
+      executable,
+      ...languageConfigs.cpp.libraries,
+    ],
+    runCommand: ({ executable, args }) => [executable, ...args],
+    // Arguments are passed by the driver, with the input redirections
+    debugger: {
+      protocol: "gdb",
+      toolchain: ["gdb"],
+      command: ({ executable }) => [
+        "gdb",
+        "--interpreter=mi2",
+        "--nx",
+        "--quiet",
+        executable,
+      ],
+      compileFlags: ["-g", "-O0"],
+    },
+    // -pg builds write gmon.out into the working directory on exit
+    profiler: {
+      name: "gprof",
+      format: "gprof",
+      toolchain: ["gprof"],
+      output: "gmon.out",
+      compileFlags: ["-pg"],
+      command: (context) => languageConfigs.cpp.runCommand(context),
+      report: ({ dir, executable }) => [
+        "gprof",
+        "-b",
+        "-p",
+        executable,
+        path.join(dir, languageConfigs.cpp.profiler.output),
+      ],
+    },
+    memcheck: MEMCHECKERS,
+
+    /**
+     * Tokenizes the #include directives of every project file
+     * @param {Object<string, string>} files - Project path -> source
+     * @returns {Promise<Object>} Path -> { imports, error }
+     */
+    parseImports: async (files) => parseEach(files, parseIncludes),
+
+    /**
+     * Keeps <system> headers outside the C++ standard library
+     * @param {{name: string, local: boolean}} imported - Include from
+     *        parseImports; "quoted" includes are the project's own headers
+     * @returns {string|null} The unsupported header, or null
+     */
+    dependencyOf: ({ name, local }) =>
+      local || CPP_STANDARD_HEADERS.has(name) ? null : name,
+    // Only standard C++ libraries are supported
+    install: null,
+  },
+
+  /**
+   * Go Language Configuration
+   * Every file of a project belongs to package main
+   */
+  go: {
+    name: "Go",
+    extension: "go",
+    importLabel: "package",
+    template: [
+      "package main",
+      "",
+      'import "fmt"',
+      "",
+      "func main() {",
+      '\tfmt.Println("Hello, World!")',
+      "}",
+      "",
+    ].join("\n"),
+    projectExtensions: ["go"],
+    sourceExtensions: ["go"],
+    toolchain: [GO_PATH],
+    versionCommand: [GO_PATH, "version"],
+    formatters: [{ name: "gofmt", command: [homeTool(GOROOT, "gofmt")] }],
+    // gofmt -e reports every syntax error; -l keeps the code off stdout
+    linters: [
+      {
+        name: "gofmt -e",
+        toolchain: [homeTool(GOROOT, "gofmt")],
+        severity: "error",
+        command: (file) => [homeTool(GOROOT, "gofmt"), "-e", "-l", file],
+      },
+    ],
+    timeout: { install: 0, compile: 10000, run: 3000 },
+    compileCommand: ({ sources, executable }) => [
+      GO_PATH,
+      "build",
+      "-o",
+      executable,
+      ...sources,
+    ],
+    runCommand: ({ executable, args }) => [executable, ...args],
+    compileVariables: () => ({
+      GOCACHE: GO_CACHE_PATH,
+      GOENV: "off", // Ignore go.env files of the runner's user
+      GOTOOLCHAIN: "local", // Never download another Go release
+      CGO_ENABLED: "0", // Pure Go builds need no C compiler
+    }),
+
+    /**
+     * Compiles the standard library into the shared build cache, so builds
+     * only compile the program itself
+     * @throws {string} go's output if the build fails or times out
+     */
+    prepareToolchain: async () => {
+      await executeWithTimeout([GO_PATH, "build", "std"], 600000, "", {
+        env: { ...process.env, ...languageConfigs.go.compileVariables() },
+      });
+    },
+
+    /**
+     * Tokenizes the import declarations of every project file
+     * @param {Object<string, string>} files - Project path -> source
+     * @returns {Promise<Object>} Path -> { imports, error }
+     */
+    parseImports: async (files) => parseEach(files, parseGoImports),
+
+    /**
+     * Keeps imports from outside the standard library, whose paths all
+     * start with a domain name (e.g. "github.com/...")
+     * @param {{name: string}} imported - Import from parseImports
+     * @returns {string|null} The import path, or null for the standard library
+     */
+    dependencyOf: ({ name }) => (name.split("/")[0].includes(".") ? name : null),
+    // Builds are offline, without modules
+    install: null,
+  },
+
+  /**
+   * Rust Language Configuration
+   * rustc compiles the entry file and the modules it declares with `mod`
+   */
+  rust: {
+    name: "Rust",
+    extension: "rs",
+    importLabel: "crate",
+    template: [
+      "fn main() {",
+      '    println!("Hello, World!");',
+      "}",
+      "",
+    ].join("\n"),
+    projectExtensions: ["rs"],
+    sourceExtensions: ["rs"],
+    toolchain: [RUSTC_PATH],
+    versionCommand: [RUSTC_PATH, "--version"],
+    formatters: [
+      {
+        name: "rustfmt",
+        command: [rustTool("rustfmt"), "--edition", "2021", "--quiet"],
+      },
+    ],
+    // Type-checks without generating code; the metadata is thrown away
+    linters: [
+      {
+        name: "rustc",
+        toolchain: [RUSTC_PATH],
+        command: (file) => [
+          RUSTC_PATH,
+          "--edition",
+          "2021",
+          "--error-format=short",
+          "--emit=metadata",
+          "-o",
+          path.join(path.dirname(file), "main.rmeta"),
+          file,
+        ],
+      },
+    ],
+    timeout: { install: 0, compile: 10000, run: 3000 },
+    compileFlags: ["--edition", "2021", "-O"],
+    compileCommand: ({ source, executable }) => [
+      RUSTC_PATH,
+      ...languageConfigs.rust.compileFlags,
+      "-o",
+      executable,
+      source,
+    ],
+    runCommand: ({ executable, args }) => [executable, ...args],
+
+    /**
+     * Tokenizes the `use` declarations of every project file
+     * @param {Object<string, string>} files - Project path -> source
+     * @returns {Promise<Object>} Path -> { imports, error }
+     */
+    parseImports: async (files) => parseEach(files, parseRustImports),
+
+    /**
+     * Keeps paths that do not start in the standard crates
+     * @param {{name: string}} imported - Import from parseImports
+     * @returns {string|null} The crate (or local item) name, or null
+     */
+    dependencyOf: ({ name }) => (RUST_STANDARD_CRATES.has(name) ? null : name),
+
+    /**
+     * Checks whether a path starts at one of the project's modules or at an
+     * item it declares (e.g. `use Direction::*;`)
+     * @param {string} name - First path segment from dependencyOf
+     * @param {Object<string, string>} files - Project path -> content
+     * @returns {boolean}
+     */
+    isLocalDependency: (name, files) =>
+      Object.keys(files).some(
+        (file) =>
+          path.posix.basename(file) === `${name}.rs` ||
+          file === `${name}/mod.rs` ||
+          file.endsWith(`/${name}/mod.rs`)
+      ) || Object.values(files).some((code) => rustItemNames(code).has(name)),
+    // Only the standard library is available; there is no Cargo registry
+    install: null,
+  },
+
+  /**
+   * TypeScript Language Configuration
+   * tsc type-checks the project and emits CommonJS next to the sources,
+   * which Node.js then runs
+   */
+  typescript: {
+    name: "TypeScript",
+    extension: "ts",
+    importLabel: "package",
+    template: [
+      "function main(): void {",
+      '  const greeting: string = "Hello, World!";',
+      "  console.log(greeting);",
+      "}",
+      "",
+      "main();",
+      "",
+    ].join("\n"),
+    projectExtensions: ["ts"],
+    sourceExtensions: ["ts"],
+    toolchain: ["node", TSC_PATH],
+    versionCommand: ["node", TSC_PATH, "--version"],
+    formatters: [prettierFormatter("typescript")],
+    linters: [{ name: "TypeScript parser", lint: lintTypeScript }],
+    timeout: { install: 0, compile: 10000, run: 5000 },
+    compileFlags: [
+      "--target",
+      "ES2022",
+      "--module",
+      "commonjs",
+      "--esModuleInterop",
+      "--skipLibCheck",
+      "--noEmitOnError", // Type errors fail the build like compile errors
+      "--pretty",
+      "false",
+    ],
+    compileCommand: ({ sources }) => [
+      "node",
+      TSC_PATH,
+      ...languageConfigs.typescript.compileFlags,
+      ...(NODE_TYPES_PATH
+        ? ["--types", "node", "--typeRoots", NODE_TYPES_PATH]
+        : []),
+      ...sources,
+    ],
+    runCommand: ({ source, args }) => [
+      "node",
+      source.replace(/\.ts$/, ".js"),
+      ...args,
+    ],
+
+    /**
+     * Lists the imports of every project file with the compiler's scanner
+     * @param {Object<string, string>} files - Project path -> source
+     * @returns {Promise<Object>} Path -> { imports, error }
+     */
+    parseImports: async (files) =>
+      parseEach(files, (code) => parseTypeScriptImports(typescriptApi(), code)),
+
+    /**
+     * Maps a module specifier to the npm package that provides it
+     * @param {{name: string}} imported - Import from parseImports
+     * @returns {string|null} Package name, or null for relative paths and
+     *          built-in modules
+     */
+    dependencyOf: (imported) => languageConfigs.javascript.dependencyOf(imported),
+    // Only Node.js built-in modules are available
+    install: null,
+  },
+
+  /**
+   * Kotlin Language Configuration
+   * Programs are compiled into a jar with the Kotlin runtime included
+   */
+  kotlin: {
+    name: "Kotlin",
+    extension: "kt",
+    importLabel: "package",
+    template: [
+      "fun main() {",
+      '    println("Hello, World!")',
+      "}",
+      "",
+    ].join("\n"),
+    projectExtensions: ["kt"],
+    sourceExtensions: ["kt"],
+    toolchain: [KOTLINC_PATH, javaTool("java")],
+    versionCommand: [KOTLINC_PATH, "-version"],
+    formatters: [
+      {
+        name: "ktlint",
+        command: ["ktlint", "--format", "--stdin", "--log-level=none"],
+      },
+    ],
+    timeout: { install: 0, compile: 10000, run: 3000 },
+    compileCommand: ({ dir, sources }) => [
+      KOTLINC_PATH,
+      ...sources,
+      "-include-runtime",
+      "-d",
+      path.join(dir, "main.jar"),
+    ],
+    runCommand: ({ dir, args }) => [
+      javaTool("java"),
+      "-jar",
+      path.join(dir, "main.jar"),
+      ...args,
+    ],
+    // kotlinc is a script that starts the JDK found above
+    compileVariables: () => (JAVA_HOME ? { JAVA_HOME } : {}),
+
+    /**
+     * Tokenizes the import directives of every project file
+     * @param {Object<string, string>} files - Project path -> source
+     * @returns {Promise<Object>} Path -> { imports, error }
+     */
+    parseImports: async (files) => parseEach(files, parseKotlinImports),
+
+    /**
+     * Keeps imports from outside the Kotlin runtime and the JDK
+     * @param {{name: string}} imported - Import from parseImports
+     * @returns {string|null} The fully qualified import, or null
+     */
+    dependencyOf: ({ name }) =>
+      KOTLIN_STANDARD_PREFIXES.some((std) => `${name}.`.startsWith(std))
+        ? null
+        : name,
+
+    /**
+     * Checks whether an import refers to a package declared in the project
+     * @param {string} pkg - Fully qualified import from dependencyOf
+     * @param {Object<string, string>} files - Project path -> content
+     * @returns {boolean}
+     */
+    isLocalDependency: (pkg, files) =>
+      Object.values(files).some((content) => {
+        const declared = parseKotlinImports(content).package;
+        return declared !== "" && pkg.startsWith(`${declared}.`);
+      }),
+    // Only the Kotlin standard library and the JDK are available
+    install: null,
+  },
+};
+
+/**
+ * Finds the executable a command runs
+ * @param {string} command - Bare command name or path
+ * @returns {string|null} Path of the executable (searched on PATH for bare
+ *          names), or null if there is none
+ */
+function resolveCommand(command) {
+  if (command.includes("/") || command.includes("\\")) {
+    return fs.existsSync(command) ? command : null;
+  }
+  const extensions =
+    process.platform === "win32"
+      ? (process.env.PATHEXT || ".EXE;.CMD;.BAT").split(";")
+      : [""];
+  for (const dir of (process.env.PATH || "").split(path.delimiter)) {
+    if (!dir) continue;
+    for (const ext of extensions) {
+      const candidate = path.join(dir, command + ext);
+      try {
+        fs.accessSync(candidate, fs.constants.X_OK);
+        return candidate;
+      } catch (error) {
+        // Not in this directory
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Checks whether an executable can be found
+ * @param {string} command - Bare command name or path
+ * @returns {boolean} True if the command exists (on PATH for bare names)
+ */
+function isCommandAvailable(command) {
+  return resolveCommand(command) !== null;
+}
+
+/**
+ * Describes a toolchain that cannot be used
+ * @param {string} error - Why not
+ * @returns {Object} Probe result (see probeToolchain)
+ */
+function unavailableToolchain(error) {
+  return { available: false, version: null, banner: null, error };
+}
+
+/**
+ * Checks that a language's toolchain is installed and runs, and reads its
+ * version
+ *
+ * @function probeToolchain
+ * @param {Object} config - Language config
+ * @param {function(string[], Object): Object} [confine] - Wraps the
+ *        version command and its extra environment into { command, options }
+ *        (see sandbox.prepare) to probe it as programs run; by default it
+ *        runs as the runner itself
+ * @returns {{available: boolean, version: (string|null),
+ *          banner: (string|null), error: (string|null)}} version is the
+ *          version number (e.g. "12.2.0"), banner the first line the
+ *          toolchain printed and error why the language is unavailable
+ */
+function probeToolchain(config, confine = null) {
+  const missing = config.toolchain.find(
+    (command) => !isCommandAvailable(command)
+  );
+  if (missing) {
+    return unavailableToolchain(`${missing} was not found`);
+  }
+
+  const variables = config.compileVariables ? config.compileVariables() : {};
+  const { command, options } = confine
+    ? confine(config.versionCommand, variables)
+    : {
+        command: config.versionCommand,
+        options: { env: { ...process.env, ...variables } },
+      };
+  const probe = spawnSync(command[0], command.slice(1), {
+    encoding: "utf8",
+    timeout: 20000,
+    cwd: options.cwd,
+    env: options.env,
+  });
+  // Some tools (java, kotlinc) print their version on stderr
+  const output = `${probe.stdout || ""}\n${probe.stderr || ""}`;
+  if (probe.error || probe.status !== 0) {
+    const reason = probe.error
+      ? probe.error.message
+      : output.trim() || `exit code ${probe.status}`;
+    return unavailableToolchain(
+      `${config.versionCommand.join(" ")} failed${
+        confine ? " in the sandbox" : ""
+      }: ${reason}`
+    );
+  }
+  const banner = output.split("\n").find((line) => line.trim()) || "";
+  // Prefer a dotted number: "gcc (Debian 12.2.0-14) 12.2.0" -> 12.2.0
+  const match = /\d+(?:\.\d+)+/.exec(banner) || /\d+/.exec(banner);
+  return {
+    available: true,
+    version: match ? match[0] : null,
+    banner: banner.trim(),
+    error: null,
+  };
+}
+
+/**
+ * Tells whether a language's programs can run in a debug session
+ * @param {Object} config - Language config
+ * @returns {boolean} True when it has a debugger and the debugger is
+ *          installed
+ */
+function hasDebugger(config) {
+  return (
+    Boolean(config.debugger) &&
+    config.debugger.toolchain.every((command) => isCommandAvailable(command))
+  );
+}
+
+/**
+ * Tells whether a language's programs can be profiled
+ * @param {Object} config - Language config
+ * @returns {boolean} True when it has a profiler and the profiler is
+ *          installed
+ */
+function hasProfiler(config) {
+  return (
+    Boolean(config.profiler) &&
+    config.profiler.toolchain.every((command) => isCommandAvailable(command))
+  );
+}
+
+/**
+ * Picks the memory checker a language's programs are checked with
+ * @param {Object} config - Language config
+ * @returns {Object|null} The first installed checker of `memcheck`, or null
+ *          when the language has none
+ */
+function memcheckerOf(config) {
+  return (
+    (config.memcheck || []).find((checker) =>
+      checker.toolchain.every((command) => isCommandAvailable(command))
+    ) || null
+  );
+}
+
+// Toolchains are probed once; installing a compiler needs a restart
+const toolchains = new Map(
+  Object.entries(languageConfigs).map(([id, config]) => [
+    id,
+    probeToolchain(config),
+  ])
+);
+
+/**
+ * Probes the installed toolchains again the way programs run: confined by
+ * the sandbox, as its user
+ *
+ * The startup probe runs as the runner's own user, who may reach toolchains
+ * the sandbox user cannot (rustup's under the runner's home, a project's
+ * node_modules). Languages whose toolchain fails in the sandbox are no
+ * longer offered, so they are not listed only to fail every run.
+ *
+ * @function probeSandboxedToolchains
+ * @param {Object} sandbox - Sandbox from createSandbox
+ */
+function probeSandboxedToolchains(sandbox) {
+  for (const [id, config] of Object.entries(languageConfigs)) {
+    if (!toolchains.get(id).available) continue;
+    const dir = sandbox.createRunDir();
+    try {
+      toolchains.set(
+        id,
+        probeToolchain(config, (argv, env) =>
+          sandbox.prepare(id, "compile", argv, dir, { env })
+        )
+      );
+    } catch (error) {
+      // The sandbox does not permit the command for the language
+      toolchains.set(id, unavailableToolchain(error.message));
+    } finally {
+      sandbox.removeRunDir(dir);
+    }
+  }
+}
+
+/**
+ * Looks up a language the server can run
+ * @param {string} id - Language identifier
+ * @returns {Object|null} Language config, or null if unknown or not installed
+ */
+function getLanguage(id) {
+  return Object.prototype.hasOwnProperty.call(languageConfigs, id) &&
+    toolchains.get(id).available
+    ? languageConfigs[id]
+    : null;
+}
+
+/**
+ * Reads the startup probe of a language's toolchain
+ * @param {string} id - Language identifier
+ * @returns {Object} Result of probeToolchain
+ */
+function getToolchain(id) {
+  return toolchains.get(id);
+}
+
+/**
+ * Reports the toolchain probe of every configured language, installed or not
+ * @returns {Array<{id: string, name: string, available: boolean,
+ *          version: (string|null), banner: (string|null),
+ *          error: (string|null)}>} Results of probeToolchain
+ */
+function listToolchains() {
+  return Object.entries(languageConfigs).map(([id, config]) => ({
+    id,
+    name: config.name,
+    ...toolchains.get(id),
+  }));
+}
+
+/**
+ * Lists the languages the server can run
+ * @returns {Array<{id: string, name: string, extension: string,
+ *          version: string, flags: string[], template: string,
+ *          compilerOptions: (Object|null), packages: string[],
+ *          debugger: boolean, tracer: boolean,
+ *          profiler: (string|null), memcheck: (string|null)}>} version is the
+ *          toolchain's; flags are the default compiler flags; template is
+ *          the starter program; compilerOptions describes the choices a run
+ *          request may make (C/C++ only); packages are the third-party
+ *          imports allowed; debugger tells whether debug sessions are
+ *          available, tracer whether POST /trace is, profiler names
+ *          the profiler POST /benchmark reports with and memcheck the
+ *          memory checker of `memcheck` runs
+ */
+function listLanguages() {
+  return Object.entries(languageConfigs)
+    .filter(([id]) => toolchains.get(id).available)
+    .map(([id, config]) => ({
+      id,
+      name: config.name,
+      extension: config.extension,
+      version: toolchains.get(id).version,
+      flags: config.compilerOptions ? gccFlags(id) : config.compileFlags || [],
+      template: config.template,
+      compilerOptions: config.compilerOptions
+        ? {
+            ...config.compilerOptions,
+            optimizationLevels: OPTIMIZATION_LEVELS,
+            sanitize: true,
+            extraWarnings: true,
+          }
+        : null,
+      packages: config.allowedPackages
+        ? config.allowedPackages().map((pkg) => pkg.name)
+        : [],
+      debugger: hasDebugger(config),
+      tracer: Boolean(config.tracer),
+      profiler: hasProfiler(config) ? config.profiler.name : null,
+      memcheck: memcheckerOf(config) ? memcheckerOf(config).name : null,
+    }));
+}
+
+module.exports = {
+  languageConfigs,
+  getLanguage,
+  listLanguages,
+  getToolchain,
+  listToolchains,
+  probeSandboxedToolchains,
+  resolveCompilerOptions,
+  isCommandAvailable,
+  hasDebugger,
+  hasProfiler,
+  memcheckerOf,
+  PYTHON_PATH,
+  JAVA_HOME,
+  PACKAGE_MIRROR_PATH,
+};
@@ -0,0 +1,257 @@
+/**
+ * Memory Check Reports
+ *
+ * Reads the report of a C/C++ memory checker into findings, each
+ * { tool, category, kind, file, line, column, bytes, message }:
+ * - category "error" for invalid accesses and frees and uses of
+ *   uninitialised memory, located at the faulting line
+ * - category "leak" for memory never freed, located where it was
+ *   allocated, with the bytes lost
+ * Only stack frames in the user's own files are used for locations; file
+ * is a project path ("main.c").
+ *
+ * Formats:
+ * - "valgrind": Valgrind memcheck's report on stderr, run with
+ *   --fullpath-after= so frames name whole paths (relative to the run
+ *   directory, for builds that map it to ".")
+ * - "sanitizer": AddressSanitizer's reports and LeakSanitizer's summary of
+ *   leaks, from a build with -fsanitize-recover=address
+ */
+
+const path = require("path");
+const { parseSanitizerReport } = require("./sanitizers");
+
+// Reports beyond this many are usually the same bug repeating in a loop
+const MAX_FINDINGS = 20;
+
+// ==123== Invalid write of size 4
+const VALGRIND_LINE = /^==\d+==( +)(.*)$/;
+// at 0x109166: main (./main.c:5), or (in /usr/lib/libc.so.6)
+const VALGRIND_FRAME = /^(?:at|by) 0x[0-9A-F]+: /;
+const VALGRIND_SOURCE = /\(([^()\s]+):(\d+)\)$/;
+// 40 bytes in 1 blocks are definitely lost in loss record 1 of 2
+const VALGRIND_LEAK =
+  /^([\d,]+)(?: \([\d,]+ direct, [\d,]+ indirect\))? bytes in ([\d,]+) blocks are (definitely|indirectly|possibly) lost/;
+// Direct leak of 40 byte(s) in 1 object(s) allocated from:
+const LSAN_LEAK = /^(Direct|Indirect) leak of (\d+) byte\(s\) in (\d+) object/;
+// #1 0x55d1c1 in make /tmp/run-x/main.c:3
+const LSAN_FRAME = /^\s*#\d+ 0x[0-9a-f]+ in (\S+) (\S+?):(\d+)(?::(\d+))?$/;
+
+/**
+ * Valgrind's errors, by the start of their first line
+ * @constant {Array<{pattern: RegExp, kind: string}>}
+ */
+const VALGRIND_ERRORS = [
+  { pattern: /^Invalid read of size \d+/, kind: "invalid-read" },
+  { pattern: /^Invalid write of size \d+/, kind: "invalid-write" },
+  { pattern: /^Invalid free\(\)/, kind: "invalid-free" },
+  { pattern: /^Mismatched free\(\)/, kind: "mismatched-free" },
+  {
+    pattern: /^(?:Conditional jump or move depends on|Use of) uninitialised/,
+    kind: "uninitialised-value",
+  },
+  { pattern: /^Syscall param .* uninitialised/, kind: "uninitialised-value" },
+  { pattern: /^Source and destination overlap/, kind: "overlapping-copy" },
+  { pattern: /^Argument 'size' of function \w+ has a fishy/, kind: "bad-size" },
+];
+
+// Valgrind's loss kinds, as the kinds of leak findings
+const LEAK_KINDS = {
+  definitely: "definite-leak",
+  Direct: "definite-leak",
+  indirectly: "indirect-leak",
+  Indirect: "indirect-leak",
+  possibly: "possible-leak",
+};
+
+/**
+ * Collects findings, skipping repeats of a kind at one line
+ * @returns {{findings: Object[], add: function(Object): void}} The list and
+ *          the function adding to it
+ */
+function findingList() {
+  const findings = [];
+  const seen = new Set();
+  const add = (finding) => {
+    const key = `${finding.kind}:${finding.file}:${finding.line}`;
+    if (seen.has(key) || findings.length >= MAX_FINDINGS) return;
+    seen.add(key);
+    findings.push(finding);
+  };
+  return { findings, add };
+}
+
+/**
+ * Describes a leak
+ * @param {string} kind - Leak kind from LEAK_KINDS
+ * @param {number} bytes - Bytes lost
+ * @param {number|null} line - Line the memory was allocated at
+ * @returns {string} The message
+ */
+function leakMessage(kind, bytes, line) {
+  const where = line === null ? "" : ` at line ${line}`;
+  const how = {
+    "definite-leak": "never freed",
+    "indirect-leak": "lost along with another leaked block",
+    "possible-leak": "possibly never freed",
+  }[kind];
+  return `Memory leak${where}: ${bytes} bytes allocated here are ${how}`;
+}
+
+/**
+ * Reads Valgrind memcheck's report
+ *
+ * @param {string} stderr - Program stderr with Valgrind's report
+ * @param {string} dir - Run directory; frames in files below it are user code
+ * @returns {Object[]} Findings
+ *
+ * @description
+ * Each of Valgrind's messages is a line followed by the stack it happened
+ * at; invalid accesses then describe the block the address belongs to,
+ * with the stack that allocated it. The first user frame of the first
+ * stack locates the finding.
+ */
+function parseValgrindReport(stderr, dir) {
+  const { findings, add } = findingList();
+  const inRunDir = (file) => path.resolve(dir, file).startsWith(dir + path.sep);
+  const lines = stderr
+    .split("\n")
+    .map((text) => VALGRIND_LINE.exec(text))
+    .filter(Boolean)
+    .map(([, indent, text]) => ({ indent: indent.length, text }));
+
+  for (let i = 0; i < lines.length; i++) {
+    // Messages start one space in; their details and stacks further in
+    if (lines[i].indent !== 1) continue;
+    const { text } = lines[i];
+    const leak = VALGRIND_LEAK.exec(text);
+    const error = VALGRIND_ERRORS.find(({ pattern }) => pattern.test(text));
+    if (!leak && !error) continue;
+
+    let frame = null;
+    for (let j = i + 1; j < lines.length && lines[j].indent > 1; j++) {
+      if (!VALGRIND_FRAME.test(lines[j].text)) break;
+      const match = VALGRIND_SOURCE.exec(lines[j].text);
+      if (match && inRunDir(match[1])) {
+        frame = match;
+        break;
+      }
+    }
+    const file = frame ? path.relative(dir, path.resolve(dir, frame[1])) : null;
+    const line = frame ? Number(frame[2]) : null;
+
+    if (leak) {
+      const kind = LEAK_KINDS[leak[3]];
+      const bytes = Number(leak[1].replace(/,/g, ""));
+      add({
+        tool: "Valgrind",
+        category: "leak",
+        kind,
+        file,
+        line,
+        column: null,
+        bytes,
+        message: leakMessage(kind, bytes, line),
+      });
+    } else {
+      add({
+        tool: "Valgrind",
+        category: "error",
+        kind: error.kind,
+        file,
+        line,
+        column: null,
+        bytes: null,
+        message:
+          line === null
+            ? `Memory error: ${text}`
+            : `Memory error at line ${line}: ${text}`,
+      });
+    }
+  }
+  return findings;
+}
+
+/**
+ * Reads AddressSanitizer's errors and LeakSanitizer's leaks
+ *
+ * @param {string} stderr - Program stderr with the sanitizer reports
+ * @param {string} dir - Run directory; frames in files below it are user code
+ * @returns {Object[]} Findings
+ *
+ * @description
+ * Errors are read by parseSanitizerReport. LeakSanitizer reports once, at
+ * exit, with one paragraph per allocation stack: the first user frame of
+ * the stack is the line that allocated the leaked memory.
+ */
+function parseLeakSanitizerReport(stderr, dir) {
+  const { findings, add } = findingList();
+  const inRunDir = (file) => path.resolve(dir, file).startsWith(dir + path.sep);
+
+  for (const finding of parseSanitizerReport(stderr, dir)) {
+    // The leak report's header; its paragraphs are read below
+    if (finding.tool === "LeakSanitizer") continue;
+    const { tool, kind, file, line, column, message } = finding;
+    add({
+      tool,
+      category: "error",
+      kind,
+      file,
+      line,
+      column,
+      bytes: null,
+      message,
+    });
+  }
+
+  const lines = stderr.split("\n");
+  for (let i = 0; i < lines.length; i++) {
+    const leak = LSAN_LEAK.exec(lines[i]);
+    if (!leak) continue;
+    let frame = null;
+    for (let j = i + 1; j < lines.length && lines[j].trim() !== ""; j++) {
+      const match = LSAN_FRAME.exec(lines[j]);
+      if (match && inRunDir(match[2])) {
+        frame = match;
+        break;
+      }
+    }
+    const kind = LEAK_KINDS[leak[1]];
+    const bytes = Number(leak[2]);
+    const line = frame ? Number(frame[3]) : null;
+    add({
+      tool: "LeakSanitizer",
+      category: "leak",
+      kind,
+      file: frame ? path.relative(dir, path.resolve(dir, frame[2])) : null,
+      line,
+      column: frame && frame[4] ? Number(frame[4]) : null,
+      bytes,
+      message: leakMessage(kind, bytes, line),
+    });
+  }
+  return findings;
+}
+
+const PARSERS = {
+  valgrind: parseValgrindReport,
+  sanitizer: parseLeakSanitizerReport,
+};
+
+/**
+ * Reads a memory checker's report
+ *
+ * @function parseMemcheckReport
+ * @param {string} format - "valgrind" or "sanitizer"
+ * @param {string} stderr - Program stderr with the checker's report
+ * @param {string} dir - Run directory, which file paths are made relative to
+ * @returns {Array<{tool: string, category: string, kind: string,
+ *          file: (string|null), line: (number|null), column: (number|null),
+ *          bytes: (number|null), message: string}>} Findings in report
+ *          order, at most MAX_FINDINGS
+ */
+function parseMemcheckReport(format, stderr, dir) {
+  return PARSERS[format](stderr, dir);
+}
+
+module.exports = { parseMemcheckReport };
@@ -0,0 +1,90 @@
+/**
+ * Memory check findings of cached builds
+ *
+ * Pressing Memcheck again on unchanged code runs the cached build from a
+ * new run directory; its errors and leaks must still mark the user's
+ * lines. Run with `npm run test:runner`.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  languageConfigs,
+  isCommandAvailable,
+  memcheckerOf,
+} = require("./languages");
+const { parseMemcheckReport } = require("./memcheck");
+const { createTestBuilder } = require("./testing");
+
+const LEAKY = [
+  "#include <stdlib.h>",
+  "int main(void) {",
+  "  int *kept = malloc(4 * sizeof(int));",
+  "  kept[4] = 1;",
+  "  kept = malloc(8);",
+  "  return kept == NULL;",
+  "}",
+  "",
+].join("\n");
+
+test(
+  "cached memcheck builds report the lines of the user's code",
+  { skip: !isCommandAvailable("gcc") && "gcc is not installed" },
+  async (t) => {
+    const builder = createTestBuilder();
+    t.after(() => builder.cleanup());
+    const memcheck = memcheckerOf(languageConfigs.c);
+
+    for (const expected of ["miss", "hit"]) {
+      const { context, compileCache } = await builder.build("c", LEAKY, {
+        memcheck,
+      });
+      assert.strictEqual(compileCache, expected);
+      const result = await builder.run(
+        context,
+        memcheck.command({ ...context, args: [] }),
+        memcheck.sanitized
+          ? { ASAN_OPTIONS: "detect_leaks=1:halt_on_error=0" }
+          : {}
+      );
+      const findings = parseMemcheckReport(
+        memcheck.format,
+        result.stderr,
+        context.dir
+      );
+      const lines = findings.map((finding) => [
+        finding.category,
+        finding.file,
+        finding.line,
+      ]);
+      assert.deepStrictEqual(lines.sort(), [
+        ["error", "main.c", 4],
+        ["leak", "main.c", 3],
+        ["leak", "main.c", 5],
+      ]);
+    }
+  }
+);
+
+test("Valgrind frames relative to the run directory are the user's", () => {
+  const report = [
+    "==41== Invalid write of size 4",
+    "==41==    at 0x10918B: main (./main.c:4)",
+    "==41==  Address 0x4a8c050 is 0 bytes after a block of size 16 alloc'd",
+    "==41==    at 0x48407B4: malloc (vg_replace_malloc.c:381)",
+    "==41==    by 0x10917E: main (./main.c:3)",
+    "==41== ",
+    "==41== 16 bytes in 1 blocks are definitely lost in loss record 1 of 1",
+    "==41==    at 0x48407B4: malloc (in /usr/libexec/valgrind/vgpreload.so)",
+    "==41==    by 0x10917E: main (main.c:3)",
+    "",
+  ].join("\n");
+  const findings = parseMemcheckReport("valgrind", report, "/tmp/run-x");
+  assert.deepStrictEqual(
+    findings.map(({ kind, file, line }) => [kind, file, line]),
+    [
+      ["invalid-write", "main.c", 4],
+      ["definite-leak", "main.c", 3],
+    ]
+  );
+});
@@ -0,0 +1,77 @@
+/**
+ * Package Mirror Population
+ *
+ * The runner installs third-party packages only from the local mirror
+ * (PACKAGE_MIRROR_PATH), so it works without network access and nobody can
+ * make it fetch arbitrary packages. This downloads every allowlisted
+ * package - pip wheels, the npm cache and Maven artifacts - ahead of time.
+ *
+ * Usage: npm run mirror:populate [-- python javascript java]
+ * Without arguments every language with packages is mirrored.
+ */
+
+const { languageConfigs, PACKAGE_MIRROR_PATH } = require("./languages");
+
+// Large wheels (tensorflow, torch) take a while on slow connections
+const MIRROR_TIMEOUT = 10 * 60 * 1000;
+
+/**
+ * Downloads the allowlisted packages of the given languages into the mirror
+ *
+ * @async
+ * @function populateMirror
+ * @param {string[]} languages - Language identifiers with allowedPackages
+ * @param {function(string): void} [log=console.log] - Progress output
+ * @returns {Promise<Array<{language: string, spec: string, error: string}>>}
+ *          Packages that failed to download
+ */
+async function populateMirror(languages, log = console.log) {
+  const failures = [];
+  for (const language of languages) {
+    const config = languageConfigs[language];
+    for (const { spec } of config.allowedPackages()) {
+      log(`[${language}] ${spec}`);
+      try {
+        await config.mirrorPackage(spec, MIRROR_TIMEOUT);
+      } catch (error) {
+        failures.push({
+          language,
+          spec,
+          error: String(error.message || error).trim(),
+        });
+      }
+    }
+  }
+  return failures;
+}
+
+if (require.main === module) {
+  const mirrored = Object.keys(languageConfigs).filter(
+    (id) => languageConfigs[id].allowedPackages
+  );
+  const requested = process.argv.slice(2);
+  const invalid = requested.filter((id) => !mirrored.includes(id));
+  if (invalid.length > 0) {
+    console.error(
+      `No packages to mirror for: ${invalid.join(", ")}. Choose from: ${mirrored.join(", ")}`
+    );
+    process.exit(2);
+  }
+
+  console.log(`Populating package mirror in ${PACKAGE_MIRROR_PATH}`);
+  populateMirror(requested.length > 0 ? requested : mirrored).then(
+    (failures) => {
+      for (const { language, spec, error } of failures) {
+        console.error(`Failed to mirror ${language} package ${spec}:\n${error}`);
+      }
+      console.log(
+        failures.length === 0
+          ? "Package mirror is up to date"
+          : `${failures.length} package(s) could not be mirrored`
+      );
+      process.exitCode = failures.length === 0 ? 0 : 1;
+    }
+  );
+}
+
+module.exports = { populateMirror };
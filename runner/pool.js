@@ -0,0 +1,104 @@
+/**
+ * Warm Interpreter Pool
+ *
+ * Interpreter startup dominates the run time of small Python and
+ * JavaScript programs. The pool keeps a few interpreters per language
+ * already started - each under a uid of its own, with the same limits as
+ * a normal run - and hands one out per job:
+ * - A worker waits in a locked run directory that nothing can write to;
+ *   its job's files go into a fresh directory of the same uid, which the
+ *   worker moves into once released, so no other run can plant modules
+ *   where the job imports from
+ * - A worker runs exactly one job and is never reused; the process exits
+ *   with the program and a fresh worker is started in its place
+ * - Workers that die while idle are discarded and replaced after a delay
+ * - When no worker is idle the caller simply starts a cold process
+ */
+
+/**
+ * Creates the pool of warm workers
+ *
+ * @function createWorkerPool
+ * @param {Object} poolConfig - SECURITY_CONFIG.workerPool
+ * @param {boolean} poolConfig.enabled - Start no workers at all when false
+ * @param {number} poolConfig.size - Idle workers kept per language
+ * @param {number} poolConfig.respawnDelayMs - Wait before replacing a worker
+ *        that died while idle
+ * @param {string[]} languages - Languages to keep workers for
+ * @param {Object} hooks - How workers are made and thrown away
+ * @param {function(string): {dir: string, handle: Object}} hooks.spawn -
+ *        Starts a held worker process (see startProcess hold) in a new
+ *        locked run dir
+ * @param {function(Object): void} hooks.discard - Cleans up a dead idle worker
+ * @returns {Object} { acquire, stats }
+ */
+function createWorkerPool(poolConfig, languages, { spawn, discard }) {
+  const { enabled, size, respawnDelayMs } = poolConfig;
+
+  // language -> idle workers, oldest first
+  const idle = new Map(languages.map((language) => [language, new Set()]));
+
+  /**
+   * Tops up a language's idle workers
+   * @param {string} language - Language identifier
+   */
+  const fill = (language) => {
+    const workers = idle.get(language);
+    while (workers.size < size) {
+      let worker;
+      try {
+        worker = spawn(language);
+      } catch (error) {
+        console.error(`Failed to start a ${language} worker:`, error.message);
+        return;
+      }
+      workers.add(worker);
+      worker.handle.done.then(() => {
+        worker.exited = true;
+        if (workers.delete(worker)) {
+          // Died before getting a job (e.g. killed from outside)
+          discard(worker);
+          setTimeout(() => fill(language), respawnDelayMs);
+        }
+      });
+    }
+  };
+
+  if (enabled) {
+    languages.forEach(fill);
+  }
+
+  return {
+    /**
+     * Takes an idle worker for one job
+     *
+     * @param {string} language - Language identifier
+     * @returns {{dir: string, handle: Object}|null} A held worker whose
+     *          locked directory now belongs to the caller, or null when none
+     *          is idle
+     */
+    acquire(language) {
+      const workers = idle.get(language);
+      if (!workers) return null;
+      for (const worker of workers) {
+        workers.delete(worker);
+        if (worker.exited) continue;
+        setImmediate(() => fill(language));
+        return worker;
+      }
+      return null;
+    },
+
+    /**
+     * Counts the idle workers of each language
+     * @returns {Object<string, number>} Language -> idle workers
+     */
+    stats() {
+      return Object.fromEntries(
+        [...idle].map(([language, workers]) => [language, workers.size])
+      );
+    },
+  };
+}
+
+module.exports = { createWorkerPool };
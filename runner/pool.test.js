@@ -0,0 +1,83 @@
+/**
+ * Warm workers waiting for a job
+ *
+ * An idle worker waits in a locked directory and runs its job from a
+ * fresh one, so another run cannot plant a module the job would import.
+ * Needs root; run with `npm run test:runner`.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { languageConfigs } = require("./languages");
+const { startProcess } = require("./process");
+const { createTestSandbox, isolatesRuns } = require("./testing");
+
+// Writes a module shadowing the standard library into the given directory
+const PLANT = [
+  "import sys",
+  "try:",
+  "    with open(sys.argv[1] + '/heapq.py', 'w') as f:",
+  "        f.write('print(\"PWNED by another user\")')",
+  "    print('planted')",
+  "except PermissionError:",
+  "    print('denied')",
+].join("\n");
+
+const isRoot = process.platform === "linux" && process.getuid() === 0;
+
+test(
+  "a run cannot write into a waiting warm worker's directory",
+  { skip: !isRoot && "the sandbox needs root" },
+  async (t) => {
+    const sandbox = createTestSandbox(210100);
+    t.after(() => sandbox.cleanup());
+    if (!isolatesRuns(sandbox)) {
+      t.skip("setpriv or a private /proc is unavailable");
+      return;
+    }
+
+    // As the runner's pool spawns its workers
+    const workerDir = sandbox.createRunDir({ locked: true });
+    const spawned = sandbox.prepare(
+      "python",
+      "run",
+      languageConfigs.python.workerCommand(),
+      workerDir
+    );
+    const worker = startProcess(spawned.command, {
+      ...spawned.options,
+      hold: true,
+    });
+    t.after(() => worker.kill());
+    assert.strictEqual(fs.statSync(workerDir).uid, 0);
+
+    const attackerDir = sandbox.createRunDir();
+    const attack = sandbox.prepare(
+      "python",
+      "run",
+      ["python3", "-c", PLANT, workerDir],
+      attackerDir
+    );
+    const planted = await startProcess(attack.command, {
+      ...attack.options,
+      timeout: 10000,
+    }).done;
+    assert.strictEqual(planted.stdout, "denied\n");
+
+    // As prepareSource hands the worker its job
+    const jobDir = sandbox.createRunDir({ sharing: workerDir });
+    sandbox.removeRunDir(workerDir);
+    const [source] = sandbox.writeFiles(jobDir, {
+      "main.py": 'import heapq\nprint("victim ran")\n',
+    });
+    const result = await worker.release({
+      control: JSON.stringify({ dir: jobDir, source, args: [] }),
+      timeout: 10000,
+    }).done;
+    assert.strictEqual(result.stderr, "");
+    assert.strictEqual(result.stdout, "victim ran\n");
+    assert.strictEqual(fs.existsSync(path.join(jobDir, "heapq.py")), false);
+  }
+);
@@ -0,0 +1,413 @@
+/**
+ * Process Execution Helpers
+ *
+ * Runs compilers, interpreters and package managers for the code runner.
+ * Commands are argument vectors rather than shell strings, so user-supplied
+ * values (file names, program arguments, package names) are never
+ * interpreted by a shell.
+ *
+ * Every command starts in a process group of its own. Stopping it signals
+ * the whole group - SIGTERM first, SIGKILL after a grace period - so
+ * programs that fork (and compilers running their helpers) leave nothing
+ * behind, and whatever is left in the group when the command exits is
+ * killed as well.
+ */
+
+const fs = require("fs");
+const { spawn, spawnSync } = require("child_process");
+const { StringDecoder } = require("string_decoder");
+
+// Bytes kept per stream before the process is stopped (execFile's default)
+const DEFAULT_MAX_OUTPUT = 1024 * 1024;
+
+// Time (ms) a stopped process group gets to exit before SIGKILL
+const DEFAULT_KILL_GRACE = 1000;
+
+// Process groups are a POSIX feature; on Windows only the process is signalled
+const USE_PROCESS_GROUPS = process.platform !== "win32";
+
+// Process group ids of the commands that are still running
+const liveGroups = new Set();
+
+// How often (ms) CPU time and memory are sampled from /proc
+const SAMPLE_INTERVAL = 10;
+
+const HAS_PROCFS = fs.existsSync("/proc/self/stat");
+
+// Clock ticks per second, the unit of the CPU times in /proc/<pid>/stat
+const CLOCK_TICKS = (() => {
+  if (!HAS_PROCFS) return 100;
+  const result = spawnSync("getconf", ["CLK_TCK"], { encoding: "utf8" });
+  return Number(result.stdout) || 100;
+})();
+
+/**
+ * Reads the CPU time and peak memory of a running process from /proc
+ *
+ * The sandbox wrappers (unshare, the shell mounting /proc, setpriv,
+ * prlimit) exec into the program, so the spawned pid is the program itself
+ * once it is running. CPU time
+ * includes children the program has already waited for (e.g. cc1 under gcc).
+ *
+ * @param {number} pid - Process id
+ * @returns {{cpuTimeMs: number, peakMemoryKb: (number|null)}|null} null once
+ *          the process is gone
+ */
+function sampleUsage(pid) {
+  try {
+    const stat = fs.readFileSync(`/proc/${pid}/stat`, "utf8");
+    // Fields after the command name, which is parenthesised and may contain spaces
+    const fields = stat.slice(stat.lastIndexOf(")") + 2).split(" ");
+    // utime, stime, cutime, cstime (fields 14-17 of the stat line)
+    const ticks = fields
+      .slice(11, 15)
+      .reduce((sum, value) => sum + Number(value), 0);
+    const status = fs.readFileSync(`/proc/${pid}/status`, "utf8");
+    const peak = /^VmHWM:\s+(\d+) kB/m.exec(status);
+    return {
+      cpuTimeMs: Math.round((ticks * 1000) / CLOCK_TICKS),
+      peakMemoryKb: peak ? Number(peak[1]) : null,
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Starts a command and streams its output while it runs
+ *
+ * @function startProcess
+ * @param {string[]} argv - Executable followed by its arguments
+ * @param {Object} [options={}] - Execution options
+ * @param {number} [options.timeout] - Kill the process after this many milliseconds
+ * @param {string|null} [options.input=""] - Data written to the process's
+ *        standard input; null leaves stdin open for the caller to write to
+ * @param {string} [options.cwd] - Working directory
+ * @param {Object} [options.env] - Environment variables
+ * @param {number} [options.maxStdout=1048576] - Bytes of stdout kept; the
+ *        process is stopped once it prints more
+ * @param {number} [options.maxStderr=1048576] - Bytes of stderr kept, likewise
+ * @param {number} [options.killGraceMs=1000] - Time a stopped process group
+ *        gets between SIGTERM and SIGKILL
+ * @param {function(string)} [options.onStdout] - Called with each stdout chunk
+ * @param {function(string)} [options.onStderr] - Called with each stderr chunk
+ * @param {boolean} [options.hold=false] - Spawn now but wait for release()
+ *        before starting the clock and writing any input (warm workers)
+ * @param {number} [options.extraPipes=0] - Pipes opened as fd 3, 4, ... in
+ *        the child (child.stdio[3], ...), e.g. a debugger's control channel
+ * @returns {{child: ChildProcess, kill: function(): void, done: Promise<Object>,
+ *          release: function(Object): Object}}
+ *          done resolves with { stdout, stderr, exitCode, signal, timedOut,
+ *          killed, wallTimeMs, cpuTimeMs, peakMemoryKb, outputTruncated,
+ *          error } once the process exits - it never rejects. A truncated
+ *          stream ends with a "[output truncated after N KB]" line.
+ * @description
+ * - Measures wall-clock time from spawn (or release) to exit
+ * - Samples CPU time and peak resident memory from /proc every
+ *   SAMPLE_INTERVAL ms; both are null where /proc is unavailable or when
+ *   the process exits before the first sample
+ * - Distinguishes a timeout kill from a crash or a non-zero exit
+ * - Stops the whole process group on timeout, output overflow or kill(),
+ *   and kills what is left of it once the command exits
+ * - Feeds the given input to stdin and closes it, so programs reading
+ *   until EOF terminate instead of waiting for the timeout (unless input
+ *   is null)
+ *
+ * A held process gets an extra pipe as fd 3. release({ control, input,
+ * timeout, onStdout, onStderr }) writes `control` to that pipe and closes
+ * it, then proceeds as an ordinary start; it returns the same handle.
+ */
+function startProcess(argv, options = {}) {
+  const {
+    cwd,
+    env,
+    hold = false,
+    maxStdout = DEFAULT_MAX_OUTPUT,
+    maxStderr = DEFAULT_MAX_OUTPUT,
+    killGraceMs = DEFAULT_KILL_GRACE,
+    extraPipes = 0,
+  } = options;
+  let { timeout, input = "", onStdout, onStderr } = options;
+  const [file, ...args] = argv;
+  const child = spawn(file, args, {
+    cwd,
+    env,
+    // A held process receives its job through fd 3
+    stdio: Array(3 + (hold ? 1 : extraPipes)).fill("pipe"),
+    // The child leads a new process group whose id is its pid
+    detached: USE_PROCESS_GROUPS,
+  });
+  if (USE_PROCESS_GROUPS && child.pid) {
+    liveGroups.add(child.pid);
+  }
+
+  let startedAt = process.hrtime.bigint();
+  let cpuBaselineMs = 0;
+  let timer = null;
+  let stdout = "";
+  let stderr = "";
+  let timedOut = false;
+  let killed = false;
+  let outputTruncated = false;
+  let truncationNote = null;
+  let spawnError = null;
+  let usage = { cpuTimeMs: null, peakMemoryKb: null };
+  let escalation = null;
+  let pipeRelease = null;
+
+  /**
+   * Sends a signal to the command's process group (or just the process)
+   * @param {string} signal - e.g. "SIGTERM"
+   */
+  const signalGroup = (signal) => {
+    try {
+      if (USE_PROCESS_GROUPS && child.pid) {
+        process.kill(-child.pid, signal);
+      } else {
+        child.kill(signal);
+      }
+    } catch (error) {
+      // ESRCH: the group has already exited
+    }
+  };
+
+  /**
+   * Stops the command: SIGTERM, then SIGKILL for whatever ignores it
+   */
+  const terminate = () => {
+    if (escalation) return;
+    signalGroup("SIGTERM");
+    escalation = setTimeout(() => signalGroup("SIGKILL"), killGraceMs);
+  };
+
+  /**
+   * Decodes one output stream, keeping at most `limit` bytes of it
+   * Once a stream overflows, the process is stopped and the stream ends
+   * with a truncation marker; output arriving after that is dropped.
+   * @param {number} limit - Bytes to keep
+   * @param {function(string): void} append - Receives each decoded chunk
+   * @returns {function(Buffer): void} "data" event listener
+   */
+  const limitStream = (limit, append) => {
+    // Multi-byte characters may be split across chunks
+    const decoder = new StringDecoder("utf8");
+    let received = 0;
+    return (data) => {
+      if (outputTruncated) return;
+      const room = limit - received;
+      received += data.length;
+      if (data.length <= room) {
+        append(decoder.write(data));
+        return;
+      }
+      outputTruncated = true;
+      terminate();
+      const kb = Math.round(limit / 1024);
+      truncationNote = `Output truncated after ${kb} KB`;
+      const kept = decoder.write(data.subarray(0, room));
+      append(`${kept}\n[output truncated after ${kb} KB]\n`);
+    };
+  };
+
+  child.stdout.on(
+    "data",
+    limitStream(maxStdout, (chunk) => {
+      stdout += chunk;
+      if (onStdout && chunk) onStdout(chunk);
+    })
+  );
+  child.stderr.on(
+    "data",
+    limitStream(maxStderr, (chunk) => {
+      stderr += chunk;
+      if (onStderr && chunk) onStderr(chunk);
+    })
+  );
+
+  const sampler =
+    HAS_PROCFS && child.pid
+      ? setInterval(() => {
+          const sample = sampleUsage(child.pid);
+          if (!sample) return;
+          usage = {
+            cpuTimeMs: Math.max(sample.cpuTimeMs - cpuBaselineMs, 0),
+            peakMemoryKb: Math.max(
+              usage.peakMemoryKb || 0,
+              sample.peakMemoryKb || 0
+            ) || null,
+          };
+        }, SAMPLE_INTERVAL)
+      : null;
+
+  // Background processes must not outlive the command; killing them also
+  // closes any copies of the output pipes they hold. One that left the group
+  // (setsid) keeps its copies open, so stop waiting for them after a grace.
+  child.on("exit", () => {
+    clearTimeout(timer);
+    signalGroup("SIGKILL");
+    pipeRelease = setTimeout(() => {
+      child.stdio.forEach((stream) => stream && stream.destroy());
+    }, killGraceMs);
+  });
+
+  const done = new Promise((resolve) => {
+    child.on("error", (error) => {
+      spawnError = error;
+    });
+    child.on("close", (code, signal) => {
+      clearTimeout(timer);
+      clearTimeout(escalation);
+      clearTimeout(pipeRelease);
+      clearInterval(sampler);
+      signalGroup("SIGKILL");
+      liveGroups.delete(child.pid);
+      let error = null;
+      if (spawnError) {
+        error = spawnError.message;
+      } else if (timedOut) {
+        error = `Timed out after ${timeout} ms`;
+      } else if (outputTruncated) {
+        error = truncationNote;
+      } else if (signal) {
+        error = `Process terminated by ${signal}`;
+      } else if (code !== 0) {
+        error = `Process exited with code ${code}`;
+      }
+      resolve({
+        stdout,
+        stderr,
+        exitCode: spawnError ? null : code,
+        signal: signal || null,
+        timedOut,
+        killed,
+        wallTimeMs: Math.round(
+          Number(process.hrtime.bigint() - startedAt) / 1e6
+        ),
+        cpuTimeMs: usage.cpuTimeMs,
+        peakMemoryKb: usage.peakMemoryKb,
+        outputTruncated,
+        error,
+      });
+    });
+  });
+
+  // Programs that exit without reading their input close the pipe early
+  child.stdin.on("error", () => {});
+
+  /**
+   * Starts the clock and feeds the input
+   */
+  const launch = () => {
+    timer = timeout
+      ? setTimeout(() => {
+          timedOut = true;
+          terminate();
+        }, timeout)
+      : null;
+    if (input !== null) child.stdin.end(input);
+  };
+
+  const handle = {
+    child,
+    kill: () => {
+      killed = true;
+      terminate();
+    },
+    done,
+    release: (job = {}) => {
+      ({ timeout, input = "", onStdout, onStderr } = job);
+      // Only the job's own work counts, not the warm-up before it
+      startedAt = process.hrtime.bigint();
+      const baseline = HAS_PROCFS && sampleUsage(child.pid);
+      cpuBaselineMs = baseline ? baseline.cpuTimeMs : 0;
+      const control = child.stdio[3];
+      control.on("error", () => {});
+      control.end(job.control || "");
+      launch();
+      return handle;
+    },
+  };
+
+  if (!hold) {
+    launch();
+  }
+  return handle;
+}
+
+/**
+ * Runs a command and reports how it finished instead of only its output
+ *
+ * @function runProcess
+ * @param {string[]} argv - Executable followed by its arguments
+ * @param {number} timeout - Maximum execution time in milliseconds
+ * @param {string} [input=""] - Data written to the process's standard input
+ * @param {Object} [options={}] - Extra options (cwd, env, maxStdout,
+ *        maxStderr)
+ * @returns {Promise<Object>} Resolves with the startProcess result - never rejects
+ */
+function runProcess(argv, timeout, input = "", options = {}) {
+  return startProcess(argv, { ...options, timeout, input }).done;
+}
+
+/**
+ * Executes a command with a timeout safety mechanism
+ *
+ * @function executeWithTimeout
+ * @param {string[]} argv - Executable followed by its arguments
+ * @param {number} timeout - Maximum execution time in milliseconds
+ * @param {string} [input=""] - Data written to the process's standard input
+ * @param {Object} [options={}] - Extra options (cwd, env)
+ * @returns {Promise<string>} Command output if successful
+ * @throws {string} stderr (or the error message) if the command fails or
+ *         exceeds the timeout
+ */
+async function executeWithTimeout(argv, timeout, input = "", options = {}) {
+  const result = await runProcess(argv, timeout, input, options);
+  if (result.error) {
+    throw result.stderr || result.error;
+  }
+  return result.stdout;
+}
+
+/**
+ * Kills every process of a user at once
+ *
+ * The kill is made as that user with kill(-1), which signals all of its
+ * processes in one sweep: a program that left its process group (setsid)
+ * is stopped with the rest, and a fork loop cannot outrun it the way it
+ * can a walk over /proc. Needs root.
+ *
+ * @function killUser
+ * @param {number} uid - User id, the group id being the same number
+ */
+function killUser(uid) {
+  spawnSync(
+    "setpriv",
+    [
+      `--reuid=${uid}`,
+      `--regid=${uid}`,
+      "--clear-groups",
+      "--",
+      "kill",
+      "-KILL",
+      "-1",
+    ],
+    { stdio: "ignore", timeout: 5000 }
+  );
+}
+
+/**
+ * Lists the process groups of commands that are still running
+ * @returns {Set<number>} Process group ids (a copy)
+ */
+function liveProcessGroups() {
+  return new Set(liveGroups);
+}
+
+module.exports = {
+  startProcess,
+  runProcess,
+  executeWithTimeout,
+  killUser,
+  liveProcessGroups,
+};
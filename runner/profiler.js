@@ -0,0 +1,231 @@
+/**
+ * Per-function Profiles
+ *
+ * Reads the report of a language's profiler into one list of functions,
+ * each { name, file, line, calls, selfMs, totalMs }: selfMs is the time
+ * spent in the function itself, totalMs includes the functions it called.
+ * Files are project paths ("main.py") for the program's own code; lines
+ * start at 1. Fields a profiler does not measure are null: V8 samples the
+ * stack, so it counts no calls, and gprof names no files.
+ *
+ * Formats:
+ * - "cprofile": the JSON rows PYTHON_PROFILE_AGENT writes
+ * - "cpuprofile": a V8 CPU profile (`node --cpu-prof`)
+ * - "gprof": gprof's flat profile (`gprof -b -p`)
+ */
+
+const path = require("path");
+const { fileURLToPath } = require("url");
+
+// Functions kept per profile, the most self time first
+const MAX_FUNCTIONS = 25;
+
+/**
+ * Python profile agent, run with `python -c`: argv is the file to write
+ * the profile to, the program's source and its arguments. The program runs
+ * as __main__ under cProfile; the profile is written however it ends, as
+ * rows [file, line, name, calls, selfSeconds, totalSeconds].
+ */
+const PYTHON_PROFILE_AGENT = [
+  "import cProfile, json, os, sys, traceback",
+  "output = sys.argv[1]",
+  "source = os.path.abspath(sys.argv[2])",
+  "sys.argv = [source] + sys.argv[3:]",
+  "sys.path[0] = os.path.dirname(source)",
+  "with open(source, encoding='utf-8') as f:",
+  "    code = compile(f.read(), source, 'exec')",
+  "globals_ = {'__name__': '__main__', '__file__': source,",
+  "            '__builtins__': __builtins__}",
+  "profiler = cProfile.Profile()",
+  "status = 0",
+  "profiler.enable()",
+  "try:",
+  "    exec(code, globals_)",
+  "except SystemExit as e:",
+  "    status = e.code",
+  "except BaseException as e:",
+  "    # Hide the agent's frame so tracebacks match a plain run",
+  "    traceback.print_exception(type(e), e, e.__traceback__.tb_next)",
+  "    status = 1",
+  "finally:",
+  "    profiler.disable()",
+  "profiler.create_stats()",
+  "rows = [[file, line, name, calls, self_time, total_time]",
+  "        for (file, line, name), (_, calls, self_time, total_time, _)",
+  "        in profiler.stats.items()]",
+  "with open(output, 'w') as f:",
+  "    json.dump(rows, f)",
+  "sys.exit(status)",
+].join("\n");
+
+// The agent's own calls, which cProfile records around the program
+const PYTHON_AGENT_FUNCTIONS = new Set([
+  "<built-in method builtins.exec>",
+  "<method 'disable' of '_lsprof.Profiler' objects>",
+]);
+
+// V8's pseudo-functions for time outside the program's code
+const V8_PSEUDO_FUNCTIONS = new Set(["(root)", "(program)", "(idle)"]);
+
+/**
+ * Names a profiled file relative to the run directory
+ * @param {string} file - Absolute path
+ * @param {string} dir - Run directory
+ * @returns {string} Project path for files inside the run directory, the
+ *          path itself otherwise
+ */
+function projectPath(file, dir) {
+  const relative = path.relative(dir, file);
+  return relative && !relative.startsWith("..") && !path.isAbsolute(relative)
+    ? relative.split(path.sep).join("/")
+    : file;
+}
+
+/**
+ * Rounds a duration for the response
+ * @param {number|null} ms - Milliseconds
+ * @returns {number|null} Milliseconds to 3 decimals
+ */
+function roundMs(ms) {
+  return ms === null ? null : Math.round(ms * 1000) / 1000;
+}
+
+/**
+ * Reads the rows of PYTHON_PROFILE_AGENT
+ * @param {string} text - The agent's JSON output
+ * @param {string} dir - Run directory
+ * @returns {Object[]} Functions
+ */
+function parsePythonProfile(text, dir) {
+  return JSON.parse(text)
+    .filter(([, , name]) => !PYTHON_AGENT_FUNCTIONS.has(name))
+    .map(([file, line, name, calls, selfSeconds, totalSeconds]) => ({
+      // Built-in functions have no file ("~") and line 0
+      name,
+      file: file === "~" ? null : projectPath(file, dir),
+      line: line || null,
+      calls,
+      selfMs: selfSeconds * 1000,
+      totalMs: totalSeconds * 1000,
+    }));
+}
+
+/**
+ * Reads a V8 CPU profile
+ *
+ * @param {string} text - The .cpuprofile JSON
+ * @param {string} dir - Run directory
+ * @returns {Object[]} Functions
+ *
+ * @description
+ * The profile is a tree of call sites, each with the samples taken while
+ * it was on top of the stack. A function's self time is its samples times
+ * the sampling interval, summed over its call sites; its total time adds
+ * the time of everything below those sites, counting a recursive function
+ * once.
+ */
+function parseCpuProfile(text, dir) {
+  const { nodes, startTime, endTime, samples } = JSON.parse(text);
+  const intervalMs =
+    samples.length > 0 ? (endTime - startTime) / samples.length / 1000 : 0;
+  const byId = new Map(nodes.map((node) => [node.id, node]));
+  const functions = new Map();
+
+  const keyOf = ({ callFrame }) =>
+    `${callFrame.url}:${callFrame.lineNumber}:${callFrame.functionName}`;
+
+  // Returns the samples below a node, adding them to its function's total
+  // unless the function is already on the path (recursion)
+  const walk = (node, onPath) => {
+    const key = keyOf(node);
+    const { functionName, url, lineNumber } = node.callFrame;
+    if (!functions.has(key)) {
+      functions.set(key, {
+        name: functionName || "(anonymous)",
+        file: url.startsWith("file:")
+          ? projectPath(fileURLToPath(url), dir)
+          : url || null,
+        line: lineNumber >= 0 ? lineNumber + 1 : null,
+        calls: null,
+        selfMs: 0,
+        totalMs: 0,
+      });
+    }
+    const entry = functions.get(key);
+    const recursive = onPath.has(key);
+    onPath.add(key);
+    let hits = node.hitCount || 0;
+    entry.selfMs += (node.hitCount || 0) * intervalMs;
+    for (const childId of node.children || []) {
+      hits += walk(byId.get(childId), onPath);
+    }
+    if (!recursive) {
+      onPath.delete(key);
+      entry.totalMs += hits * intervalMs;
+    }
+    return hits;
+  };
+
+  // The first node is the tree's root
+  if (nodes.length > 0) walk(nodes[0], new Set());
+  return [...functions.values()].filter(
+    (entry) => !V8_PSEUDO_FUNCTIONS.has(entry.name)
+  );
+}
+
+/**
+ * Reads gprof's flat profile
+ * @param {string} text - Output of `gprof -b -p`
+ * @returns {Object[]} Functions
+ */
+function parseGprofFlat(text) {
+  const row =
+    /^\s*([\d.]+)\s+([\d.]+)\s+([\d.]+)(?:\s+(\d+)\s+([\d.]+)\s+([\d.]+))?\s+(\S.*)$/;
+  const functions = [];
+  for (const line of text.split("\n")) {
+    const match = row.exec(line);
+    if (!match) continue;
+    const [, , , selfSeconds, calls, , totalPerCallMs, name] = match;
+    functions.push({
+      name: name.trim(),
+      file: null,
+      line: null,
+      calls: calls === undefined ? null : Number(calls),
+      selfMs: Number(selfSeconds) * 1000,
+      totalMs:
+        calls === undefined ? null : Number(calls) * Number(totalPerCallMs),
+    });
+  }
+  return functions;
+}
+
+const PARSERS = {
+  cprofile: parsePythonProfile,
+  cpuprofile: parseCpuProfile,
+  gprof: parseGprofFlat,
+};
+
+/**
+ * Reads a profiler's report
+ *
+ * @param {string} format - "cprofile", "cpuprofile" or "gprof"
+ * @param {string} text - The report
+ * @param {string} dir - Run directory, which file paths are made relative to
+ * @returns {Object[]} The functions with the most self time, most first
+ * @throws {Error} If the report cannot be read
+ */
+function parseProfile(format, text, dir) {
+  return PARSERS[format](text, dir)
+    .sort((a, b) => b.selfMs - a.selfMs)
+    .slice(0, MAX_FUNCTIONS)
+    .map((entry) => ({
+      ...entry,
+      selfMs: roundMs(entry.selfMs),
+      totalMs: roundMs(entry.totalMs),
+    }));
+}
+
+module.exports = {
+  PYTHON_PROFILE_AGENT,
+  parseProfile,
+};
@@ -0,0 +1,135 @@
+/**
+ * Multi-file Projects
+ *
+ * A run request carries either a single `code` string or a project:
+ * `files` (project-relative path -> content) plus the `entry` file to run.
+ * Both are normalized into the same { files, entry } shape, so the rest of
+ * the runner only deals with projects:
+ * - C/C++: every .c/.cpp file is compiled, headers are found from the root
+ * - Java: every class is compiled; directories follow the packages
+ * - Python/JavaScript: the entry runs with the other files importable
+ *   next to it
+ */
+
+const path = require("path");
+
+// A path segment: no leading dot (hidden files, "." and ".."), no separators
+const SEGMENT_PATTERN = /^[A-Za-z0-9_][\w.-]*$/;
+const MAX_DEPTH = 8;
+
+/**
+ * Reads a file's extension without the dot
+ * @param {string} file - File path
+ * @returns {string} e.g. "hpp"
+ */
+function extensionOf(file) {
+  return path.posix.extname(file).slice(1);
+}
+
+/**
+ * Validates the files and entry point of a project run request
+ *
+ * @function validateProject
+ * @param {Object} config - Language config from the registry
+ * @param {*} files - Requested files (path -> content)
+ * @param {*} entry - Requested entry file path
+ * @param {Object} limits - { maxFiles, maxBytes }
+ * @returns {string|null} Error message, or null when the project is valid
+ */
+function validateProject(config, files, entry, { maxFiles, maxBytes }) {
+  if (!files || typeof files !== "object" || Array.isArray(files)) {
+    return "files must be an object mapping paths to file contents";
+  }
+  const paths = Object.keys(files);
+  if (paths.length === 0) {
+    return "files must contain at least one file";
+  }
+  if (paths.length > maxFiles) {
+    return `At most ${maxFiles} files are allowed per project`;
+  }
+
+  let totalBytes = 0;
+  for (const file of paths) {
+    const segments = file.split("/");
+    if (
+      segments.length > MAX_DEPTH ||
+      !segments.every((segment) => SEGMENT_PATTERN.test(segment))
+    ) {
+      return `Invalid file path "${file}": use relative paths of letters, digits, "_", "-" and "."`;
+    }
+    if (!config.projectExtensions.includes(extensionOf(file))) {
+      return `${config.name} projects may only contain .${config.projectExtensions.join(", .")} files (got "${file}")`;
+    }
+    if (typeof files[file] !== "string") {
+      return `Content of "${file}" must be a string`;
+    }
+    totalBytes += Buffer.byteLength(files[file]);
+  }
+  // A file and a directory of the same name cannot both exist
+  const clash = paths.find((file) =>
+    paths.some((other) => other.startsWith(`${file}/`))
+  );
+  if (clash) {
+    return `"${clash}" is used both as a file and as a directory`;
+  }
+  if (totalBytes > maxBytes) {
+    return `Project exceeds ${Math.round(maxBytes / 1024)} KB`;
+  }
+
+  if (typeof entry !== "string" || !paths.includes(entry)) {
+    return "entry must name one of the files";
+  }
+  if (!config.sourceExtensions.includes(extensionOf(entry))) {
+    return `entry must be a .${config.sourceExtensions.join(", .")} file`;
+  }
+  return null;
+}
+
+/**
+ * Turns a validated run request into a project
+ *
+ * @function toProject
+ * @param {string} language - Language identifier
+ * @param {Object} config - Language config from the registry
+ * @param {Object} request - { code } or { files, entry }
+ * @returns {{files: Object<string, string>, entry: string}} The project;
+ *          single-file code becomes main.<ext> (or e.g. Main.java)
+ * @throws {Error} If single-file Java code has no main method
+ */
+function toProject(language, config, { code, files, entry }) {
+  if (files !== undefined) {
+    return { files, entry };
+  }
+  // javac requires a public class to be saved under its own name
+  const name =
+    language === "java"
+      ? config.sourceFileName(code)
+      : `main.${config.extension}`;
+  return { files: { [name]: code }, entry: name };
+}
+
+/**
+ * Lists the files the language compiles or analyzes (no headers or data)
+ * @param {Object} config - Language config from the registry
+ * @param {Object} project - Project from toProject
+ * @returns {string[]} Project-relative paths
+ */
+function sourceFiles(config, project) {
+  return Object.keys(project.files).filter((file) =>
+    config.sourceExtensions.includes(extensionOf(file))
+  );
+}
+
+/**
+ * Serializes a project independently of the order its files were sent in
+ * @param {Object} project - Project from toProject
+ * @returns {string} Stable text identifying the project's content
+ */
+function serializeProject(project) {
+  const files = Object.keys(project.files)
+    .sort()
+    .map((file) => [file, project.files[file]]);
+  return JSON.stringify({ entry: project.entry, files });
+}
+
+module.exports = { validateProject, toProject, sourceFiles, serializeProject };
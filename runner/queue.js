@@ -0,0 +1,190 @@
+/**
+ * Execution Queue
+ *
+ * Bounds how many programs are built and run at the same time:
+ * - At most `concurrency` jobs run at once; the rest wait in the queue
+ * - Waiting jobs are dispatched round-robin across users, so one user
+ *   submitting many runs cannot starve everyone else
+ * - The queue refuses new jobs beyond `maxQueueLength` (and beyond
+ *   `maxQueuedPerUser` for a single user), so callers can answer with a
+ *   503/429 and Retry-After instead of piling up compilers
+ */
+
+/**
+ * Creates an error the HTTP layer turns into a Retry-After response
+ * @param {string} message - Reason shown to the client
+ * @param {number} statusCode - 503 (queue full) or 429 (user limit)
+ * @param {number} retryAfterSec - Suggested wait before retrying
+ * @returns {Error} Error with code "QUEUE_FULL"
+ */
+function queueFullError(message, statusCode, retryAfterSec) {
+  const error = new Error(message);
+  error.code = "QUEUE_FULL";
+  error.statusCode = statusCode;
+  error.retryAfterSec = retryAfterSec;
+  return error;
+}
+
+/**
+ * Creates a queue; the execution endpoints share one, and editor lint
+ * checks wait in another
+ *
+ * @function createExecutionQueue
+ * @param {Object} queueConfig - SECURITY_CONFIG.queue
+ * @param {number} queueConfig.concurrency - Jobs running at once
+ * @param {number} queueConfig.maxQueueLength - Jobs waiting at most, across users
+ * @param {number} queueConfig.maxQueuedPerUser - Jobs waiting at most per user
+ * @param {number} queueConfig.retryAfterSec - Retry-After sent when full
+ * @param {string} [queueConfig.jobName="runs"] - What the jobs are called in
+ *        refusals
+ * @returns {Object} { submit, stats }
+ */
+function createExecutionQueue(queueConfig) {
+  const {
+    concurrency,
+    maxQueueLength,
+    maxQueuedPerUser,
+    retryAfterSec,
+    jobName = "runs",
+  } = queueConfig;
+
+  // userId -> waiting jobs; Map order is the round-robin order of users
+  const waiting = new Map();
+  let waitingCount = 0;
+  let running = 0;
+
+  /**
+   * Computes where a waiting job is in the dispatch order
+   * Replays the round-robin over a copy of the current queue.
+   * @param {Object} target - Waiting job
+   * @returns {number} 1-based position (1 = next to start)
+   */
+  const positionOf = (target) => {
+    const queues = [...waiting.values()].map((jobs) => [...jobs]);
+    let position = 0;
+    while (queues.some((jobs) => jobs.length > 0)) {
+      for (const jobs of queues) {
+        if (jobs.length === 0) continue;
+        position++;
+        if (jobs.shift() === target) return position;
+      }
+    }
+    return position;
+  };
+
+  /**
+   * Starts waiting jobs while there are free workers
+   */
+  const dispatch = () => {
+    while (running < concurrency && waitingCount > 0) {
+      const [userId, jobs] = waiting.entries().next().value;
+      const job = jobs.shift();
+      waiting.delete(userId);
+      if (jobs.length > 0) {
+        // Move the user to the back of the rotation
+        waiting.set(userId, jobs);
+      }
+      waitingCount--;
+      start(job);
+    }
+  };
+
+  /**
+   * Runs a job on a free worker and frees it once the job settles
+   * @param {Object} job - Queued job
+   */
+  const start = (job) => {
+    running++;
+    job.started = true;
+    const info = {
+      position: job.position,
+      waitMs: Date.now() - job.queuedAt,
+    };
+    Promise.resolve()
+      .then(() => job.task(info))
+      .then(job.resolve, job.reject)
+      .finally(() => {
+        running--;
+        dispatch();
+      });
+  };
+
+  return {
+    /**
+     * Queues a job, starting it right away if a worker is free
+     *
+     * @param {string} userId - Who submitted the job (fair-share key)
+     * @param {function(Object): Promise<*>} task - Work to run; receives
+     *        { position, waitMs } once it starts
+     * @returns {{position: number, done: Promise<*>, cancel: function(): boolean}}
+     *          position is 0 when the job started immediately; done settles
+     *          with the task's outcome, or rejects with code "CANCELLED";
+     *          cancel only works while the job is still waiting
+     * @throws {Error} code "QUEUE_FULL" when the queue or the user's share is full
+     */
+    submit(userId, task) {
+      const job = { task, queuedAt: Date.now(), position: 0, started: false };
+      const done = new Promise((resolve, reject) => {
+        Object.assign(job, { resolve, reject });
+      });
+
+      if (running < concurrency && waitingCount === 0) {
+        start(job);
+        return { position: 0, done, cancel: () => false };
+      }
+
+      if (waitingCount >= maxQueueLength) {
+        throw queueFullError(
+          "The runner is busy, please try again shortly",
+          503,
+          retryAfterSec
+        );
+      }
+      const userJobs = waiting.get(userId) || [];
+      if (userJobs.length >= maxQueuedPerUser) {
+        throw queueFullError(
+          `At most ${maxQueuedPerUser} ${jobName} can wait per user`,
+          429,
+          retryAfterSec
+        );
+      }
+
+      userJobs.push(job);
+      waiting.set(userId, userJobs);
+      waitingCount++;
+      job.position = positionOf(job);
+
+      const cancel = () => {
+        if (job.started) return false;
+        const jobs = waiting.get(userId) || [];
+        const index = jobs.indexOf(job);
+        if (index === -1) return false;
+        jobs.splice(index, 1);
+        if (jobs.length === 0) waiting.delete(userId);
+        waitingCount--;
+        const error = new Error("Cancelled while queued");
+        error.code = "CANCELLED";
+        job.reject(error);
+        return true;
+      };
+
+      return { position: job.position, done, cancel };
+    },
+
+    /**
+     * Reports how busy the queue is
+     * @returns {{running: number, waiting: number, concurrency: number,
+     *          maxQueueLength: number}}
+     */
+    stats() {
+      return {
+        running,
+        waiting: waitingCount,
+        concurrency,
+        maxQueueLength,
+      };
+    },
+  };
+}
+
+module.exports = { createExecutionQueue };
@@ -0,0 +1,179 @@
+/**
+ * Orphan Reaper
+ *
+ * Jobs kill their whole process group when they end (see runner/process.js)
+ * and remove their run directory, which kills whatever still runs as the
+ * run's uid. A crash of the runner can still leave things behind in the
+ * sandbox:
+ * - Processes running as a sandbox uid that no run holds (with privileges
+ *   dropped), or else working in (or with HOME set to) a run directory and
+ *   belonging to no running job
+ * - Run directories that no job is using
+ *
+ * The reaper looks for both when the runner starts and then periodically,
+ * reports every finding and cleans it up. Processes are found by uid
+ * wherever runs have their own: a program that calls setsid(), leaves its
+ * directory and clears its environment still runs as its uid.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { killUser } = require("./process");
+
+const HAS_PROCFS = fs.existsSync("/proc/self/stat");
+
+/**
+ * Lists the processes running inside the sandbox, from /proc
+ *
+ * @function findSandboxProcesses
+ * @param {string} root - Sandbox directory (parent of the run directories)
+ * @param {{first: number, count: number}|null} [users=null] - The sandbox's
+ *        uids (SECURITY_CONFIG.sandbox.users) when runs have their own
+ * @returns {Array<{pid: number, pgid: number, uid: (number|null),
+ *          command: string, dir: (string|null)}>} Processes whose real uid
+ *          is a sandbox uid (uid set), or whose working directory or HOME
+ *          is below root (dir set); empty where /proc is unavailable
+ */
+function findSandboxProcesses(root, users = null) {
+  if (!HAS_PROCFS) return [];
+  const isInside = (dir) => dir.startsWith(root + path.sep);
+  const isSandboxUid = (uid) =>
+    users !== null && uid >= users.first && uid < users.first + users.count;
+  const found = [];
+
+  for (const entry of fs.readdirSync("/proc")) {
+    if (!/^\d+$/.test(entry) || Number(entry) === process.pid) continue;
+    try {
+      const stat = fs.readFileSync(`/proc/${entry}/stat`, "utf8");
+      // Fields after the command name: state, ppid, pgrp, ...
+      const fields = stat.slice(stat.lastIndexOf(")") + 2).split(" ");
+      if (fields[0] === "Z") continue;
+      const status = fs.readFileSync(`/proc/${entry}/status`, "utf8");
+      // Real, effective, saved and filesystem uid
+      const realUid = Number(/^Uid:\s+(\d+)/m.exec(status)[1]);
+      const uid = isSandboxUid(realUid) ? realUid : null;
+      let dir = null;
+      if (uid === null) {
+        const cwd = fs.readlinkSync(`/proc/${entry}/cwd`);
+        // Sandboxed commands start with HOME set to their run directory
+        const home = fs
+          .readFileSync(`/proc/${entry}/environ`, "utf8")
+          .split("\0")
+          .find((variable) => variable.startsWith("HOME="));
+        dir = [cwd, home ? home.slice(5) : ""].find(isInside);
+        if (!dir) continue;
+      }
+
+      found.push({
+        pid: Number(entry),
+        pgid: Number(fields[2]),
+        uid,
+        command: stat.slice(stat.indexOf("(") + 1, stat.lastIndexOf(")")),
+        dir,
+      });
+    } catch (error) {
+      // Exited meanwhile, a zombie, or not ours to inspect
+    }
+  }
+  return found;
+}
+
+/**
+ * Creates the reaper and runs its first sweep
+ *
+ * @function createReaper
+ * @param {Object} reaperConfig - SECURITY_CONFIG.reaper
+ * @param {number} reaperConfig.intervalMs - Time between sweeps
+ * @param {Object} sources - What is legitimately running
+ * @param {string} sources.root - Sandbox directory (SECURITY_CONFIG.sandboxPath)
+ * @param {{first: number, count: number}|null} sources.users - The
+ *        sandbox's uids when runs have their own, else null
+ * @param {function(): Set<number>} sources.liveProcessGroups - Process
+ *        groups of running jobs (see runner/process.js)
+ * @param {function(): Set<string>} sources.liveRunDirs - Run directories in
+ *        use (see the sandbox)
+ * @param {function(): Set<number>} sources.liveUids - Uids of the run
+ *        directories in use (see the sandbox)
+ * @returns {Object} { sweep, stats }
+ */
+function createReaper(
+  reaperConfig,
+  { root, users, liveProcessGroups, liveRunDirs, liveUids }
+) {
+  let sweeps = 0;
+  let processesReaped = 0;
+  let directoriesRemoved = 0;
+  let lastSweepAt = null;
+
+  /**
+   * Kills orphaned processes, then removes unused run directories
+   */
+  const sweep = () => {
+    const groups = liveProcessGroups();
+    const uids = liveUids();
+    const orphanUids = new Set();
+    findSandboxProcesses(root, users)
+      .filter((found) =>
+        found.uid !== null ? !uids.has(found.uid) : !groups.has(found.pgid)
+      )
+      .forEach((orphan) => {
+        console.warn(
+          `Reaping orphaned process ${orphan.pid} (${orphan.command}) ${
+            orphan.uid !== null ? `of uid ${orphan.uid}` : `in ${orphan.dir}`
+          }`
+        );
+        if (orphan.uid !== null) {
+          // Killed with whatever it forked since /proc was read
+          orphanUids.add(orphan.uid);
+          processesReaped++;
+          return;
+        }
+        try {
+          process.kill(orphan.pid, "SIGKILL");
+          processesReaped++;
+        } catch (error) {
+          // Already gone
+        }
+      });
+    orphanUids.forEach(killUser);
+
+    if (fs.existsSync(root)) {
+      const dirs = liveRunDirs();
+      fs.readdirSync(root)
+        // Only what the sandbox creates (see createRunDir)
+        .filter((name) => name.startsWith("run-"))
+        .map((name) => path.join(root, name))
+        .filter((dir) => !dirs.has(dir))
+        .forEach((dir) => {
+          console.warn(`Removing leftover run directory ${dir}`);
+          try {
+            fs.rmSync(dir, { recursive: true, force: true, maxRetries: 3 });
+            directoriesRemoved++;
+          } catch (error) {
+            console.error(`Failed to remove ${dir}:`, error.message);
+          }
+        });
+    }
+
+    sweeps++;
+    lastSweepAt = new Date().toISOString();
+  };
+
+  sweep();
+  setInterval(sweep, reaperConfig.intervalMs).unref();
+
+  return {
+    sweep,
+
+    /**
+     * Reports what the reaper has found so far
+     * @returns {{sweeps: number, processesReaped: number,
+     *          directoriesRemoved: number, lastSweepAt: (string|null)}}
+     */
+    stats() {
+      return { sweeps, processesReaped, directoriesRemoved, lastSweepAt };
+    },
+  };
+}
+
+module.exports = { createReaper, findSandboxProcesses };
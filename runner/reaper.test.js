@@ -0,0 +1,99 @@
+/**
+ * Processes that escape their run
+ *
+ * A program can leave its process group, its directory and its environment
+ * behind; it still runs as its run's uid, which is how it is found and
+ * killed. Needs root; run with `npm run test:runner`.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const { startProcess } = require("./process");
+const { createReaper, findSandboxProcesses } = require("./reaper");
+const { createTestSandbox, isolatesRuns } = require("./testing");
+
+// Leaves a child behind in a session of its own, outside the run directory
+// and without HOME, then exits
+const ESCAPE = [
+  "import os",
+  "if os.fork() == 0:",
+  "    os.setsid()",
+  "    os.chdir('/')",
+  "    os.execve('/bin/sleep', ['sleep', '30'], {})",
+].join("\n");
+
+const isRoot = process.platform === "linux" && process.getuid() === 0;
+
+/**
+ * Runs ESCAPE in a run directory and finds the process it left behind
+ * @param {Object} sandbox - From createTestSandbox
+ * @param {string} dir - Run directory
+ * @returns {Promise<Object>} The escaped process (see findSandboxProcesses)
+ */
+async function escape(sandbox, dir) {
+  const { command, options } = sandbox.prepare(
+    "python",
+    "run",
+    ["python3", "-c", ESCAPE],
+    dir
+  );
+  await startProcess(command, { ...options, timeout: 10000 }).done;
+  const uid = fs.statSync(dir).uid;
+  const [escaped] = findSandboxProcesses(
+    sandbox.sandboxPath,
+    sandbox.users
+  ).filter((found) => found.uid === uid);
+  assert.ok(escaped, "the escaped process was not found by its uid");
+  assert.strictEqual(escaped.command, "sleep");
+  return escaped;
+}
+
+/**
+ * Tells whether a process is still running (not gone, nor a zombie)
+ * @param {number} pid - Process id
+ * @returns {boolean} True if it runs
+ */
+function isRunning(pid) {
+  try {
+    const stat = fs.readFileSync(`/proc/${pid}/stat`, "utf8");
+    return stat.slice(stat.lastIndexOf(")") + 2)[0] !== "Z";
+  } catch (error) {
+    return false;
+  }
+}
+
+test(
+  "processes that left their group, directory and environment are killed",
+  { skip: !isRoot && "the sandbox needs root" },
+  async (t) => {
+    const sandbox = createTestSandbox(210200);
+    t.after(() => sandbox.cleanup());
+    if (!isolatesRuns(sandbox)) {
+      t.skip("setpriv or a private /proc is unavailable");
+      return;
+    }
+
+    // Removing the run directory kills what still runs as its uid
+    const finished = sandbox.createRunDir();
+    const left = await escape(sandbox, finished);
+    sandbox.removeRunDir(finished);
+    assert.strictEqual(isRunning(left.pid), false);
+
+    // A sweep kills what runs as a uid that no run holds, e.g. after a crash
+    const crashed = sandbox.createRunDir();
+    const orphan = await escape(sandbox, crashed);
+    const reaper = createReaper(
+      { intervalMs: 60 * 1000 },
+      {
+        root: sandbox.sandboxPath,
+        users: sandbox.users,
+        liveProcessGroups: () => new Set(),
+        liveRunDirs: () => new Set(),
+        liveUids: () => new Set(),
+      }
+    );
+    assert.strictEqual(reaper.stats().processesReaped, 1);
+    assert.strictEqual(isRunning(orphan.pid), false);
+  }
+);
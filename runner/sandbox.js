@@ -0,0 +1,411 @@
+/**
+ * Process Sandbox
+ *
+ * Confines user programs (and the compilers building them) using plain
+ * Linux primitives, without Docker:
+ * - A fresh working directory per run under SECURITY_CONFIG.sandboxPath
+ * - Resource limits through `prlimit`: CPU time, address space, open
+ *   files, process count and output file size
+ * - Caps on the stdout and stderr kept from a process; printing more
+ *   stops it
+ * - Privilege drop through `setpriv` when the runner starts as root, to
+ *   an unprivileged uid of the run's own (SECURITY_CONFIG.sandbox.users):
+ *   runs cannot signal, trace or write to each other, and the process
+ *   limit counts each run's processes alone
+ * - A private /proc mounted with hidepid=2 (`unshare --mount`), where a
+ *   run sees only its own processes, not the directories of others
+ * - No network access through a new network namespace (`unshare --net`)
+ * - Only the commands listed in SECURITY_CONFIG.permissions may run
+ *
+ * Missing primitives (e.g. on macOS or Windows development machines) are
+ * reported at startup and skipped, unless the sandbox is marked required.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { isCommandAvailable } = require("./languages");
+const { killUser } = require("./process");
+
+const MB = 1024 * 1024;
+
+// Namespace flags for a mount of /proc that only the run sees
+const PRIVATE_PROC_FLAGS = ["--mount", "--propagation", "private"];
+
+/**
+ * Prefixes a command with mounting a /proc that hides other users'
+ * processes; the shell then execs the command, keeping its pid
+ * @param {string[]} argv - Command to run
+ * @returns {string[]} Wrapped command (run as root in a new mount namespace)
+ */
+function withPrivateProc(argv) {
+  return [
+    "/bin/sh",
+    "-c",
+    'mount -t proc -o hidepid=2,nosuid,nodev,noexec proc /proc && exec "$@"',
+    "sandbox",
+    ...argv,
+  ];
+}
+
+/**
+ * Probes which isolation primitives this machine supports
+ * @param {Object} sandboxConfig - SECURITY_CONFIG.sandbox
+ * @returns {{prlimit: boolean, dropPrivileges: boolean,
+ *          unshareFlags: (string[]|null), privateProc: boolean}}
+ */
+function detectSupport(sandboxConfig) {
+  if (process.platform !== "linux") {
+    return {
+      prlimit: false,
+      dropPrivileges: false,
+      unshareFlags: null,
+      privateProc: false,
+    };
+  }
+  const isRoot = process.getuid() === 0;
+
+  // Root can create a network namespace directly; other users need a
+  // user namespace as well (which also maps them to an unprivileged id)
+  let unshareFlags = null;
+  if (sandboxConfig.isolateNetwork && isCommandAvailable("unshare")) {
+    const flags = isRoot ? ["--net"] : ["--user", "--net"];
+    const probe = spawnSync("unshare", [...flags, "true"], { timeout: 5000 });
+    if (probe.status === 0) {
+      unshareFlags = flags;
+    }
+  }
+
+  // Mounting a new /proc takes root; its hidepid option needs Linux 5.8
+  let privateProc = false;
+  if (
+    sandboxConfig.isolateProcesses &&
+    isRoot &&
+    isCommandAvailable("unshare")
+  ) {
+    const probe = spawnSync(
+      "unshare",
+      [...PRIVATE_PROC_FLAGS, "--", ...withPrivateProc(["true"])],
+      { timeout: 5000 }
+    );
+    privateProc = probe.status === 0;
+  }
+
+  return {
+    prlimit: isCommandAvailable("prlimit"),
+    dropPrivileges: isRoot && isCommandAvailable("setpriv"),
+    unshareFlags,
+    privateProc,
+  };
+}
+
+/**
+ * Normalizes an executable path to the name used in the permissions list
+ * e.g. "/usr/bin/python3.11" -> "python", "C:\\jdk\\bin\\javac.exe" -> "javac"
+ * @param {string} executable - Executable path or name
+ * @returns {string} Command name
+ */
+function commandName(executable) {
+  return path
+    .basename(executable)
+    .replace(/\.exe$/i, "")
+    .replace(/-?[\d.]+$/, "");
+}
+
+/**
+ * Creates the sandbox used for every compile and run
+ *
+ * @function createSandbox
+ * @param {Object} securityConfig - SECURITY_CONFIG from the runner
+ * @returns {Object} { support, createRunDir, writeFiles, removeRunDir,
+ *          liveRunDirs, liveUids, prepare }
+ * @throws {Error} If the sandbox is required but a primitive is missing
+ */
+function createSandbox(securityConfig) {
+  const sandboxConfig = securityConfig.sandbox;
+  const support = detectSupport(sandboxConfig);
+  const missing = [
+    !support.prlimit && "prlimit (resource limits)",
+    !support.dropPrivileges && "setpriv as root (privilege drop)",
+    sandboxConfig.isolateNetwork &&
+      !support.unshareFlags &&
+      "unshare (network isolation)",
+    sandboxConfig.isolateProcesses &&
+      !support.privateProc &&
+      "a private /proc as root (process isolation)",
+  ].filter(Boolean);
+
+  if (missing.length > 0) {
+    const message = `Sandbox unavailable: ${missing.join(", ")}`;
+    if (sandboxConfig.required) {
+      throw new Error(message);
+    }
+    console.warn(`${message}. User code runs with reduced isolation.`);
+  }
+
+  // Run directories handed out and not yet removed -> the uid running there
+  const runDirs = new Map();
+
+  // Uids no run is using, the longest unused first
+  const { first, count } = sandboxConfig.users;
+  const freeUids = Array.from({ length: count }, (_, i) => first + i);
+
+  /**
+   * Resolves the limits for a language and phase
+   * @param {string} language - Language identifier
+   * @param {string} phase - "compile", "run", "debug" or "trace"
+   * @returns {Object} Limits with per-language overrides applied
+   */
+  const limitsFor = (language, phase) => ({
+    ...sandboxConfig.limits[phase],
+    ...((sandboxConfig.languageLimits[language] || {})[phase] || {}),
+  });
+
+  /**
+   * Builds the prlimit options for a set of limits (0 means unlimited)
+   * @param {Object} limits - Resolved limits
+   * @returns {string[]} prlimit arguments
+   */
+  const prlimitArgs = (limits) => {
+    const option = (name, value) =>
+      `--${name}=${value > 0 ? value : "unlimited"}`;
+    return [
+      option("cpu", limits.cpuTimeSec),
+      option("as", limits.addressSpaceMb * MB),
+      option("nofile", limits.openFiles),
+      option("nproc", limits.processes),
+      option("fsize", limits.fileSizeMb * MB),
+    ];
+  };
+
+  /**
+   * Rejects commands the language is not allowed to run
+   * Binaries built inside the run directory are always allowed.
+   */
+  const assertPermitted = (language, executable, dir) => {
+    if (path.resolve(executable).startsWith(dir + path.sep)) {
+      return;
+    }
+    const name = commandName(executable);
+    const allowed = securityConfig.permissions[language] || [];
+    if (!allowed.includes(name)) {
+      throw new Error(`Command "${name}" is not permitted for ${language}`);
+    }
+  };
+
+  return {
+    support,
+
+    /**
+     * Creates an empty working directory for one run, with a uid of its own
+     * Owned by that uid, so only the run (and the runner) can write there.
+     * @param {Object} [options]
+     * @param {boolean} [options.locked=false] - Keep the directory owned by
+     *        root and read-only: a warm worker waits for its job here, so
+     *        nothing can be planted where the job will import from
+     * @param {string|null} [options.sharing=null] - A live run directory
+     *        whose uid runs here as well, e.g. the locked directory of the
+     *        warm worker taking this job
+     * @returns {string} Absolute directory path
+     * @throws {Error} With code SANDBOX_BUSY if every uid is in use
+     */
+    createRunDir({ locked = false, sharing = null } = {}) {
+      let uid = null;
+      if (sharing) {
+        if (!runDirs.has(sharing)) {
+          throw new Error(`${sharing} is not a run directory`);
+        }
+        uid = runDirs.get(sharing);
+      } else if (support.dropPrivileges) {
+        if (freeUids.length === 0) {
+          const error = new Error("Every sandbox user is busy");
+          error.code = "SANDBOX_BUSY";
+          throw error;
+        }
+        uid = freeUids.shift();
+      }
+      try {
+        fs.mkdirSync(securityConfig.sandboxPath, {
+          recursive: true,
+          mode: 0o711,
+        });
+        const dir = fs.mkdtempSync(
+          path.join(securityConfig.sandboxPath, "run-")
+        );
+        if (uid !== null && !locked) fs.chownSync(dir, uid, uid);
+        fs.chmodSync(dir, locked ? 0o555 : 0o700);
+        runDirs.set(dir, uid);
+        return dir;
+      } catch (error) {
+        if (uid !== null && !sharing) freeUids.push(uid);
+        throw error;
+      }
+    },
+
+    /**
+     * Writes a project's files into a run directory
+     * Subdirectories belong to the run's uid like the run directory itself,
+     * so compilers can write class files and caches next to sources.
+     * @param {string} dir - Directory returned by createRunDir
+     * @param {Object<string, string>} files - Validated relative path -> content
+     * @returns {string[]} Absolute paths of the written files
+     */
+    writeFiles(dir, files) {
+      return Object.entries(files).map(([file, content]) => {
+        const target = path.join(dir, ...file.split("/"));
+        let parent = path.dirname(target);
+        const created = [];
+        while (parent !== dir && !fs.existsSync(parent)) {
+          created.unshift(parent);
+          parent = path.dirname(parent);
+        }
+        for (const subdir of created) {
+          fs.mkdirSync(subdir, { mode: 0o755 });
+          const uid = runDirs.get(dir);
+          if (uid !== null && uid !== undefined) fs.chownSync(subdir, uid, uid);
+        }
+        fs.writeFileSync(target, content, { mode: 0o644 });
+        return target;
+      });
+    },
+
+    /**
+     * Deletes a run directory with everything the program left in it, and
+     * frees its uid once no other directory shares it: whatever still runs
+     * as that uid is killed first, and uids are reused least recently freed
+     * first
+     * @param {string} dir - Directory returned by createRunDir
+     */
+    removeRunDir(dir) {
+      const uid = runDirs.get(dir);
+      const freed =
+        uid !== null &&
+        uid !== undefined &&
+        ![...runDirs].some(([other, id]) => other !== dir && id === uid);
+      if (freed) killUser(uid);
+      try {
+        fs.rmSync(dir, { recursive: true, force: true, maxRetries: 3 });
+        runDirs.delete(dir);
+        if (freed) freeUids.push(uid);
+      } catch (error) {
+        console.error(`Failed to remove ${dir}:`, error.message);
+      }
+    },
+
+    /**
+     * Lists the run directories currently in use
+     * @returns {Set<string>} Absolute directory paths (a copy)
+     */
+    liveRunDirs() {
+      return new Set(runDirs.keys());
+    },
+
+    /**
+     * Lists the uids of the run directories in use
+     * @returns {Set<number>} Uids (empty unless privileges are dropped)
+     */
+    liveUids() {
+      return new Set([...runDirs.values()].filter((uid) => uid !== null));
+    },
+
+    /**
+     * Wraps a command so it runs confined to its run directory
+     *
+     * @param {string} language - Language identifier (selects permissions/limits)
+     * @param {string} phase - "compile", "run", "debug" (a debugger
+     *        with the program it runs), "trace" (a program recording its
+     *        own execution) or "memcheck" (a program checked for memory
+     *        errors)
+     * @param {string[]} argv - Command to confine
+     * @param {string} dir - Run directory from createRunDir
+     * @param {Object} [flags] - Per-run adjustments
+     * @param {boolean} [flags.sanitized] - The program was built with
+     *        AddressSanitizer, which reserves terabytes of virtual memory:
+     *        the address-space limit is enforced by ASan itself instead
+     * @param {boolean} [flags.checkLeaks] - A sanitized program is checked
+     *        for memory errors and leaks (see runner/memcheck.js)
+     * @param {Object<string, string>} [flags.env] - Extra environment
+     *        variables, e.g. where to load packages from
+     * @returns {{command: string[], options: Object}} Wrapped command and
+     *          runProcess options (cwd, env, maxStdout, maxStderr,
+     *          killGraceMs)
+     * @throws {Error} If the command is not permitted for the language, or
+     *         the directory is not a live run directory
+     */
+    prepare(
+      language,
+      phase,
+      argv,
+      dir,
+      { sanitized = false, checkLeaks = false, env: extra } = {}
+    ) {
+      assertPermitted(language, argv[0], dir);
+
+      const limits = limitsFor(language, phase);
+      let command = [...argv];
+      if (support.prlimit) {
+        const args = prlimitArgs(
+          sanitized ? { ...limits, addressSpaceMb: 0 } : limits
+        );
+        command = ["prlimit", ...args, "--", ...command];
+      }
+      if (support.dropPrivileges) {
+        const uid = runDirs.get(dir);
+        if (uid === undefined) {
+          throw new Error(`${dir} is not a run directory`);
+        }
+        command = [
+          "setpriv",
+          `--reuid=${uid}`,
+          `--regid=${uid}`,
+          "--clear-groups",
+          "--",
+          ...command,
+        ];
+      }
+      const namespaces = [
+        ...(support.unshareFlags || []),
+        ...(support.privateProc ? PRIVATE_PROC_FLAGS : []),
+      ];
+      if (support.privateProc) {
+        command = withPrivateProc(command);
+      }
+      if (namespaces.length > 0) {
+        command = ["unshare", ...namespaces, "--", ...command];
+      }
+
+      // Keep the server's environment (secrets, tokens) away from user code
+      const env =
+        process.platform === "linux"
+          ? { PATH: process.env.PATH, HOME: dir, TMPDIR: dir, LANG: "C.UTF-8" }
+          : { ...process.env };
+      Object.assign(env, extra);
+      if (sanitized) {
+        // Memory is capped by ASan's RSS check. Leaks are not errors here
+        // unless checked for; a leak check keeps going after each error
+        // (the build has -fsanitize-recover=address) and ends with the
+        // program's own exit code
+        const rss = `hard_rss_limit_mb=${limits.addressSpaceMb}`;
+        env.ASAN_OPTIONS = checkLeaks
+          ? `detect_leaks=1:halt_on_error=0:${rss}`
+          : `detect_leaks=0:${rss}`;
+        env.UBSAN_OPTIONS = "print_stacktrace=0";
+        if (checkLeaks) env.LSAN_OPTIONS = "exitcode=0";
+      }
+      // Output caps are in KB, 0 meaning unlimited
+      const bytes = (kb) => (kb > 0 ? kb * 1024 : Infinity);
+      return {
+        command,
+        options: {
+          cwd: dir,
+          env,
+          maxStdout: bytes(limits.stdoutKb),
+          maxStderr: bytes(limits.stderrKb),
+          killGraceMs: securityConfig.timeouts.killGrace,
+        },
+      };
+    },
+  };
+}
+
+module.exports = { createSandbox };
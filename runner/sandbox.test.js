@@ -0,0 +1,82 @@
+/**
+ * Isolation between runs
+ *
+ * Each run has a uid of its own and a /proc showing only its processes, so
+ * a run can neither find nor touch another one. Needs root; run with
+ * `npm run test:runner`.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { startProcess } = require("./process");
+const { createTestSandbox, isolatesRuns } = require("./testing");
+
+// Reports what a run can see of, and do to, the run in the given directory
+const ATTACK = [
+  "import os, signal, sys",
+  "others = [p for p in os.listdir('/proc')",
+  "          if p.isdigit() and int(p) != os.getpid()]",
+  "print('visible', len(others))",
+  "try:",
+  "    open(os.path.join(sys.argv[1], 'planted.py'), 'w').close()",
+  "    print('wrote')",
+  "except PermissionError:",
+  "    print('denied')",
+  "sys.stdout.flush()",
+  "os.kill(-1, signal.SIGKILL)",
+].join("\n");
+
+const isRoot = process.platform === "linux" && process.getuid() === 0;
+
+test(
+  "a run cannot see, write to or kill another run",
+  { skip: !isRoot && "the sandbox needs root" },
+  async (t) => {
+    const sandbox = createTestSandbox(210000);
+    t.after(() => sandbox.cleanup());
+    if (!isolatesRuns(sandbox)) {
+      t.skip("setpriv or a private /proc is unavailable");
+      return;
+    }
+
+    const victimDir = sandbox.createRunDir();
+    const attackerDir = sandbox.createRunDir();
+    assert.notStrictEqual(
+      fs.statSync(victimDir).uid,
+      fs.statSync(attackerDir).uid
+    );
+
+    const run = (dir, argv, timeout) => {
+      const { command, options } = sandbox.prepare("python", "run", argv, dir);
+      return startProcess(command, { ...options, timeout });
+    };
+    const victim = run(
+      victimDir,
+      ["python3", "-c", "import time; time.sleep(30)"],
+      30000
+    );
+    let victimExited = false;
+    victim.done.then(() => {
+      victimExited = true;
+    });
+    t.after(() => victim.kill());
+
+    const attack = await run(
+      attackerDir,
+      ["python3", "-c", ATTACK, victimDir],
+      10000
+    ).done;
+    assert.strictEqual(attack.stdout, "visible 0\ndenied\n");
+    assert.strictEqual(
+      fs.existsSync(path.join(victimDir, "planted.py")),
+      false
+    );
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    assert.strictEqual(victimExited, false);
+
+    victim.kill();
+    await victim.done;
+  }
+);
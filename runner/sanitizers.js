@@ -0,0 +1,94 @@
+/**
+ * Sanitizer Report Parsing
+ *
+ * Turns the stderr of a program built with -fsanitize=address,undefined
+ * into findings a student can act on, e.g.
+ * "Memory error at line 12: heap-buffer-overflow (WRITE of size 4)".
+ * Only stack frames in the user's own files are used for line numbers.
+ */
+
+const path = require("path");
+
+// Reports beyond this many are usually the same bug repeating in a loop
+const MAX_FINDINGS = 20;
+
+// main.cpp:5:12: runtime error: signed integer overflow: ...
+const UBSAN_PATTERN = /^(.+?):(\d+):(\d+): runtime error: (.+)$/;
+// ==123==ERROR: AddressSanitizer: heap-buffer-overflow on address ...
+const ASAN_ERROR_PATTERN = /^==\d+==ERROR: (AddressSanitizer|LeakSanitizer): ([\w-]+)/;
+// READ of size 4 at 0x602000000020 thread T0
+const ASAN_ACCESS_PATTERN = /^(READ|WRITE) of size (\d+)/;
+// #0 0x55d1c1 in main /tmp/run-x/main.cpp:5:3
+const FRAME_PATTERN = /^\s*#\d+ 0x[0-9a-f]+ in (\S+) (\S+?):(\d+)(?::(\d+))?$/;
+
+/**
+ * Parses sanitizer output into findings
+ *
+ * @function parseSanitizerReport
+ * @param {string} stderr - Program stderr
+ * @param {string} dir - Run directory; frames in files below it are user code
+ * @returns {Array<{tool: string, kind: string, file: (string|null),
+ *          line: (number|null), column: (number|null), message: string}>}
+ *          Findings in report order, at most MAX_FINDINGS
+ */
+function parseSanitizerReport(stderr, dir) {
+  const inRunDir = (file) => path.resolve(dir, file).startsWith(dir + path.sep);
+  const relative = (file) => path.relative(dir, path.resolve(dir, file));
+  const findings = [];
+  const seen = new Set();
+  const lines = stderr.split("\n");
+
+  const add = (finding) => {
+    const key = `${finding.kind}:${finding.file}:${finding.line}`;
+    if (seen.has(key) || findings.length >= MAX_FINDINGS) return;
+    seen.add(key);
+    findings.push(finding);
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const ubsan = UBSAN_PATTERN.exec(lines[i]);
+    if (ubsan && inRunDir(ubsan[1])) {
+      const [, file, line, column, description] = ubsan;
+      add({
+        tool: "UndefinedBehaviorSanitizer",
+        kind: description.split(":")[0],
+        file: relative(file),
+        line: Number(line),
+        column: Number(column),
+        message: `Undefined behavior at line ${line}: ${description}`,
+      });
+      continue;
+    }
+
+    const asan = ASAN_ERROR_PATTERN.exec(lines[i]);
+    if (!asan) continue;
+    const [, tool, kind] = asan;
+    let access = null;
+    let frame = null;
+    // The first stack trace belongs to the bad access; stop at its end
+    for (let j = i + 1; j < lines.length && !frame; j++) {
+      access = access || ASAN_ACCESS_PATTERN.exec(lines[j]);
+      const match = FRAME_PATTERN.exec(lines[j]);
+      if (match && inRunDir(match[2])) {
+        frame = match;
+      } else if (lines[j].trim() === "" && j > i + 2) {
+        break;
+      }
+    }
+    const detail = access ? ` (${access[1]} of size ${access[2]})` : "";
+    add({
+      tool,
+      kind,
+      file: frame ? relative(frame[2]) : null,
+      line: frame ? Number(frame[3]) : null,
+      column: frame && frame[4] ? Number(frame[4]) : null,
+      message: frame
+        ? `Memory error at line ${frame[3]}: ${kind}${detail}`
+        : `Memory error: ${kind}${detail}`,
+    });
+  }
+
+  return findings;
+}
+
+module.exports = { parseSanitizerReport };
@@ -0,0 +1,79 @@
+/**
+ * Sanitizer findings of cached builds
+ *
+ * A build restored from the compile cache runs in another run directory
+ * than the one that compiled it; its findings must still name the user's
+ * lines. Run with `npm run test:runner`.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { isCommandAvailable } = require("./languages");
+const { parseSanitizerReport } = require("./sanitizers");
+const { createTestBuilder } = require("./testing");
+
+const OVERFLOW = [
+  "#include <vector>",
+  "int main() {",
+  "  std::vector<int> v(4);",
+  "  int *p = v.data();",
+  "  return p[4];",
+  "}",
+  "",
+].join("\n");
+
+const SIGNED_OVERFLOW = [
+  "#include <climits>",
+  "int main(int argc, char **argv) {",
+  "  int x = INT_MAX;",
+  "  x += argc;",
+  "  return x == 0;",
+  "}",
+  "",
+].join("\n");
+
+/**
+ * Builds and runs a program with the sanitizers on, as `sanitize: true`
+ * does
+ * @param {Object} builder - From createTestBuilder
+ * @param {string} code - C++ source
+ * @returns {Promise<Object>} { compileCache, findings }
+ */
+async function runSanitized(builder, code) {
+  const { context, compileCache } = await builder.build("cpp", code, {
+    compilerOptions: { sanitize: true },
+  });
+  const result = await builder.run(context, [context.executable], {
+    ASAN_OPTIONS: "detect_leaks=0",
+    UBSAN_OPTIONS: "print_stacktrace=0",
+  });
+  return {
+    compileCache,
+    findings: parseSanitizerReport(result.stderr, context.dir),
+  };
+}
+
+test(
+  "cached sanitized builds report the lines of the user's code",
+  { skip: !isCommandAvailable("g++") && "g++ is not installed" },
+  async (t) => {
+    const builder = createTestBuilder();
+    t.after(() => builder.cleanup());
+
+    for (const [code, tool, line] of [
+      [OVERFLOW, "AddressSanitizer", 5],
+      [SIGNED_OVERFLOW, "UndefinedBehaviorSanitizer", 4],
+    ]) {
+      const miss = await runSanitized(builder, code);
+      const hit = await runSanitized(builder, code);
+      assert.strictEqual(miss.compileCache, "miss");
+      assert.strictEqual(hit.compileCache, "hit");
+      for (const { findings } of [miss, hit]) {
+        assert.strictEqual(findings.length, 1);
+        assert.strictEqual(findings[0].tool, tool);
+        assert.strictEqual(findings[0].file, "main.cpp");
+        assert.strictEqual(findings[0].line, line);
+      }
+    }
+  }
+);
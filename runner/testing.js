@@ -0,0 +1,159 @@
+/**
+ * Test Helpers
+ *
+ * Builds programs the way the runner does - each in a fresh run directory,
+ * through a compile cache - so tests can compare a cache miss with the hit
+ * that follows it. Programs run without the sandbox, which needs root;
+ * tests of the sandbox itself create one with createTestSandbox.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createCompileCache } = require("./cache");
+const { createSandbox } = require("./sandbox");
+const { languageConfigs, resolveCompilerOptions } = require("./languages");
+const { killUser, startProcess } = require("./process");
+
+/**
+ * Creates a builder with its own compile cache in a temporary directory
+ *
+ * @function createTestBuilder
+ * @returns {Object} { build, run, cleanup }
+ */
+function createTestBuilder() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "runner-test-"));
+  const cache = createCompileCache(
+    { enabled: true, path: path.join(root, "cache"), maxSizeMb: 64 },
+    () => "test"
+  );
+  let runs = 0;
+
+  return {
+    /**
+     * Builds a one-file program in a new run directory
+     * @param {string} language - Language id of a compiled language
+     * @param {string} code - Source code
+     * @param {Object} [extras] - Context fields besides the paths, e.g.
+     *        { compilerOptions, memcheck }
+     * @returns {Promise<Object>} { context, compileCache: "hit" | "miss" }
+     * @throws {Error} With the compiler's output if compiling failed
+     */
+    async build(language, code, extras = {}) {
+      const config = languageConfigs[language];
+      const dir = path.join(root, `run-${++runs}`);
+      fs.mkdirSync(dir);
+      const source = path.join(dir, `main.${config.extension}`);
+      fs.writeFileSync(source, code);
+      const context = {
+        dir,
+        source,
+        sources: [source],
+        executable: path.join(dir, "main"),
+        ...extras,
+        compilerOptions: resolveCompilerOptions(
+          language,
+          extras.compilerOptions
+        ),
+      };
+
+      const command = config.compileCommand(context);
+      const key = cache.keyFor(language, command, code, dir);
+      if (cache.restore(key, dir)) return { context, compileCache: "hit" };
+      const result = await startProcess(command, {
+        cwd: dir,
+        timeout: 60000,
+      }).done;
+      if (result.error) throw new Error(result.stderr || result.error);
+      cache.store(key, dir, [source], result.stderr);
+      return { context, compileCache: "miss" };
+    },
+
+    /**
+     * Runs a built program in its run directory
+     * @param {Object} context - Context from build
+     * @param {string[]} command - Command line
+     * @param {Object} [env] - Extra environment variables
+     * @returns {Promise<Object>} startProcess result
+     */
+    run(context, command, env = {}) {
+      return startProcess(command, {
+        cwd: context.dir,
+        env: { ...process.env, ...env },
+        timeout: 30000,
+      }).done;
+    },
+
+    /** Removes the run directories and the cache */
+    cleanup() {
+      fs.rmSync(root, { recursive: true, force: true });
+    },
+  };
+}
+
+// Limits of every phase in a test sandbox
+const TEST_LIMITS = {
+  cpuTimeSec: 5,
+  addressSpaceMb: 0,
+  openFiles: 64,
+  processes: 32,
+  fileSizeMb: 10,
+  stdoutKb: 64,
+  stderrKb: 64,
+};
+
+/**
+ * Creates a sandbox in a temporary directory that runs Python only
+ *
+ * @function createTestSandbox
+ * @param {number} firstUid - First of its eight uids; test files run at
+ *        the same time, so each needs its own
+ * @returns {Object} The sandbox (see createSandbox), with its sandboxPath,
+ *          its users and cleanup() to stop its processes and remove its
+ *          directory
+ */
+function createTestSandbox(firstUid) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "sandbox-test-"));
+  fs.chmodSync(root, 0o711);
+  const sandboxPath = path.join(root, "runs");
+  const users = { first: firstUid, count: 8 };
+  const sandbox = createSandbox({
+    sandboxPath,
+    sandbox: {
+      required: false,
+      isolateNetwork: true,
+      isolateProcesses: true,
+      users,
+      limits: { run: TEST_LIMITS },
+      languageLimits: {},
+    },
+    permissions: { python: ["python"] },
+    timeouts: { killGrace: 100 },
+  });
+  return {
+    ...sandbox,
+    sandboxPath,
+    users,
+    cleanup: () => {
+      // Whatever a failed test left running
+      if (sandbox.support.dropPrivileges) {
+        for (let uid = firstUid; uid < firstUid + users.count; uid++) {
+          killUser(uid);
+        }
+      }
+      fs.rmSync(root, { recursive: true, force: true });
+    },
+  };
+}
+
+/**
+ * Tells whether the sandbox isolates runs here: it needs root, setpriv
+ * and a private /proc
+ * @param {Object} sandbox - From createTestSandbox
+ * @returns {boolean} True if runs get uids and a /proc of their own
+ */
+function isolatesRuns(sandbox) {
+  return sandbox.support.dropPrivileges && sandbox.support.privateProc;
+}
+
+module.exports = { createTestBuilder, createTestSandbox, isolatesRuns };
@@ -0,0 +1,613 @@
+/**
+ * Execution Tracer
+ *
+ * Records a program's execution line by line, the way Python Tutor shows
+ * it: an agent runs the program inside its own process - under
+ * sys.settrace for Python, under the Node inspector (from a worker
+ * thread) for JavaScript - and writes one JSON line per step to fd 3.
+ *
+ * A step is { event, file, line, stack, heap, stdout } where
+ * - event is "line" (about to run the line), "return" (with `returned`)
+ *   or "exception" (with `exception`, the error's message)
+ * - stack lists the program's frames, innermost first, as { name, file,
+ *   line, locals } with locals as [name, value] pairs
+ * - heap maps object ids to the lists, sets, dicts and objects the locals
+ *   reach: { kind: "list" | "set", type, items, length },
+ *   { kind: "dict", type, entries: [[key, value]], length } or
+ *   { kind: "object", type, fields: [[name, value]], length }
+ * - stdout is how much of the program's output (in UTF-16 code units, as
+ *   JavaScript strings count) was written before the step
+ * A value is { ref } for an object on the heap, and { type, value } with a
+ * printable value for anything else. An object keeps its id for the whole
+ * trace, so the client can follow it from step to step. Files are project
+ * paths ("main.py"); lines start at 1.
+ *
+ * Besides steps, an agent writes { event: "limit" } once it has recorded
+ * the most steps it may (the program then runs on untraced), and
+ * { event: "error", message } when tracing broke down.
+ */
+
+const readline = require("readline");
+
+// Longest printable value recorded
+const MAX_VALUE_LENGTH = 100;
+
+// Objects recorded per step; references beyond them have no heap entry
+const MAX_HEAP_OBJECTS = 100;
+
+// Items, entries or fields recorded per object
+const MAX_OBJECT_ITEMS = 50;
+
+/**
+ * Python trace agent, run with `python -c`: argv is the step limit, the
+ * program's source and its arguments. Only frames of files below the
+ * program's directory are recorded.
+ */
+const PYTHON_TRACE_AGENT = [
+  "import collections, json, os, sys, traceback, types",
+  "trace_out = os.fdopen(3, 'w')",
+  "max_steps = int(sys.argv[1])",
+  "source = os.path.abspath(sys.argv[2])",
+  "root = os.path.dirname(source) + os.sep",
+  "",
+  "def send(record):",
+  "    trace_out.write(json.dumps(record) + '\\n')",
+  "    trace_out.flush()",
+  "",
+  "class CountingStdout:",
+  "    # Counts UTF-16 code units, which the client slices the output by",
+  "    def __init__(self, stream):",
+  "        self.stream = stream",
+  "        self.units = 0",
+  "",
+  "    def write(self, text):",
+  "        self.units += len(str(text).encode('utf-16-le')) // 2",
+  "        return self.stream.write(text)",
+  "",
+  "    def __getattr__(self, name):",
+  "        return getattr(self.stream, name)",
+  "",
+  "sys.stdout = CountingStdout(sys.stdout)",
+  "",
+  "def in_program(frame):",
+  "    return frame.f_code.co_filename.startswith(root)",
+  "",
+  "def project_path(frame):",
+  "    return os.path.relpath(frame.f_code.co_filename, root).replace(os.sep, '/')",
+  "",
+  "def printable(value):",
+  "    try:",
+  "        text = repr(value)",
+  "    except Exception as e:",
+  "        text = '<%s>' % type(e).__name__",
+  `    if len(text) > ${MAX_VALUE_LENGTH}:`,
+  `        text = text[:${MAX_VALUE_LENGTH}] + '...'`,
+  "    return text",
+  "",
+  "LISTS = (list, tuple, collections.deque)",
+  "SETS = (set, frozenset)",
+  "NOT_OBJECTS = (type, types.ModuleType, types.FunctionType,",
+  "               types.BuiltinFunctionType, types.MethodType)",
+  "",
+  "def on_heap(value):",
+  "    if isinstance(value, LISTS + SETS + (dict,)):",
+  "        return True",
+  "    return hasattr(value, '__dict__') and not isinstance(value, NOT_OBJECTS)",
+  "",
+  "ids = {}",
+  "# Numbered objects stay alive, so Python cannot reuse their id()",
+  "numbered = []",
+  "",
+  "class Snapshot:",
+  "    def __init__(self):",
+  "        self.heap = {}",
+  "        self.pending = []",
+  "",
+  "    def encode(self, value):",
+  "        if not on_heap(value):",
+  "            return {'type': type(value).__name__, 'value': printable(value)}",
+  "        key = ids.get(id(value))",
+  "        if key is None:",
+  "            key = ids[id(value)] = len(numbered) + 1",
+  "            numbered.append(value)",
+  `        if key not in self.heap and len(self.heap) < ${MAX_HEAP_OBJECTS}:`,
+  "            self.heap[key] = None",
+  "            self.pending.append((key, value))",
+  "        return {'ref': key}",
+  "",
+  "    def describe(self, value):",
+  "        kind = type(value).__name__",
+  "        if isinstance(value, dict):",
+  "            items = value.items()",
+  "        elif isinstance(value, LISTS + SETS):",
+  "            items = value",
+  "        else:",
+  "            items = [(name, field) for name, field in vars(value).items()",
+  "                     if not name.startswith('__')]",
+  "        shown = []",
+  "        for item in items:",
+  `            if len(shown) == ${MAX_OBJECT_ITEMS}:`,
+  "                break",
+  "            shown.append(item)",
+  "        described = {'type': kind, 'length': len(items)}",
+  "        if isinstance(value, dict):",
+  "            described['kind'] = 'dict'",
+  "            described['entries'] = [[self.encode(k), self.encode(v)]",
+  "                                    for k, v in shown]",
+  "        elif isinstance(value, LISTS + SETS):",
+  "            described['kind'] = 'list' if isinstance(value, LISTS) else 'set'",
+  "            described['items'] = [self.encode(item) for item in shown]",
+  "        else:",
+  "            described['kind'] = 'object'",
+  "            described['fields'] = [[name, self.encode(field)]",
+  "                                   for name, field in shown]",
+  "        return described",
+  "",
+  "    def frame(self, frame):",
+  "        # Module level: leave out imports, functions and classes",
+  "        module = frame.f_code.co_name == '<module>'",
+  "        return {",
+  "            'name': frame.f_code.co_name,",
+  "            'file': project_path(frame),",
+  "            'line': frame.f_lineno,",
+  "            'locals': [",
+  "                [name, self.encode(value)]",
+  "                for name, value in frame.f_locals.items()",
+  "                if not name.startswith('__')",
+  "                and not isinstance(value, types.ModuleType)",
+  "                and not (module and callable(value))",
+  "            ],",
+  "        }",
+  "",
+  "    def step(self, frame, event, arg):",
+  "        stack = []",
+  "        caller = frame",
+  "        while caller is not None:",
+  "            if in_program(caller):",
+  "                stack.append(self.frame(caller))",
+  "            caller = caller.f_back",
+  "        step = {'event': event, 'file': project_path(frame),",
+  "                'line': frame.f_lineno, 'stack': stack}",
+  "        if event == 'return':",
+  "            step['returned'] = self.encode(arg)",
+  "        elif event == 'exception':",
+  "            step['exception'] = ''.join(",
+  "                traceback.format_exception_only(arg[0], arg[1])).strip()",
+  "        # Objects reached through other objects, breadth first",
+  "        while self.pending:",
+  "            key, value = self.pending.pop(0)",
+  "            self.heap[key] = self.describe(value)",
+  "        step['heap'] = {key: value for key, value in self.heap.items()",
+  "                        if value is not None}",
+  "        step['stdout'] = sys.stdout.units",
+  "        return step",
+  "",
+  "steps = 0",
+  "tracing = True",
+  "",
+  "def trace(frame, event, arg):",
+  "    global steps, tracing",
+  "    if not tracing:",
+  "        return None",
+  "    if event == 'call':",
+  "        return trace if in_program(frame) else None",
+  "    if steps == max_steps:",
+  "        tracing = False",
+  "        send({'event': 'limit'})",
+  "        return None",
+  "    steps += 1",
+  "    try:",
+  "        send(Snapshot().step(frame, event, arg))",
+  "    except Exception as e:",
+  "        tracing = False",
+  "        send({'event': 'error', 'message': printable(e)})",
+  "        return None",
+  "    return trace",
+  "",
+  "sys.argv = [source] + sys.argv[3:]",
+  "sys.path[0] = os.path.dirname(source)",
+  "with open(source, encoding='utf-8') as f:",
+  "    code = compile(f.read(), source, 'exec')",
+  "sys.settrace(trace)",
+  "try:",
+  "    exec(code, {'__name__': '__main__', '__file__': source,",
+  "                '__builtins__': __builtins__})",
+  "except SystemExit:",
+  "    raise",
+  "except BaseException as e:",
+  "    sys.settrace(None)",
+  "    # Hide the agent's frames so tracebacks match a plain run",
+  "    tb = e.__traceback__",
+  "    while tb is not None and not in_program(tb.tb_frame):",
+  "        tb = tb.tb_next",
+  "    traceback.print_exception(type(e), e, tb)",
+  "    sys.exit(1)",
+  "finally:",
+  "    sys.settrace(None)",
+].join("\n");
+
+/**
+ * Recorder the Node trace agent installs in the program's realm before the
+ * program runs. The worker calls its snapshot() on every pause with the
+ * frames' scope objects, so values are read where they live and objects
+ * keep their ids (a WeakMap) from step to step.
+ */
+const NODE_TRACE_RECORDER = [
+  "(() => {",
+  "  const ids = new WeakMap();",
+  "  let lastId = 0;",
+  "  const recorder = { stdout: 0 };",
+  "  const write = process.stdout.write;",
+  "  // Counts UTF-16 code units, which the client slices the output by",
+  "  process.stdout.write = function (chunk, ...rest) {",
+  "    recorder.stdout += String(",
+  '      typeof chunk === "string" ? chunk : Buffer.from(chunk)',
+  "    ).length;",
+  "    return write.call(this, chunk, ...rest);",
+  "  };",
+  "  const printable = (text) =>",
+  `    text.length > ${MAX_VALUE_LENGTH} ? text.slice(0, ${MAX_VALUE_LENGTH}) + "..." : text;`,
+  '  const WRAPPER = ["exports", "require", "module", "__filename", "__dirname"];',
+  "",
+  "  recorder.snapshot = function (layout, returns, returned, ...scopes) {",
+  "    const heap = {};",
+  "    const pending = [];",
+  "    let count = 0;",
+  "    const encode = (value) => {",
+  '      if (value === null) return { type: "null", value: "null" };',
+  "      const type = typeof value;",
+  '      if (type === "string") {',
+  "        return { type, value: printable(JSON.stringify(value)) };",
+  "      }",
+  '      if (type === "function") {',
+  '        return { type, value: "[Function: " + (value.name || "anonymous") + "]" };',
+  "      }",
+  '      if (type === "bigint") return { type, value: value + "n" };',
+  '      if (type !== "object") return { type, value: printable(String(value)) };',
+  "      if (value instanceof Date || value instanceof RegExp ||",
+  "          value instanceof Error) {",
+  "        return { type: value.constructor.name, value: printable(String(value)) };",
+  "      }",
+  "      let id = ids.get(value);",
+  "      if (id === undefined) {",
+  "        id = ++lastId;",
+  "        ids.set(value, id);",
+  "      }",
+  `      if (!(id in heap) && count < ${MAX_HEAP_OBJECTS}) {`,
+  "        heap[id] = null;",
+  "        count += 1;",
+  "        pending.push([id, value]);",
+  "      }",
+  "      return { ref: id };",
+  "    };",
+  "    const typeOf = (value) => {",
+  "      const proto = Object.getPrototypeOf(value);",
+  '      const descriptor = proto && Object.getOwnPropertyDescriptor(proto, "constructor");',
+  '      return descriptor && typeof descriptor.value === "function"',
+  '        ? descriptor.value.name || "Object"',
+  '        : "Object";',
+  "    };",
+  "    // Own data properties only: reading them must not run program code",
+  "    const fieldsOf = (value) =>",
+  "      Object.keys(value).map((key) => {",
+  "        const descriptor = Object.getOwnPropertyDescriptor(value, key);",
+  '        return [key, "value" in descriptor',
+  "          ? encode(descriptor.value)",
+  '          : { type: "accessor", value: "[Getter/Setter]" }];',
+  "      });",
+  "    const describe = (value) => {",
+  "      const type = typeOf(value);",
+  "      if (Array.isArray(value) ||",
+  "          (ArrayBuffer.isView(value) && !(value instanceof DataView))) {",
+  "        return {",
+  '          kind: "list",',
+  "          type,",
+  `          items: Array.from(value.slice(0, ${MAX_OBJECT_ITEMS}), encode),`,
+  "          length: value.length,",
+  "        };",
+  "      }",
+  "      if (value instanceof Set) {",
+  "        return {",
+  '          kind: "set",',
+  "          type,",
+  `          items: [...value].slice(0, ${MAX_OBJECT_ITEMS}).map(encode),`,
+  "          length: value.size,",
+  "        };",
+  "      }",
+  "      if (value instanceof Map) {",
+  "        return {",
+  '          kind: "dict",',
+  "          type,",
+  `          entries: [...value].slice(0, ${MAX_OBJECT_ITEMS})`,
+  "            .map(([key, entry]) => [encode(key), encode(entry)]),",
+  "          length: value.size,",
+  "        };",
+  "      }",
+  "      const fields = fieldsOf(value);",
+  "      const proto = Object.getPrototypeOf(value);",
+  "      // Plain objects are how JavaScript programs spell dictionaries",
+  "      if (proto === Object.prototype || proto === null) {",
+  "        return {",
+  '          kind: "dict",',
+  "          type,",
+  `          entries: fields.slice(0, ${MAX_OBJECT_ITEMS})`,
+  '            .map(([key, field]) => [{ type: "string", value: JSON.stringify(key) }, field]),',
+  "          length: fields.length,",
+  "        };",
+  "      }",
+  "      return {",
+  '        kind: "object",',
+  "        type,",
+  `        fields: fields.slice(0, ${MAX_OBJECT_ITEMS}),`,
+  "        length: fields.length,",
+  "      };",
+  "    };",
+  "",
+  "    let next = 0;",
+  "    const stack = layout.map((frame) => {",
+  "      const frameScopes = scopes.slice(next, next + frame.scopes);",
+  "      next += frame.scopes;",
+  "      // The module wrapper's scope: leave out its parameters and functions",
+  "      const module = frameScopes.some((scope) =>",
+  "        WRAPPER.every((name) => Object.prototype.hasOwnProperty.call(scope, name))",
+  "      );",
+  "      const locals = new Map();",
+  "      for (const scope of frameScopes) {",
+  "        for (const name of Object.keys(scope)) {",
+  "          if (locals.has(name) || (module && WRAPPER.includes(name))) continue;",
+  "          let value;",
+  "          try {",
+  "            value = scope[name];",
+  "          } catch (error) {",
+  "            continue; // Declared further down (temporal dead zone)",
+  "          }",
+  '          if (module && typeof value === "function") continue;',
+  "          locals.set(name, encode(value));",
+  "        }",
+  "      }",
+  "      return { name: frame.name, file: frame.file, line: frame.line,",
+  "        locals: [...locals] };",
+  "    });",
+  "    const step = { stack };",
+  "    if (returns) step.returned = encode(returned);",
+  "    // Objects reached through other objects, breadth first",
+  "    while (pending.length > 0) {",
+  "      const [id, value] = pending.shift();",
+  "      heap[id] = describe(value);",
+  "    }",
+  "    step.heap = Object.fromEntries(",
+  "      Object.entries(heap).filter(([, value]) => value !== null)",
+  "    );",
+  "    step.stdout = recorder.stdout;",
+  "    return step;",
+  "  };",
+  "  return recorder;",
+  "})()",
+].join("\n");
+
+/**
+ * Worker thread of the Node trace agent: steps the main thread through
+ * the program's lines with the inspector protocol and records each pause.
+ */
+const NODE_TRACE_WORKER = [
+  'const fs = require("fs");',
+  'const path = require("path");',
+  'const { Session } = require("inspector");',
+  'const { parentPort, workerData } = require("worker_threads");',
+  'const { pathToFileURL, fileURLToPath } = require("url");',
+  "const { source, maxSteps, entryLine } = workerData;",
+  "const root = path.dirname(source) + path.sep;",
+  "const session = new Session();",
+  "session.connectToMainThread();",
+  "const post = (method, params = {}) =>",
+  "  new Promise((resolve, reject) =>",
+  "    session.post(method, params, (error, result) =>",
+  "      error ? reject(error) : resolve(result)",
+  "    )",
+  "  );",
+  'const send = (record) => fs.writeSync(3, JSON.stringify(record) + "\\n");',
+  "const scripts = new Map();",
+  "let recorder = null;",
+  "let steps = 0;",
+  "let tracing = true;",
+  "// Inspector events do not keep a worker alive; the program's exit ends it",
+  "setInterval(() => {}, 60 * 60 * 1000);",
+  "",
+  'session.on("Debugger.scriptParsed", ({ params }) => {',
+  '  if (params.url.startsWith("file:")) {',
+  "    scripts.set(params.scriptId, fileURLToPath(params.url));",
+  "  }",
+  "});",
+  "",
+  'const fileOf = (frame) => scripts.get(frame.location.scriptId) || "";',
+  "const inProgram = (frame) => fileOf(frame).startsWith(root);",
+  "const projectPath = (frame) =>",
+  '  path.relative(root, fileOf(frame)).split(path.sep).join("/");',
+  "const scopesOf = (frame) =>",
+  "  frame.scopeChain.filter(",
+  '    (scope) => scope.type === "local" || scope.type === "block"',
+  "  );",
+  "// Passes a value the inspector described back into the program's realm",
+  "const toArgument = (value) => {",
+  "  if (!value) return {};",
+  "  if (value.objectId) return { objectId: value.objectId };",
+  '  if ("unserializableValue" in value) {',
+  "    return { unserializableValue: value.unserializableValue };",
+  "  }",
+  "  return { value: value.value };",
+  "};",
+  "",
+  "const stop = async (record) => {",
+  "  tracing = false;",
+  "  send(record);",
+  "  // Lets the program run on untraced",
+  '  await post("Debugger.disable");',
+  "};",
+  "",
+  "const onPaused = async ({ params }) => {",
+  "  const [top] = params.callFrames;",
+  "  if (!inProgram(top)) {",
+  "    // Stepped into code without a blackboxable URL (e.g. require)",
+  '    await post("Debugger.stepOut");',
+  "    return;",
+  "  }",
+  "  if (steps === maxSteps) {",
+  '    await stop({ event: "limit" });',
+  "    return;",
+  "  }",
+  "  steps += 1;",
+  "  const frames = params.callFrames.filter(inProgram);",
+  "  const layout = frames.map((frame) => ({",
+  '    name: frame.functionName || "<anonymous>",',
+  "    file: projectPath(frame),",
+  "    line: frame.location.lineNumber + 1,",
+  "    scopes: scopesOf(frame).length,",
+  "  }));",
+  '  const { result, exceptionDetails } = await post("Runtime.callFunctionOn", {',
+  "    objectId: recorder,",
+  '    functionDeclaration: "function (...values) { return this.snapshot(...values); }",',
+  "    arguments: [",
+  "      { value: layout },",
+  "      { value: Boolean(top.returnValue) },",
+  "      toArgument(top.returnValue),",
+  "      ...frames.flatMap((frame) =>",
+  "        scopesOf(frame).map((scope) => ({ objectId: scope.object.objectId }))",
+  "      ),",
+  "    ],",
+  "    returnByValue: true,",
+  "  });",
+  "  if (exceptionDetails) {",
+  "    throw new Error(",
+  "      exceptionDetails.exception",
+  "        ? exceptionDetails.exception.description",
+  "        : exceptionDetails.text",
+  "    );",
+  "  }",
+  '  let event = "line";',
+  '  if (params.reason === "exception") event = "exception";',
+  '  else if (top.returnValue) event = "return";',
+  "  const step = { event, file: layout[0].file, line: layout[0].line, ...result.value };",
+  '  if (event === "exception") {',
+  "    const description = params.data && params.data.description;",
+  '    step.exception = String(description || "Exception").split("\\n")[0];',
+  "  }",
+  "  send(step);",
+  "  if (params.data && params.data.uncaught) {",
+  "    // Nothing runs after it; a connected session would also hold the",
+  '    // exit up with "Waiting for the debugger to disconnect..."',
+  "    tracing = false;",
+  "    session.disconnect();",
+  "    return;",
+  "  }",
+  '  await post("Debugger.stepInto");',
+  "};",
+  'session.on("Debugger.paused", (message) => {',
+  "  if (!tracing) return;",
+  "  onPaused(message).catch((error) =>",
+  '    stop({ event: "error", message: error.message }).catch(() => {})',
+  "  );",
+  "});",
+  "",
+  "(async () => {",
+  '  const { result } = await post("Runtime.evaluate", {',
+  '    expression: "globalThis[Symbol.for(\\"skillconnect.tracer\\")]",',
+  "  });",
+  "  recorder = result.objectId;",
+  '  await post("Debugger.enable");',
+  "  // Only the program's own files are stepped through",
+  '  await post("Debugger.setBlackboxPatterns", {',
+  '    patterns: ["^(?!" + pathToFileURL(root).href + ")"],',
+  "  });",
+  '  await post("Debugger.setPauseOnExceptions", { state: "all" });',
+  "  // Recording starts at the first statement (found by the runner)",
+  "  if (entryLine) {",
+  '    await post("Debugger.setBreakpointByUrl", {',
+  "      url: pathToFileURL(source).href,",
+  "      lineNumber: entryLine - 1,",
+  "    });",
+  "  }",
+  '  parentPort.postMessage("started");',
+  "})().catch((error) => {",
+  '  send({ event: "error", message: error.message });',
+  '  parentPort.postMessage("started");',
+  "});",
+].join("\n");
+
+/**
+ * Node trace agent, run with `node -e`: argv is the step limit, the line
+ * of the program's first statement (0 when it has none), the program's
+ * source and its arguments. Installs the recorder, starts the worker above
+ * and runs the program as the main module once the worker is ready.
+ */
+const NODE_TRACE_AGENT = [
+  'const { Worker } = require("worker_threads");',
+  'const path = require("path");',
+  "const [maxSteps, entryLine, source, ...args] = process.argv.slice(1);",
+  'const key = Symbol.for("skillconnect.tracer");',
+  `globalThis[key] = ${NODE_TRACE_RECORDER};`,
+  `const worker = new Worker(${JSON.stringify(NODE_TRACE_WORKER)}, {`,
+  "  eval: true,",
+  "  workerData: {",
+  "    source: path.resolve(source),",
+  "    maxSteps: Number(maxSteps),",
+  "    entryLine: Number(entryLine),",
+  "  },",
+  "});",
+  'worker.once("message", () => {',
+  "  // The worker holds on to the recorder; the program does not see it",
+  "  delete globalThis[key];",
+  "  // The program's exit ends the trace",
+  "  worker.unref();",
+  "  process.argv = [process.argv[0], path.resolve(source), ...args];",
+  '  setImmediate(() => require("module").runMain());',
+  "});",
+].join("\n");
+
+/**
+ * Collects the records a trace agent writes
+ *
+ * @param {stream.Readable} stream - The agent's fd 3 (startProcess with
+ *        extraPipes: 1)
+ * @param {number} maxBytes - Trace size kept; later steps are read and
+ *        dropped, so the agent never blocks on a full pipe
+ * @returns {Promise<Object>} { steps, truncated, error } once the agent
+ *          closes the stream: truncated is "steps" when the step limit was
+ *          reached, "size" when maxBytes was, otherwise null; error is why
+ *          tracing broke down, or null
+ */
+function collectTrace(stream, maxBytes) {
+  const trace = { steps: [], truncated: null, error: null };
+  let bytes = 0;
+  return new Promise((resolve) => {
+    readline
+      .createInterface({ input: stream })
+      .on("line", (line) => {
+        if (trace.truncated === "size") return;
+        bytes += Buffer.byteLength(line);
+        if (bytes > maxBytes) {
+          trace.truncated = "size";
+          return;
+        }
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch (error) {
+          return;
+        }
+        if (record.event === "limit") {
+          trace.truncated = "steps";
+        } else if (record.event === "error") {
+          trace.error = record.message;
+        } else {
+          trace.steps.push(record);
+        }
+      })
+      .on("close", () => resolve(trace));
+  });
+}
+
+module.exports = {
+  PYTHON_TRACE_AGENT,
+  NODE_TRACE_AGENT,
+  collectTrace,
+};
@@ -10,9 +10,27 @@ import AuthPage from "./AuthPage";
 import problemIcon from "./images/R2.png";
 import profileIcon from "./images/R1.jpg";
 import io from "socket.io-client";
+import { v4 as uuidv4 } from "uuid";
 import CollaborationRoom from "./CollaborationRoom";
+import {
+  RUNNER_URL,
+  useRunnerLanguages,
+  useImportWarnings,
+  useDiagnostics,
+  requestFormat,
+  requestTrace,
+  requestBenchmark,
+} from "./runner";
 import AnimatedBackground from "./components/AnimatedBackground";
 import AnimatedLogo from "./components/AnimatedLogo";
+import RunResultBadges from "./components/RunResultBadges";
+import CompilerOptionsBar from "./components/CompilerOptionsBar";
+import ImportWarnings from "./components/ImportWarnings";
+import OutputText from "./components/OutputText";
+import TraceViewer from "./components/TraceViewer";
+import BenchmarkPanel from "./components/BenchmarkPanel";
+import MarkerGutter from "./components/MarkerGutter";
+import DiagnosticsOverlay from "./components/DiagnosticsOverlay";
 import "./styles/animations.css";
 
 /**
@@ -3652,6 +3670,89 @@ const problemDescriptions = {
     "A maximal subgraph where removal of any single vertex does not disconnect it.\n\nFound using DFS and low-link values.\n\nUsed in network reliability and graph analysis.",
 };
 
+/**
+ * Judge Test Cases
+ * Input/output test cases for problems that can be submitted to the
+ * runner's /judge endpoint, keyed by problem id.
+ *
+ * - inputFormat: How the program receives its input on stdin
+ * - cases: { input, expectedOutput } pairs checked on submit
+ * - benchmark (optional): { template, sizes, expected } for the runner's
+ *   /benchmark endpoint - the input template and sizes it generates inputs
+ *   from (see runner/benchmark.js), and the complexity a good solution has
+ */
+const problemTestCases = {
+  count1: {
+    inputFormat:
+      "First line: n. Second line: n space-separated integers. Print the majority element.",
+    cases: [
+      { input: "3\n3 2 3\n", expectedOutput: "3" },
+      { input: "7\n2 2 1 1 1 2 2\n", expectedOutput: "2" },
+      { input: "1\n-5\n", expectedOutput: "-5" },
+    ],
+    benchmark: {
+      template: "{n}\n{ints 1 2}\n",
+      sizes: [25000, 50000, 100000, 200000, 400000],
+      expected: "O(n)",
+    },
+  },
+  enum1: {
+    inputFormat:
+      "A single integer n. Print the number of primes strictly less than n.",
+    cases: [
+      { input: "10\n", expectedOutput: "4" },
+      { input: "0\n", expectedOutput: "0" },
+      { input: "2\n", expectedOutput: "0" },
+      { input: "100\n", expectedOutput: "25" },
+      { input: "5000000\n", expectedOutput: "348513" },
+    ],
+    // A sieve's O(n log log n) is indistinguishable from O(n)
+    benchmark: {
+      template: "{n}\n",
+      sizes: [100000, 200000, 400000, 800000, 1600000],
+      expected: "O(n)",
+    },
+  },
+  array1: {
+    inputFormat:
+      "First line: n and target. Second line: n integers. Print the two indices (0-based, ascending) separated by a space.",
+    cases: [
+      { input: "4 9\n2 7 11 15\n", expectedOutput: "0 1" },
+      { input: "3 6\n3 2 4\n", expectedOutput: "1 2" },
+      { input: "2 6\n3 3\n", expectedOutput: "0 1" },
+    ],
+  },
+  array3: {
+    inputFormat:
+      "First line: n. Second line: n integers. Print the smallest missing positive integer.",
+    cases: [
+      { input: "3\n1 2 0\n", expectedOutput: "3" },
+      { input: "4\n3 4 -1 1\n", expectedOutput: "2" },
+      { input: "5\n7 8 9 11 12\n", expectedOutput: "1" },
+    ],
+    // A shuffled 1..n is missing n + 1, so every value is looked at
+    benchmark: {
+      template: "{n}\n{perm}\n",
+      sizes: [25000, 50000, 100000, 200000, 400000],
+      expected: "O(n)",
+    },
+  },
+  string1: {
+    inputFormat:
+      "Two lines: s and t. Print true if t is an anagram of s, otherwise false.",
+    cases: [
+      { input: "anagram\nnagaram\n", expectedOutput: "true" },
+      { input: "rat\ncar\n", expectedOutput: "false" },
+      { input: "a\nab\n", expectedOutput: "false" },
+    ],
+    benchmark: {
+      template: "{word}\n{word}\n",
+      sizes: [50000, 100000, 200000, 400000, 800000],
+      expected: "O(n)",
+    },
+  },
+};
+
 function DSAProblemsPage({ onBack, onSelect }) {
   const scrollContainerRef = React.useRef(null);
 
@@ -3928,6 +4029,21 @@ function DSAProblemDetailPage({
   const [loading, setLoading] = React.useState(false);
   const [copied, setCopied] = React.useState(false);
   const [language, setLanguage] = React.useState("c");
+  const [stdin, setStdin] = React.useState(""); // Program input (stdin)
+  const [judgement, setJudgement] = React.useState(null); // Last /judge result
+  const [runResult, setRunResult] = React.useState(null); // Last /run result
+  const [runCode, setRunCode] = React.useState(""); // Code of the last /run
+  const [editorScroll, setEditorScroll] = React.useState(0); // Gutter alignment
+  const [formatting, setFormatting] = React.useState(false); // Format in flight
+  const [traceResult, setTraceResult] = React.useState(null); // { code, result } of the last /trace
+  const [tracing, setTracing] = React.useState(false); // Trace in flight
+  const [benchmarkResult, setBenchmarkResult] = React.useState(null); // Last /benchmark result
+  const [benchmarking, setBenchmarking] = React.useState(false); // Benchmark in flight
+  const languages = useRunnerLanguages(); // Languages the runner can execute
+  const [compilerOptions, setCompilerOptions] = React.useState({}); // C/C++ flags
+  // Lets the runner reuse packages installed by earlier runs on this page
+  const [sessionId] = React.useState(() => uuidv4());
+  const importWarnings = useImportWarnings(language, code); // Rejected imports
   const SimpleCodeEditor = require("react-simple-code-editor").default;
   const highlight = require("prismjs").highlight;
   const Prism = require("prismjs");
@@ -3936,6 +4052,10 @@ function DSAProblemDetailPage({
   require("prismjs/components/prism-python");
   require("prismjs/components/prism-javascript");
   require("prismjs/components/prism-java");
+  require("prismjs/components/prism-go");
+  require("prismjs/components/prism-rust");
+  require("prismjs/components/prism-typescript");
+  require("prismjs/components/prism-kotlin");
 
   // Handle both string-based topic problems and object-based detailed problems
   const problemInfo =
@@ -3946,18 +4066,64 @@ function DSAProblemDetailPage({
           difficulty: "N/A",
         }
       : problem;
-  const handleRun = async () => {
+  const testSuite = problemTestCases[problemInfo.id];
+  const languageInfo = languages.find((lang) => lang.id === language);
+  const template = languageInfo ? languageInfo.template : "";
+  // Start from the language's template once the runner has listed it
+  React.useEffect(() => {
+    if (template) setCode((current) => current || template);
+  }, [template]);
+  // Linter findings, refreshed while typing
+  const diagnostics = useDiagnostics(
+    language,
+    code,
+    Boolean(languageInfo && languageInfo.linter)
+  );
+  // Only languages with compiler options accept the field
+  const buildOptions =
+    languageInfo && languageInfo.compilerOptions ? compilerOptions : undefined;
+  // A memory check's findings mark their lines until the code is edited
+  const memcheckMarkers =
+    runResult && runResult.memcheck && runCode === code
+      ? runResult.memcheck.findings
+          .filter((finding) => finding.line !== null)
+          .map((finding) => ({
+            line: finding.line,
+            severity: finding.category === "leak" ? "warning" : "error",
+            message: finding.message,
+          }))
+      : [];
+  /**
+   * Runs the code on the runner, optionally checking it for memory errors
+   * and leaks
+   * @param {boolean} [memcheck=false] - Run under the memory checker
+   */
+  const handleRun = async (memcheck = false) => {
     setLoading(true);
     setOutput("");
+    setJudgement(null);
+    setRunResult(null);
+    setRunCode(code);
     try {
-      const endpoint = `http://localhost:5000/run-${language}`;
-      const res = await fetch(endpoint, {
+      const res = await fetch(`${RUNNER_URL}/run`, {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ code }),
+        body: JSON.stringify({
+          language,
+          code,
+          stdin,
+          compilerOptions: buildOptions,
+          memcheck: memcheck || undefined,
+          sessionId,
+        }),
       });
       const data = await res.json();
-      setOutput(data.output || "No output");
+      // Rejected requests carry only an error; runs carry their phase
+      if (data.phase) {
+        setRunResult(data);
+      } else {
+        setOutput(data.error || "No output");
+      }
     } catch (err) {
       setOutput(
         `Error connecting to ${language.toUpperCase()} compiler/interpreter backend.`
@@ -3965,6 +4131,93 @@ function DSAProblemDetailPage({
     }
     setLoading(false);
   };
+
+  /**
+   * Replaces the code with the runner's formatting of it; a syntax error
+   * (or an unreachable runner) is shown as output
+   */
+  const handleFormat = async () => {
+    setFormatting(true);
+    try {
+      setCode(await requestFormat(language, code));
+    } catch (err) {
+      setOutput(`Format failed: ${err.message}`);
+    }
+    setFormatting(false);
+  };
+
+  /**
+   * Runs the code under the runner's tracer and opens the step-by-step
+   * viewer; a rejected request is shown as output
+   */
+  const handleTrace = async () => {
+    setTracing(true);
+    setTraceResult(null);
+    try {
+      // The viewer keeps showing the code that ran, even after edits
+      const result = await requestTrace({ language, code, stdin, sessionId });
+      setTraceResult({ code, result });
+    } catch (err) {
+      setOutput(`Visualize failed: ${err.message}`);
+    }
+    setTracing(false);
+  };
+
+  /**
+   * Times the code on the problem's generated inputs of growing size and
+   * shows the estimated complexity; a rejected request is shown as output
+   */
+  const handleBenchmark = async () => {
+    const { template, sizes } = testSuite.benchmark;
+    setBenchmarking(true);
+    setBenchmarkResult(null);
+    try {
+      setBenchmarkResult(
+        await requestBenchmark({
+          language,
+          code,
+          generator: { template, sizes },
+          compilerOptions: buildOptions,
+          sessionId,
+        })
+      );
+    } catch (err) {
+      setOutput(`Benchmark failed: ${err.message}`);
+    }
+    setBenchmarking(false);
+  };
+
+  /**
+   * Submits the code to the judge and shows a verdict per test case
+   */
+  const handleSubmit = async () => {
+    setLoading(true);
+    setOutput("");
+    setJudgement(null);
+    setRunResult(null);
+    try {
+      const res = await fetch(`${RUNNER_URL}/judge`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          language,
+          code,
+          testCases: testSuite.cases,
+          compilerOptions: buildOptions,
+          sessionId,
+        }),
+      });
+      const data = await res.json();
+      if (data.error) {
+        setOutput(data.error);
+      } else {
+        setJudgement(data);
+      }
+    } catch (err) {
+      setOutput("Error connecting to the judge backend.");
+    }
+    setLoading(false);
+  };
   return (
     <div className="min-h-screen flex flex-col bg-gray-100 p-6 dsa-no-scrollbar">
       <nav className="w-full max-w-5xl mb-10 bg-white border-b border-gray-300 px-8 py-4 flex justify-between items-center rounded-lg shadow-sm mx-auto">
@@ -4029,6 +4282,12 @@ function DSAProblemDetailPage({
               )}
             </div>
             <p className="text-gray-700">{problemInfo.description}</p>
+            {testSuite && (
+              <p className="text-gray-500 text-sm mt-2">
+                <span className="font-semibold">Input format: </span>
+                {testSuite.inputFormat}
+              </p>
+            )}
           </div>
           <div className="relative mb-2 flex-grow h-full overflow-hidden">
             <div className="sticky top-0 z-10 bg-white px-2 py-2 mb-2 border-b border-gray-200">
@@ -4036,8 +4295,13 @@ function DSAProblemDetailPage({
                 <select
                   value={language}
                   onChange={(e) => {
+                    const next = languages.find(
+                      (lang) => lang.id === e.target.value
+                    );
                     setLanguage(e.target.value);
-                    setCode(""); // Clear code when changing language
+                    // Replace the code with the new language's template
+                    setCode(next ? next.template : "");
+                    setCompilerOptions({});
                   }}
                   className="bg-gray-700 text-white border-0 rounded-lg px-4 py-1.5 text-xs font-medium focus:outline-none focus:ring-2 focus:ring-gray-500 hover:bg-gray-800 transition-all duration-200 shadow-sm hover:shadow-md cursor-pointer"
                   style={{
@@ -4052,30 +4316,84 @@ function DSAProblemDetailPage({
                     paddingRight: "2.5rem",
                   }}
                 >
-                  <option value="c" className="bg-gray-700 text-white">
-                    C
-                  </option>
-                  <option value="cpp" className="bg-gray-700 text-white">
-                    C++
-                  </option>
-                  <option value="python" className="bg-gray-700 text-white">
-                    Python
-                  </option>
-                  <option value="javascript" className="bg-gray-700 text-white">
-                    JavaScript
-                  </option>
-                  <option value="java" className="bg-gray-700 text-white">
-                    Java
-                  </option>
+                  {languages.length === 0 && (
+                    <option value={language} className="bg-gray-700 text-white">
+                      {language}
+                    </option>
+                  )}
+                  {languages.map((lang) => (
+                    <option
+                      key={lang.id}
+                      value={lang.id}
+                      className="bg-gray-700 text-white"
+                    >
+                      {lang.name} {lang.version}
+                    </option>
+                  ))}
                 </select>
                 <div className="flex gap-2">
                   <button
                     className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-1.5 rounded-lg text-xs transition-all duration-200 shadow-sm hover:shadow-md"
-                    onClick={handleRun}
+                    onClick={() => handleRun()}
                     disabled={loading}
                   >
                     {loading ? "Running..." : "Flash ⚡"}
                   </button>
+                  {languageInfo && languageInfo.memcheck && (
+                    <button
+                      className="bg-rose-600 hover:bg-rose-700 text-white px-3 py-1.5 rounded-lg text-xs transition-all duration-200 shadow-sm hover:shadow-md disabled:opacity-50 disabled:cursor-not-allowed"
+                      onClick={() => handleRun(true)}
+                      disabled={loading}
+                      title={`Check for memory errors and leaks with ${languageInfo.memcheck}`}
+                    >
+                      Memcheck
+                    </button>
+                  )}
+                  {testSuite && (
+                    <button
+                      className="bg-purple-600 hover:bg-purple-700 text-white px-3 py-1.5 rounded-lg text-xs transition-all duration-200 shadow-sm hover:shadow-md"
+                      onClick={handleSubmit}
+                      disabled={loading}
+                    >
+                      Submit
+                    </button>
+                  )}
+                  <button
+                    className="bg-gray-600 hover:bg-gray-700 text-white px-3 py-1.5 rounded-lg text-xs transition-all duration-200 shadow-sm hover:shadow-md disabled:opacity-50 disabled:cursor-not-allowed"
+                    onClick={handleFormat}
+                    disabled={
+                      formatting || !(languageInfo && languageInfo.formatter)
+                    }
+                    title={
+                      languageInfo && languageInfo.formatter
+                        ? `Format with ${languageInfo.formatter}`
+                        : "No formatter is installed for this language"
+                    }
+                  >
+                    {formatting ? "Formatting..." : "Format"}
+                  </button>
+                  <button
+                    className="bg-teal-600 hover:bg-teal-700 text-white px-3 py-1.5 rounded-lg text-xs transition-all duration-200 shadow-sm hover:shadow-md disabled:opacity-50 disabled:cursor-not-allowed"
+                    onClick={handleTrace}
+                    disabled={tracing || !(languageInfo && languageInfo.tracer)}
+                    title={
+                      languageInfo && languageInfo.tracer
+                        ? "Step through the execution line by line"
+                        : "Visualizing is available for Python and JavaScript"
+                    }
+                  >
+                    {tracing ? "Tracing..." : "Visualize"}
+                  </button>
+                  {testSuite && testSuite.benchmark && (
+                    <button
+                      className="bg-orange-500 hover:bg-orange-600 text-white px-3 py-1.5 rounded-lg text-xs transition-all duration-200 shadow-sm hover:shadow-md disabled:opacity-50 disabled:cursor-not-allowed"
+                      onClick={handleBenchmark}
+                      disabled={benchmarking}
+                      title={`Time the solution on growing inputs (expected ${testSuite.benchmark.expected})`}
+                    >
+                      {benchmarking ? "Benchmarking..." : "Benchmark"}
+                    </button>
+                  )}
                   <button
                     className="bg-red-500 hover:bg-red-600 text-white px-3 py-1.5 rounded-lg text-xs transition-all duration-200 shadow-sm hover:shadow-md"
                     onClick={() => setCode("")}
@@ -4094,28 +4412,66 @@ function DSAProblemDetailPage({
                   </button>
                 </div>
               </div>
+              <CompilerOptionsBar
+                options={languageInfo ? languageInfo.compilerOptions : null}
+                value={compilerOptions}
+                onChange={setCompilerOptions}
+              />
             </div>
-            <SimpleCodeEditor
-              value={code}
-              onValueChange={setCode}
-              highlight={(code) =>
-                highlight(code, Prism.languages[language], language)
-              }
-              padding={10}
+            <ImportWarnings warnings={importWarnings} />
+            <div
+              className="flex overflow-hidden"
               style={{
-                fontFamily: "Fira Mono, Menlo, Monaco, Consolas, monospace",
-                fontSize: 14,
                 height: "calc(100% - 50px)", // Account for language selector height
                 borderRadius: "0.5rem",
                 background: "#f9fafb",
-                color: "#222",
-                outline: "none",
                 marginBottom: "0.5rem",
-                overflowY: "auto",
-                overflowX: "hidden",
               }}
-              placeholder="Let's crack the code."
-            />
+            >
+              <MarkerGutter
+                lineCount={code.split("\n").length}
+                markers={[...memcheckMarkers, ...diagnostics]}
+                scrollTop={editorScroll}
+              />
+              {/* Padding and line height match the gutter's rows */}
+              <div className="relative flex-grow min-w-0 h-full">
+                <SimpleCodeEditor
+                  value={code}
+                  onValueChange={setCode}
+                  onScroll={(e) => setEditorScroll(e.currentTarget.scrollTop)}
+                  highlight={(code) =>
+                    highlight(code, Prism.languages[language], language)
+                  }
+                  padding={16}
+                  style={{
+                    fontFamily: "Fira Mono, Menlo, Monaco, Consolas, monospace",
+                    fontSize: 14,
+                    lineHeight: "1.5rem",
+                    height: "100%",
+                    color: "#222",
+                    outline: "none",
+                    overflowY: "auto",
+                    overflowX: "hidden",
+                  }}
+                  placeholder="Let's crack the code."
+                />
+                {/* Wraps long lines like the editor's own text layer */}
+                <DiagnosticsOverlay
+                  code={code}
+                  diagnostics={diagnostics}
+                  scrollTop={editorScroll}
+                  style={{
+                    fontFamily: "Fira Mono, Menlo, Monaco, Consolas, monospace",
+                    fontSize: 14,
+                    lineHeight: "1.5rem",
+                    padding: 16,
+                    whiteSpace: "pre-wrap",
+                    wordBreak: "keep-all",
+                    overflowWrap: "break-word",
+                  }}
+                />
+              </div>
+            </div>
           </div>
         </div>
 
@@ -4233,16 +4589,147 @@ function DSAProblemDetailPage({
             <div className="flex items-center mb-2">
               <h3 className="font-bold text-white">Terminal</h3>
             </div>
+            <textarea
+              value={stdin}
+              onChange={(e) => setStdin(e.target.value)}
+              placeholder="Input (stdin)..."
+              rows={3}
+              className="bg-black text-gray-200 font-mono rounded p-2 text-xs resize-none focus:outline-none focus:ring-1 focus:ring-gray-500"
+            />
             <div
               className="bg-black text-green-400 font-mono rounded p-2 flex-1 overflow-auto whitespace-pre-wrap text-xs"
               style={{ minHeight: "60px", maxHeight: "calc(100% - 40px)" }}
             >
-              {output ? output : "Output..."}
+              {judgement ? (
+                <div className="flex flex-col gap-1">
+                  <div
+                    className={`font-bold ${
+                      judgement.status === "AC"
+                        ? "text-green-400"
+                        : "text-red-400"
+                    }`}
+                  >
+                    {judgement.verdict} ({judgement.passed}/{judgement.total})
+                  </div>
+                  {judgement.status === "CE" && (
+                    <div className="text-red-300">{judgement.compileOutput}</div>
+                  )}
+                  {judgement.results.map((result) => (
+                    <div key={result.index}>
+                      <span
+                        className={
+                          result.status === "AC"
+                            ? "text-green-400"
+                            : "text-red-400"
+                        }
+                      >
+                        Test {result.index + 1}: {result.verdict}
+                      </span>
+                      <span className="text-gray-400">
+                        {" "}
+                        · {result.timeMs} ms
+                      </span>
+                      {result.diff.map((d) => (
+                        <div key={d.line} className="text-gray-300 pl-4">
+                          line {d.line}: expected{" "}
+                          {d.expected === null ? "<nothing>" : `"${d.expected}"`}
+                          , got {d.actual === null ? "<nothing>" : `"${d.actual}"`}
+                        </div>
+                      ))}
+                      {result.sanitizer &&
+                        result.sanitizer.map((finding) => (
+                          <div
+                            key={finding.message}
+                            className="text-red-400 font-semibold pl-4"
+                          >
+                            {finding.message}
+                          </div>
+                        ))}
+                      {result.status === "RE" && result.stderr && (
+                        <div className="text-red-300 pl-4">{result.stderr}</div>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              ) : runResult ? (
+                <div className="flex flex-col gap-1">
+                  <RunResultBadges result={runResult} />
+                  {runResult.sanitizer &&
+                    runResult.sanitizer.map((finding) => (
+                      <div
+                        key={finding.message}
+                        className="text-red-400 font-semibold"
+                      >
+                        {finding.message}
+                      </div>
+                    ))}
+                  {runResult.memcheck && (
+                    <div className="text-gray-300">
+                      Memory check ({runResult.memcheck.tool}):{" "}
+                      {runResult.memcheck.findings.length === 0
+                        ? "no memory errors or leaks found"
+                        : `${runResult.memcheck.findings.length} finding(s)`}
+                    </div>
+                  )}
+                  {runResult.memcheck &&
+                    runResult.memcheck.findings.map((finding) => (
+                      <div
+                        key={finding.message}
+                        className={`font-semibold ${
+                          finding.category === "leak"
+                            ? "text-amber-300"
+                            : "text-red-400"
+                        }`}
+                      >
+                        {finding.message}
+                      </div>
+                    ))}
+                  {runResult.stdout && (
+                    <div>
+                      <OutputText
+                        text={runResult.stdout}
+                        fileName="stdout.txt"
+                      />
+                    </div>
+                  )}
+                  {(runResult.stderr || runResult.error) && (
+                    <div className="text-red-300">
+                      <OutputText
+                        text={runResult.stderr || runResult.error}
+                        fileName="stderr.txt"
+                      />
+                    </div>
+                  )}
+                  {!runResult.stdout && !runResult.stderr && !runResult.error && (
+                    <div className="text-gray-400">No output</div>
+                  )}
+                </div>
+              ) : output ? (
+                output
+              ) : (
+                "Output..."
+              )}
             </div>
             <div className="text-xs text-gray-300 mt-2"></div>
           </div>
         </div>
       </div>
+      {traceResult && (
+        <TraceViewer
+          code={traceResult.code}
+          result={traceResult.result}
+          onClose={() => setTraceResult(null)}
+        />
+      )}
+      {benchmarkResult && (
+        <BenchmarkPanel
+          result={benchmarkResult}
+          expected={
+            testSuite && testSuite.benchmark && testSuite.benchmark.expected
+          }
+          onClose={() => setBenchmarkResult(null)}
+        />
+      )}
     </div>
   );
 }
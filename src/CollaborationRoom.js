@@ -4,6 +4,7 @@
  * A real-time collaborative coding environment that enables multiple users to:
  * - Write and edit code together
  * - Execute code in various programming languages
+ * - Debug code step by step, all participants following the same session
  * - Chat with other participants
  * - See real-time updates from other users
  *
@@ -15,6 +16,43 @@
  */
 
 import React, { useState, useEffect, useRef } from "react";
+import { v4 as uuidv4 } from "uuid";
+import {
+  useRunnerLanguages,
+  useRunnerSocket,
+  useImportWarnings,
+  useDiagnostics,
+  requestFormat,
+  useDebugSession,
+} from "./runner";
+import RunResultBadges from "./components/RunResultBadges";
+import ImportWarnings from "./components/ImportWarnings";
+import OutputText, { clipOutput } from "./components/OutputText";
+import DebugPanel, { DebugGutter } from "./components/DebugPanel";
+import DiagnosticsOverlay from "./components/DiagnosticsOverlay";
+
+/**
+ * Adds an entry to the terminal; consecutive chunks of one stream of a run
+ * (or debug session) continue the same entry
+ * @param {Array<Object>} entries - Terminal entries
+ * @param {Object} entry - { type, content, runId }
+ * @returns {Array<Object>} The new entries
+ */
+const appendEntry = (entries, entry) => {
+  const last = entries[entries.length - 1];
+  if (
+    entry.runId &&
+    last &&
+    last.runId === entry.runId &&
+    last.type === entry.type
+  ) {
+    return [
+      ...entries.slice(0, -1),
+      { ...last, content: last.content + entry.content },
+    ];
+  }
+  return [...entries, entry];
+};
 
 const CollaborationRoom = ({
   roomId,
@@ -41,6 +79,8 @@ const CollaborationRoom = ({
    * 
    * 4. Execution Environment
    *    - [terminalOutput, setTerminalOutput]: Command results
+   *    - [stdin, setStdin]: Input fed to the program
+   *    - [activeRunId, setActiveRunId]: Streamed run in progress, if any
    * 
    * State Features:
    * - Real-time synchronization
@@ -54,6 +94,19 @@ const CollaborationRoom = ({
   const [participants, setParticipants] = useState([]); // Active participants
   const [language, setLanguage] = useState("javascript"); // Selected language
   const [terminalOutput, setTerminalOutput] = useState([]); // Execution output
+  const [stdin, setStdin] = useState("");                 // Program input
+  const [activeRunId, setActiveRunId] = useState(null);   // Run being streamed
+  const languages = useRunnerLanguages();                 // Runnable languages
+  const runnerSocket = useRunnerSocket();                 // Live execution
+  const importWarnings = useImportWarnings(language, code); // Rejected imports
+  const runTranscript = useRef({ output: "", error: "" }); // Full run output
+  const activeRunRef = useRef(null);                      // Run id for handlers
+  const [formatting, setFormatting] = useState(false);    // Format in flight
+  const [editorScroll, setEditorScroll] = useState(0);    // Gutter alignment
+  const [editorScrollLeft, setEditorScrollLeft] = useState(0); // Squiggle alignment
+  const debug = useDebugSession(runnerSocket, roomId, (entry) =>
+    setTerminalOutput((prev) => appendEntry(prev, entry))
+  );
 
   /**
    * Socket Event Handler Initialization
@@ -200,6 +253,92 @@ const CollaborationRoom = ({
     };
   }, [socket]);
 
+  /**
+   * Live Execution Handlers
+   * Renders program output chunk by chunk as the runner streams it
+   *
+   * Events (runner socket), each ignored unless it is about the active run
+   * (a stopped run may still be sending):
+   * - run-queued: The run waits for a free worker on the runner
+   * - run-stdout / run-stderr: Appended to the current output/error entry
+   * - run-exit: Shows sanitizer findings and the run result badges, and shares
+   *   the output with the room
+   * - disconnect: Ends a run whose output can no longer arrive
+   */
+  useEffect(() => {
+    if (!runnerSocket) return;
+
+    const isActive = (runId) => runId === activeRunRef.current;
+
+    const appendChunk = (type, key) => ({ runId, data }) => {
+      if (!isActive(runId)) return;
+      runTranscript.current[key] += data;
+      setTerminalOutput((prev) =>
+        appendEntry(prev, { type, runId, content: data })
+      );
+    };
+
+    const handleExit = (result) => {
+      if (!isActive(result.runId)) return;
+      // Sanitizer findings point at the offending line, so lead with them
+      const findings = (result.sanitizer || []).map((finding) => ({
+        type: "error",
+        content: finding.message,
+      }));
+      setTerminalOutput((prev) => [
+        ...prev,
+        ...findings,
+        { type: "result", result },
+      ]);
+      activeRunRef.current = null;
+      setActiveRunId(null);
+
+      // Sync results with room participants; only the displayed part, as
+      // the full output can exceed the socket's message size
+      socket.emit("code-output", {
+        roomId,
+        output: clipOutput(runTranscript.current.output),
+        error: clipOutput(runTranscript.current.error),
+      });
+    };
+
+    const handleDisconnect = () => {
+      if (!activeRunRef.current) return;
+      activeRunRef.current = null;
+      setActiveRunId(null);
+      setTerminalOutput((prev) => [
+        ...prev,
+        { type: "error", content: "Lost connection to the code runner" },
+      ]);
+    };
+
+    const handleQueued = ({ runId, position }) => {
+      if (!isActive(runId)) return;
+      setTerminalOutput((prev) => [
+        ...prev,
+        { type: "command", content: `Queued at position ${position}...` },
+      ]);
+    };
+
+    // Removed by reference: other hooks listen on the same socket
+    const handlers = {
+      "run-queued": handleQueued,
+      "run-stdout": appendChunk("output", "output"),
+      "run-stderr": appendChunk("error", "error"),
+      "run-exit": handleExit,
+      disconnect: handleDisconnect,
+    };
+    Object.entries(handlers).forEach(([event, handler]) =>
+      runnerSocket.on(event, handler)
+    );
+
+    return () => {
+      Object.entries(handlers).forEach(([event, handler]) =>
+        runnerSocket.off(event, handler)
+      );
+    };
+  }, [runnerSocket, socket, roomId]);
+
   /**
    * Code Change Handler
    * Manages real-time code synchronization between participants
@@ -218,72 +357,100 @@ const CollaborationRoom = ({
 
   /**
    * Code Execution Handler
-   * Manages the execution of code in the selected language
+   * Streams the code in the selected language through the runner socket
    * 
    * Flow:
    * 1. Pre-execution
+   *    - Checks the runner connection
    *    - Updates terminal state
-   *    - Validates code and language
    * 
    * 2. Execution
-   *    - Sends code to execution service
-   *    - Handles response asynchronously
+   *    - Emits run-code with a fresh run id
+   *    - Output arrives through the live execution handlers
    * 
-   * 3. Output Handling
-   *    - Processes execution results
-   *    - Updates terminal display
-   *    - Broadcasts results to room
-   * 
-   * 4. Error Management
-   *    - Catches execution errors
-   *    - Formats error messages
-   *    - Updates UI appropriately
+   * 3. Cancellation
+   *    - stopRun emits run-kill for the active run
    */
-  const runCode = async () => {
-    // Initialize execution feedback
+  const runCode = () => {
+    if (activeRunId) return;
+    if (!runnerSocket || !runnerSocket.connected) {
+      setTerminalOutput((prev) => [
+        ...prev,
+        { type: "error", content: "Code runner is not reachable" },
+      ]);
+      return;
+    }
+
+    const runId = uuidv4();
+    runTranscript.current = { output: "", error: "" };
+    activeRunRef.current = runId;
+    setActiveRunId(runId);
     setTerminalOutput((prev) => [
       ...prev,
       { type: "command", content: `Running ${language} code...` },
     ]);
-    try {
-      // Execute code via service
-      const response = await fetch(`http://localhost:5000/run-${language}`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({ code }),
-      });
-      const data = await response.json();
+    // Runs in a room share one package environment on the runner
+    runnerSocket.emit("run-code", {
+      runId,
+      language,
+      code,
+      stdin,
+      sessionId: roomId,
+    });
+  };
 
-      // Process and display results
-      if (data.error) {
-        // Handle execution errors
-        setTerminalOutput((prev) => [
-          ...prev,
-          { type: "error", content: data.error },
-        ]);
-      } else {
-        // Display successful execution
-        setTerminalOutput((prev) => [
-          ...prev,
-          { type: "output", content: data.output },
-        ]);
-      }
+  const stopRun = () => {
+    if (activeRunId) {
+      runnerSocket.emit("run-kill", { runId: activeRunId });
+    }
+  };
 
-      // Sync results with room participants
-      socket.emit("code-output", {
-        roomId,
-        output: data.output,
-        error: data.error,
-      });
+  const languageInfo = languages.find((lang) => lang.id === language);
+  const canFormat = Boolean(languageInfo && languageInfo.formatter);
+  const canDebug = Boolean(languageInfo && languageInfo.debugger);
+  const diagnostics = useDiagnostics(
+    language,
+    code,
+    Boolean(languageInfo && languageInfo.linter)
+  );
+
+  /**
+   * Starts a debug session for the room; it stops on the first line unless
+   * breakpoints are set in the gutter
+   */
+  const debugCode = () => {
+    if (!runnerSocket || !runnerSocket.connected) {
+      setTerminalOutput((prev) => [
+        ...prev,
+        { type: "error", content: "Code runner is not reachable" },
+      ]);
+      return;
+    }
+    debug.start({ language, code, stdin, sessionId: roomId });
+  };
+  // The arrow only shows while the paused frame is in the editor's file
+  const pausedLine =
+    debug.paused && debug.session && debug.paused.file === debug.session.entry
+      ? debug.paused.line
+      : null;
+
+  /**
+   * Formats the code on the runner and shares the result with the room
+   * through code-update, like any other edit. Errors (usually a syntax
+   * error) go to the terminal.
+   */
+  const formatCode = async () => {
+    setFormatting(true);
+    try {
+      const formatted = await requestFormat(language, code);
+      if (formatted !== code) handleCodeChange(formatted);
     } catch (error) {
-      // Handle system errors
       setTerminalOutput((prev) => [
         ...prev,
-        { type: "error", content: error.message },
+        { type: "error", content: `Format failed: ${error.message}` },
       ]);
     }
+    setFormatting(false);
   };
 
   /**
@@ -351,18 +518,54 @@ const CollaborationRoom = ({
                 onChange={(e) => setLanguage(e.target.value)}
                 className="bg-white/80 border border-purple-200 rounded-lg p-2 text-purple-700 font-medium focus:ring-2 focus:ring-purple-500 focus:border-transparent transition-all"
               >
-                <option value="cpp">C</option>
-                <option value="cpp">C++</option>
-                <option value="python">Python</option>
-                <option value="javascript">JavaScript</option>
-                <option value="java">Java</option>
+                {languages.length === 0 && (
+                  <option value={language}>{language}</option>
+                )}
+                {languages.map((lang) => (
+                  <option key={lang.id} value={lang.id}>
+                    {lang.name} {lang.version}
+                  </option>
+                ))}
               </select>
               <div className="flex gap-2">
+                {activeRunId ? (
+                  <button
+                    onClick={stopRun}
+                    className="bg-gradient-to-r from-orange-500 to-red-600 text-white px-4 py-2 rounded-lg text-sm hover:from-orange-600 hover:to-red-700 transition-all duration-200 transform hover:scale-105 shadow-lg hover:shadow-red-500/20"
+                  >
+                    Stop ■
+                  </button>
+                ) : (
+                  <button
+                    onClick={runCode}
+                    className="bg-gradient-to-r from-green-500 to-emerald-600 text-white px-4 py-2 rounded-lg text-sm hover:from-green-600 hover:to-emerald-700 transition-all duration-200 transform hover:scale-105 shadow-lg hover:shadow-green-500/20"
+                  >
+                    Flash ⚡
+                  </button>
+                )}
+                <button
+                  onClick={debugCode}
+                  disabled={!canDebug || Boolean(debug.session)}
+                  title={
+                    canDebug
+                      ? "Debug step by step; click line numbers to set breakpoints"
+                      : "No debugger is installed for this language"
+                  }
+                  className="bg-gradient-to-r from-amber-500 to-orange-600 text-white px-4 py-2 rounded-lg text-sm hover:from-amber-600 hover:to-orange-700 transition-all duration-200 transform hover:scale-105 shadow-lg hover:shadow-orange-500/20 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Debug 🐞
+                </button>
                 <button
-                  onClick={runCode}
-                  className="bg-gradient-to-r from-green-500 to-emerald-600 text-white px-4 py-2 rounded-lg text-sm hover:from-green-600 hover:to-emerald-700 transition-all duration-200 transform hover:scale-105 shadow-lg hover:shadow-green-500/20"
+                  onClick={formatCode}
+                  disabled={!canFormat || formatting}
+                  title={
+                    canFormat
+                      ? `Format with ${languageInfo.formatter}`
+                      : "No formatter is installed for this language"
+                  }
+                  className="bg-gradient-to-r from-purple-500 to-fuchsia-600 text-white px-4 py-2 rounded-lg text-sm hover:from-purple-600 hover:to-fuchsia-700 transition-all duration-200 transform hover:scale-105 shadow-lg hover:shadow-purple-500/20 disabled:opacity-50 disabled:cursor-not-allowed"
                 >
-                  Flash ⚡
+                  {formatting ? "Formatting..." : "Format"}
                 </button>
                 <button
                   onClick={() => {
@@ -381,36 +584,88 @@ const CollaborationRoom = ({
                 </button>
               </div>
             </div>
+            <ImportWarnings warnings={importWarnings} />
+            {debug.session && (
+              <DebugPanel
+                session={debug.session}
+                paused={debug.paused}
+                onResume={debug.resume}
+                onStop={debug.stop}
+              />
+            )}
             {/* Code Editor and Terminal Split */}
             <div className="flex-1 flex gap-2">
               {/* Code Editor - 70% of total space */}
-              <div className="w-[60%] rounded-xl bg-[#f9fafb] shadow-lg border border-purple-200/20 overflow-hidden">
-                <textarea
-                  value={code}
-                  onChange={(e) => handleCodeChange(e.target.value)}
-                  className="h-full w-full bg-transparent text-black-900 font-bold, Fira Mono, Menlo, Monaco, Consolas, monospace p-4 focus:outline-none resize-none"
-                  placeholder="Let's crack the code."
+              <div className="w-[60%] flex rounded-xl bg-[#f9fafb] shadow-lg border border-purple-200/20 overflow-hidden">
+                <DebugGutter
+                  lineCount={code.split("\n").length}
+                  breakpoints={debug.breakpoints}
+                  pausedLine={pausedLine}
+                  markers={diagnostics}
+                  scrollTop={editorScroll}
+                  onToggle={debug.toggleBreakpoint}
                 />
+                <div className="relative flex-1 min-w-0">
+                  {/* Read-only while debugging, so lines match the program */}
+                  <textarea
+                    value={code}
+                    onChange={(e) => handleCodeChange(e.target.value)}
+                    onScroll={(e) => {
+                      setEditorScroll(e.target.scrollTop);
+                      setEditorScrollLeft(e.target.scrollLeft);
+                    }}
+                    readOnly={Boolean(debug.session)}
+                    wrap="off"
+                    className="h-full w-full bg-transparent text-black-900 font-bold, Fira Mono, Menlo, Monaco, Consolas, monospace font-mono text-sm leading-6 p-4 focus:outline-none resize-none"
+                    placeholder="Let's crack the code."
+                  />
+                  {/* Same font, padding and line height as the textarea */}
+                  <DiagnosticsOverlay
+                    code={code}
+                    diagnostics={diagnostics}
+                    scrollTop={editorScroll}
+                    scrollLeft={editorScrollLeft}
+                    className="font-mono text-sm leading-6 p-4"
+                  />
+                </div>
               </div>
               {/* Terminal - 30% of total space */}
               <div className="w-[40%] rounded-xl bg-[#f9fafb] shadow-lg border border-black-200/20 overflow-hidden">
                 <div className="h-8 bg-[#2D2D2D] flex items-center px-4">
                   <span className="text-gray-400 text-sm">Terminal</span>
                 </div>
-                <div className="w-full h-[calc(100%-2rem)] bg-[#f9fafb] text-black-400 font-bold, Fira Mono, Menlo, Monaco, Consolas, monospace p-4 overflow-auto">
-                  {terminalOutput.map((output, idx) => (
-                    <div
-                      key={idx}
-                      className={`${
-                        output.type === "error"
-                          ? "text-red-400"
-                          : "text-black-400"
-                      } whitespace-pre-wrap font-bold, Fira Mono, Menlo, Monaco, Consolas, monospace mb-1`}
-                    >
-                      {output.type === "error" ? "❌ " : "$ "}
-                      {output.content}
-                    </div>
-                  ))}
+                <textarea
+                  value={stdin}
+                  onChange={(e) => setStdin(e.target.value)}
+                  placeholder="Input (stdin)..."
+                  rows={3}
+                  className="w-full h-20 bg-white border-b border-purple-100 text-sm font-mono p-2 focus:outline-none resize-none"
+                />
+                <div className="w-full h-[calc(100%-7rem)] bg-[#f9fafb] text-black-400 font-bold, Fira Mono, Menlo, Monaco, Consolas, monospace p-4 overflow-auto">
+                  {terminalOutput.map((output, idx) =>
+                    output.type === "result" ? (
+                      <RunResultBadges key={idx} result={output.result} />
+                    ) : (
+                      <div
+                        key={idx}
+                        className={`${
+                          output.type === "error"
+                            ? "text-red-400"
+                            : "text-black-400"
+                        } whitespace-pre-wrap font-bold, Fira Mono, Menlo, Monaco, Consolas, monospace mb-1`}
+                      >
+                        {output.type === "error" ? "❌ " : "$ "}
+                        <OutputText
+                          text={output.content}
+                          fileName={
+                            output.type === "error"
+                              ? "stderr.txt"
+                              : "stdout.txt"
+                          }
+                        />
+                      </div>
+                    )
+                  )}
                 </div>
               </div>
             </div>
@@ -0,0 +1,289 @@
+/**
+ * @fileoverview BenchmarkPanel Component
+ *
+ * Shows a benchmark from the runner (POST /benchmark):
+ * - A chart of the measured run time per input size, with the curve of
+ *   the complexity class that fits it best
+ * - The estimated complexity next to the one the problem expects, and how
+ *   well the other classes fit; when the expected class fits about as well
+ *   as the estimate, the two are shown as too close to tell apart
+ * - The functions the program spent its time in, from the profiled run
+ */
+
+import React from "react";
+
+const CHART_WIDTH = 480;
+const CHART_HEIGHT = 220;
+const MARGIN = { top: 10, right: 16, bottom: 32, left: 56 };
+
+// Fits shown besides the best one
+const MAX_FITS = 4;
+
+/**
+ * Formats an input size compactly, e.g. 1500000 as "1.5M"
+ * @param {number} n - Input size
+ * @returns {string} The label
+ */
+const formatSize = (n) => {
+  if (n >= 1e6) return `${+(n / 1e6).toFixed(1)}M`;
+  if (n >= 1e3) return `${+(n / 1e3).toFixed(1)}k`;
+  return String(n);
+};
+
+/**
+ * Draws run time against input size
+ * @param {Object} props - Component properties
+ * @param {Object[]} props.series - { n, wallTimeMs, fittedMs } per size
+ * @param {string|null} props.fitName - Complexity class of the fitted curve
+ * @returns {JSX.Element} The chart
+ */
+const BenchmarkChart = ({ series, fitName }) => {
+  const plotWidth = CHART_WIDTH - MARGIN.left - MARGIN.right;
+  const plotHeight = CHART_HEIGHT - MARGIN.top - MARGIN.bottom;
+  const maxN = Math.max(...series.map((point) => point.n));
+  const maxMs = Math.max(
+    1,
+    ...series.map((point) => Math.max(point.wallTimeMs, point.fittedMs || 0))
+  );
+  const x = (n) => MARGIN.left + (n / maxN) * plotWidth;
+  const y = (ms) => MARGIN.top + plotHeight - (ms / maxMs) * plotHeight;
+  const fitted = series.filter((point) => point.fittedMs !== null);
+
+  return (
+    <svg
+      viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+      className="w-full max-w-xl bg-gray-50 rounded border"
+    >
+      <line
+        x1={MARGIN.left}
+        y1={MARGIN.top + plotHeight}
+        x2={MARGIN.left + plotWidth}
+        y2={MARGIN.top + plotHeight}
+        stroke="#9ca3af"
+      />
+      <line
+        x1={MARGIN.left}
+        y1={MARGIN.top}
+        x2={MARGIN.left}
+        y2={MARGIN.top + plotHeight}
+        stroke="#9ca3af"
+      />
+      {[0, 0.5, 1].map((share) => (
+        <text
+          key={share}
+          x={MARGIN.left - 6}
+          y={y(share * maxMs) + 4}
+          textAnchor="end"
+          fontSize="10"
+          fill="#6b7280"
+        >
+          {Math.round(share * maxMs)} ms
+        </text>
+      ))}
+      {series.map((point) => (
+        <text
+          key={point.n}
+          x={x(point.n)}
+          y={MARGIN.top + plotHeight + 14}
+          textAnchor="middle"
+          fontSize="10"
+          fill="#6b7280"
+        >
+          {formatSize(point.n)}
+        </text>
+      ))}
+      <text
+        x={MARGIN.left + plotWidth / 2}
+        y={CHART_HEIGHT - 4}
+        textAnchor="middle"
+        fontSize="10"
+        fill="#374151"
+      >
+        input size n
+      </text>
+      {fitted.length > 1 && (
+        <polyline
+          points={fitted
+            .map((point) => `${x(point.n)},${y(point.fittedMs)}`)
+            .join(" ")}
+          fill="none"
+          stroke="#f97316"
+          strokeWidth="2"
+          strokeDasharray="4 3"
+        >
+          <title>{`${fitName} fit`}</title>
+        </polyline>
+      )}
+      {series.map((point) => (
+        <circle
+          key={point.n}
+          cx={x(point.n)}
+          cy={y(point.wallTimeMs)}
+          r="4"
+          fill="#2563eb"
+        >
+          <title>{`n = ${point.n}: ${point.wallTimeMs} ms`}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+};
+
+/**
+ * BenchmarkPanel Component
+ *
+ * @component
+ * @param {Object} props - Component properties
+ * @param {Object} props.result - POST /benchmark response
+ * @param {string} [props.expected] - Complexity the problem asks for,
+ *        e.g. "O(n)"
+ * @param {function(): void} props.onClose - Hides the panel
+ * @returns {JSX.Element} The panel
+ *
+ * @example
+ * <BenchmarkPanel result={benchmarkResult} expected="O(n)"
+ *   onClose={() => setBenchmarkResult(null)} />
+ */
+const BenchmarkPanel = ({ result, expected, onClose }) => {
+  const { series, stopped, complexity, profile } = result;
+  const best = complexity ? complexity.best : null;
+  const alternatives = complexity ? complexity.alternatives : [];
+  // The times cannot tell the expected class from the estimate
+  const undecided = Boolean(
+    expected && best !== expected && alternatives.includes(expected)
+  );
+  let badgeClassName = "bg-amber-100 text-amber-800";
+  if (!expected || best === expected) {
+    badgeClassName = "bg-green-100 text-green-800";
+  } else if (undecided) {
+    badgeClassName = "bg-gray-100 text-gray-800";
+  }
+
+  let notice = null;
+  if (result.error) {
+    notice = result.compileOutput || result.error;
+  } else if (!complexity) {
+    notice = `Too few input sizes finished to estimate the complexity${
+      stopped ? ` (${stopped.message})` : ""
+    }`;
+  } else if (stopped) {
+    notice = stopped.message;
+  }
+
+  return (
+    <div className="w-full max-w-6xl mx-auto mt-6 bg-white rounded-lg shadow-md p-4 text-xs">
+      <div className="flex items-center gap-2 mb-3">
+        <h3 className="font-bold text-base mr-2">Benchmark</h3>
+        {best && (
+          <span className={`px-2 py-1 rounded font-semibold ${badgeClassName}`}>
+            Estimated {undecided ? `${best} or ${expected}` : best}
+            {expected && ` (expected ${expected})`}
+          </span>
+        )}
+        {alternatives.length > 0 && !undecided && (
+          <span className="text-gray-600">
+            {alternatives.join(" and ")}{" "}
+            {alternatives.length > 1 ? "fit" : "fits"} about as well
+          </span>
+        )}
+        <button
+          onClick={onClose}
+          className="ml-auto px-2 py-1 rounded bg-red-100 text-red-800 hover:bg-red-200"
+        >
+          Close
+        </button>
+      </div>
+      {notice && (
+        <pre className="mb-2 px-2 py-1 rounded bg-amber-100 text-amber-800 whitespace-pre-wrap">
+          {notice}
+        </pre>
+      )}
+      {series.length > 0 && (
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <BenchmarkChart series={series} fitName={best} />
+            <div className="flex gap-4 mt-1 text-gray-600">
+              <span>
+                <span className="text-blue-600">●</span> measured (median wall
+                time)
+              </span>
+              {best && (
+                <span>
+                  <span className="text-orange-500">- -</span> {best} fit
+                </span>
+              )}
+            </div>
+            {complexity && (
+              <table className="mt-2">
+                <tbody>
+                  {complexity.fits.slice(0, MAX_FITS + 1).map((fit) => (
+                    <tr
+                      key={fit.name}
+                      className={fit.name === best ? "font-bold" : undefined}
+                    >
+                      <td className="pr-3">{fit.name}</td>
+                      <td className="text-gray-600">
+                        {fit.r2 === null ? "—" : `R² ${fit.r2.toFixed(4)}`}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+          <div className="max-h-80 overflow-auto">
+            {profile ? (
+              <>
+                <div className="font-semibold mb-1">
+                  Profile ({profile.tool}, n = {profile.n})
+                </div>
+                {profile.error ? (
+                  <div className="text-red-700">{profile.error}</div>
+                ) : (
+                  <table className="w-full font-mono">
+                    <thead>
+                      <tr className="text-left text-gray-500">
+                        <th className="pr-2">Function</th>
+                        <th className="pr-2">Location</th>
+                        <th className="pr-2 text-right">Calls</th>
+                        <th className="pr-2 text-right">Self ms</th>
+                        <th className="text-right">Total ms</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {profile.functions.map((entry, index) => (
+                        <tr key={index} className="border-t border-gray-100">
+                          <td className="pr-2 break-all">{entry.name}</td>
+                          <td className="pr-2 text-gray-500 break-all">
+                            {entry.file
+                              ? `${entry.file}${
+                                  entry.line ? `:${entry.line}` : ""
+                                }`
+                              : ""}
+                          </td>
+                          <td className="pr-2 text-right">
+                            {entry.calls === null ? "" : entry.calls}
+                          </td>
+                          <td className="pr-2 text-right">{entry.selfMs}</td>
+                          <td className="text-right">
+                            {entry.totalMs === null ? "" : entry.totalMs}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </>
+            ) : (
+              <div className="text-gray-500">
+                No profiler is installed for this language
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BenchmarkPanel;
@@ -0,0 +1,104 @@
+/**
+ * @fileoverview CompilerOptionsBar Component
+ *
+ * Compact controls for the C/C++ compiler options the runner accepts:
+ * - Language standard (e.g. c11, c++17)
+ * - Optimization level
+ * - AddressSanitizer/UndefinedBehaviorSanitizer build
+ * - Extra warnings (-Wpedantic, -Wshadow, -Wconversion)
+ *
+ * Only the choices advertised by the runner's /languages endpoint are shown.
+ */
+
+import React from "react";
+
+const SELECT_CLASS =
+  "bg-gray-100 text-gray-800 border border-gray-300 rounded px-1.5 py-0.5 text-xs focus:outline-none focus:ring-1 focus:ring-gray-500";
+
+/**
+ * CompilerOptionsBar Component
+ *
+ * @component
+ * @param {Object} props - Component properties
+ * @param {Object|null} props.options - The language's `compilerOptions` from
+ *        /languages ({ standards, defaultStandard, optimizationLevels,
+ *        sanitize, extraWarnings }), or null for languages without any
+ * @param {Object} props.value - Selected options ({ standard, optimization,
+ *        sanitize, extraWarnings }), sent as `compilerOptions` to the runner
+ * @param {function(Object): void} props.onChange - Receives the new selection
+ * @returns {JSX.Element|null} The controls, or null without options
+ *
+ * @example
+ * <CompilerOptionsBar
+ *   options={language.compilerOptions}
+ *   value={compilerOptions}
+ *   onChange={setCompilerOptions}
+ * />
+ */
+const CompilerOptionsBar = ({ options, value, onChange }) => {
+  if (!options) return null;
+
+  const update = (key, optionValue) => onChange({ ...value, [key]: optionValue });
+
+  return (
+    <div className="flex flex-wrap items-center gap-3 mt-2 text-xs text-gray-700">
+      <label className="flex items-center gap-1">
+        Standard
+        <select
+          value={value.standard || options.defaultStandard}
+          onChange={(e) => update("standard", e.target.value)}
+          className={SELECT_CLASS}
+        >
+          {options.standards.map((standard) => (
+            <option key={standard} value={standard}>
+              {standard}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label className="flex items-center gap-1">
+        Optimization
+        <select
+          value={value.optimization || ""}
+          onChange={(e) => update("optimization", e.target.value || null)}
+          className={SELECT_CLASS}
+        >
+          <option value="">Default</option>
+          {options.optimizationLevels.map((level) => (
+            <option key={level} value={level}>
+              -{level}
+            </option>
+          ))}
+        </select>
+      </label>
+      {options.sanitize && (
+        <label
+          className="flex items-center gap-1"
+          title="Build with AddressSanitizer and UndefinedBehaviorSanitizer to catch memory errors"
+        >
+          <input
+            type="checkbox"
+            checked={Boolean(value.sanitize)}
+            onChange={(e) => update("sanitize", e.target.checked)}
+          />
+          Sanitizers
+        </label>
+      )}
+      {options.extraWarnings && (
+        <label
+          className="flex items-center gap-1"
+          title="-Wpedantic -Wshadow -Wconversion"
+        >
+          <input
+            type="checkbox"
+            checked={Boolean(value.extraWarnings)}
+            onChange={(e) => update("extraWarnings", e.target.checked)}
+          />
+          Extra warnings
+        </label>
+      )}
+    </div>
+  );
+};
+
+export default CompilerOptionsBar;
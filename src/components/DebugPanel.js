@@ -0,0 +1,190 @@
+/**
+ * @fileoverview DebugPanel and DebugGutter Components
+ *
+ * The two halves of the debugger view (see useDebugSession):
+ * - DebugGutter: line numbers beside the editor; clicking one sets or
+ *   clears a breakpoint, and an arrow marks the line the program is
+ *   paused on; lines with diagnostics carry MarkerGutter's markers
+ * - DebugPanel: the session's controls (continue, step over/into/out,
+ *   stop), its call stack and the paused frame's local variables
+ */
+
+import React from "react";
+import { markerLookup } from "./MarkerGutter";
+
+const CONTROLS = [
+  {
+    action: "continue",
+    label: "Continue ▶",
+    title: "Run to the next breakpoint",
+  },
+  { action: "next", label: "Step Over", title: "Run the current line" },
+  {
+    action: "step",
+    label: "Step Into",
+    title: "Enter the function called here",
+  },
+  { action: "out", label: "Step Out", title: "Finish the current function" },
+];
+
+const REASONS = {
+  entry: "on entry",
+  breakpoint: "at a breakpoint",
+  step: "after a step",
+  exception: "on an error",
+};
+
+/**
+ * DebugGutter Component
+ *
+ * @component
+ * @param {Object} props - Component properties
+ * @param {number} props.lineCount - Lines in the editor
+ * @param {number[]} props.breakpoints - Lines with a breakpoint
+ * @param {number|null} props.pausedLine - Line the program is paused on
+ * @param {Array<{line: number, severity: string, message: string}>}
+ *        [props.markers=[]] - Reported lines, marked as in MarkerGutter
+ * @param {number} props.scrollTop - The editor's scroll offset, so the
+ *        numbers stay beside their lines
+ * @param {function(number): void} props.onToggle - Called with a clicked line
+ * @returns {JSX.Element} The gutter; lines are 1.5rem high like the editor's
+ */
+export const DebugGutter = ({
+  lineCount,
+  breakpoints,
+  pausedLine,
+  markers = [],
+  scrollTop,
+  onToggle,
+}) => {
+  const markersOf = markerLookup(markers);
+  return (
+    <div className="w-12 shrink-0 overflow-hidden bg-gray-100 border-r border-purple-100 select-none">
+      <div
+        className="pt-4 text-xs font-mono"
+        style={{ transform: `translateY(-${scrollTop}px)` }}
+      >
+        {Array.from({ length: lineCount }, (_, index) => {
+          const line = index + 1;
+          const isPaused = line === pausedLine;
+          const { style, title } = markersOf(line);
+          const action = breakpoints.includes(line)
+            ? "Remove breakpoint"
+            : "Add breakpoint";
+          let rowClassName = style ? style.rowClassName : "text-gray-400";
+          if (isPaused) rowClassName = "bg-yellow-200 text-yellow-900";
+          return (
+            <div
+              key={line}
+              onClick={() => onToggle(line)}
+              title={title ? `${title}\n\n${action}` : action}
+              className={`h-6 leading-6 flex items-center justify-end gap-1 pr-1 cursor-pointer ${rowClassName}`}
+            >
+              {isPaused && <span>➜</span>}
+              {style && !isPaused && (
+                <span className={style.className}>{style.icon}</span>
+              )}
+              {breakpoints.includes(line) && (
+                <span className="w-2 h-2 rounded-full bg-red-500" />
+              )}
+              <span>{line}</span>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * DebugPanel Component
+ *
+ * @component
+ * @param {Object} props - Component properties
+ * @param {Object} props.session - { debugId, language, entry } from
+ *        useDebugSession; entry is null while the program is being built
+ * @param {Object|null} props.paused - Current stop { reason, file, line,
+ *        stack, locals }, or null while the program runs
+ * @param {function(string): void} props.onResume - Called with "continue",
+ *        "next", "step" or "out"
+ * @param {function(): void} props.onStop - Ends the session
+ * @returns {JSX.Element} The panel
+ *
+ * @example
+ * <DebugPanel session={debug.session} paused={debug.paused}
+ *   onResume={debug.resume} onStop={debug.stop} />
+ */
+const DebugPanel = ({ session, paused, onResume, onStop }) => {
+  let status = "Running...";
+  if (!session.entry) status = "Starting the debugger...";
+  if (paused) {
+    status = `Paused ${REASONS[paused.reason] || ""} at ${paused.file}:${paused.line}`;
+  }
+
+  return (
+    <div className="mb-2 rounded-xl bg-white/80 border border-purple-200 shadow-lg p-2 text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        {CONTROLS.map(({ action, label, title }) => (
+          <button
+            key={action}
+            onClick={() => onResume(action)}
+            disabled={!paused}
+            title={title}
+            className="bg-purple-100 text-purple-800 px-3 py-1 rounded-lg hover:bg-purple-200 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {label}
+          </button>
+        ))}
+        <button
+          onClick={onStop}
+          className="bg-red-100 text-red-800 px-3 py-1 rounded-lg hover:bg-red-200 transition-all duration-200"
+        >
+          Stop ■
+        </button>
+        <span className="text-purple-700 font-medium">{status}</span>
+      </div>
+      {paused && (
+        <div className="mt-2 grid grid-cols-2 gap-2 max-h-40 overflow-auto">
+          <div>
+            <h4 className="font-bold text-purple-800 mb-1">Call stack</h4>
+            <ol className="font-mono text-xs space-y-0.5">
+              {paused.stack.map((frame, index) => (
+                <li
+                  key={index}
+                  className={
+                    index === 0 ? "text-purple-900 font-bold" : "text-gray-600"
+                  }
+                >
+                  {frame.name} — {frame.file}:{frame.line}
+                </li>
+              ))}
+            </ol>
+          </div>
+          <div>
+            <h4 className="font-bold text-purple-800 mb-1">Variables</h4>
+            {paused.locals.length === 0 ? (
+              <p className="text-xs text-gray-500">No local variables</p>
+            ) : (
+              <table className="font-mono text-xs w-full">
+                <tbody>
+                  {paused.locals.map((variable) => (
+                    <tr key={variable.name} title={variable.type || undefined}>
+                      <td className="pr-2 text-purple-900 align-top">
+                        {variable.name}
+                      </td>
+                      <td className="text-gray-700 break-all">
+                        {variable.value}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DebugPanel;
@@ -0,0 +1,155 @@
+/**
+ * @fileoverview DiagnosticsOverlay Component
+ *
+ * Wavy underlines under the code a linter reported on (see useDiagnostics),
+ * drawn in a layer over a code editor: the layer repeats the editor's text
+ * in transparent ink, so each underline lands under its characters. It
+ * lets clicks through to the editor; the gutter beside it shows the
+ * messages.
+ */
+
+import React from "react";
+
+// Underline color per severity, the most severe first
+const COLORS = {
+  error: "#dc2626",
+  warning: "#f59e0b",
+  info: "#3b82f6",
+};
+const RANK = Object.keys(COLORS);
+
+// From its column, an underline covers the identifier or number starting
+// there, or else one character
+const WORD = /^[\w$]+/;
+
+/**
+ * Finds the characters a diagnostic underlines
+ * @param {string} text - The diagnostic's line
+ * @param {number|null} column - Its column, from 1
+ * @returns {{start: number, end: number}} Character range; the line's text
+ *          without indentation when there is no column
+ */
+const rangeOf = (text, column) => {
+  if (!column || column > text.length + 1) {
+    const start = text.length - text.trimStart().length;
+    return { start, end: Math.max(start, text.trimEnd().length) };
+  }
+  const start = column - 1;
+  const word = WORD.exec(text.slice(start));
+  return { start, end: start + (word ? word[0].length : 1) };
+};
+
+/**
+ * Splits a line into runs of characters with the same underline
+ * @param {string} text - The line
+ * @param {Object[]} diagnostics - Diagnostics of the line
+ * @returns {Array<{text: string, severity: (string|undefined)}>} Runs in
+ *          order; a trailing space carries an underline that found no text
+ */
+const segmentsOf = (text, diagnostics) => {
+  // One slot past the end, for errors at the end of the line (e.g. a
+  // missing semicolon)
+  const severities = new Array(text.length + 1).fill(undefined);
+  for (const { column, severity } of diagnostics) {
+    const { start, end } = rangeOf(text, column);
+    for (let i = start; i < Math.max(end, start + 1); i++) {
+      if (
+        severities[i] === undefined ||
+        RANK.indexOf(severity) < RANK.indexOf(severities[i])
+      ) {
+        severities[i] = severity;
+      }
+    }
+  }
+  const chars = text + " ";
+  const segments = [];
+  for (let i = 0; i < chars.length; i++) {
+    const last = segments[segments.length - 1];
+    if (last && last.severity === severities[i]) {
+      last.text += chars[i];
+    } else {
+      segments.push({ text: chars[i], severity: severities[i] });
+    }
+  }
+  return segments;
+};
+
+/**
+ * DiagnosticsOverlay Component
+ *
+ * @component
+ * @param {Object} props - Component properties
+ * @param {string} props.code - The editor's text
+ * @param {Array<{line: number, column: (number|null), severity: string}>}
+ *        props.diagnostics - Findings; severity is "error", "warning" or
+ *        "info"
+ * @param {number} props.scrollTop - The editor's vertical scroll offset
+ * @param {number} [props.scrollLeft=0] - Its horizontal scroll offset
+ * @param {Object} [props.style] - Text layout copied from the editor (font,
+ *        padding, line height, wrapping), so the text lines up
+ * @param {string} [props.className] - Classes doing the same
+ * @returns {JSX.Element} The layer; its parent must be positioned, with the
+ *          editor filling it
+ *
+ * @example
+ * <DiagnosticsOverlay code={code} diagnostics={diagnostics}
+ *   scrollTop={editorScroll} style={{ padding: 16, lineHeight: "1.5rem" }} />
+ */
+const DiagnosticsOverlay = ({
+  code,
+  diagnostics,
+  scrollTop,
+  scrollLeft = 0,
+  style,
+  className = "",
+}) => {
+  const byLine = new Map();
+  for (const diagnostic of diagnostics) {
+    byLine.set(diagnostic.line, [
+      ...(byLine.get(diagnostic.line) || []),
+      diagnostic,
+    ]);
+  }
+
+  return (
+    <div
+      aria-hidden="true"
+      className="absolute inset-0 overflow-hidden pointer-events-none"
+    >
+      <pre
+        className={`m-0 text-transparent ${className}`}
+        style={{
+          ...style,
+          transform: `translate(-${scrollLeft}px, -${scrollTop}px)`,
+        }}
+      >
+        {code.split("\n").map((text, index) => {
+          const lineDiagnostics = byLine.get(index + 1);
+          return (
+            <div key={index}>
+              {lineDiagnostics
+                ? segmentsOf(text, lineDiagnostics).map((segment, i) => (
+                    <span
+                      key={i}
+                      style={
+                        segment.severity && {
+                          textDecorationLine: "underline",
+                          textDecorationStyle: "wavy",
+                          textDecorationColor: COLORS[segment.severity],
+                          textDecorationSkipInk: "none",
+                        }
+                      }
+                    >
+                      {segment.text}
+                    </span>
+                  ))
+                : text || " "}
+            </div>
+          );
+        })}
+      </pre>
+    </div>
+  );
+};
+
+export default DiagnosticsOverlay;
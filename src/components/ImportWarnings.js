@@ -0,0 +1,36 @@
+/**
+ * @fileoverview ImportWarnings Component
+ *
+ * Lists the imports, packages and headers the runner would reject (from
+ * its /analyze endpoint), so they can be fixed before clicking Run.
+ */
+
+import React from "react";
+
+/**
+ * ImportWarnings Component
+ *
+ * @component
+ * @param {Object} props - Component properties
+ * @param {Array<{line: number, column: number, message: string}>}
+ *        props.warnings - Warnings from useImportWarnings
+ * @returns {JSX.Element|null} The list, or null without warnings
+ *
+ * @example
+ * <ImportWarnings warnings={useImportWarnings(language, code)} />
+ */
+const ImportWarnings = ({ warnings }) => {
+  if (warnings.length === 0) return null;
+
+  return (
+    <ul className="text-xs bg-amber-100 text-amber-800 rounded px-2 py-1 mb-2 space-y-0.5">
+      {warnings.map((warning) => (
+        <li key={`${warning.file}:${warning.line}:${warning.column}`}>
+          ⚠ Line {warning.line}: {warning.message}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default ImportWarnings;
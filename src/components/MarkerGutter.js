@@ -0,0 +1,100 @@
+/**
+ * @fileoverview MarkerGutter Component
+ *
+ * Line numbers beside a code editor, with a marker on the lines a tool
+ * reported on (e.g. the memory errors and leaks of a memory check, or a
+ * linter's diagnostics); hovering a marker shows the messages of its line.
+ */
+
+import React from "react";
+
+/**
+ * Marker per severity, the most severe first
+ * @constant {Object<string, {icon: string, className: string,
+ *           rowClassName: string}>}
+ */
+export const SEVERITIES = {
+  error: { icon: "●", className: "text-red-600", rowClassName: "bg-red-100" },
+  warning: {
+    icon: "▲",
+    className: "text-amber-500",
+    rowClassName: "bg-amber-50",
+  },
+  info: { icon: "ℹ", className: "text-blue-500", rowClassName: "bg-blue-50" },
+};
+
+/**
+ * Groups markers by line and picks the style of each line's most severe
+ * @param {Array<{line: number, severity: string, message: string}>}
+ *        markers - Reported lines
+ * @returns {function(number): Object} Gives a line's { style, title }: its
+ *          style from SEVERITIES (null when unmarked) and the tooltip
+ *          listing its messages
+ */
+export const markerLookup = (markers) => {
+  const byLine = new Map();
+  for (const marker of markers) {
+    byLine.set(marker.line, [...(byLine.get(marker.line) || []), marker]);
+  }
+  return (line) => {
+    const lineMarkers = byLine.get(line) || [];
+    const severity = Object.keys(SEVERITIES).find((name) =>
+      lineMarkers.some((marker) => marker.severity === name)
+    );
+    return {
+      style: severity ? SEVERITIES[severity] : null,
+      title:
+        lineMarkers.map((marker) => marker.message).join("\n") || undefined,
+    };
+  };
+};
+
+/**
+ * MarkerGutter Component
+ *
+ * @component
+ * @param {Object} props - Component properties
+ * @param {number} props.lineCount - Lines in the editor
+ * @param {Array<{line: number, severity: string, message: string}>}
+ *        props.markers - Reported lines; severity is "error", "warning" or
+ *        "info"
+ * @param {number} props.scrollTop - The editor's scroll offset, so the
+ *        numbers stay beside their lines
+ * @returns {JSX.Element} The gutter; lines are 1.5rem high and start 1rem
+ *          down, so the editor needs the same line height and padding
+ *
+ * @example
+ * <MarkerGutter lineCount={code.split("\n").length} markers={markers}
+ *   scrollTop={editorScroll} />
+ */
+const MarkerGutter = ({ lineCount, markers, scrollTop }) => {
+  const markersOf = markerLookup(markers);
+
+  return (
+    <div className="w-12 shrink-0 overflow-hidden bg-gray-100 border-r border-gray-200 select-none">
+      <div
+        className="pt-4 text-xs font-mono"
+        style={{ transform: `translateY(-${scrollTop}px)` }}
+      >
+        {Array.from({ length: lineCount }, (_, index) => {
+          const line = index + 1;
+          const { style, title } = markersOf(line);
+          return (
+            <div
+              key={line}
+              title={title}
+              className={`h-6 leading-6 flex items-center justify-end gap-1 pr-1 ${
+                style ? style.rowClassName : "text-gray-400"
+              }`}
+            >
+              {style && <span className={style.className}>{style.icon}</span>}
+              <span>{line}</span>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default MarkerGutter;
@@ -0,0 +1,82 @@
+/**
+ * @fileoverview OutputText Component
+ *
+ * Shows program output without freezing the page when a program prints a
+ * lot: only the beginning is rendered, and the whole output (as much as
+ * the runner kept) can be downloaded as a text file.
+ */
+
+import React from "react";
+
+// Characters rendered before the rest is offered as a download
+export const DISPLAY_LIMIT = 20000;
+
+/**
+ * Formats a text length as an approximate size
+ * @param {number} length - Characters
+ * @returns {string} e.g. "20 KB"
+ */
+const formatSize = (length) => `${Math.ceil(length / 1024)} KB`;
+
+/**
+ * Shortens output to what is displayed, e.g. before sharing it
+ * @param {string} text - Full output
+ * @returns {string} The displayed part, marked when something was cut
+ */
+export const clipOutput = (text) => {
+  if (text.length <= DISPLAY_LIMIT) return text;
+  const size = formatSize(text.length);
+  return `${text.slice(0, DISPLAY_LIMIT)}\n[${size} of output, shortened]\n`;
+};
+
+/**
+ * Saves text as a file through the browser's download prompt
+ * @param {string} text - File content
+ * @param {string} fileName - Suggested file name
+ */
+const downloadText = (text, fileName) => {
+  const url = URL.createObjectURL(new Blob([text], { type: "text/plain" }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * OutputText Component
+ *
+ * @component
+ * @param {Object} props - Component properties
+ * @param {string} props.text - Program output (stdout or stderr)
+ * @param {string} [props.fileName="output.txt"] - Name of the download
+ * @returns {JSX.Element} The first DISPLAY_LIMIT characters, followed by a
+ *          download link when the output is longer
+ *
+ * @example
+ * <div className="text-red-300">
+ *   <OutputText text={result.stderr} fileName="stderr.txt" />
+ * </div>
+ */
+const OutputText = ({ text, fileName = "output.txt" }) => {
+  if (text.length <= DISPLAY_LIMIT) return <>{text}</>;
+
+  return (
+    <>
+      {text.slice(0, DISPLAY_LIMIT)}
+      <span className="block font-sans text-xs text-amber-700 mt-1">
+        Showing the first {formatSize(DISPLAY_LIMIT)} of{" "}
+        {formatSize(text.length)}.{" "}
+        <button
+          type="button"
+          className="underline hover:text-amber-900"
+          onClick={() => downloadText(text, fileName)}
+        >
+          Download full output
+        </button>
+      </span>
+    </>
+  );
+};
+
+export default OutputText;
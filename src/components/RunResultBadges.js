@@ -0,0 +1,123 @@
+/**
+ * @fileoverview RunResultBadges Component
+ *
+ * Summarizes how a program run finished as a row of small badges:
+ * - Phase the run ended in (setup, compile or run)
+ * - Exit code, terminating signal, timeout or manual stop
+ * - Wall-clock time, CPU time and peak memory
+ * - Whether the output was truncated
+ * - Whether the build came from the runner's compilation cache
+ * - Time spent waiting in the runner's execution queue
+ */
+
+import React from "react";
+
+const TONES = {
+  neutral: "bg-gray-200 text-gray-800",
+  success: "bg-green-100 text-green-800",
+  warning: "bg-amber-100 text-amber-800",
+  danger: "bg-red-100 text-red-800",
+};
+
+const PHASE_LABELS = {
+  setup: "Setup",
+  compile: "Compile",
+  run: "Run",
+};
+
+/**
+ * Formats a memory amount given in kilobytes
+ * @param {number} kb - Kilobytes
+ * @returns {string} e.g. "812 KB" or "12.4 MB"
+ */
+const formatMemory = (kb) =>
+  kb < 1024 ? `${kb} KB` : `${(kb / 1024).toFixed(1)} MB`;
+
+/**
+ * Picks the badge describing how the process ended
+ * @param {Object} result - Run result from the runner
+ * @returns {{label: string, tone: string}} Badge text and tone
+ */
+const outcomeBadge = (result) => {
+  if (result.killed) return { label: "Stopped", tone: "warning" };
+  if (result.timedOut) return { label: "Time limit exceeded", tone: "danger" };
+  if (result.signal) return { label: result.signal, tone: "danger" };
+  if (result.exitCode === null || result.exitCode === undefined) {
+    return { label: "Not run", tone: "danger" };
+  }
+  return {
+    label: `Exit ${result.exitCode}`,
+    tone: result.exitCode === 0 ? "success" : "danger",
+  };
+};
+
+/**
+ * RunResultBadges Component
+ *
+ * @component
+ * @param {Object} props - Component properties
+ * @param {Object} props.result - Run result ({ phase, exitCode, signal,
+ *        timedOut, killed, wallTimeMs, cpuTimeMs, peakMemoryKb,
+ *        outputTruncated, compileCache, queue }) from /run or a run-exit event
+ * @returns {JSX.Element|null} The badge row, or null without a result
+ *
+ * @example
+ * <RunResultBadges result={{ phase: "run", exitCode: 0, wallTimeMs: 12 }} />
+ */
+const RunResultBadges = ({ result }) => {
+  if (!result) return null;
+
+  const outcome = outcomeBadge(result);
+  const badges = [
+    { label: PHASE_LABELS[result.phase] || result.phase, tone: "neutral" },
+    outcome,
+    { label: `${result.wallTimeMs} ms`, tone: "neutral", title: "Wall time" },
+  ];
+  if (result.cpuTimeMs !== null && result.cpuTimeMs !== undefined) {
+    badges.push({
+      label: `CPU ${result.cpuTimeMs} ms`,
+      tone: "neutral",
+      title: "CPU time",
+    });
+  }
+  if (result.peakMemoryKb) {
+    badges.push({
+      label: formatMemory(result.peakMemoryKb),
+      tone: "neutral",
+      title: "Peak memory",
+    });
+  }
+  if (result.outputTruncated) {
+    badges.push({ label: "Output truncated", tone: "warning" });
+  }
+  if (result.compileCache === "hit") {
+    badges.push({
+      label: "Cached build",
+      tone: "success",
+      title: "Compilation skipped: this source was built before",
+    });
+  }
+  if (result.queue && result.queue.position > 0) {
+    badges.push({
+      label: `Queued #${result.queue.position} · ${result.queue.waitMs} ms`,
+      tone: "neutral",
+      title: "Queue position and wait time",
+    });
+  }
+
+  return (
+    <div className="flex flex-wrap gap-1 my-1 font-sans">
+      {badges.map((badge) => (
+        <span
+          key={badge.label}
+          title={badge.title}
+          className={`${TONES[badge.tone]} rounded-full px-2 py-0.5 text-xs font-semibold`}
+        >
+          {badge.label}
+        </span>
+      ))}
+    </div>
+  );
+};
+
+export default RunResultBadges;
@@ -0,0 +1,385 @@
+/**
+ * @fileoverview TraceViewer Component
+ *
+ * Replays an execution trace from the runner (POST /trace, see
+ * runner/tracer.js) one step at a time:
+ * - A timeline scrubber with buttons for the first, previous, next and
+ *   last step
+ * - The code with the step's line highlighted
+ * - The call stack, each frame with its local variables; lists are drawn
+ *   as rows of cells, dicts as key/value tables and nodes with a `next`
+ *   field as linked lists
+ * - The output the program had printed by that step
+ */
+
+import React from "react";
+
+// Fields that link a node to the next one in a linked list
+const LINK_FIELDS = ["next", "nxt"];
+
+// Nested objects drawn inside a variable; deeper ones show their id
+const MAX_DEPTH = 3;
+
+// Nodes drawn per linked list
+const MAX_CHAIN = 20;
+
+const EVENT_LABELS = {
+  line: "Next line to run",
+  return: "Returning",
+  exception: "Exception raised",
+};
+
+/**
+ * Finds the field linking a node to the next one
+ * @param {Object} object - Heap object of kind "object"
+ * @returns {Array|undefined} The [name, value] field, if any
+ */
+const linkField = (object) =>
+  object.fields.find(
+    ([name, value]) =>
+      LINK_FIELDS.includes(name) &&
+      (value.ref !== undefined || ["None", "null"].includes(value.value))
+  );
+
+/**
+ * Labels an object with its id, so aliases of one object are recognizable
+ * @param {Object} props - Component properties
+ * @param {number|string} props.id - Heap id
+ * @param {string} props.type - Type name
+ * @returns {JSX.Element} The label
+ */
+const ObjectLabel = ({ id, type }) => (
+  <div className="text-[10px] text-gray-500">
+    {type} <span className="text-gray-400">#{id}</span>
+  </div>
+);
+
+/**
+ * Draws a value: primitives as text, objects from the step's heap
+ * @param {Object} props - Component properties
+ * @param {Object} props.value - { type, value } or { ref }
+ * @param {Object} props.heap - The step's heap
+ * @param {number} [props.depth=0] - Nesting depth
+ * @returns {JSX.Element} The value
+ */
+const Value = ({ value, heap, depth = 0 }) => {
+  if (value.ref === undefined) {
+    return (
+      <span className="text-gray-800" title={value.type}>
+        {value.value}
+      </span>
+    );
+  }
+  const object = heap[value.ref];
+  if (!object || depth >= MAX_DEPTH) {
+    // Beyond the recorded heap, or nested too deep to draw
+    return <span className="text-blue-600">#{value.ref}</span>;
+  }
+  return (
+    <HeapObject id={value.ref} object={object} heap={heap} depth={depth} />
+  );
+};
+
+/**
+ * Draws a linked list from its first node
+ * @param {Object} props - Component properties
+ * @param {number|string} props.id - Heap id of the first node
+ * @param {Object} props.heap - The step's heap
+ * @param {number} props.depth - Nesting depth
+ * @returns {JSX.Element} The nodes, joined by arrows
+ */
+const LinkedList = ({ id, heap, depth }) => {
+  const nodes = [];
+  const seen = new Set();
+  let current = { ref: id };
+  while (current.ref !== undefined && heap[current.ref]) {
+    if (seen.has(current.ref) || nodes.length === MAX_CHAIN) break;
+    seen.add(current.ref);
+    nodes.push([current.ref, heap[current.ref]]);
+    const link = linkField(heap[current.ref]);
+    current = link ? link[1] : { value: "" };
+  }
+
+  let end;
+  if (current.ref === undefined) {
+    end = <span className="text-gray-500">{current.value}</span>;
+  } else if (seen.has(current.ref)) {
+    end = <span className="text-red-600">↺ #{current.ref}</span>;
+  } else {
+    end = <span className="text-blue-600">#{current.ref}</span>;
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-1">
+      {nodes.map(([nodeId, node]) => (
+        <React.Fragment key={nodeId}>
+          <div className="border border-teal-400 bg-teal-50 rounded px-1">
+            <ObjectLabel id={nodeId} type={node.type} />
+            {node.fields
+              .filter(([name]) => !LINK_FIELDS.includes(name))
+              .map(([name, field]) => (
+                <div key={name}>
+                  <span className="text-gray-500">{name}: </span>
+                  <Value value={field} heap={heap} depth={depth + 1} />
+                </div>
+              ))}
+          </div>
+          <span className="text-teal-600">→</span>
+        </React.Fragment>
+      ))}
+      {end}
+    </div>
+  );
+};
+
+/**
+ * Draws a list, set, dict or object
+ * @param {Object} props - Component properties
+ * @param {number|string} props.id - Heap id
+ * @param {Object} props.object - The heap entry
+ * @param {Object} props.heap - The step's heap
+ * @param {number} props.depth - Nesting depth
+ * @returns {JSX.Element} The object
+ */
+const HeapObject = ({ id, object, heap, depth }) => {
+  const shown =
+    object.kind === "dict"
+      ? object.entries.length
+      : (object.items || object.fields).length;
+  const more = object.length - shown;
+  const moreNote = more > 0 && (
+    <span className="text-gray-400 self-center px-1">+{more} more</span>
+  );
+
+  if (object.kind === "list" || object.kind === "set") {
+    return (
+      <div className="inline-block align-top">
+        <ObjectLabel id={id} type={object.type} />
+        <div className="flex flex-wrap">
+          {object.items.length === 0 && (
+            <span className="text-gray-400 px-1">empty</span>
+          )}
+          {object.items.map((item, index) => (
+            <div
+              key={index}
+              className="border border-blue-300 bg-blue-50 px-1 text-center min-w-[1.5rem]"
+            >
+              <Value value={item} heap={heap} depth={depth + 1} />
+              {object.kind === "list" && (
+                <div className="text-[10px] text-gray-400">{index}</div>
+              )}
+            </div>
+          ))}
+          {moreNote}
+        </div>
+      </div>
+    );
+  }
+
+  if (object.kind === "object" && linkField(object)) {
+    return <LinkedList id={id} heap={heap} depth={depth} />;
+  }
+
+  const rows =
+    object.kind === "dict"
+      ? object.entries
+      : object.fields.map(([name, field]) => [
+          { type: "field", value: name },
+          field,
+        ]);
+  return (
+    <div className="inline-block align-top">
+      <ObjectLabel id={id} type={object.type} />
+      <table className="border border-amber-300 bg-amber-50">
+        <tbody>
+          {rows.length === 0 && (
+            <tr>
+              <td className="text-gray-400 px-1">empty</td>
+            </tr>
+          )}
+          {rows.map(([key, field], index) => (
+            <tr key={index} className="border-t border-amber-200 align-top">
+              <td className="px-1 border-r border-amber-200">
+                <Value value={key} heap={heap} depth={depth + 1} />
+              </td>
+              <td className="px-1">
+                <Value value={field} heap={heap} depth={depth + 1} />
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {moreNote}
+    </div>
+  );
+};
+
+/**
+ * TraceViewer Component
+ *
+ * @component
+ * @param {Object} props - Component properties
+ * @param {string} props.code - The traced program
+ * @param {Object} props.result - POST /trace response (run result with
+ *        `trace`)
+ * @param {function(): void} props.onClose - Hides the viewer
+ * @returns {JSX.Element} The viewer
+ *
+ * @example
+ * <TraceViewer code={code} result={traceResult}
+ *   onClose={() => setTraceResult(null)} />
+ */
+const TraceViewer = ({ code, result, onClose }) => {
+  const [index, setIndex] = React.useState(0);
+  const steps = result.trace ? result.trace.steps : [];
+  const step = steps[Math.min(index, steps.length - 1)];
+  const lines = code.split("\n");
+
+  // A new trace starts from its first step
+  React.useEffect(() => {
+    setIndex(0);
+  }, [result]);
+
+  let notice = null;
+  if (!result.trace) {
+    notice = result.error;
+  } else if (result.trace.error) {
+    notice = `Tracing stopped: ${result.trace.error}`;
+  } else if (result.trace.truncated === "steps") {
+    notice = `Only the first ${steps.length} steps were recorded`;
+  } else if (result.trace.truncated === "size") {
+    notice = `The trace grew too large; ${steps.length} steps were kept`;
+  }
+
+  return (
+    <div className="w-full max-w-6xl mx-auto mt-6 bg-white rounded-lg shadow-md p-4 text-xs">
+      <div className="flex items-center gap-2 mb-3">
+        <h3 className="font-bold text-base mr-2">Execution Trace</h3>
+        <button
+          onClick={() => setIndex(0)}
+          disabled={!step || index === 0}
+          className="px-2 py-1 rounded bg-gray-200 hover:bg-gray-300 disabled:opacity-50"
+          title="First step"
+        >
+          ⏮
+        </button>
+        <button
+          onClick={() => setIndex((current) => Math.max(current - 1, 0))}
+          disabled={!step || index === 0}
+          className="px-2 py-1 rounded bg-gray-200 hover:bg-gray-300 disabled:opacity-50"
+          title="Previous step"
+        >
+          ◀
+        </button>
+        <input
+          type="range"
+          min={0}
+          max={Math.max(steps.length - 1, 0)}
+          value={index}
+          onChange={(e) => setIndex(Number(e.target.value))}
+          disabled={!step}
+          className="flex-grow"
+        />
+        <button
+          onClick={() =>
+            setIndex((current) => Math.min(current + 1, steps.length - 1))
+          }
+          disabled={!step || index === steps.length - 1}
+          className="px-2 py-1 rounded bg-gray-200 hover:bg-gray-300 disabled:opacity-50"
+          title="Next step"
+        >
+          ▶
+        </button>
+        <button
+          onClick={() => setIndex(steps.length - 1)}
+          disabled={!step || index === steps.length - 1}
+          className="px-2 py-1 rounded bg-gray-200 hover:bg-gray-300 disabled:opacity-50"
+          title="Last step"
+        >
+          ⏭
+        </button>
+        <span className="text-gray-600 whitespace-nowrap">
+          {step ? `Step ${index + 1} of ${steps.length}` : "No steps"}
+        </span>
+        <button
+          onClick={onClose}
+          className="ml-2 px-2 py-1 rounded bg-red-100 text-red-800 hover:bg-red-200"
+        >
+          Close
+        </button>
+      </div>
+      {notice && (
+        <div className="mb-2 px-2 py-1 rounded bg-amber-100 text-amber-800">
+          {notice}
+        </div>
+      )}
+      {step && (
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <div className="font-semibold mb-1">
+              {EVENT_LABELS[step.event]} (line {step.line})
+              {step.event === "return" && step.returned && (
+                <>
+                  {": "}
+                  <Value value={step.returned} heap={step.heap} />
+                </>
+              )}
+              {step.event === "exception" && (
+                <span className="text-red-600">: {step.exception}</span>
+              )}
+            </div>
+            <pre className="font-mono bg-gray-50 rounded border max-h-96 overflow-auto">
+              {lines.map((text, lineIndex) => {
+                const current = lineIndex + 1 === step.line;
+                return (
+                  <div
+                    key={lineIndex}
+                    className={current ? "bg-yellow-200" : undefined}
+                  >
+                    <span className="inline-block w-10 pr-2 text-right text-gray-400 select-none">
+                      {current ? "➜" : lineIndex + 1}
+                    </span>
+                    {text}
+                  </div>
+                );
+              })}
+            </pre>
+            <div className="font-semibold mt-2 mb-1">Output</div>
+            <pre className="font-mono bg-black text-green-400 rounded p-2 max-h-32 overflow-auto whitespace-pre-wrap">
+              {(result.stdout || "").slice(0, step.stdout) || " "}
+            </pre>
+          </div>
+          <div className="max-h-[32rem] overflow-auto">
+            <div className="font-semibold mb-1">Frames</div>
+            {step.stack.map((frame, frameIndex) => (
+              <div
+                key={frameIndex}
+                className={`mb-2 rounded border p-2 ${
+                  frameIndex === 0 ? "border-blue-400" : "border-gray-200"
+                }`}
+              >
+                <div className="font-mono font-bold mb-1">
+                  {frame.name}{" "}
+                  <span className="font-normal text-gray-500">
+                    line {frame.line}
+                  </span>
+                </div>
+                {frame.locals.length === 0 && (
+                  <div className="text-gray-400">No local variables</div>
+                )}
+                {frame.locals.map(([name, value]) => (
+                  <div key={name} className="flex gap-2 mb-1 font-mono">
+                    <span className="text-purple-800 shrink-0">{name}</span>
+                    <Value value={value} heap={step.heap} />
+                  </div>
+                ))}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TraceViewer;
@@ -0,0 +1,440 @@
+/**
+ * Code Runner Client
+ *
+ * Shared access to the code execution backend (c-runner-backend.js):
+ * - RUNNER_URL: Base URL of the runner service
+ * - useRunnerLanguages: Languages the runner can currently execute
+ * - useRunnerSocket: Socket.IO connection for live (streamed) execution
+ * - useImportWarnings: Imports the runner would reject, before running
+ * - useDiagnostics: Errors and warnings of the runner's linter, while typing
+ * - requestFormat: Formats code with the runner's formatter for a language
+ * - requestTrace: Records a program's execution step by step
+ * - requestBenchmark: Times a program on growing inputs and estimates its
+ *   complexity
+ * - useDebugSession: Step-through debug sessions, shared within a room
+ */
+
+import { useState, useEffect, useRef } from "react";
+import io from "socket.io-client";
+import { v4 as uuidv4 } from "uuid";
+
+export const RUNNER_URL = "http://localhost:5000";
+
+/**
+ * Fetches the languages whose toolchains are installed on the runner
+ *
+ * @returns {Array<{id: string, name: string, extension: string,
+ *          version: string, template: string, formatter: (string|null),
+ *          linter: (string|null)}>} Available languages; empty until the
+ *          runner responds (or if it is down)
+ */
+export function useRunnerLanguages() {
+  const [languages, setLanguages] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetch(`${RUNNER_URL}/languages`)
+      .then((res) => res.json())
+      .then((data) => {
+        if (!cancelled) setLanguages(data.languages || []);
+      })
+      .catch(() => {
+        // Runner offline: leave the list empty, running code will report it
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return languages;
+}
+
+/**
+ * Opens a Socket.IO connection to the runner for streamed execution
+ * Separate from the collaboration socket, which talks to another server.
+ *
+ * @returns {object|null} Runner socket; null until mounted. Closed on unmount.
+ */
+export function useRunnerSocket() {
+  const [runnerSocket, setRunnerSocket] = useState(null);
+
+  useEffect(() => {
+    const connection = io(RUNNER_URL, {
+      reconnection: true, // Enable auto-reconnection
+      reconnectionDelay: 1000, // Initial delay between attempts (1s)
+      reconnectionAttempts: 5, // Maximum number of reconnection attempts
+    });
+    setRunnerSocket(connection);
+    return () => {
+      connection.close();
+    };
+  }, []);
+
+  return runnerSocket;
+}
+
+// Lines that may import something; only edits to these trigger an analysis
+const IMPORT_HINT =
+  /\b(?:import|require|include|import_module|use|extern)\b|__import__/;
+// Wait for typing to pause (ms) before asking the runner
+const ANALYZE_DELAY = 600;
+
+/**
+ * Asks the runner which imports or headers in the code it would reject
+ *
+ * The runner rate-limits the editors' background checks, so /analyze is
+ * only called once typing pauses, only when a line that may import
+ * something has changed, and never twice for the same code.
+ *
+ * @param {string} language - Runner language id
+ * @param {string} code - Editor content
+ * @returns {Array<{line: number, column: number, severity: string,
+ *          message: string}>} Warnings from /analyze; empty while the
+ *          runner is unreachable
+ */
+export function useImportWarnings(language, code) {
+  const [warnings, setWarnings] = useState([]);
+  const latestCode = useRef(code);
+  latestCode.current = code;
+  // Request body the shown warnings answer
+  const checked = useRef(null);
+
+  // Line numbers are part of the key so the warnings follow moved imports
+  const importLines = code
+    .split("\n")
+    .map((line, index) => (IMPORT_HINT.test(line) ? `${index}:${line}` : ""))
+    .filter(Boolean)
+    .join("\n");
+
+  useEffect(() => {
+    if (!importLines) {
+      checked.current = null;
+      setWarnings([]);
+      return undefined;
+    }
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+      const body = JSON.stringify({ language, code: latestCode.current });
+      if (body === checked.current) return;
+      fetch(`${RUNNER_URL}/analyze`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body,
+        signal: controller.signal,
+      })
+        .then((res) => res.json())
+        .then((data) => {
+          if (!data.warnings) return;
+          checked.current = body;
+          setWarnings(data.warnings);
+        })
+        .catch(() => {
+          // Runner offline or request superseded: keep the last warnings
+        });
+    }, ANALYZE_DELAY);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [language, importLines]);
+
+  return warnings;
+}
+
+// Linting runs a compiler on the runner, so wait longer than for imports
+const DIAGNOSTICS_DELAY = 1500;
+// Wait before retrying a refused check when the runner names none (s)
+const RETRY_DELAY_SEC = 10;
+
+/**
+ * Lints the code on the runner (POST /diagnostics) whenever typing pauses
+ *
+ * Code that was already checked is not sent again. When the runner is busy
+ * (429/503), the check is retried after the wait it asks for.
+ *
+ * @param {string} language - Runner language id
+ * @param {string} code - Editor content
+ * @param {boolean} enabled - Whether the runner has a linter for the
+ *        language (see `linter` in useRunnerLanguages)
+ * @returns {Array<{line: number, column: (number|null), severity: string,
+ *          message: string}>} Diagnostics of the last code checked; kept
+ *          while the runner is unreachable, empty when disabled
+ */
+export function useDiagnostics(language, code, enabled) {
+  const [diagnostics, setDiagnostics] = useState([]);
+  // Request body the shown diagnostics answer
+  const checked = useRef(null);
+  // Bumped to check again once a busy runner's wait is over
+  const [retries, setRetries] = useState(0);
+
+  useEffect(() => {
+    if (!enabled || !code.trim()) {
+      checked.current = null;
+      setDiagnostics([]);
+      return undefined;
+    }
+    const body = JSON.stringify({ language, code });
+    if (body === checked.current) return undefined;
+    const controller = new AbortController();
+    let retryTimer = null;
+    const timer = setTimeout(() => {
+      fetch(`${RUNNER_URL}/diagnostics`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body,
+        signal: controller.signal,
+      })
+        .then(async (res) => {
+          const data = await res.json();
+          if (res.ok) {
+            checked.current = body;
+            setDiagnostics(data.diagnostics);
+          } else if (res.status === 429 || res.status === 503) {
+            retryTimer = setTimeout(
+              () => setRetries((count) => count + 1),
+              (data.retryAfterSec || RETRY_DELAY_SEC) * 1000
+            );
+          }
+        })
+        .catch(() => {
+          // Runner offline or request superseded: keep the last diagnostics
+        });
+    }, DIAGNOSTICS_DELAY);
+    return () => {
+      clearTimeout(timer);
+      clearTimeout(retryTimer);
+      controller.abort();
+    };
+  }, [language, code, enabled, retries]);
+
+  return diagnostics;
+}
+
+/**
+ * Formats code on the runner
+ *
+ * @param {string} language - Runner language id
+ * @param {string} code - Editor content
+ * @returns {Promise<string>} The formatted code
+ * @throws {Error} The runner's message when it cannot format the code
+ *         (e.g. a syntax error), or a connection error
+ */
+export async function requestFormat(language, code) {
+  const res = await fetch(`${RUNNER_URL}/format`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ language, code }),
+  });
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || "Formatting failed");
+  return data.code;
+}
+
+/**
+ * Runs a program on the runner under its execution tracer
+ *
+ * @param {Object} request - { language, code, stdin, sessionId, maxSteps? }
+ *        as POST /trace takes it
+ * @returns {Promise<Object>} Run result with `trace` ({ steps, truncated,
+ *          error }, null when the program did not start)
+ * @throws {Error} The runner's message when it rejects the request (e.g.
+ *         no tracer for the language), or a connection error
+ */
+export async function requestTrace(request) {
+  const res = await fetch(`${RUNNER_URL}/trace`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(request),
+  });
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || "Tracing failed");
+  return data;
+}
+
+/**
+ * Benchmarks a program on the runner: it runs on generated inputs of
+ * growing size and its run times are fitted to a complexity class
+ *
+ * @param {Object} request - { language, code, generator: { template, sizes,
+ *        seed? }, repeats?, compilerOptions?, sessionId } as POST /benchmark
+ *        takes it
+ * @returns {Promise<Object>} { phase, series, stopped, complexity, profile,
+ *          error, ... } (see benchmarkCode in c-runner-backend.js)
+ * @throws {Error} The runner's message when it rejects the request (e.g. an
+ *         invalid generator), or a connection error
+ */
+export async function requestBenchmark(request) {
+  const res = await fetch(`${RUNNER_URL}/benchmark`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(request),
+  });
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || "Benchmark failed");
+  return data;
+}
+
+/**
+ * Starts, follows and drives debug sessions on the runner
+ *
+ * In a room, every participant follows the room's session - including one
+ * already in progress - so all of them see the same paused line, and any
+ * of them may step it or change its breakpoints.
+ *
+ * @param {object|null} runnerSocket - Socket from useRunnerSocket
+ * @param {string|null} roomId - Collaboration room, or null for a session
+ *        of one's own
+ * @param {function(Object): void} onLog - Receives terminal entries
+ *        { type, content, runId } for the program's output, debugger
+ *        messages and the end of the session
+ * @returns {Object} { session, paused, breakpoints, start, resume,
+ *          toggleBreakpoint, stop }: session is { debugId, language, entry }
+ *          while one is active (entry is null until it has started),
+ *          paused the current stop { reason, file, line, stack, locals } or
+ *          null, and breakpoints the lines set in the entry file
+ */
+export function useDebugSession(runnerSocket, roomId, onLog) {
+  const [session, setSession] = useState(null);
+  const [paused, setPaused] = useState(null);
+  const [breakpoints, setBreakpoints] = useState([]);
+  const sessionRef = useRef(null);
+  const logRef = useRef(onLog);
+  logRef.current = onLog;
+
+  useEffect(() => {
+    if (!runnerSocket) return undefined;
+    const isCurrent = (debugId) =>
+      Boolean(sessionRef.current) && sessionRef.current.debugId === debugId;
+    const follow = (next) => {
+      sessionRef.current = next;
+      setSession(next);
+      setPaused(null);
+    };
+
+    const handlers = {
+      "debug-started": ({ debugId, language, entry }) => {
+        follow({ debugId, language, entry });
+        logRef.current({
+          type: "command",
+          content: `Debugging ${language} code...`,
+        });
+      },
+      "debug-breakpoints": ({ debugId, file, lines }) => {
+        if (isCurrent(debugId) && file === sessionRef.current.entry) {
+          setBreakpoints(lines);
+        }
+      },
+      "debug-paused": ({ debugId, ...stop }) => {
+        if (isCurrent(debugId)) setPaused(stop);
+      },
+      "debug-resumed": ({ debugId }) => {
+        if (isCurrent(debugId)) setPaused(null);
+      },
+      "debug-output": ({ debugId, stream, data }) => {
+        if (!isCurrent(debugId)) return;
+        logRef.current({
+          type: stream === "stderr" ? "error" : "output",
+          content: data,
+          runId: debugId,
+        });
+      },
+      "debug-message": ({ debugId, text }) => {
+        if (isCurrent(debugId))
+          logRef.current({ type: "error", content: text });
+      },
+      "debug-ended": ({ debugId, exitCode, error }) => {
+        if (!isCurrent(debugId)) return;
+        follow(null);
+        logRef.current(
+          error
+            ? { type: "error", content: error }
+            : {
+                type: "command",
+                content:
+                  exitCode === null
+                    ? "Debug session ended"
+                    : `Debug session ended (exit code ${exitCode})`,
+              }
+        );
+      },
+    };
+    Object.entries(handlers).forEach(([event, handler]) =>
+      runnerSocket.on(event, handler)
+    );
+
+    // (Re)join the room's sessions whenever the connection is (re)made
+    const join = () => {
+      if (roomId) runnerSocket.emit("debug-join", { roomId });
+    };
+    if (runnerSocket.connected) join();
+    runnerSocket.on("connect", join);
+
+    return () => {
+      Object.entries(handlers).forEach(([event, handler]) =>
+        runnerSocket.off(event, handler)
+      );
+      runnerSocket.off("connect", join);
+    };
+  }, [runnerSocket, roomId]);
+
+  /**
+   * Starts a session with the current breakpoints; stops on the first line
+   * when there are none
+   * @param {Object} request - { language, code, stdin } as for run-code
+   */
+  const start = (request) => {
+    if (!runnerSocket || sessionRef.current) return;
+    // Sessions of every client share one map on the runner
+    const debugId = uuidv4();
+    sessionRef.current = { debugId, language: request.language, entry: null };
+    setSession(sessionRef.current);
+    runnerSocket.emit("debug-start", {
+      ...request,
+      debugId,
+      ...(roomId ? { roomId } : {}),
+      breakpoints,
+    });
+  };
+
+  /**
+   * Continues or steps the paused program
+   * @param {string} action - "continue", "next", "step" or "out"
+   */
+  const resume = (action) => {
+    if (session && paused) {
+      runnerSocket.emit("debug-command", { debugId: session.debugId, action });
+    }
+  };
+
+  /**
+   * Sets or clears a breakpoint; during a session the runner shares the
+   * change with everyone following it
+   * @param {number} line - 1-based line of the entry file
+   */
+  const toggleBreakpoint = (line) => {
+    const lines = breakpoints.includes(line)
+      ? breakpoints.filter((other) => other !== line)
+      : [...breakpoints, line].sort((a, b) => a - b);
+    setBreakpoints(lines);
+    if (session && session.entry) {
+      runnerSocket.emit("debug-breakpoints", {
+        debugId: session.debugId,
+        lines,
+      });
+    }
+  };
+
+  const stop = () => {
+    if (session) runnerSocket.emit("debug-stop", { debugId: session.debugId });
+  };
+
+  return {
+    session,
+    paused,
+    breakpoints,
+    start,
+    resume,
+    toggleBreakpoint,
+    stop,
+  };
+}